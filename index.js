@@ -1,13 +1,15 @@
 const app = require('./src/app');
 const { disconnectDB } = require('./src/config/database');
+const { startJobs, stopJobs } = require('./src/jobs');
 
 const PORT = process.env.PORT || 3000;
 
 // Graceful shutdown
-const gracefulShutdown = async (signal) => {
+const gracefulShutdown = async signal => {
   console.log(`\n🛑 Received ${signal}. Shutting down gracefully...`);
-  
+
   try {
+    stopJobs();
     await disconnectDB();
     console.log('👋 Database disconnected successfully');
     process.exit(0);
@@ -37,4 +39,7 @@ app.listen(PORT, () => {
   console.log('🔗 API Base URL:');
   console.log(`🔗   http://localhost:${PORT}/api`);
   console.log('');
+
+  // Background jobs (lease lifecycle, overdue invoices, late fees)
+  startJobs();
 });
@@ -8,25 +8,48 @@ const swaggerUi = require('swagger-ui-express');
 const { connectDB } = require('./config/database');
 const swaggerSpecs = require('./config/swagger');
 const sessionMiddleware = require('./middleware/session');
+const paymentGatewayService = require('./services/paymentGateway.service');
+const emailService = require('./services/email.service');
 
 const app = express();
 
-// Ngrok and proxy handling middleware
-app.use((req, res, next) => {
-  // Trust ngrok proxy
-  app.set('trust proxy', true);
+/**
+ * Proxies trusted for X-Forwarded-* headers, from TRUST_PROXY: a hop count
+ * (e.g. 1 behind a single load balancer), `false`, or addresses and subnets
+ * (e.g. `loopback, 10.0.0.0/8`). Trusting every proxy would let clients
+ * pick their own IP address and get around the per-IP login limit.
+ * @returns {number|string|boolean}
+ */
+const getTrustProxy = () => {
+  const value = (process.env.TRUST_PROXY || 'loopback').trim();
 
-  // Handle ngrok headers
-  if (req.headers['x-forwarded-proto']) {
-    req.protocol = req.headers['x-forwarded-proto'];
+  if (value === 'true') {
+    throw new Error(
+      'TRUST_PROXY=true trusts any client; set the number of proxy hops or their subnets'
+    );
   }
 
-  if (req.headers['x-forwarded-host']) {
-    req.headers.host = req.headers['x-forwarded-host'];
+  if (value === 'false') {
+    return false;
   }
 
-  next();
-});
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+};
+
+// req.ip, req.protocol and req.hostname follow X-Forwarded-For, -Proto and
+// -Host only as far as these proxies (e.g. ngrok) are trusted
+app.set('trust proxy', getTrustProxy());
+
+// Refuse to start without a way to deliver mail
+emailService.assertConfigured();
+
+// Without a usable payment gateway only card and e-wallet checkout is off
+const paymentGatewayProblem = paymentGatewayService.getUnavailableReason();
+if (paymentGatewayProblem) {
+  console.warn(
+    `⚠️ ${paymentGatewayProblem}. Card and e-wallet checkout is disabled.`
+  );
+}
 
 // Connect to database
 connectDB();
@@ -123,8 +146,19 @@ app.use((req, res, next) => {
   next();
 });
 
+// Event streams accept the JWT as ?token=; keep it out of the access log
+morgan.token('url', req =>
+  req.originalUrl.replace(/([?&]token=)[^&]*/, '$1[redacted]')
+);
 app.use(morgan('combined'));
-app.use(express.json());
+app.use(
+  express.json({
+    // Keep the raw body around for payment gateway webhook signatures
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 
 // Session middleware (required for OAuth)
@@ -199,16 +233,50 @@ const bookingRoutes = require('./modules/bookings/bookings.routes');
 const propertyTypeRoutes = require('./modules/propertyTypes/propertyTypes.routes');
 const amenityRoutes = require('./modules/amenities/amenities.routes');
 const predictionRoutes = require('./modules/predictions/predictions.routes');
+const invoiceRoutes = require('./modules/invoices/invoices.routes');
+const paymentRoutes = require('./modules/payments/payments.routes');
+const paymentGatewayRoutes = require('./modules/payments/gateway.routes');
+const lateFeePolicyRoutes = require('./modules/lateFees/lateFees.routes');
+const renewalRoutes = require('./modules/renewals/renewals.routes');
+const terminationRoutes = require('./modules/terminations/terminations.routes');
+const depositRoutes = require('./modules/deposits/deposits.routes');
+const agreementRoutes = require('./modules/agreements/agreements.routes');
+const agreementVerificationRoutes = require('./modules/agreements/verification.routes');
+const agreementTemplateRoutes = require('./modules/agreementTemplates/agreementTemplates.routes');
+const propertyAgreementClauseRoutes = require('./modules/agreementTemplates/propertyClauses.routes');
+const jobRoutes = require('./modules/jobs/jobs.routes');
+const notificationRoutes = require('./modules/notifications/notifications.routes');
+const realtimeRoutes = require('./modules/realtime/realtime.routes');
+const conversationRoutes = require('./modules/messaging/conversations.routes');
+const blockRoutes = require('./modules/messaging/blocks.routes');
+const reportRoutes = require('./modules/messaging/reports.routes');
 
 // Use routes
 app.use('/api/auth', authRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/properties/:id/late-fee-policy', lateFeePolicyRoutes);
+app.use('/api/properties/:id/agreement-clauses', propertyAgreementClauseRoutes);
 app.use('/api/properties', propertyRoutes);
+app.use('/api/bookings/:id/renewals', renewalRoutes);
+app.use('/api/bookings/:id/termination', terminationRoutes);
+app.use('/api/bookings/:id/deposit', depositRoutes);
+app.use('/api/bookings/:id/agreement', agreementRoutes);
 app.use('/api/bookings', bookingRoutes);
+app.use('/api/agreements', agreementVerificationRoutes);
+app.use('/api/agreement-templates', agreementTemplateRoutes);
 app.use('/api/property-types', propertyTypeRoutes);
 app.use('/api/amenities', amenityRoutes);
 app.use('/api/predictions', predictionRoutes);
+app.use('/api/invoices/:id/payments', paymentRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/payments', paymentGatewayRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/realtime', realtimeRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/blocks', blockRoutes);
+app.use('/api/reports', reportRoutes);
 
 /**
  * @swagger
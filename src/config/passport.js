@@ -7,6 +7,7 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const axios = require('axios');
 const { prisma } = require('./database');
+const accountSecurityService = require('../services/accountSecurity.service');
 const { verifyAppleToken } = require('apple-signin-auth');
 
 // Serialize user for session
@@ -83,9 +84,17 @@ passport.use(
                 profilePicture: true,
                 role: true,
                 isActive: true,
+                twoFactorEnabled: true,
                 createdAt: true,
               },
             });
+            if (updateData.googleId) {
+              await accountSecurityService.logEvent('OAUTH_LINKED', {
+                userId: user.id,
+                email: user.email,
+                metadata: { provider: 'google', automatic: true },
+              });
+            }
           } else {
             // Just return user with updated select fields for consistency
             user = await prisma.user.findUnique({
@@ -100,6 +109,7 @@ passport.use(
                 profilePicture: true,
                 role: true,
                 isActive: true,
+                twoFactorEnabled: true,
                 createdAt: true,
               },
             });
@@ -139,6 +149,7 @@ passport.use(
               profilePicture: true,
               role: true,
               isActive: true,
+              twoFactorEnabled: true,
               createdAt: true,
             },
           });
@@ -204,9 +215,17 @@ passport.use(
                 profilePicture: true,
                 role: true,
                 isActive: true,
+                twoFactorEnabled: true,
                 createdAt: true,
               },
             });
+            if (updateData.facebookId) {
+              await accountSecurityService.logEvent('OAUTH_LINKED', {
+                userId: user.id,
+                email: user.email,
+                metadata: { provider: 'facebook', automatic: true },
+              });
+            }
           }
         } else {
           // Create new user
@@ -238,6 +257,7 @@ passport.use(
               profilePicture: true,
               role: true,
               isActive: true,
+              twoFactorEnabled: true,
               createdAt: true,
             },
           });
@@ -330,9 +350,15 @@ passport.use(
                 phone: true,
                 role: true,
                 isActive: true,
+                twoFactorEnabled: true,
                 createdAt: true,
               },
             });
+            await accountSecurityService.logEvent('OAUTH_LINKED', {
+              userId: user.id,
+              email: user.email,
+              metadata: { provider: 'github', automatic: true },
+            });
             return done(null, user);
           }
         }
@@ -360,6 +386,7 @@ passport.use(
             phone: true,
             role: true,
             isActive: true,
+            twoFactorEnabled: true,
             createdAt: true,
           },
         });
@@ -410,9 +437,15 @@ passport.use(
                 phone: true,
                 role: true,
                 isActive: true,
+                twoFactorEnabled: true,
                 createdAt: true,
               },
             });
+            await accountSecurityService.logEvent('OAUTH_LINKED', {
+              userId: user.id,
+              email: user.email,
+              metadata: { provider: 'twitter', automatic: true },
+            });
           }
         } else {
           // Create new user
@@ -438,6 +471,7 @@ passport.use(
               phone: true,
               role: true,
               isActive: true,
+              twoFactorEnabled: true,
               createdAt: true,
             },
           });
@@ -497,6 +531,27 @@ const handleAppleSignIn = async (appleToken, userInfo = null) => {
             phone: true,
             role: true,
             isActive: true,
+            twoFactorEnabled: true,
+            createdAt: true,
+          },
+        });
+        await accountSecurityService.logEvent('OAUTH_LINKED', {
+          userId: user.id,
+          email: user.email,
+          metadata: { provider: 'apple', automatic: true },
+        });
+      } else {
+        // The user is returned in the response, so read back public fields only
+        user = await prisma.user.findUnique({
+          where: { id: user.id },
+          select: {
+            id: true,
+            email: true,
+            name: true,
+            phone: true,
+            role: true,
+            isActive: true,
+            twoFactorEnabled: true,
             createdAt: true,
           },
         });
@@ -525,6 +580,7 @@ const handleAppleSignIn = async (appleToken, userInfo = null) => {
           phone: true,
           role: true,
           isActive: true,
+          twoFactorEnabled: true,
           createdAt: true,
         },
       });
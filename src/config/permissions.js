@@ -0,0 +1,57 @@
+// Named permissions and the roles that hold them. Routes and services check
+// permissions (authorize('listing.approve'), hasPermission(role, ...)) rather
+// than role names, so a role's powers are changed here in one place.
+//
+// Landlords are USERs: what they can do with their own listings and bookings
+// is decided by ownership checks, not by permissions.
+
+const PERMISSIONS = [
+  'listing.create', // Create listings, edit and delete own listings, upload images
+  'listing.approve', // Review listings: pending queue, approve, reject, all statuses
+  'listing.manage', // Edit or delete any listing, late fees, auto-approve settings
+  'booking.create',
+  'booking.view_all', // View any booking with its agreement and deposits
+  'deposit.resolve', // Resolve disputed deposit deductions
+  'user.manage', // List, create and delete users; change role and status; unlock
+  'report.manage', // Review user reports and the conversations they refer to
+  'catalog.manage', // Amenities and property types
+  'agreement_template.manage',
+  'job.manage',
+  'prediction.manage',
+  'security.manage', // Two-factor requirement per role
+];
+
+const ROLE_PERMISSIONS = {
+  USER: ['listing.create', 'booking.create'],
+  // Lists and rents out properties for landlords
+  AGENT: ['listing.create', 'booking.create', 'booking.view_all'],
+  // Staff who review listings and reports, without power over users. They
+  // cannot list properties, so they never review their own.
+  MODERATOR: ['listing.approve', 'report.manage', 'booking.create'],
+  ADMIN: PERMISSIONS,
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Permissions of a role
+ * @param {string} role
+ * @returns {Array<string>}
+ */
+const getRolePermissions = role => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Whether a role holds a permission
+ * @param {string} role
+ * @param {string} permission - e.g. listing.approve
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) =>
+  getRolePermissions(role).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  getRolePermissions,
+  hasPermission,
+};
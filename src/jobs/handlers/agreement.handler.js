@@ -0,0 +1,55 @@
+const pdfGenerationService = require('../../services/pdfGeneration.service');
+const bookingsService = require('../../modules/bookings/bookings.service');
+
+/**
+ * Generate (or regenerate) the rental agreement PDF of a lease. For a newly
+ * approved booking the confirmation email, with the PDF attached, is queued
+ * once the PDF exists.
+ * @param {Object} payload - { leaseId, sendConfirmation }
+ * @returns {Promise<Object>} { leaseId, url, fileName }
+ */
+async function generateAgreement({ leaseId, sendConfirmation = false }) {
+  const pdfResult =
+    await pdfGenerationService.generateAndUploadRentalAgreementPDF(leaseId);
+  const { url, fileName } = pdfResult.data.cloudinary;
+
+  if (sendConfirmation) {
+    await bookingsService.queueBookingConfirmation(leaseId, { url, fileName });
+  }
+
+  return { leaseId, url, fileName };
+}
+
+/**
+ * Generate the executed agreement PDF once both parties have signed. Nothing
+ * is retried when the agreement was regenerated in the meantime: the new
+ * agreement has to be signed again.
+ * @param {Object} payload - { leaseId }
+ * @returns {Promise<Object>} { leaseId, url, fileName } or { skipped, reason }
+ */
+async function executeAgreement({ leaseId }) {
+  try {
+    const pdfResult =
+      await pdfGenerationService.generateExecutedAgreementPDF(leaseId);
+
+    return {
+      leaseId,
+      url: pdfResult.data.file.url,
+      fileName: pdfResult.data.file.fileName,
+    };
+  } catch (error) {
+    if (
+      error.message.includes('has not been signed by both parties') ||
+      error.message.includes('was regenerated during signing')
+    ) {
+      return { leaseId, skipped: true, reason: error.message };
+    }
+
+    throw error;
+  }
+}
+
+module.exports = {
+  generateAgreement,
+  executeAgreement,
+};
@@ -0,0 +1,42 @@
+const pdfGenerationService = require('../../services/pdfGeneration.service');
+
+/**
+ * Generate the addendum PDF of a termination notice. The invoice adjustments
+ * made when the notice was given are passed along, since they are not stored
+ * on the termination.
+ * @param {Object} payload - { terminationId, adjustments }
+ * @returns {Promise<Object>} { terminationId, url, fileName }
+ */
+async function generateTerminationAddendum({ terminationId, adjustments }) {
+  const pdfResult = await pdfGenerationService.generateTerminationAddendumPDF(
+    terminationId,
+    adjustments || null
+  );
+
+  return {
+    terminationId,
+    url: pdfResult.data.file.url,
+    fileName: pdfResult.data.file.fileName,
+  };
+}
+
+/**
+ * Generate the statement PDF of a deposit settlement
+ * @param {Object} payload - { settlementId }
+ * @returns {Promise<Object>} { settlementId, url, fileName }
+ */
+async function generateDepositStatement({ settlementId }) {
+  const pdfResult =
+    await pdfGenerationService.generateDepositStatementPDF(settlementId);
+
+  return {
+    settlementId,
+    url: pdfResult.data.file.url,
+    fileName: pdfResult.data.file.fileName,
+  };
+}
+
+module.exports = {
+  generateTerminationAddendum,
+  generateDepositStatement,
+};
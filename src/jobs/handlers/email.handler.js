@@ -0,0 +1,12 @@
+const emailService = require('../../services/email.service');
+
+/**
+ * Render and send a queued email through EMAIL_TRANSPORT
+ * @param {Object} payload - { template, to, language, data, attachments }
+ * @returns {Promise<Object>} { messageId, transport }
+ */
+async function sendEmail(payload) {
+  return await emailService.deliver(payload);
+}
+
+module.exports = sendEmail;
@@ -0,0 +1,20 @@
+const { generateAgreement, executeAgreement } = require('./agreement.handler');
+const {
+  generateTerminationAddendum,
+  generateDepositStatement,
+} = require('./document.handler');
+const createThumbnail = require('./thumbnail.handler');
+const sendEmail = require('./email.handler');
+
+/**
+ * Handlers of queued jobs by type. A job type without a handler here is
+ * never claimed by the worker.
+ */
+module.exports = {
+  'agreement.generate': generateAgreement,
+  'agreement.execute': executeAgreement,
+  'termination.addendum': generateTerminationAddendum,
+  'deposit.statement': generateDepositStatement,
+  'thumbnail.create': createThumbnail,
+  'email.send': sendEmail,
+};
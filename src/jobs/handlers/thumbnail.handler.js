@@ -0,0 +1,14 @@
+const fileUploadService = require('../../utils/fileUpload');
+
+/**
+ * Create the thumbnail of an uploaded image
+ * @param {Object} payload - { sourceUrl, publicId }
+ * @returns {Promise<Object>} Thumbnail info (url, publicId, size, ...)
+ */
+async function createThumbnail({ sourceUrl, publicId }) {
+  const thumbnail = await fileUploadService.createThumbnailFromUrl(sourceUrl);
+
+  return { sourcePublicId: publicId || null, ...thumbnail };
+}
+
+module.exports = createThumbnail;
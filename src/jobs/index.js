@@ -0,0 +1,40 @@
+const scheduler = require('./scheduler');
+const overdueInvoicesJob = require('./overdueInvoices.job');
+const leaseLifecycleJob = require('./leaseLifecycle.job');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Register background jobs and start the scheduler.
+ * Disable with SCHEDULER_ENABLED=false (e.g. when running several instances).
+ */
+function startJobs() {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    console.log('⏰ Scheduler disabled (SCHEDULER_ENABLED=false)');
+    return;
+  }
+
+  scheduler.register(
+    'lease-lifecycle',
+    (parseInt(process.env.LEASE_LIFECYCLE_INTERVAL_MINUTES) || 60) * MINUTE,
+    leaseLifecycleJob
+  );
+
+  scheduler.register(
+    'overdue-invoices',
+    (parseInt(process.env.OVERDUE_INVOICES_INTERVAL_MINUTES) || 60) * MINUTE,
+    overdueInvoicesJob
+  );
+
+  scheduler.start();
+}
+
+function stopJobs() {
+  scheduler.stop();
+}
+
+module.exports = {
+  scheduler,
+  startJobs,
+  stopJobs,
+};
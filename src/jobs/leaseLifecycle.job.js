@@ -0,0 +1,20 @@
+const leaseLifecycleService = require('../services/leaseLifecycle.service');
+
+/**
+ * Expire unanswered booking requests, activate leases on their start date
+ * and complete them after their end date
+ */
+async function leaseLifecycleJob() {
+  const { expired, activated, completed } =
+    await leaseLifecycleService.runScheduledTransitions(new Date());
+
+  if (expired > 0 || activated > 0 || completed > 0) {
+    console.log(
+      `🏠 Lease lifecycle: ${expired} expired, ${activated} activated, ${completed} completed`
+    );
+  }
+
+  return { expired, activated, completed };
+}
+
+module.exports = leaseLifecycleJob;
@@ -0,0 +1,19 @@
+const invoicesService = require('../modules/invoices/invoices.service');
+
+/**
+ * Mark past-due invoices OVERDUE and issue late fees
+ */
+async function overdueInvoicesJob() {
+  const { markedOverdue, lateFeesIssued } =
+    await invoicesService.processOverdueInvoices(new Date());
+
+  if (markedOverdue > 0 || lateFeesIssued > 0) {
+    console.log(
+      `📅 Overdue invoices: ${markedOverdue} marked overdue, ${lateFeesIssued} late fee(s) issued`
+    );
+  }
+
+  return { markedOverdue, lateFeesIssued };
+}
+
+module.exports = overdueInvoicesJob;
@@ -0,0 +1,112 @@
+/**
+ * Minimal in-process interval scheduler for background jobs.
+ * A job never overlaps with itself: a tick is skipped while the previous
+ * run is still in progress.
+ */
+class Scheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.started = false;
+  }
+
+  /**
+   * Register a job
+   * @param {string} name - Unique job name (used in logs)
+   * @param {number} intervalMs - Time between runs
+   * @param {Function} handler - Async function to run
+   */
+  register(name, intervalMs, handler) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job "${name}" is already registered`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      intervalMs,
+      handler,
+      timer: null,
+      running: false,
+      lastRunAt: null,
+      lastError: null,
+    });
+  }
+
+  /**
+   * Run a job once now (skipped if it is already running)
+   * @param {string} name
+   * @returns {Promise<*>} Handler result, or undefined when skipped
+   */
+  async run(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Job "${name}" not found`);
+    }
+
+    if (job.running) {
+      return undefined;
+    }
+
+    job.running = true;
+    try {
+      const result = await job.handler();
+      job.lastError = null;
+      return result;
+    } catch (error) {
+      job.lastError = error.message;
+      console.error(`❌ Job "${name}" failed:`, error);
+      return undefined;
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date();
+    }
+  }
+
+  /**
+   * Start all registered jobs. Each job runs once immediately.
+   */
+  start() {
+    if (this.started) {
+      return;
+    }
+
+    for (const job of this.jobs.values()) {
+      job.timer = setInterval(() => this.run(job.name), job.intervalMs);
+      // Do not keep the process alive just for the scheduler
+      job.timer.unref();
+      this.run(job.name);
+    }
+
+    this.started = true;
+    console.log(`⏰ Scheduler started with ${this.jobs.size} job(s)`);
+  }
+
+  /**
+   * Stop all jobs
+   */
+  stop() {
+    for (const job of this.jobs.values()) {
+      if (job.timer) {
+        clearInterval(job.timer);
+        job.timer = null;
+      }
+    }
+
+    this.started = false;
+  }
+
+  /**
+   * Current state of all jobs
+   * @returns {Array<Object>}
+   */
+  getStatus() {
+    return Array.from(this.jobs.values()).map(job => ({
+      name: job.name,
+      intervalMs: job.intervalMs,
+      running: job.running,
+      lastRunAt: job.lastRunAt,
+      lastError: job.lastError,
+    }));
+  }
+}
+
+module.exports = new Scheduler();
@@ -0,0 +1,132 @@
+const os = require('os');
+const jobsService = require('../modules/jobs/jobs.service');
+
+/**
+ * Polls the job queue and runs one job at a time. Started by worker.js in a
+ * process of its own, so PDF rendering never blocks API requests. Several
+ * workers can run side by side; each job is claimed by exactly one of them.
+ */
+class JobWorker {
+  /**
+   * @param {Object} handlers - Async handler per job type
+   * @param {Object} options - pollIntervalMs, lockTimeoutMs
+   */
+  constructor(handlers, options = {}) {
+    this.handlers = handlers;
+    this.types = Object.keys(handlers);
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.pollIntervalMs = options.pollIntervalMs || 2000;
+    this.lockTimeoutMs = options.lockTimeoutMs || 15 * 60 * 1000;
+    this.running = false;
+    this.loopPromise = null;
+    this.wakeUp = null;
+    this.lastStaleCheckAt = 0;
+  }
+
+  /**
+   * Start polling
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.loopPromise = this.loop();
+    console.log(
+      `👷 Job worker ${this.workerId} started (${this.types.join(', ')})`
+    );
+  }
+
+  /**
+   * Stop polling and wait for the current job to finish
+   */
+  async stop() {
+    this.running = false;
+
+    if (this.wakeUp) {
+      this.wakeUp();
+    }
+
+    await this.loopPromise;
+    console.log(`👷 Job worker ${this.workerId} stopped`);
+  }
+
+  async loop() {
+    while (this.running) {
+      try {
+        await this.releaseStaleJobs();
+
+        const job = await jobsService.claimNext(this.workerId, this.types);
+
+        if (!job) {
+          await this.sleep(this.pollIntervalMs);
+          continue;
+        }
+
+        await this.process(job);
+      } catch (error) {
+        console.error('❌ Job worker error:', error);
+        await this.sleep(this.pollIntervalMs);
+      }
+    }
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   * @param {Object} job
+   */
+  async process(job) {
+    const startedAt = Date.now();
+    console.log(
+      `⚙️  Running job ${job.type} (${job.id}), attempt ${job.attempts}/${job.maxAttempts}`
+    );
+
+    try {
+      const result = await this.handlers[job.type](job.payload, job);
+      await jobsService.completeJob(job, this.workerId, result);
+      console.log(
+        `✅ Job ${job.type} (${job.id}) completed in ${Date.now() - startedAt}ms`
+      );
+    } catch (error) {
+      const status = await jobsService.failJob(job, this.workerId, error);
+      console.error(
+        status === 'DEAD'
+          ? `💀 Job ${job.type} (${job.id}) moved to dead-letter:`
+          : `🔁 Job ${job.type} (${job.id}) failed, will retry:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Requeue jobs left RUNNING by a worker that stopped (at most once a minute)
+   */
+  async releaseStaleJobs() {
+    if (Date.now() - this.lastStaleCheckAt < 60 * 1000) {
+      return;
+    }
+
+    this.lastStaleCheckAt = Date.now();
+    const released = await jobsService.releaseStaleJobs(this.lockTimeoutMs);
+
+    if (released > 0) {
+      console.log(`🔓 Released ${released} stale job(s)`);
+    }
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(done, ms);
+
+      function done() {
+        clearTimeout(timer);
+        resolve();
+      }
+
+      this.wakeUp = done;
+    });
+  }
+}
+
+module.exports = JobWorker;
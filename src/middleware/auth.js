@@ -1,10 +1,13 @@
 const jwt = require('jsonwebtoken');
 const { prisma } = require('../config/database');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
 
-const auth = async (req, res, next) => {
+/**
+ * Authenticate a request with a JWT and set req.user and req.sessionId
+ * @param {string} token - Access token issued at login or refresh
+ */
+const authenticate = async (token, req, res, next) => {
   try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-
     if (!token) {
       return res.status(401).json({
         success: false,
@@ -14,18 +17,37 @@ const auth = async (req, res, next) => {
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: {
-        id: true,
-        email: true,
-        name: true,
-        role: true,
-        isActive: true,
-      },
-    });
+    // Tokens are bound to a login session, which can be revoked
+    const session = decoded.sessionId
+      ? await prisma.userSession.findUnique({
+          where: { id: decoded.sessionId },
+          select: {
+            id: true,
+            revokedAt: true,
+            expiresAt: true,
+            user: {
+              select: {
+                id: true,
+                email: true,
+                name: true,
+                role: true,
+                isActive: true,
+                verifiedAt: true,
+              },
+            },
+          },
+        })
+      : null;
+
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. Session expired or revoked.',
+      });
+    }
 
-    if (!user || !user.isActive) {
+    const { user } = session;
+    if (!user.isActive) {
       return res.status(401).json({
         success: false,
         message: 'Access denied. User not found or inactive.',
@@ -33,6 +55,7 @@ const auth = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = session.id;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -43,7 +66,31 @@ const auth = async (req, res, next) => {
   }
 };
 
-const authorize = (...roles) => {
+const auth = (req, res, next) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+
+  return authenticate(token, req, res, next);
+};
+
+// Same as auth, but also accepts ?token= for clients that cannot set
+// headers (browser EventSource)
+const authStream = (req, res, next) => {
+  const token =
+    req.headers.authorization?.replace('Bearer ', '') || req.query.token;
+
+  return authenticate(token, req, res, next);
+};
+
+// Require every listed permission, e.g. authorize('listing.approve').
+// Permissions of each role are defined in config/permissions.js.
+const authorize = (...permissions) => {
+  const unknown = permissions.filter(
+    permission => !PERMISSIONS.includes(permission)
+  );
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permission: ${unknown.join(', ')}`);
+  }
+
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -52,7 +99,9 @@ const authorize = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (
+      !permissions.every(permission => hasPermission(req.user.role, permission))
+    ) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. Insufficient permissions.',
@@ -63,4 +112,17 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { auth, authorize };
+// Require a verified email address when REQUIRE_VERIFIED_EMAIL=true.
+// Use after auth.
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_VERIFIED_EMAIL !== 'true' || req.user.verifiedAt) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: 'Access denied. Please verify your email address first.',
+  });
+};
+
+module.exports = { auth, authStream, authorize, requireVerifiedEmail };
@@ -0,0 +1,341 @@
+const agreementTemplatesService = require('./agreementTemplates.service');
+const { validationResult } = require('express-validator');
+
+class AgreementTemplatesController {
+  /**
+   * Map service errors to HTTP responses
+   */
+  handleError(res, error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes('Access denied')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (
+      error.message.includes('Invalid template') ||
+      error.message.includes('is not an optional clause')
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (
+      error.message.includes('Cannot ') ||
+      error.message.includes('already published') ||
+      error.message.includes('changed by another request')
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+
+  /**
+   * List agreement templates (admin)
+   */
+  async getAll(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const filters = {};
+
+      if (req.query.countryCode) {
+        filters.countryCode = req.query.countryCode.toUpperCase();
+      }
+
+      if (req.query.propertyTypeId) {
+        filters.propertyTypeId = req.query.propertyTypeId;
+      }
+
+      if (req.query.isActive !== undefined) {
+        filters.isActive = req.query.isActive === 'true';
+      }
+
+      const result = await agreementTemplatesService.getAll(filters, {
+        page,
+        limit,
+      });
+
+      res.json({
+        success: true,
+        data: result.data,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      console.error('Get agreement templates error:', error);
+      agreementTemplatesController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Get a template with its versions (admin)
+   */
+  async getById(req, res) {
+    try {
+      const template = await agreementTemplatesService.getById(req.params.id);
+
+      res.json({
+        success: true,
+        data: { template },
+      });
+    } catch (error) {
+      console.error('Get agreement template error:', error);
+      agreementTemplatesController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Create a template with a first draft version (admin)
+   */
+  async create(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const template = await agreementTemplatesService.create(
+        req.body,
+        req.user
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Agreement template created as a draft',
+        data: { template },
+      });
+    } catch (error) {
+      console.error('Create agreement template error:', error);
+      agreementTemplatesController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Update a template (admin)
+   */
+  async update(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const template = await agreementTemplatesService.update(
+        req.params.id,
+        req.body
+      );
+
+      res.json({
+        success: true,
+        message: 'Agreement template updated successfully',
+        data: { template },
+      });
+    } catch (error) {
+      console.error('Update agreement template error:', error);
+      agreementTemplatesController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Get one version of a template (admin)
+   */
+  async getVersion(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const version = await agreementTemplatesService.getVersion(
+        req.params.id,
+        req.params.version
+      );
+
+      res.json({
+        success: true,
+        data: { version },
+      });
+    } catch (error) {
+      console.error('Get agreement template version error:', error);
+      agreementTemplatesController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Start a new draft version (admin)
+   */
+  async createVersion(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const version = await agreementTemplatesService.createVersion(
+        req.params.id,
+        req.body,
+        req.user
+      );
+
+      res.status(201).json({
+        success: true,
+        message: `Draft version ${version.version} created`,
+        data: { version },
+      });
+    } catch (error) {
+      console.error('Create agreement template version error:', error);
+      agreementTemplatesController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Edit a draft version (admin)
+   */
+  async updateVersion(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const version = await agreementTemplatesService.updateVersion(
+        req.params.id,
+        req.params.version,
+        req.body
+      );
+
+      res.json({
+        success: true,
+        message: 'Draft version updated successfully',
+        data: { version },
+      });
+    } catch (error) {
+      console.error('Update agreement template version error:', error);
+      agreementTemplatesController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Publish a draft version (admin)
+   */
+  async publishVersion(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const version = await agreementTemplatesService.publishVersion(
+        req.params.id,
+        req.params.version
+      );
+
+      res.json({
+        success: true,
+        message: `Version ${version.version} published`,
+        data: { version },
+      });
+    } catch (error) {
+      console.error('Publish agreement template version error:', error);
+      agreementTemplatesController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Optional agreement clauses of a property (owner or admin)
+   */
+  async getPropertyClauses(req, res) {
+    try {
+      const agreementClauses =
+        await agreementTemplatesService.getPropertyClauses(
+          req.params.id,
+          req.user
+        );
+
+      res.json({
+        success: true,
+        data: { agreementClauses },
+      });
+    } catch (error) {
+      console.error('Get property agreement clauses error:', error);
+      agreementTemplatesController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Switch optional agreement clauses of a property (owner or admin)
+   */
+  async updatePropertyClauses(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const agreementClauses =
+        await agreementTemplatesService.updatePropertyClauses(
+          req.params.id,
+          req.body.clauses,
+          req.user
+        );
+
+      res.json({
+        success: true,
+        message: 'Agreement clauses updated successfully',
+        data: { agreementClauses },
+      });
+    } catch (error) {
+      console.error('Update property agreement clauses error:', error);
+      agreementTemplatesController.handleError(res, error);
+    }
+  }
+}
+
+const agreementTemplatesController = new AgreementTemplatesController();
+
+module.exports = agreementTemplatesController;
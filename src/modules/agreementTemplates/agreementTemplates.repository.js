@@ -0,0 +1,163 @@
+const { prisma } = require('../../config/database');
+
+const versionSummarySelect = {
+  id: true,
+  version: true,
+  notes: true,
+  publishedAt: true,
+  createdAt: true,
+};
+
+class AgreementTemplatesRepository {
+  async findMany(options = {}) {
+    return await prisma.agreementTemplate.findMany({
+      ...options,
+      include: {
+        propertyType: {
+          select: { id: true, code: true, name: true },
+        },
+        versions: {
+          select: versionSummarySelect,
+          orderBy: { version: 'desc' },
+        },
+      },
+    });
+  }
+
+  async count(options = {}) {
+    return await prisma.agreementTemplate.count(options);
+  }
+
+  async findById(id) {
+    return await prisma.agreementTemplate.findUnique({
+      where: { id },
+      include: {
+        propertyType: {
+          select: { id: true, code: true, name: true },
+        },
+        versions: {
+          orderBy: { version: 'desc' },
+        },
+      },
+    });
+  }
+
+  async findVersion(templateId, version) {
+    return await prisma.agreementTemplateVersion.findUnique({
+      where: { templateId_version: { templateId, version } },
+    });
+  }
+
+  async findVersionById(id) {
+    return await prisma.agreementTemplateVersion.findUnique({
+      where: { id },
+      include: { template: true },
+    });
+  }
+
+  async findLatestVersion(templateId, client = prisma) {
+    return await client.agreementTemplateVersion.findFirst({
+      where: { templateId },
+      orderBy: { version: 'desc' },
+    });
+  }
+
+  /**
+   * Active templates that may apply to a property, each with its latest
+   * published version
+   */
+  async findCandidates(countryCode, propertyTypeId, language) {
+    return await prisma.agreementTemplate.findMany({
+      where: {
+        isActive: true,
+        language,
+        OR: [{ countryCode }, { countryCode: null }],
+        AND: [{ OR: [{ propertyTypeId }, { propertyTypeId: null }] }],
+        versions: { some: { publishedAt: { not: null } } },
+      },
+      include: {
+        versions: {
+          where: { publishedAt: { not: null } },
+          orderBy: { version: 'desc' },
+          take: 1,
+        },
+      },
+      orderBy: { updatedAt: 'desc' },
+    });
+  }
+
+  async findPropertyTypeById(id) {
+    return await prisma.propertyType.findUnique({ where: { id } });
+  }
+
+  async create(templateData, versionData) {
+    return await prisma.agreementTemplate.create({
+      data: {
+        ...templateData,
+        versions: { create: { version: 1, ...versionData } },
+      },
+    });
+  }
+
+  async update(id, data) {
+    return await prisma.agreementTemplate.update({
+      where: { id },
+      data,
+    });
+  }
+
+  async createVersion(data, client = prisma) {
+    return await client.agreementTemplateVersion.create({ data });
+  }
+
+  /**
+   * Update a version only while it is still a draft
+   * @returns {Promise<number>} Number of updated rows (0 or 1)
+   */
+  async updateDraftVersion(id, data) {
+    const result = await prisma.agreementTemplateVersion.updateMany({
+      where: { id, publishedAt: null },
+      data,
+    });
+    return result.count;
+  }
+
+  async findProperty(propertyId) {
+    return await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: {
+        id: true,
+        ownerId: true,
+        country: true,
+        propertyTypeId: true,
+        agreementClauses: true,
+      },
+    });
+  }
+
+  async findPropertyClauses(propertyId) {
+    return await prisma.propertyAgreementClause.findMany({
+      where: { propertyId },
+    });
+  }
+
+  async upsertPropertyClauses(propertyId, clauses) {
+    return await prisma.$transaction(
+      clauses.map(clause =>
+        prisma.propertyAgreementClause.upsert({
+          where: {
+            propertyId_clauseKey: { propertyId, clauseKey: clause.key },
+          },
+          create: {
+            propertyId,
+            clauseKey: clause.key,
+            enabled: clause.enabled,
+          },
+          update: { enabled: clause.enabled },
+        })
+      )
+    );
+  }
+}
+
+module.exports = new AgreementTemplatesRepository();
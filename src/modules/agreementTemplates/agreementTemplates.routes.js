@@ -0,0 +1,519 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { auth, authorize } = require('../../middleware/auth');
+const agreementTemplatesController = require('./agreementTemplates.controller');
+const { SUPPORTED_LANGUAGES } = require('../../utils/i18n');
+
+// Mounted at /api/agreement-templates (admin only)
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Agreement Templates
+ *   description: Versioned rental agreement templates (admin)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AgreementClause:
+ *       type: object
+ *       required:
+ *         - key
+ *         - body
+ *       properties:
+ *         key:
+ *           type: string
+ *           example: pets.consent
+ *           description: Stable identifier (lowercase letters, digits, dots, dashes); landlord choices are stored per key
+ *         title:
+ *           type: string
+ *           nullable: true
+ *           example: PETS
+ *         body:
+ *           type: string
+ *           description: Plain text with {{placeholder}} values, e.g. {{leaseTerm}}, {{rentAmount}}, {{startDate}}, {{noticePeriodDays}}
+ *         items:
+ *           type: array
+ *           description: Numbered sub-items rendered as a list
+ *           items:
+ *             type: string
+ *         optional:
+ *           type: boolean
+ *           description: Landlords can switch optional clauses off per property
+ *         defaultEnabled:
+ *           type: boolean
+ *         requires:
+ *           type: string
+ *           nullable: true
+ *           description: Placeholder that must have a value for the clause to be included, e.g. securityDeposit
+ *     AgreementTemplateSection:
+ *       type: object
+ *       required:
+ *         - title
+ *         - clauses
+ *       properties:
+ *         title:
+ *           type: string
+ *         clauses:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/AgreementClause'
+ *     AgreementTemplateVersion:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         templateId:
+ *           type: string
+ *         version:
+ *           type: integer
+ *         sections:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/AgreementTemplateSection'
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         publishedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: null while the version is a draft
+ *     AgreementTemplate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         countryCode:
+ *           type: string
+ *           nullable: true
+ *           description: Applies to properties in this country; null for all countries
+ *         propertyTypeId:
+ *           type: string
+ *           nullable: true
+ *           description: Applies to this property type; null for all types
+ *         language:
+ *           type: string
+ *           enum: [en, ms]
+ *           description: Agreements in this language use the template
+ *         isActive:
+ *           type: boolean
+ *         versions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/AgreementTemplateVersion'
+ */
+
+const versionValidation = [
+  body('notes')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+];
+
+const templateValidation = [
+  body('countryCode')
+    .optional({ nullable: true })
+    .isLength({ min: 2, max: 3 })
+    .isAlpha()
+    .withMessage('Country code must be a 2-3 letter code'),
+  body('propertyTypeId')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Property type ID must be a string'),
+  body('language')
+    .optional()
+    .isIn(SUPPORTED_LANGUAGES)
+    .withMessage(`Language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`),
+];
+
+const versionParam = param('version')
+  .isInt({ min: 1 })
+  .withMessage('Version must be a positive integer');
+
+/**
+ * @swagger
+ * /api/agreement-templates:
+ *   get:
+ *     summary: List agreement templates (admin only)
+ *     tags: [Agreement Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: countryCode
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: propertyTypeId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Templates with a summary of their versions
+ *       403:
+ *         description: Admin access required
+ */
+router.get(
+  '/',
+  auth,
+  authorize('agreement_template.manage'),
+  agreementTemplatesController.getAll
+);
+
+/**
+ * @swagger
+ * /api/agreement-templates:
+ *   post:
+ *     summary: Create an agreement template (admin only)
+ *     description: The template starts with version 1 as a draft; publish it to use it for new agreements.
+ *     tags: [Agreement Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - sections
+ *             properties:
+ *               name:
+ *                 type: string
+ *               countryCode:
+ *                 type: string
+ *                 example: MY
+ *               propertyTypeId:
+ *                 type: string
+ *               language:
+ *                 type: string
+ *                 enum: [en, ms]
+ *                 default: en
+ *               notes:
+ *                 type: string
+ *               sections:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/AgreementTemplateSection'
+ *     responses:
+ *       201:
+ *         description: Template created
+ *       400:
+ *         description: Validation error or invalid sections
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Property type not found
+ */
+router.post(
+  '/',
+  auth,
+  authorize('agreement_template.manage'),
+  [
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Name is required')
+      .isLength({ max: 200 })
+      .withMessage('Name cannot exceed 200 characters'),
+    body('sections').isArray({ min: 1 }).withMessage('Sections are required'),
+    ...templateValidation,
+    ...versionValidation,
+  ],
+  agreementTemplatesController.create
+);
+
+/**
+ * @swagger
+ * /api/agreement-templates/{id}:
+ *   get:
+ *     summary: Get an agreement template with all versions (admin only)
+ *     tags: [Agreement Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     template:
+ *                       $ref: '#/components/schemas/AgreementTemplate'
+ *       404:
+ *         description: Template not found
+ *   patch:
+ *     summary: Update the name, selection or active flag of a template (admin only)
+ *     tags: [Agreement Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               countryCode:
+ *                 type: string
+ *                 nullable: true
+ *               propertyTypeId:
+ *                 type: string
+ *                 nullable: true
+ *               language:
+ *                 type: string
+ *                 enum: [en, ms]
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Template updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Template or property type not found
+ */
+router.get(
+  '/:id',
+  auth,
+  authorize('agreement_template.manage'),
+  agreementTemplatesController.getById
+);
+
+router.patch(
+  '/:id',
+  auth,
+  authorize('agreement_template.manage'),
+  [
+    body('name')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Name cannot be empty')
+      .isLength({ max: 200 })
+      .withMessage('Name cannot exceed 200 characters'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+    ...templateValidation,
+  ],
+  agreementTemplatesController.update
+);
+
+/**
+ * @swagger
+ * /api/agreement-templates/{id}/versions:
+ *   post:
+ *     summary: Start a new draft version of a template (admin only)
+ *     description: Copies the sections of the latest version when none are given. Only one draft can exist at a time.
+ *     tags: [Agreement Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *               sections:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/AgreementTemplateSection'
+ *     responses:
+ *       201:
+ *         description: Draft version created
+ *       400:
+ *         description: Invalid sections
+ *       404:
+ *         description: Template not found
+ *       409:
+ *         description: A draft version already exists
+ */
+router.post(
+  '/:id/versions',
+  auth,
+  authorize('agreement_template.manage'),
+  [
+    body('sections')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Sections must be a non-empty array'),
+    ...versionValidation,
+  ],
+  agreementTemplatesController.createVersion
+);
+
+/**
+ * @swagger
+ * /api/agreement-templates/{id}/versions/{version}:
+ *   get:
+ *     summary: Get one version of a template (admin only)
+ *     tags: [Agreement Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Template version
+ *       404:
+ *         description: Version not found
+ *   put:
+ *     summary: Edit a draft version (admin only)
+ *     tags: [Agreement Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *               sections:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/AgreementTemplateSection'
+ *     responses:
+ *       200:
+ *         description: Draft updated
+ *       400:
+ *         description: Invalid sections
+ *       404:
+ *         description: Version not found
+ *       409:
+ *         description: Version already published
+ */
+router.get(
+  '/:id/versions/:version',
+  auth,
+  authorize('agreement_template.manage'),
+  [versionParam],
+  agreementTemplatesController.getVersion
+);
+
+router.put(
+  '/:id/versions/:version',
+  auth,
+  authorize('agreement_template.manage'),
+  [
+    versionParam,
+    body('sections')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Sections must be a non-empty array'),
+    ...versionValidation,
+  ],
+  agreementTemplatesController.updateVersion
+);
+
+/**
+ * @swagger
+ * /api/agreement-templates/{id}/versions/{version}/publish:
+ *   post:
+ *     summary: Publish a draft version (admin only)
+ *     description: New agreements use the latest published version of the best matching template. Agreements already generated keep the version they were rendered from.
+ *     tags: [Agreement Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Version published
+ *       404:
+ *         description: Version not found
+ *       409:
+ *         description: Version already published
+ */
+router.post(
+  '/:id/versions/:version/publish',
+  auth,
+  authorize('agreement_template.manage'),
+  [versionParam],
+  agreementTemplatesController.publishVersion
+);
+
+module.exports = router;
@@ -0,0 +1,836 @@
+const agreementTemplatesRepository = require('./agreementTemplates.repository');
+const { DEFAULT_TEMPLATES } = require('./defaultTemplate');
+const { hasPermission } = require('../../config/permissions');
+const {
+  computeLeaseTerms,
+  describeTermLength,
+} = require('../../utils/leaseTerms');
+const {
+  normalizeLanguage,
+  formatDate,
+  formatAmount,
+  getCurrencyName,
+  getAgreementLabels,
+  resolveAgreementLanguages,
+} = require('../../utils/i18n');
+
+// Section 1 (the parties) is part of the agreement layout itself
+const FIRST_SECTION_NUMBER = 2;
+
+// Values clause bodies can use as {{placeholder}}
+const TEMPLATE_VARIABLES = [
+  'landlordName',
+  'tenantName',
+  'propertyAddress',
+  'propertyType',
+  'bedrooms',
+  'bathrooms',
+  'areaDescription',
+  'furnishing',
+  'amenities',
+  'propertyDescription',
+  'startDate',
+  'endDate',
+  'leaseTerm',
+  'termMonths',
+  'currencyCode',
+  'currencyName',
+  'rentAmount',
+  'rentChanges',
+  'firstPeriodRent',
+  'lastPeriodRent',
+  'billingPeriods',
+  'totalRent',
+  'totalContractValue',
+  'securityDeposit',
+  'noticePeriodDays',
+  'leaseNotes',
+];
+
+const PLACEHOLDER_PATTERN = /{{\s*(\w+)\s*}}/g;
+const CLAUSE_KEY_PATTERN = /^[a-z0-9][a-z0-9.-]*$/;
+
+const escapeHTML = value =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+class AgreementTemplatesService {
+  /**
+   * Check template sections and normalize their clauses
+   * @param {Array} sections
+   * @returns {Array} Normalized sections
+   */
+  validateSections(sections) {
+    if (!Array.isArray(sections) || sections.length === 0) {
+      throw new Error('Invalid template: at least one section is required');
+    }
+
+    const keys = new Set();
+
+    const checkPlaceholders = (text, key) => {
+      for (const [, name] of text.matchAll(PLACEHOLDER_PATTERN)) {
+        if (!TEMPLATE_VARIABLES.includes(name)) {
+          throw new Error(
+            `Invalid template: unknown placeholder {{${name}}} in clause ${key}`
+          );
+        }
+      }
+    };
+
+    return sections.map((section, sectionIndex) => {
+      if (
+        !section ||
+        typeof section.title !== 'string' ||
+        !section.title.trim()
+      ) {
+        throw new Error(
+          `Invalid template: section ${sectionIndex + 1} needs a title`
+        );
+      }
+
+      if (!Array.isArray(section.clauses) || section.clauses.length === 0) {
+        throw new Error(
+          `Invalid template: section "${section.title}" needs at least one clause`
+        );
+      }
+
+      return {
+        title: section.title.trim(),
+        clauses: section.clauses.map(clause => {
+          if (!clause || !CLAUSE_KEY_PATTERN.test(clause.key || '')) {
+            throw new Error(
+              `Invalid template: clause keys in section "${section.title}" must be lowercase letters, digits, dots or dashes`
+            );
+          }
+
+          if (keys.has(clause.key)) {
+            throw new Error(
+              `Invalid template: duplicate clause key ${clause.key}`
+            );
+          }
+          keys.add(clause.key);
+
+          if (typeof clause.body !== 'string' || !clause.body.trim()) {
+            throw new Error(
+              `Invalid template: clause ${clause.key} needs a body`
+            );
+          }
+
+          const items = clause.items || [];
+
+          if (
+            !Array.isArray(items) ||
+            items.some(item => typeof item !== 'string' || !item.trim())
+          ) {
+            throw new Error(
+              `Invalid template: items of clause ${clause.key} must be non-empty strings`
+            );
+          }
+
+          if (
+            clause.requires &&
+            !TEMPLATE_VARIABLES.includes(clause.requires)
+          ) {
+            throw new Error(
+              `Invalid template: clause ${clause.key} requires unknown value ${clause.requires}`
+            );
+          }
+
+          checkPlaceholders(clause.body, clause.key);
+          items.forEach(item => checkPlaceholders(item, clause.key));
+
+          return {
+            key: clause.key,
+            title: clause.title ? String(clause.title).trim() : null,
+            body: clause.body.trim(),
+            items: items.map(item => item.trim()),
+            optional: clause.optional === true,
+            defaultEnabled: clause.defaultEnabled !== false,
+            requires: clause.requires || null,
+          };
+        }),
+      };
+    });
+  }
+
+  /**
+   * List agreement templates (admin)
+   * @param {Object} filters - countryCode, propertyTypeId, isActive
+   * @param {Object} pagination - page, limit
+   * @returns {Promise<Object>}
+   */
+  async getAll(filters = {}, pagination = {}) {
+    const { page = 1, limit = 10 } = pagination;
+    const skip = (page - 1) * limit;
+
+    const [data, total] = await Promise.all([
+      agreementTemplatesRepository.findMany({
+        where: filters,
+        skip,
+        take: limit,
+        orderBy: { updatedAt: 'desc' },
+      }),
+      agreementTemplatesRepository.count({ where: filters }),
+    ]);
+
+    return {
+      data,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Get a template with all of its versions (admin)
+   * @param {string} id
+   * @returns {Promise<Object>}
+   */
+  async getById(id) {
+    const template = await agreementTemplatesRepository.findById(id);
+
+    if (!template) {
+      throw new Error('Agreement template not found');
+    }
+
+    return template;
+  }
+
+  /**
+   * Normalize the selection fields of a template
+   * @param {Object} data - countryCode, propertyTypeId
+   * @returns {Promise<Object>}
+   */
+  async buildSelection(data) {
+    const selection = {};
+
+    if (data.countryCode !== undefined) {
+      selection.countryCode = data.countryCode
+        ? data.countryCode.toUpperCase()
+        : null;
+    }
+
+    if (data.propertyTypeId !== undefined) {
+      if (data.propertyTypeId) {
+        const propertyType =
+          await agreementTemplatesRepository.findPropertyTypeById(
+            data.propertyTypeId
+          );
+
+        if (!propertyType) {
+          throw new Error('Property type not found');
+        }
+      }
+
+      selection.propertyTypeId = data.propertyTypeId || null;
+    }
+
+    return selection;
+  }
+
+  /**
+   * Create a template with its first (draft) version (admin)
+   * @param {Object} data - name, countryCode, propertyTypeId, language, sections, notes
+   * @param {Object} user
+   * @returns {Promise<Object>}
+   */
+  async create(data, user) {
+    const sections = this.validateSections(data.sections);
+    const selection = await this.buildSelection(data);
+
+    const template = await agreementTemplatesRepository.create(
+      {
+        name: data.name,
+        language: data.language || 'en',
+        ...selection,
+      },
+      {
+        sections,
+        notes: data.notes || null,
+        createdById: user.id,
+      }
+    );
+
+    return await this.getById(template.id);
+  }
+
+  /**
+   * Update name, selection or active flag of a template (admin)
+   * @param {string} id
+   * @param {Object} data
+   * @returns {Promise<Object>}
+   */
+  async update(id, data) {
+    await this.getById(id);
+
+    const updateData = await this.buildSelection(data);
+
+    if (data.name !== undefined) {
+      updateData.name = data.name;
+    }
+
+    if (data.language !== undefined) {
+      updateData.language = data.language;
+    }
+
+    if (data.isActive !== undefined) {
+      updateData.isActive = data.isActive;
+    }
+
+    await agreementTemplatesRepository.update(id, updateData);
+
+    return await this.getById(id);
+  }
+
+  /**
+   * Load one version of a template
+   * @param {string} templateId
+   * @param {number} version
+   * @returns {Promise<Object>}
+   */
+  async getVersion(templateId, version) {
+    const templateVersion = await agreementTemplatesRepository.findVersion(
+      templateId,
+      parseInt(version)
+    );
+
+    if (!templateVersion) {
+      throw new Error('Agreement template version not found');
+    }
+
+    return templateVersion;
+  }
+
+  /**
+   * Start a new draft version, copying the latest version when no sections
+   * are given (admin)
+   * @param {string} templateId
+   * @param {Object} data - sections, notes
+   * @param {Object} user
+   * @returns {Promise<Object>} Created version
+   */
+  async createVersion(templateId, data, user) {
+    await this.getById(templateId);
+
+    const latest =
+      await agreementTemplatesRepository.findLatestVersion(templateId);
+
+    if (latest && !latest.publishedAt) {
+      throw new Error(
+        `Cannot create a new version while version ${latest.version} is still a draft`
+      );
+    }
+
+    const sections = this.validateSections(
+      data.sections || (latest && latest.sections)
+    );
+
+    try {
+      return await agreementTemplatesRepository.createVersion({
+        templateId,
+        version: latest ? latest.version + 1 : 1,
+        sections,
+        notes: data.notes || null,
+        createdById: user.id,
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw new Error('Agreement template was changed by another request');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Edit a draft version (admin)
+   * @param {string} templateId
+   * @param {number} version
+   * @param {Object} data - sections, notes
+   * @returns {Promise<Object>}
+   */
+  async updateVersion(templateId, version, data) {
+    const templateVersion = await this.getVersion(templateId, version);
+
+    if (templateVersion.publishedAt) {
+      throw new Error('Cannot edit a published template version');
+    }
+
+    const updateData = {};
+
+    if (data.sections !== undefined) {
+      updateData.sections = this.validateSections(data.sections);
+    }
+
+    if (data.notes !== undefined) {
+      updateData.notes = data.notes;
+    }
+
+    const updated = await agreementTemplatesRepository.updateDraftVersion(
+      templateVersion.id,
+      updateData
+    );
+
+    if (!updated) {
+      throw new Error('Agreement template was changed by another request');
+    }
+
+    return await this.getVersion(templateId, version);
+  }
+
+  /**
+   * Publish a draft version. New agreements use the latest published
+   * version; agreements already rendered keep theirs. (admin)
+   * @param {string} templateId
+   * @param {number} version
+   * @returns {Promise<Object>}
+   */
+  async publishVersion(templateId, version) {
+    const templateVersion = await this.getVersion(templateId, version);
+
+    if (templateVersion.publishedAt) {
+      throw new Error('Template version is already published');
+    }
+
+    const updated = await agreementTemplatesRepository.updateDraftVersion(
+      templateVersion.id,
+      { publishedAt: new Date() }
+    );
+
+    if (!updated) {
+      throw new Error('Agreement template was changed by another request');
+    }
+
+    return await this.getVersion(templateId, version);
+  }
+
+  /**
+   * Built-in default template of a language, stored on first use
+   * @param {string} language - en or ms
+   * @returns {Promise<Object>} Latest published default version
+   */
+  async getDefaultVersion(language = 'en') {
+    const defaultTemplate = DEFAULT_TEMPLATES[normalizeLanguage(language)];
+    const [existing] = await agreementTemplatesRepository.findMany({
+      where: {
+        name: defaultTemplate.name,
+        language: defaultTemplate.language,
+        countryCode: null,
+        propertyTypeId: null,
+      },
+      orderBy: { createdAt: 'asc' },
+      take: 1,
+    });
+    const published =
+      existing && existing.versions.find(version => version.publishedAt);
+
+    if (published) {
+      return await agreementTemplatesRepository.findVersionById(published.id);
+    }
+
+    console.log(
+      `📝 Storing built-in default agreement template (${defaultTemplate.language})...`
+    );
+    const template = await agreementTemplatesRepository.create(
+      {
+        name: defaultTemplate.name,
+        language: defaultTemplate.language,
+      },
+      {
+        sections: this.validateSections(defaultTemplate.sections),
+        notes: 'Built-in default template',
+        publishedAt: new Date(),
+      }
+    );
+
+    return await agreementTemplatesRepository.findLatestVersion(template.id);
+  }
+
+  /**
+   * Pick the template version for a property: the most specific active
+   * template (country and property type over country over property type
+   * over generic), at its latest published version
+   * @param {Object} property - country, propertyTypeId
+   * @param {string} language
+   * @returns {Promise<Object>} Template version
+   */
+  async resolveTemplateVersion(property, language = 'en') {
+    const countryCode = (property.country || '').toUpperCase();
+    const candidates = await agreementTemplatesRepository.findCandidates(
+      countryCode,
+      property.propertyTypeId,
+      language
+    );
+
+    const specificity = template =>
+      (template.countryCode ? 2 : 0) + (template.propertyTypeId ? 1 : 0);
+    const [best] = candidates.sort((a, b) => specificity(b) - specificity(a));
+
+    if (!best) {
+      return await this.getDefaultVersion(language);
+    }
+
+    return best.versions[0];
+  }
+
+  /**
+   * Optional clauses of a version with the landlord's choice for each
+   * @param {Object} templateVersion
+   * @param {Array} propertyClauses - PropertyAgreementClause rows
+   * @returns {Array}
+   */
+  listOptionalClauses(templateVersion, propertyClauses) {
+    const choices = new Map(
+      propertyClauses.map(clause => [clause.clauseKey, clause.enabled])
+    );
+
+    return templateVersion.sections.flatMap(section =>
+      section.clauses
+        .filter(clause => clause.optional)
+        .map(clause => ({
+          key: clause.key,
+          section: section.title,
+          title: clause.title,
+          body: clause.body,
+          defaultEnabled: clause.defaultEnabled,
+          enabled: choices.has(clause.key)
+            ? choices.get(clause.key)
+            : clause.defaultEnabled,
+        }))
+    );
+  }
+
+  /**
+   * Load a property and check the user may manage its agreement clauses
+   * @param {string} propertyId
+   * @param {Object} user
+   * @returns {Promise<Object>}
+   */
+  async getManageableProperty(propertyId, user) {
+    const property =
+      await agreementTemplatesRepository.findProperty(propertyId);
+
+    if (!property) {
+      throw new Error('Property not found');
+    }
+
+    if (
+      !hasPermission(user.role, 'agreement_template.manage') &&
+      property.ownerId !== user.id
+    ) {
+      throw new Error(
+        'Access denied. You can only manage agreement clauses of your own properties.'
+      );
+    }
+
+    return property;
+  }
+
+  /**
+   * Agreement template of a property and its optional clauses (owner or admin)
+   * @param {string} propertyId
+   * @param {Object} user
+   * @returns {Promise<Object>}
+   */
+  async getPropertyClauses(propertyId, user) {
+    const property = await this.getManageableProperty(propertyId, user);
+    const templateVersion = await this.resolveTemplateVersion(property);
+
+    return {
+      propertyId,
+      templateId: templateVersion.templateId,
+      templateVersion: templateVersion.version,
+      clauses: this.listOptionalClauses(
+        templateVersion,
+        property.agreementClauses
+      ),
+    };
+  }
+
+  /**
+   * Switch optional clauses on or off for a property (owner or admin).
+   * Choices are kept per clause key, so they carry over to new versions.
+   * @param {string} propertyId
+   * @param {Array} clauses - [{ key, enabled }]
+   * @param {Object} user
+   * @returns {Promise<Object>}
+   */
+  async updatePropertyClauses(propertyId, clauses, user) {
+    const property = await this.getManageableProperty(propertyId, user);
+    const templateVersion = await this.resolveTemplateVersion(property);
+    const optionalKeys = this.listOptionalClauses(templateVersion, []).map(
+      clause => clause.key
+    );
+
+    for (const clause of clauses) {
+      if (!optionalKeys.includes(clause.key)) {
+        throw new Error(
+          `Clause ${clause.key} is not an optional clause of the agreement template`
+        );
+      }
+    }
+
+    await agreementTemplatesRepository.upsertPropertyClauses(
+      propertyId,
+      clauses
+    );
+
+    return await this.getPropertyClauses(propertyId, user);
+  }
+
+  /**
+   * Placeholder values of a lease, worded and formatted for a language
+   * @param {Object} lease - Lease with property (type, amenities), tenant, landlord
+   * @param {Object} terms - Computed lease terms (see utils/leaseTerms)
+   * @param {string} language - en or ms
+   * @returns {Object}
+   */
+  buildVariables(lease, terms, language = 'en') {
+    const labels = getAgreementLabels(language);
+    const money = amount => formatAmount(amount, language);
+    const partyName = party =>
+      party.name || `${party.firstName} ${party.lastName}`;
+    const { property } = lease;
+
+    return {
+      landlordName: partyName(lease.landlord),
+      tenantName: partyName(lease.tenant),
+      propertyAddress: `${property.address}, ${property.city}, ${property.state} ${property.zipCode}, ${property.country}`,
+      propertyType: property.propertyType ? property.propertyType.name : '',
+      bedrooms: property.bedrooms,
+      bathrooms: property.bathrooms,
+      areaDescription: property.areaSqm
+        ? labels.areaDescription(property.areaSqm)
+        : '',
+      furnishing: property.furnished ? labels.furnished : labels.unfurnished,
+      amenities: (property.amenities || [])
+        .map(propertyAmenity => propertyAmenity.amenity.name)
+        .join(', '),
+      propertyDescription: property.description || '',
+      startDate: formatDate(lease.startDate, language),
+      endDate: formatDate(lease.endDate, language),
+      leaseTerm: describeTermLength(terms.term, language),
+      termMonths: terms.term.months,
+      currencyCode: terms.currencyCode,
+      currencyName: getCurrencyName(terms.currencyCode, language),
+      rentAmount: money(terms.rent.monthlyRent),
+      rentChanges: terms.rent.rentChanges
+        .map(
+          change =>
+            `${labels.monthlyRentFrom(formatDate(change.startDate, language))}: ${terms.currencyCode} ${money(change.monthlyRent)}`
+        )
+        .join('; '),
+      firstPeriodRent: money(terms.rent.firstPeriod.amount),
+      lastPeriodRent: money(terms.rent.lastPeriod.amount),
+      billingPeriods: terms.rent.billingPeriods,
+      totalRent: money(terms.rent.totalRent),
+      totalContractValue: money(terms.totalContractValue),
+      securityDeposit: terms.deposit.required
+        ? money(terms.deposit.amount)
+        : '',
+      noticePeriodDays: terms.notice.noticePeriodDays,
+      leaseNotes: lease.notes || '',
+    };
+  }
+
+  /**
+   * Fill placeholders of a clause text, escaping everything else
+   * @param {string} text
+   * @param {Object} variables
+   * @returns {string} HTML
+   */
+  fillPlaceholders(text, variables) {
+    return escapeHTML(text).replace(PLACEHOLDER_PATTERN, (match, name) => {
+      const value = variables[name];
+
+      if (value === undefined || value === null || value === '') {
+        return '';
+      }
+
+      return `<span class="highlight">${escapeHTML(value)}</span>`;
+    });
+  }
+
+  /**
+   * Number and render the clauses of a template version
+   * @param {Object} templateVersion
+   * @param {Array<string>} clauseKeys - Clauses to include
+   * @param {Object} variables - Placeholder values
+   * @returns {Array} [{ number, title, clauses: [{ key, number, title, html, items }] }]
+   */
+  buildSections(templateVersion, clauseKeys, variables) {
+    const rendered = [];
+
+    for (const section of templateVersion.sections) {
+      const clauses = section.clauses.filter(
+        clause =>
+          clauseKeys.includes(clause.key) &&
+          (!clause.requires || variables[clause.requires])
+      );
+
+      if (clauses.length === 0) {
+        continue;
+      }
+
+      const sectionNumber = FIRST_SECTION_NUMBER + rendered.length;
+
+      rendered.push({
+        number: sectionNumber,
+        title: section.title,
+        clauses: clauses.map((clause, clauseIndex) => {
+          const clauseNumber = `${sectionNumber}.${clauseIndex + 1}`;
+
+          return {
+            key: clause.key,
+            number: clauseNumber,
+            title: clause.title,
+            html: this.fillPlaceholders(clause.body, variables),
+            items: clause.items.map((item, itemIndex) => ({
+              number: `${clauseNumber}.${itemIndex + 1}`,
+              html: this.fillPlaceholders(item, variables),
+            })),
+          };
+        }),
+      });
+    }
+
+    return rendered;
+  }
+
+  /**
+   * Put the second-language text of each clause next to the first-language
+   * clause with the same key, for bilingual agreements
+   * @param {Array} sections - Rendered sections of the primary language
+   * @param {Array} secondarySections - Rendered sections of the second language
+   * @returns {Array} Sections with secondaryTitle and clause.secondary
+   */
+  mergeSecondarySections(sections, secondarySections) {
+    const secondaryClauses = new Map(
+      secondarySections.flatMap(section =>
+        section.clauses.map(clause => [clause.key, { section, clause }])
+      )
+    );
+
+    return sections.map(section => {
+      const match = section.clauses
+        .map(clause => secondaryClauses.get(clause.key))
+        .find(Boolean);
+
+      return {
+        ...section,
+        secondaryTitle: match ? match.section.title : null,
+        clauses: section.clauses.map(clause => {
+          const secondary = secondaryClauses.get(clause.key);
+
+          return {
+            ...clause,
+            secondary: secondary ? secondary.clause : null,
+          };
+        }),
+      };
+    });
+  }
+
+  /**
+   * Agreement content for a lease. An existing agreement is re-rendered with
+   * the languages, template versions and clauses it was first rendered with;
+   * otherwise the languages follow the lease and its parties (see
+   * utils/i18n), and the current templates of the property and the
+   * landlord's clause choices are used.
+   * @param {Object} lease - Lease with property, tenant and landlord
+   * @param {Object} rentalAgreement - Existing agreement to re-render (optional)
+   * @returns {Promise<Object>} { language, secondaryLanguage, templateVersion,
+   *   secondaryTemplateVersion, clauseKeys, sections, terms }
+   */
+  async prepareAgreementContent(lease, rentalAgreement = null) {
+    const terms = computeLeaseTerms(lease);
+    let language;
+    let secondaryLanguage;
+    let templateVersion;
+    let secondaryTemplateVersion = null;
+    let clauseKeys;
+
+    if (rentalAgreement && rentalAgreement.templateVersionId) {
+      language = normalizeLanguage(rentalAgreement.language);
+      secondaryLanguage = rentalAgreement.secondaryLanguage || null;
+      templateVersion = await agreementTemplatesRepository.findVersionById(
+        rentalAgreement.templateVersionId
+      );
+
+      if (rentalAgreement.secondaryTemplateVersionId) {
+        secondaryTemplateVersion =
+          await agreementTemplatesRepository.findVersionById(
+            rentalAgreement.secondaryTemplateVersionId
+          );
+      }
+
+      clauseKeys = rentalAgreement.clauseKeys;
+    } else {
+      ({ language, secondaryLanguage } = resolveAgreementLanguages(lease));
+      templateVersion = await this.resolveTemplateVersion(
+        lease.property,
+        language
+      );
+
+      if (secondaryLanguage) {
+        secondaryTemplateVersion = await this.resolveTemplateVersion(
+          lease.property,
+          secondaryLanguage
+        );
+      }
+
+      const propertyClauses =
+        await agreementTemplatesRepository.findPropertyClauses(
+          lease.property.id
+        );
+      const disabledKeys = this.listOptionalClauses(
+        templateVersion,
+        propertyClauses
+      )
+        .filter(clause => !clause.enabled)
+        .map(clause => clause.key);
+
+      clauseKeys = templateVersion.sections
+        .flatMap(section => section.clauses)
+        .map(clause => clause.key)
+        .filter(key => !disabledKeys.includes(key));
+    }
+
+    let sections = this.buildSections(
+      templateVersion,
+      clauseKeys,
+      this.buildVariables(lease, terms, language)
+    );
+
+    if (secondaryTemplateVersion) {
+      sections = this.mergeSecondarySections(
+        sections,
+        this.buildSections(
+          secondaryTemplateVersion,
+          clauseKeys,
+          this.buildVariables(lease, terms, secondaryLanguage)
+        )
+      );
+    }
+
+    return {
+      language,
+      secondaryLanguage: secondaryTemplateVersion ? secondaryLanguage : null,
+      templateVersion,
+      secondaryTemplateVersion,
+      clauseKeys: sections.flatMap(section =>
+        section.clauses.map(clause => clause.key)
+      ),
+      sections,
+      terms,
+    };
+  }
+}
+
+module.exports = new AgreementTemplatesService();
@@ -0,0 +1,358 @@
+/**
+ * Built-in agreement templates, one per language. Each is stored as version
+ * 1 of its "Default" template the first time an agreement in that language
+ * is rendered without any matching template.
+ *
+ * Clause bodies are plain text with {{placeholder}} values filled in from
+ * the lease (see AgreementTemplatesService.buildVariables). A clause with
+ * `requires` is only rendered when that value is present; `optional`
+ * clauses can be switched off by the landlord per property.
+ */
+const DEFAULT_TEMPLATE = {
+  name: 'Default residential rental agreement',
+  language: 'en',
+  sections: [
+    {
+      title: 'PREMISES',
+      clauses: [
+        {
+          key: 'premises.leased',
+          title: 'LEASED PREMISES',
+          body: 'THE LESSOR hereby agrees to lease and rent unto THE LESSEE, and THE LESSEE hereby agrees to lease and rent from THE LESSOR, the premises described as follows: The leased premises shall be comprised of that certain personal residence located at {{propertyAddress}} ("Premises"). THE LESSOR leases the Premises to THE LESSEE on the terms and conditions set forth herein.',
+        },
+        {
+          key: 'premises.specifications',
+          title: 'PROPERTY SPECIFICATIONS',
+          body: 'The Premises consists of a {{propertyType}} with {{bedrooms}} bedroom(s) and {{bathrooms}} bathroom(s){{areaDescription}}. The property is {{furnishing}}.',
+        },
+        {
+          key: 'premises.amenities',
+          title: 'INCLUDED FACILITIES AND AMENITIES',
+          body: 'The rental of the Premises includes access to the following facilities and amenities at no additional charge to THE LESSEE: {{amenities}}.',
+          requires: 'amenities',
+        },
+        {
+          key: 'premises.condition',
+          title: 'CONDITION OF PREMISES',
+          body: 'THE LESSEE acknowledges that THE LESSEE has examined the Premises and accepts them in their current condition as suitable for residential purposes. THE LESSEE acknowledges that no representations as to the condition of the Premises have been made by THE LESSOR, except as specifically set forth in this Agreement.',
+        },
+        {
+          key: 'premises.description',
+          title: 'ADDITIONAL DESCRIPTION',
+          body: '{{propertyDescription}}',
+          requires: 'propertyDescription',
+        },
+        {
+          key: 'premises.possession',
+          title: 'RIGHT TO EXCLUSIVE POSSESSION',
+          body: "During the term of this Agreement and so long as THE LESSEE is not in default hereunder, THE LESSEE shall have the right to exclusive possession and quiet enjoyment of the Premises, subject to the terms and conditions of this Agreement and THE LESSOR's right of entry as provided herein.",
+        },
+      ],
+    },
+    {
+      title: 'TERM',
+      clauses: [
+        {
+          key: 'term.period',
+          title: 'LEASE TERM',
+          body: "The term of this Agreement shall be for a period of {{leaseTerm}}, beginning on {{startDate}} and ending on {{endDate}}. Any holding over after the expiration or earlier termination of the term without THE LESSOR's prior written consent shall be a default of this Agreement and shall not be construed to be a tenancy from month to month. If the term begins or ends on a day other than the first or last day of a calendar month, rent for that month shall be prorated. Any extension of this Agreement shall be in writing and accepted by both parties.",
+        },
+        {
+          key: 'term.renewal',
+          title: 'RENEWAL AND EXTENSION',
+          body: 'This Agreement may be extended or renewed only by mutual written agreement of both parties executed prior to the expiration of the current term. Any proposed changes to the terms and conditions, including rent adjustments, must be agreed upon in writing by both parties.',
+        },
+        {
+          key: 'term.holdover',
+          title: 'HOLDOVER TENANCY',
+          body: "If THE LESSEE remains in possession of the Premises after expiration of this lease term without THE LESSOR's written consent, such possession shall be deemed a holdover tenancy at sufferance and not a renewal of this Agreement. During any holdover period, all terms and conditions of this Agreement shall remain in effect except that the rental amount may be increased as determined by THE LESSOR.",
+          optional: true,
+          defaultEnabled: true,
+        },
+      ],
+    },
+    {
+      title: 'MONTHLY RENT',
+      clauses: [
+        {
+          key: 'rent.amount',
+          title: 'RENT AMOUNT',
+          body: 'The rent to be paid by THE LESSEE to THE LESSOR throughout the term of this Agreement shall be {{currencyCode}} {{rentAmount}} ({{currencyName}}) per calendar month ("Monthly Rent"). THE LESSEE shall pay THE LESSOR the Monthly Rent on or before the first (1st) day of each month during the lease term. Rent for any partial month at the beginning or end of the lease term shall be prorated on a daily basis.',
+        },
+        {
+          key: 'rent.changes',
+          title: 'CHANGES OF RENT',
+          body: 'Notwithstanding the foregoing, the Monthly Rent shall change as follows for the remainder of the term: {{rentChanges}}. The Monthly Rent so changed applies from the stated date only; rent for earlier periods remains as stated above.',
+          requires: 'rentChanges',
+        },
+        {
+          key: 'rent.schedule',
+          title: 'PAYMENT SCHEDULE',
+          body: 'Monthly Rent shall be due and payable in advance on the first (1st) day of each calendar month during the term of this Agreement, in {{billingPeriods}} rent period(s). Rent for a period shorter than a calendar month is prorated on a daily basis: the first period amounts to {{currencyCode}} {{firstPeriodRent}} and the last period to {{currencyCode}} {{lastPeriodRent}}. The total rent payable over the term of this Agreement is {{currencyCode}} {{totalContractValue}}, as set out in the Schedule of Rent. THE LESSEE shall not deduct or offset against rent unless expressly permitted by applicable law.',
+        },
+        {
+          key: 'rent.late-fee',
+          title: 'LATE FEE',
+          body: 'If THE LESSEE fails to pay the Monthly Rent when due, THE LESSEE shall pay a late fee as permitted by applicable law. A late fee of fifteen percent (15%) of the monthly rent amount or as permitted by local law may be charged for any rent not received by THE LESSOR within five (5) days after the due date. All accrued late fees shall become additional rent under this Agreement.',
+          optional: true,
+          defaultEnabled: true,
+        },
+        {
+          key: 'rent.returned-payments',
+          title: 'RETURNED PAYMENTS',
+          body: "THE LESSEE shall pay THE LESSOR a returned check fee as permitted by applicable law for each check returned by THE LESSEE's bank for any reason. After two (2) returned checks, THE LESSOR may require THE LESSEE to make all future payments by cashier's check or money order.",
+          optional: true,
+          defaultEnabled: true,
+        },
+        {
+          key: 'rent.security-deposit',
+          title: 'SECURITY DEPOSIT',
+          body: "Upon execution of this Agreement, THE LESSEE shall deposit with THE LESSOR the sum of {{currencyCode}} {{securityDeposit}} as a security deposit to secure THE LESSEE's faithful performance of THE LESSEE's obligations under this Agreement. THE LESSOR may use the security deposit to remedy any default by THE LESSEE or to repair any damage to the Premises caused by THE LESSEE, reasonable wear and tear excepted. Any unused portion of the security deposit shall be returned to THE LESSEE within the time period required by applicable law after termination of this Agreement.",
+          requires: 'securityDeposit',
+        },
+        {
+          key: 'rent.additional-terms',
+          title: 'ADDITIONAL PAYMENT TERMS',
+          body: '{{leaseNotes}}',
+          requires: 'leaseNotes',
+        },
+      ],
+    },
+    {
+      title: 'UTILITIES',
+      clauses: [
+        {
+          key: 'utilities.services',
+          title: 'UTILITY SERVICES',
+          body: "To the extent permitted by applicable utility service providers, THE LESSEE shall transfer all utility accounts into THE LESSEE's name within forty-eight (48) hours of taking possession of the Premises. THE LESSEE shall pay, prior to delinquency, for all utilities (including, without limitation, gas, electricity, water, sewer, refuse collection, telephone, internet and cable television) serving the Premises during the term of this Agreement.",
+        },
+        {
+          key: 'utilities.disconnection',
+          title: 'UTILITY DISCONNECTION',
+          body: 'THE LESSOR may, but shall not be obligated to, pay any delinquent utility bills to prevent disconnection of utility service to the Premises. Any amounts paid by THE LESSOR for utilities shall be reimbursed by THE LESSEE as additional rent within ten (10) days of written notice from THE LESSOR.',
+        },
+        {
+          key: 'utilities.included',
+          title: 'INCLUDED UTILITIES',
+          body: 'Unless specifically stated otherwise in writing, no utilities or services are included in the rent. Any utilities or services that THE LESSOR agrees to provide or pay for shall be specified in a separate written addendum to this Agreement.',
+        },
+        {
+          key: 'utilities.deposits',
+          title: 'RESPONSIBILITY FOR UTILITY DEPOSITS',
+          body: 'THE LESSEE shall be responsible for any deposits required by utility companies to establish service accounts and shall hold THE LESSOR harmless from any claims related to utility services during the lease term.',
+          optional: true,
+          defaultEnabled: true,
+        },
+      ],
+    },
+    {
+      title: 'USE AND OCCUPANCY',
+      clauses: [
+        {
+          key: 'use.residential',
+          title: 'RESIDENTIAL USE ONLY',
+          body: "The Premises shall be used and occupied by THE LESSEE exclusively as a private single-family residence. THE LESSEE shall not use the Premises for any business, professional, or commercial purposes without THE LESSOR's prior written consent. No signs, advertisements, or notices shall be displayed on or about the Premises without THE LESSOR's prior written consent.",
+        },
+        {
+          key: 'use.occupancy',
+          title: 'OCCUPANCY LIMITS',
+          body: "The Premises shall be occupied only by THE LESSEE and THE LESSEE's immediate family members or other persons specifically approved by THE LESSOR in writing. THE LESSEE shall not permit any other person to use or occupy the Premises without first obtaining THE LESSOR's written consent. THE LESSEE shall be responsible for the conduct of all occupants and guests.",
+        },
+        {
+          key: 'use.illegal-activities',
+          title: 'PROHIBITION OF ILLEGAL ACTIVITIES',
+          body: 'THE LESSEE shall not use the Premises for any purpose that is illegal or deemed to be a nuisance. THE LESSEE shall not do or permit anything to be done on the Premises that will increase the existing rate of insurance on the Premises or cause a cancellation of any insurance policy covering the Premises.',
+        },
+        {
+          key: 'use.subletting',
+          title: 'ASSIGNMENT AND SUBLETTING',
+          body: "THE LESSEE shall not assign this Agreement or sublet any portion of the Premises without THE LESSOR's prior written consent. Any attempt to assign or sublet without such consent shall be void and shall constitute a material breach of this Agreement. THE LESSOR's consent to one assignment or subletting shall not be deemed consent to subsequent assignments or sublettings.",
+          optional: true,
+          defaultEnabled: true,
+        },
+        {
+          key: 'use.compliance',
+          title: 'COMPLIANCE WITH LAWS',
+          body: 'THE LESSEE shall comply with all applicable laws, ordinances, rules, and regulations of any governmental authority having jurisdiction over the Premises. THE LESSEE shall not commit waste or permit waste to be committed on the Premises.',
+        },
+      ],
+    },
+    {
+      title: 'MAINTENANCE AND REPAIRS',
+      clauses: [
+        {
+          key: 'maintenance.lessor',
+          title: "LESSOR'S MAINTENANCE OBLIGATIONS",
+          body: 'THE LESSOR agrees to keep the Premises in good repair and tenantable condition and to comply with all applicable laws regarding the condition of residential rental property. THE LESSOR shall maintain the structural components of the Premises, including the foundation, roof, exterior walls, and major building systems such as plumbing, electrical, heating, and air conditioning systems, in good working order.',
+        },
+        {
+          key: 'maintenance.lessee',
+          title: "LESSEE'S MAINTENANCE OBLIGATIONS",
+          body: 'THE LESSEE agrees to maintain the Premises in a clean, sanitary, and good condition and to use reasonable care in the use of the Premises and its fixtures and appliances. THE LESSEE shall be responsible for minor maintenance items including, but not limited to, changing light bulbs, replacing air conditioning filters, keeping drains free of obstructions, and general housekeeping.',
+        },
+        {
+          key: 'maintenance.reporting',
+          title: 'REPORTING MAINTENANCE ISSUES',
+          body: "THE LESSEE shall promptly notify THE LESSOR in writing of any maintenance, repair, or safety issues concerning the Premises. THE LESSEE shall not attempt to make repairs to major building systems or structural components without THE LESSOR's prior written consent.",
+        },
+        {
+          key: 'maintenance.access',
+          title: 'ACCESS FOR REPAIRS',
+          body: "THE LESSOR and THE LESSOR's agents shall have the right to enter the Premises at reasonable times and upon reasonable notice to THE LESSEE (except in cases of emergency) for the purpose of inspecting the Premises and making necessary repairs and maintenance. THE LESSOR shall use reasonable efforts to minimize any inconvenience to THE LESSEE during such entry.",
+        },
+        {
+          key: 'maintenance.damages',
+          title: "LESSEE'S LIABILITY FOR DAMAGES",
+          body: "THE LESSEE shall be liable for any damage to the Premises caused by THE LESSEE's negligence, misuse, or violations of this Agreement. This shall not include reasonable wear and tear from normal use of the Premises.",
+        },
+      ],
+    },
+    {
+      title: 'RULES AND OBLIGATIONS',
+      clauses: [
+        {
+          key: 'rules.laws',
+          body: 'THE LESSEE agrees to comply with all applicable laws, ordinances, and regulations.',
+        },
+        {
+          key: 'rules.house-rules',
+          body: 'THE LESSEE shall adhere to the following rules:',
+          items: [
+            'No smoking inside the premises',
+            'No illegal activities on the premises',
+            'Maintain quiet enjoyment and respect for neighbors',
+            'Proper use and care of all appliances and fixtures',
+            'No structural modifications without written permission',
+          ],
+          optional: true,
+          defaultEnabled: true,
+        },
+        {
+          key: 'rules.additional',
+          body: 'THE LESSOR reserves the right to establish additional reasonable rules with proper notice.',
+        },
+      ],
+    },
+    {
+      title: 'PETS',
+      clauses: [
+        {
+          key: 'pets.policy',
+          body: 'Pet policy shall be determined by separate written agreement between the parties.',
+          optional: true,
+          defaultEnabled: true,
+        },
+        {
+          key: 'pets.consent',
+          body: 'No pets are permitted on the premises without prior written consent from THE LESSOR.',
+          optional: true,
+          defaultEnabled: true,
+        },
+        {
+          key: 'pets.fees',
+          body: 'If pets are permitted, additional deposit and/or monthly fees may apply as specified in the pet addendum.',
+          optional: true,
+          defaultEnabled: true,
+        },
+      ],
+    },
+    {
+      title: 'TERMINATION',
+      clauses: [
+        {
+          key: 'termination.notice',
+          body: 'Either party may terminate this Agreement early by providing {{noticePeriodDays}} day(s) written notice to the other party. The terms of an early termination are recorded in a termination addendum to this Agreement.',
+        },
+        {
+          key: 'termination.breach',
+          body: 'In case of material breach of this Agreement, the non-breaching party may terminate with seven (7) days written notice after the breach has been identified and communicated.',
+        },
+        {
+          key: 'termination.vacate',
+          body: 'Upon termination, THE LESSEE shall vacate the premises and return all keys and access devices to THE LESSOR.',
+        },
+        {
+          key: 'termination.deposit',
+          body: 'THE LESSOR shall return the security deposit, less any lawful deductions, within the timeframe required by applicable law.',
+        },
+      ],
+    },
+    {
+      title: 'DEFAULT AND REMEDIES',
+      clauses: [
+        {
+          key: 'default.events',
+          body: 'Events of default include but are not limited to:',
+          items: [
+            'Non-payment of rent or other charges when due',
+            'Violation of any terms or conditions of this Agreement',
+            'Use of premises for illegal purposes',
+            'Abandonment of the premises',
+          ],
+        },
+        {
+          key: 'default.remedies',
+          body: 'Upon default, THE LESSOR may exercise all rights and remedies available at law or in equity.',
+        },
+      ],
+    },
+    {
+      title: 'GENERAL PROVISIONS',
+      clauses: [
+        {
+          key: 'general.entire-agreement',
+          title: 'ENTIRE AGREEMENT',
+          body: 'This Agreement constitutes the entire agreement between the parties and supersedes all prior negotiations, representations, or agreements relating to the subject matter herein.',
+        },
+        {
+          key: 'general.modifications',
+          title: 'MODIFICATIONS',
+          body: 'This Agreement may only be modified in writing signed by both parties.',
+        },
+        {
+          key: 'general.governing-law',
+          title: 'GOVERNING LAW',
+          body: 'This Agreement shall be governed by and construed in accordance with the laws of the jurisdiction where the property is located.',
+        },
+        {
+          key: 'general.severability',
+          title: 'SEVERABILITY',
+          body: 'If any provision of this Agreement is deemed invalid or unenforceable, the remaining provisions shall remain in full force and effect.',
+        },
+        {
+          key: 'general.binding-effect',
+          title: 'BINDING EFFECT',
+          body: 'This Agreement shall be binding upon the heirs, successors, and assigns of both parties.',
+        },
+      ],
+    },
+  ],
+};
+
+/**
+ * Translate the English template, keeping its clause keys and flags
+ * @param {Object} translation - { name, language, SECTION_TITLES, CLAUSES }
+ * @returns {Object} Template
+ */
+const translateTemplate = ({ name, language, SECTION_TITLES, CLAUSES }) => ({
+  name,
+  language,
+  sections: DEFAULT_TEMPLATE.sections.map(section => ({
+    title: SECTION_TITLES[section.title],
+    clauses: section.clauses.map(clause => ({
+      ...clause,
+      ...CLAUSES[clause.key],
+    })),
+  })),
+});
+
+const DEFAULT_TEMPLATES = {
+  en: DEFAULT_TEMPLATE,
+  ms: translateTemplate({
+    name: 'Perjanjian sewa kediaman lalai',
+    language: 'ms',
+    ...require('./defaultTemplate.ms'),
+  }),
+};
+
+module.exports = { DEFAULT_TEMPLATE, DEFAULT_TEMPLATES };
@@ -0,0 +1,213 @@
+/**
+ * Bahasa Melayu text of the built-in agreement template, by section title
+ * and clause key of the English template. Keys, `optional`, `defaultEnabled`
+ * and `requires` come from the English template so both languages always
+ * have the same clauses.
+ */
+const SECTION_TITLES = {
+  PREMISES: 'PREMIS',
+  TERM: 'TEMPOH',
+  'MONTHLY RENT': 'SEWA BULANAN',
+  UTILITIES: 'UTILITI',
+  'USE AND OCCUPANCY': 'PENGGUNAAN DAN PENDUDUKAN',
+  'MAINTENANCE AND REPAIRS': 'PENYELENGGARAAN DAN PEMBAIKAN',
+  'RULES AND OBLIGATIONS': 'PERATURAN DAN TANGGUNGJAWAB',
+  PETS: 'HAIWAN PELIHARAAN',
+  TERMINATION: 'PENAMATAN',
+  'DEFAULT AND REMEDIES': 'KEINGKARAN DAN REMEDI',
+  'GENERAL PROVISIONS': 'PERUNTUKAN AM',
+};
+
+const CLAUSES = {
+  'premises.leased': {
+    title: 'PREMIS YANG DISEWA',
+    body: 'PEMBERI SEWA dengan ini bersetuju untuk memajak dan menyewakan kepada PENYEWA, dan PENYEWA dengan ini bersetuju untuk memajak dan menyewa daripada PEMBERI SEWA, premis yang diterangkan seperti berikut: Premis yang disewa terdiri daripada kediaman yang terletak di {{propertyAddress}} ("Premis"). PEMBERI SEWA menyewakan Premis kepada PENYEWA mengikut terma dan syarat yang dinyatakan di dalam Perjanjian ini.',
+  },
+  'premises.specifications': {
+    title: 'SPESIFIKASI HARTANAH',
+    body: 'Premis ini ialah {{propertyType}} dengan {{bedrooms}} bilik tidur dan {{bathrooms}} bilik mandi{{areaDescription}}. Hartanah ini {{furnishing}}.',
+  },
+  'premises.amenities': {
+    title: 'KEMUDAHAN DAN AMENITI YANG DISEDIAKAN',
+    body: 'Sewaan Premis termasuk akses kepada kemudahan dan ameniti berikut tanpa sebarang caj tambahan kepada PENYEWA: {{amenities}}.',
+  },
+  'premises.condition': {
+    title: 'KEADAAN PREMIS',
+    body: 'PENYEWA mengakui bahawa PENYEWA telah memeriksa Premis dan menerimanya dalam keadaan semasa sebagai sesuai untuk tujuan kediaman. PENYEWA mengakui bahawa tiada representasi mengenai keadaan Premis telah dibuat oleh PEMBERI SEWA, kecuali sebagaimana yang dinyatakan secara khusus di dalam Perjanjian ini.',
+  },
+  'premises.description': {
+    title: 'PERIHALAN TAMBAHAN',
+    body: '{{propertyDescription}}',
+  },
+  'premises.possession': {
+    title: 'HAK MILIKAN EKSKLUSIF',
+    body: 'Sepanjang tempoh Perjanjian ini dan selagi PENYEWA tidak ingkar di bawahnya, PENYEWA berhak ke atas milikan eksklusif dan penikmatan aman Premis, tertakluk kepada terma dan syarat Perjanjian ini dan hak PEMBERI SEWA untuk masuk sebagaimana yang diperuntukkan di dalamnya.',
+  },
+  'term.period': {
+    title: 'TEMPOH SEWAAN',
+    body: 'Tempoh Perjanjian ini ialah {{leaseTerm}}, bermula pada {{startDate}} dan berakhir pada {{endDate}}. Sebarang pendudukan selepas tamat atau penamatan awal tempoh tanpa persetujuan bertulis terlebih dahulu daripada PEMBERI SEWA merupakan keingkaran Perjanjian ini dan tidak boleh ditafsirkan sebagai penyewaan dari bulan ke bulan. Jika tempoh bermula atau berakhir pada hari selain hari pertama atau terakhir bulan kalendar, sewa bagi bulan tersebut hendaklah diprorata. Sebarang lanjutan Perjanjian ini hendaklah dibuat secara bertulis dan dipersetujui oleh kedua-dua pihak.',
+  },
+  'term.renewal': {
+    title: 'PEMBAHARUAN DAN LANJUTAN',
+    body: 'Perjanjian ini hanya boleh dilanjutkan atau diperbaharui melalui persetujuan bertulis bersama kedua-dua pihak yang ditandatangani sebelum tamat tempoh semasa. Sebarang cadangan perubahan kepada terma dan syarat, termasuk pelarasan sewa, mesti dipersetujui secara bertulis oleh kedua-dua pihak.',
+  },
+  'term.holdover': {
+    title: 'PENYEWAAN SELEPAS TAMAT TEMPOH',
+    body: 'Jika PENYEWA terus menduduki Premis selepas tamat tempoh sewaan ini tanpa persetujuan bertulis PEMBERI SEWA, pendudukan tersebut dianggap sebagai penyewaan atas toleransi dan bukan pembaharuan Perjanjian ini. Sepanjang tempoh tersebut, semua terma dan syarat Perjanjian ini kekal berkuat kuasa kecuali amaun sewa boleh dinaikkan sebagaimana yang ditentukan oleh PEMBERI SEWA.',
+  },
+  'rent.amount': {
+    title: 'AMAUN SEWA',
+    body: 'Sewa yang perlu dibayar oleh PENYEWA kepada PEMBERI SEWA sepanjang tempoh Perjanjian ini ialah {{currencyCode}} {{rentAmount}} ({{currencyName}}) bagi setiap bulan kalendar ("Sewa Bulanan"). PENYEWA hendaklah membayar Sewa Bulanan kepada PEMBERI SEWA pada atau sebelum hari pertama (1) setiap bulan sepanjang tempoh sewaan. Sewa bagi mana-mana bulan separa pada awal atau akhir tempoh sewaan hendaklah diprorata mengikut hari.',
+  },
+  'rent.changes': {
+    title: 'PERUBAHAN SEWA',
+    body: 'Walau apa pun yang dinyatakan di atas, Sewa Bulanan hendaklah berubah seperti berikut bagi baki tempoh sewaan: {{rentChanges}}. Sewa Bulanan yang diubah itu terpakai mulai tarikh yang dinyatakan sahaja; sewa bagi tempoh sebelumnya kekal sebagaimana yang dinyatakan di atas.',
+  },
+  'rent.schedule': {
+    title: 'JADUAL PEMBAYARAN',
+    body: 'Sewa Bulanan kena dibayar terlebih dahulu pada hari pertama (1) setiap bulan kalendar sepanjang tempoh Perjanjian ini, dalam {{billingPeriods}} tempoh sewa. Sewa bagi tempoh yang lebih pendek daripada satu bulan kalendar diprorata mengikut hari: tempoh pertama berjumlah {{currencyCode}} {{firstPeriodRent}} dan tempoh terakhir {{currencyCode}} {{lastPeriodRent}}. Jumlah sewa yang perlu dibayar sepanjang tempoh Perjanjian ini ialah {{currencyCode}} {{totalContractValue}}, sebagaimana yang dinyatakan di dalam Jadual Sewa. PENYEWA tidak boleh membuat potongan atau tolakan terhadap sewa kecuali dibenarkan secara nyata oleh undang-undang yang terpakai.',
+  },
+  'rent.late-fee': {
+    title: 'CAJ LEWAT BAYAR',
+    body: 'Jika PENYEWA gagal membayar Sewa Bulanan apabila sampai tempoh, PENYEWA hendaklah membayar caj lewat bayar sebagaimana yang dibenarkan oleh undang-undang yang terpakai. Caj lewat bayar sebanyak lima belas peratus (15%) daripada amaun sewa bulanan atau sebagaimana yang dibenarkan oleh undang-undang tempatan boleh dikenakan bagi sebarang sewa yang tidak diterima oleh PEMBERI SEWA dalam tempoh lima (5) hari selepas tarikh matang. Semua caj lewat bayar yang terakru menjadi sewa tambahan di bawah Perjanjian ini.',
+  },
+  'rent.returned-payments': {
+    title: 'BAYARAN YANG DIKEMBALIKAN',
+    body: 'PENYEWA hendaklah membayar kepada PEMBERI SEWA caj cek tak laku sebagaimana yang dibenarkan oleh undang-undang yang terpakai bagi setiap cek yang dikembalikan oleh bank PENYEWA atas apa jua sebab. Selepas dua (2) cek tak laku, PEMBERI SEWA boleh menghendaki PENYEWA membuat semua bayaran seterusnya melalui cek juruwang atau kiriman wang.',
+  },
+  'rent.security-deposit': {
+    title: 'DEPOSIT SEKURITI',
+    body: 'Apabila Perjanjian ini ditandatangani, PENYEWA hendaklah mendepositkan kepada PEMBERI SEWA sejumlah {{currencyCode}} {{securityDeposit}} sebagai deposit sekuriti bagi menjamin pelaksanaan tanggungjawab PENYEWA di bawah Perjanjian ini dengan sewajarnya. PEMBERI SEWA boleh menggunakan deposit sekuriti untuk meremedikan sebarang keingkaran oleh PENYEWA atau untuk membaiki sebarang kerosakan pada Premis yang disebabkan oleh PENYEWA, kecuali haus dan lusuh yang munasabah. Sebarang baki deposit sekuriti yang tidak digunakan hendaklah dikembalikan kepada PENYEWA dalam tempoh yang ditetapkan oleh undang-undang yang terpakai selepas penamatan Perjanjian ini.',
+  },
+  'rent.additional-terms': {
+    title: 'TERMA PEMBAYARAN TAMBAHAN',
+    body: '{{leaseNotes}}',
+  },
+  'utilities.services': {
+    title: 'PERKHIDMATAN UTILITI',
+    body: 'Setakat yang dibenarkan oleh pembekal perkhidmatan utiliti, PENYEWA hendaklah memindahkan semua akaun utiliti ke atas nama PENYEWA dalam tempoh empat puluh lapan (48) jam selepas mengambil milikan Premis. PENYEWA hendaklah membayar, sebelum tertunggak, semua utiliti (termasuk, tanpa had, gas, elektrik, air, pembetungan, kutipan sampah, telefon, internet dan televisyen kabel) bagi Premis sepanjang tempoh Perjanjian ini.',
+  },
+  'utilities.disconnection': {
+    title: 'PEMOTONGAN UTILITI',
+    body: 'PEMBERI SEWA boleh, tetapi tidak diwajibkan, membayar sebarang bil utiliti tertunggak untuk mengelakkan pemotongan bekalan utiliti ke Premis. Sebarang amaun yang dibayar oleh PEMBERI SEWA bagi utiliti hendaklah dibayar balik oleh PENYEWA sebagai sewa tambahan dalam tempoh sepuluh (10) hari selepas notis bertulis daripada PEMBERI SEWA.',
+  },
+  'utilities.included': {
+    title: 'UTILITI YANG TERMASUK',
+    body: 'Melainkan dinyatakan secara khusus secara bertulis, tiada utiliti atau perkhidmatan termasuk di dalam sewa. Sebarang utiliti atau perkhidmatan yang dipersetujui untuk disediakan atau dibayar oleh PEMBERI SEWA hendaklah dinyatakan di dalam adendum bertulis yang berasingan kepada Perjanjian ini.',
+  },
+  'utilities.deposits': {
+    title: 'TANGGUNGJAWAB DEPOSIT UTILITI',
+    body: 'PENYEWA bertanggungjawab ke atas sebarang deposit yang dikehendaki oleh syarikat utiliti untuk membuka akaun perkhidmatan dan hendaklah melepaskan PEMBERI SEWA daripada sebarang tuntutan berkaitan perkhidmatan utiliti sepanjang tempoh sewaan.',
+  },
+  'use.residential': {
+    title: 'KEGUNAAN KEDIAMAN SAHAJA',
+    body: 'Premis hendaklah digunakan dan diduduki oleh PENYEWA secara eksklusif sebagai kediaman persendirian satu keluarga. PENYEWA tidak boleh menggunakan Premis bagi sebarang tujuan perniagaan, profesional atau komersial tanpa persetujuan bertulis terlebih dahulu daripada PEMBERI SEWA. Tiada papan tanda, iklan atau notis boleh dipamerkan pada atau di sekitar Premis tanpa persetujuan bertulis terlebih dahulu daripada PEMBERI SEWA.',
+  },
+  'use.occupancy': {
+    title: 'HAD PENDUDUKAN',
+    body: 'Premis hanya boleh diduduki oleh PENYEWA dan ahli keluarga terdekat PENYEWA atau orang lain yang diluluskan secara khusus oleh PEMBERI SEWA secara bertulis. PENYEWA tidak boleh membenarkan orang lain menggunakan atau menduduki Premis tanpa terlebih dahulu mendapatkan persetujuan bertulis PEMBERI SEWA. PENYEWA bertanggungjawab ke atas kelakuan semua penghuni dan tetamu.',
+  },
+  'use.illegal-activities': {
+    title: 'LARANGAN AKTIVITI HARAM',
+    body: 'PENYEWA tidak boleh menggunakan Premis bagi sebarang tujuan yang menyalahi undang-undang atau dianggap sebagai kacau ganggu. PENYEWA tidak boleh melakukan atau membenarkan apa-apa dilakukan di Premis yang akan meningkatkan kadar insurans sedia ada ke atas Premis atau menyebabkan pembatalan mana-mana polisi insurans yang melindungi Premis.',
+  },
+  'use.subletting': {
+    title: 'PENYERAHHAKAN DAN SEWA KECIL',
+    body: 'PENYEWA tidak boleh menyerahhakkan Perjanjian ini atau menyewakan semula mana-mana bahagian Premis tanpa persetujuan bertulis terlebih dahulu daripada PEMBERI SEWA. Sebarang cubaan untuk menyerahhakkan atau menyewakan semula tanpa persetujuan tersebut adalah terbatal dan merupakan pelanggaran material Perjanjian ini. Persetujuan PEMBERI SEWA bagi satu penyerahhakan atau sewa kecil tidak dianggap sebagai persetujuan bagi penyerahhakan atau sewa kecil yang berikutnya.',
+  },
+  'use.compliance': {
+    title: 'PEMATUHAN UNDANG-UNDANG',
+    body: 'PENYEWA hendaklah mematuhi semua undang-undang, ordinan, kaedah dan peraturan pihak berkuasa kerajaan yang mempunyai bidang kuasa ke atas Premis. PENYEWA tidak boleh melakukan atau membenarkan pembaziran di Premis.',
+  },
+  'maintenance.lessor': {
+    title: 'TANGGUNGJAWAB PENYELENGGARAAN PEMBERI SEWA',
+    body: 'PEMBERI SEWA bersetuju untuk memastikan Premis dalam keadaan baik dan boleh didiami serta mematuhi semua undang-undang yang terpakai berkenaan keadaan hartanah sewaan kediaman. PEMBERI SEWA hendaklah menyelenggara komponen struktur Premis, termasuk asas, bumbung, dinding luar dan sistem bangunan utama seperti paip, elektrik, pemanasan dan penyaman udara, dalam keadaan berfungsi dengan baik.',
+  },
+  'maintenance.lessee': {
+    title: 'TANGGUNGJAWAB PENYELENGGARAAN PENYEWA',
+    body: 'PENYEWA bersetuju untuk memastikan Premis bersih, bersanitasi dan dalam keadaan baik serta menggunakan Premis, lekapan dan perkakasnya dengan berhati-hati secara munasabah. PENYEWA bertanggungjawab ke atas penyelenggaraan kecil termasuk, tetapi tidak terhad kepada, menukar mentol lampu, menggantikan penapis penyaman udara, memastikan saliran tidak tersumbat dan kerja-kerja pengemasan am.',
+  },
+  'maintenance.reporting': {
+    title: 'MELAPORKAN ISU PENYELENGGARAAN',
+    body: 'PENYEWA hendaklah dengan segera memaklumkan PEMBERI SEWA secara bertulis tentang sebarang isu penyelenggaraan, pembaikan atau keselamatan berkenaan Premis. PENYEWA tidak boleh cuba membaiki sistem bangunan utama atau komponen struktur tanpa persetujuan bertulis terlebih dahulu daripada PEMBERI SEWA.',
+  },
+  'maintenance.access': {
+    title: 'AKSES UNTUK PEMBAIKAN',
+    body: 'PEMBERI SEWA dan ejen PEMBERI SEWA berhak memasuki Premis pada waktu yang munasabah dan dengan notis yang munasabah kepada PENYEWA (kecuali dalam kecemasan) bagi tujuan memeriksa Premis dan menjalankan pembaikan dan penyelenggaraan yang perlu. PEMBERI SEWA hendaklah berusaha secara munasabah untuk mengurangkan sebarang kesulitan kepada PENYEWA semasa kemasukan tersebut.',
+  },
+  'maintenance.damages': {
+    title: 'LIABILITI PENYEWA BAGI KEROSAKAN',
+    body: 'PENYEWA bertanggungan ke atas sebarang kerosakan pada Premis yang disebabkan oleh kecuaian, salah guna atau pelanggaran Perjanjian ini oleh PENYEWA. Ini tidak termasuk haus dan lusuh yang munasabah akibat penggunaan biasa Premis.',
+  },
+  'rules.laws': {
+    body: 'PENYEWA bersetuju untuk mematuhi semua undang-undang, ordinan dan peraturan yang terpakai.',
+  },
+  'rules.house-rules': {
+    body: 'PENYEWA hendaklah mematuhi peraturan berikut:',
+    items: [
+      'Dilarang merokok di dalam premis',
+      'Dilarang menjalankan aktiviti haram di premis',
+      'Menjaga ketenteraman dan menghormati jiran',
+      'Menggunakan dan menjaga semua perkakas dan lekapan dengan betul',
+      'Dilarang membuat pengubahsuaian struktur tanpa kebenaran bertulis',
+    ],
+  },
+  'rules.additional': {
+    body: 'PEMBERI SEWA berhak menetapkan peraturan tambahan yang munasabah dengan notis yang sewajarnya.',
+  },
+  'pets.policy': {
+    body: 'Polisi haiwan peliharaan hendaklah ditentukan melalui perjanjian bertulis yang berasingan antara kedua-dua pihak.',
+  },
+  'pets.consent': {
+    body: 'Tiada haiwan peliharaan dibenarkan di premis tanpa persetujuan bertulis terlebih dahulu daripada PEMBERI SEWA.',
+  },
+  'pets.fees': {
+    body: 'Jika haiwan peliharaan dibenarkan, deposit tambahan dan/atau caj bulanan mungkin dikenakan sebagaimana yang dinyatakan di dalam adendum haiwan peliharaan.',
+  },
+  'termination.notice': {
+    body: 'Mana-mana pihak boleh menamatkan Perjanjian ini lebih awal dengan memberikan notis bertulis {{noticePeriodDays}} hari kepada pihak yang satu lagi. Terma penamatan awal direkodkan di dalam adendum penamatan kepada Perjanjian ini.',
+  },
+  'termination.breach': {
+    body: 'Sekiranya berlaku pelanggaran material Perjanjian ini, pihak yang tidak melanggar boleh menamatkannya dengan notis bertulis tujuh (7) hari selepas pelanggaran tersebut dikenal pasti dan dimaklumkan.',
+  },
+  'termination.vacate': {
+    body: 'Apabila ditamatkan, PENYEWA hendaklah mengosongkan premis dan memulangkan semua kunci dan peranti akses kepada PEMBERI SEWA.',
+  },
+  'termination.deposit': {
+    body: 'PEMBERI SEWA hendaklah memulangkan deposit sekuriti, setelah ditolak sebarang potongan yang sah, dalam tempoh yang ditetapkan oleh undang-undang yang terpakai.',
+  },
+  'default.events': {
+    body: 'Peristiwa keingkaran termasuk tetapi tidak terhad kepada:',
+    items: [
+      'Tidak membayar sewa atau caj lain apabila sampai tempoh',
+      'Pelanggaran mana-mana terma atau syarat Perjanjian ini',
+      'Penggunaan premis bagi tujuan yang menyalahi undang-undang',
+      'Meninggalkan premis',
+    ],
+  },
+  'default.remedies': {
+    body: 'Apabila berlaku keingkaran, PEMBERI SEWA boleh menggunakan semua hak dan remedi yang ada di sisi undang-undang atau ekuiti.',
+  },
+  'general.entire-agreement': {
+    title: 'KESELURUHAN PERJANJIAN',
+    body: 'Perjanjian ini merupakan keseluruhan perjanjian antara kedua-dua pihak dan mengatasi semua rundingan, representasi atau perjanjian terdahulu berkaitan perkara di dalamnya.',
+  },
+  'general.modifications': {
+    title: 'PINDAAN',
+    body: 'Perjanjian ini hanya boleh dipinda secara bertulis yang ditandatangani oleh kedua-dua pihak.',
+  },
+  'general.governing-law': {
+    title: 'UNDANG-UNDANG YANG MENTADBIR',
+    body: 'Perjanjian ini hendaklah ditadbir oleh dan ditafsirkan mengikut undang-undang bidang kuasa di mana hartanah tersebut terletak.',
+  },
+  'general.severability': {
+    title: 'KEBOLEHPISAHAN',
+    body: 'Jika mana-mana peruntukan Perjanjian ini didapati tidak sah atau tidak boleh dikuatkuasakan, peruntukan selebihnya kekal berkuat kuasa sepenuhnya.',
+  },
+  'general.binding-effect': {
+    title: 'KESAN MENGIKAT',
+    body: 'Perjanjian ini mengikat waris, pengganti dan penerima serah hak kedua-dua pihak.',
+  },
+};
+
+module.exports = { SECTION_TITLES, CLAUSES };
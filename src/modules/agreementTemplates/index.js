@@ -0,0 +1,13 @@
+const agreementTemplatesRoutes = require('./agreementTemplates.routes');
+const propertyClausesRoutes = require('./propertyClauses.routes');
+const agreementTemplatesController = require('./agreementTemplates.controller');
+const agreementTemplatesService = require('./agreementTemplates.service');
+const agreementTemplatesRepository = require('./agreementTemplates.repository');
+
+module.exports = {
+  routes: agreementTemplatesRoutes,
+  propertyClausesRoutes,
+  controller: agreementTemplatesController,
+  service: agreementTemplatesService,
+  repository: agreementTemplatesRepository,
+};
@@ -0,0 +1,144 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { auth } = require('../../middleware/auth');
+const agreementTemplatesController = require('./agreementTemplates.controller');
+
+// Mounted at /api/properties/:id/agreement-clauses
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PropertyAgreementClauses:
+ *       type: object
+ *       properties:
+ *         propertyId:
+ *           type: string
+ *         templateId:
+ *           type: string
+ *           description: Agreement template used for this property
+ *         templateVersion:
+ *           type: integer
+ *         clauses:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               key:
+ *                 type: string
+ *               section:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *                 nullable: true
+ *               body:
+ *                 type: string
+ *               defaultEnabled:
+ *                 type: boolean
+ *               enabled:
+ *                 type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/properties/{id}/agreement-clauses:
+ *   get:
+ *     summary: Get the optional rental agreement clauses of a property (owner or admin)
+ *     tags: [Properties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Optional clauses with their current setting
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     agreementClauses:
+ *                       $ref: '#/components/schemas/PropertyAgreementClauses'
+ *       403:
+ *         description: Not the owner of this property
+ *       404:
+ *         description: Property not found
+ */
+router.get('/', auth, agreementTemplatesController.getPropertyClauses);
+
+/**
+ * @swagger
+ * /api/properties/{id}/agreement-clauses:
+ *   put:
+ *     summary: Switch optional rental agreement clauses on or off (owner or admin)
+ *     description: Applies to agreements generated from now on. Clauses not listed keep their current setting.
+ *     tags: [Properties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - clauses
+ *             properties:
+ *               clauses:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - key
+ *                     - enabled
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       example: pets.consent
+ *                     enabled:
+ *                       type: boolean
+ *     responses:
+ *       200:
+ *         description: Clauses updated
+ *       400:
+ *         description: Validation error or clause is not optional
+ *       403:
+ *         description: Not the owner of this property
+ *       404:
+ *         description: Property not found
+ */
+router.put(
+  '/',
+  auth,
+  [
+    body('clauses')
+      .isArray({ min: 1 })
+      .withMessage('Clauses must be a non-empty array'),
+    body('clauses.*.key')
+      .isString()
+      .notEmpty()
+      .withMessage('Clause key is required'),
+    body('clauses.*.enabled')
+      .isBoolean()
+      .withMessage('Clause enabled must be a boolean'),
+  ],
+  agreementTemplatesController.updatePropertyClauses
+);
+
+module.exports = router;
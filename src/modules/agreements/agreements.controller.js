@@ -0,0 +1,102 @@
+const agreementsService = require('./agreements.service');
+const { validationResult } = require('express-validator');
+
+class AgreementsController {
+  /**
+   * Map service errors to HTTP responses
+   */
+  handleError(res, error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes('Access denied')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (
+      error.message.includes('Cannot access') ||
+      error.message.includes('already signed') ||
+      error.message.includes('does not match') ||
+      error.message.includes('changed by another request')
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+
+  /**
+   * Get the signing status of a booking's rental agreement
+   */
+  async getAgreement(req, res) {
+    try {
+      const agreement = await agreementsService.getAgreement(
+        req.params.id,
+        req.user
+      );
+
+      res.json({
+        success: true,
+        data: { agreement },
+      });
+    } catch (error) {
+      console.error('Get agreement error:', error);
+      agreementsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Sign the rental agreement (tenant or landlord)
+   */
+  async signAgreement(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const agreement = await agreementsService.signAgreement(
+        req.params.id,
+        req.user,
+        req.body,
+        {
+          ipAddress: req.ip || req.connection.remoteAddress,
+          userAgent: req.headers['user-agent'],
+        }
+      );
+
+      res.json({
+        success: true,
+        message:
+          agreement.status === 'FULLY_EXECUTED'
+            ? 'Rental agreement signed and fully executed'
+            : 'Rental agreement signed, waiting for the other party',
+        data: { agreement },
+      });
+    } catch (error) {
+      console.error('Sign agreement error:', error);
+      agreementsController.handleError(res, error);
+    }
+  }
+}
+
+const agreementsController = new AgreementsController();
+
+module.exports = agreementsController;
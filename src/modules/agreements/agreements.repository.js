@@ -0,0 +1,79 @@
+const { prisma } = require('../../config/database');
+
+const partySelect = {
+  id: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  name: true,
+};
+
+class AgreementsRepository {
+  async findLease(leaseId, client = prisma) {
+    return await client.lease.findUnique({
+      where: { id: leaseId },
+      select: {
+        id: true,
+        status: true,
+        tenantId: true,
+        landlordId: true,
+        tenant: { select: partySelect },
+        landlord: { select: partySelect },
+        rentalAgreement: {
+          include: {
+            signatures: {
+              orderBy: { signedAt: 'asc' },
+            },
+          },
+        },
+      },
+    });
+  }
+
+  async findById(id) {
+    return await prisma.rentalAgreement.findUnique({
+      where: { id },
+      include: {
+        lease: {
+          select: {
+            id: true,
+            tenant: { select: partySelect },
+            landlord: { select: partySelect },
+          },
+        },
+        signatures: {
+          select: {
+            role: true,
+            signerName: true,
+            signedAt: true,
+          },
+          orderBy: { signedAt: 'asc' },
+        },
+      },
+    });
+  }
+
+  async createSignature(data, client = prisma) {
+    return await client.agreementSignature.create({ data });
+  }
+
+  async countSignatures(agreementId, client = prisma) {
+    return await client.agreementSignature.count({
+      where: { agreementId },
+    });
+  }
+
+  /**
+   * Update the agreement only if it still holds the signed document
+   * @returns {Promise<number>} Number of updated rows (0 or 1)
+   */
+  async updateIfDocument(agreementId, documentHash, data, client = prisma) {
+    const result = await client.rentalAgreement.updateMany({
+      where: { id: agreementId, documentHash },
+      data,
+    });
+    return result.count;
+  }
+}
+
+module.exports = new AgreementsRepository();
@@ -0,0 +1,168 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { auth } = require('../../middleware/auth');
+const agreementsController = require('./agreements.controller');
+
+// Mounted at /api/bookings/:id/agreement
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AgreementSignature:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [LANDLORD, TENANT]
+ *         signerId:
+ *           type: string
+ *         signerName:
+ *           type: string
+ *         signerEmail:
+ *           type: string
+ *         ipAddress:
+ *           type: string
+ *           nullable: true
+ *         userAgent:
+ *           type: string
+ *           nullable: true
+ *         documentHash:
+ *           type: string
+ *           description: SHA-256 of the agreement PDF that was signed
+ *         signedAt:
+ *           type: string
+ *           format: date-time
+ *     RentalAgreementSigning:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         bookingId:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [PENDING_SIGNATURES, PARTIALLY_SIGNED, FULLY_EXECUTED]
+ *         documentHash:
+ *           type: string
+ *           description: SHA-256 of the agreement PDF to sign
+ *         pdfUrl:
+ *           type: string
+ *         generatedAt:
+ *           type: string
+ *           format: date-time
+ *         executedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         executedPdfUrl:
+ *           type: string
+ *           nullable: true
+ *           description: Signed agreement with the signature certificate page
+ *         executedHash:
+ *           type: string
+ *           nullable: true
+ *           description: SHA-256 of the executed PDF
+ *         awaiting:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [LANDLORD, TENANT]
+ *         signatures:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/AgreementSignature'
+ */
+
+/**
+ * @swagger
+ * /api/bookings/{id}/agreement:
+ *   get:
+ *     summary: Get the signing status of the rental agreement (tenant, landlord or admin)
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Rental agreement signing status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     agreement:
+ *                       $ref: '#/components/schemas/RentalAgreementSigning'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Booking or rental agreement not found
+ *       409:
+ *         description: Booking not approved
+ */
+router.get('/', auth, agreementsController.getAgreement);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/agreement/sign:
+ *   post:
+ *     summary: Sign the rental agreement (tenant or landlord)
+ *     description: Records the signer identity, time, IP address and the SHA-256 hash of the agreement PDF. Once both parties have signed, the agreement is fully executed and a final PDF with a signature certificate page is generated in the background (executedPDF.jobId, see GET /api/jobs/{id}). Regenerating the agreement (e.g. after an extension) discards earlier signatures.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               documentHash:
+ *                 type: string
+ *                 description: SHA-256 of the agreement the signer reviewed; rejected if the agreement has changed since
+ *     responses:
+ *       200:
+ *         description: Agreement signed
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not the tenant or landlord of this booking
+ *       404:
+ *         description: Booking or rental agreement not found
+ *       409:
+ *         description: Already signed, booking not approved or agreement changed
+ */
+router.post(
+  '/sign',
+  auth,
+  [
+    body('documentHash')
+      .optional()
+      .isHash('sha256')
+      .withMessage('Document hash must be a SHA-256 hex digest'),
+  ],
+  agreementsController.signAgreement
+);
+
+module.exports = router;
@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const { prisma } = require('../../config/database');
+const agreementsRepository = require('./agreements.repository');
+const leaseLifecycleService = require('../../services/leaseLifecycle.service');
+const jobsService = require('../jobs/jobs.service');
+const { hasPermission } = require('../../config/permissions');
+
+// Number of parties that must sign before the agreement is executed
+const REQUIRED_SIGNATURES = 2;
+
+class AgreementsService {
+  /**
+   * Load a lease and check the user is its tenant, landlord or an admin
+   * @param {string} leaseId
+   * @param {Object} user - Requesting user (id, role)
+   * @returns {Promise<Object>}
+   */
+  async getAccessibleLease(leaseId, user) {
+    const lease = await agreementsRepository.findLease(leaseId);
+
+    if (!lease) {
+      throw new Error('Booking not found');
+    }
+
+    if (
+      !hasPermission(user.role, 'booking.view_all') &&
+      lease.tenantId !== user.id &&
+      lease.landlordId !== user.id
+    ) {
+      throw new Error(
+        'Access denied: You can only view agreements of your own bookings'
+      );
+    }
+
+    if (!leaseLifecycleService.isApproved(lease.status)) {
+      throw new Error(
+        'Cannot access the rental agreement before the booking is approved'
+      );
+    }
+
+    if (!lease.rentalAgreement || !lease.rentalAgreement.documentHash) {
+      throw new Error('Rental agreement not found for this booking');
+    }
+
+    return lease;
+  }
+
+  /**
+   * Shape an agreement with its signatures for API responses
+   * @param {Object} lease - Lease with rentalAgreement and signatures
+   * @returns {Object}
+   */
+  formatAgreement(lease) {
+    const agreement = lease.rentalAgreement;
+    const signedRoles = agreement.signatures.map(signature => signature.role);
+
+    return {
+      id: agreement.id,
+      bookingId: lease.id,
+      status: agreement.status,
+      documentHash: agreement.documentHash,
+      pdfUrl: agreement.pdfUrl,
+      generatedAt: agreement.generatedAt,
+      executedAt: agreement.executedAt,
+      executedPdfUrl: agreement.executedPdfUrl,
+      executedHash: agreement.executedHash,
+      awaiting: ['LANDLORD', 'TENANT'].filter(
+        role => !signedRoles.includes(role)
+      ),
+      signatures: agreement.signatures,
+    };
+  }
+
+  /**
+   * Rental agreement signing status of a booking
+   * @param {string} leaseId
+   * @param {Object} user
+   * @returns {Promise<Object>}
+   */
+  async getAgreement(leaseId, user) {
+    const lease = await this.getAccessibleLease(leaseId, user);
+    return this.formatAgreement(lease);
+  }
+
+  /**
+   * Sign the rental agreement as the tenant or landlord. The agreement is
+   * fully executed once both parties have signed the same document.
+   * @param {string} leaseId
+   * @param {Object} user
+   * @param {Object} signData - documentHash the signer reviewed (optional)
+   * @param {Object} context - ipAddress, userAgent of the request
+   * @returns {Promise<Object>} Agreement with the executedPDF job
+   */
+  async signAgreement(leaseId, user, signData, context) {
+    const lease = await this.getAccessibleLease(leaseId, user);
+
+    if (lease.tenantId !== user.id && lease.landlordId !== user.id) {
+      throw new Error(
+        'Access denied: Only the tenant or landlord can sign this agreement'
+      );
+    }
+
+    const agreement = lease.rentalAgreement;
+
+    if (
+      signData.documentHash &&
+      signData.documentHash.toLowerCase() !== agreement.documentHash
+    ) {
+      throw new Error(
+        'Document hash does not match the current agreement, please review the latest version'
+      );
+    }
+
+    const role = lease.landlordId === user.id ? 'LANDLORD' : 'TENANT';
+    const signer = role === 'LANDLORD' ? lease.landlord : lease.tenant;
+
+    if (agreement.signatures.some(signature => signature.role === role)) {
+      throw new Error('You have already signed this agreement');
+    }
+
+    let status;
+
+    try {
+      status = await prisma.$transaction(async tx => {
+        await agreementsRepository.createSignature(
+          {
+            agreementId: agreement.id,
+            signerId: user.id,
+            role,
+            signerName:
+              signer.name || `${signer.firstName} ${signer.lastName}`.trim(),
+            signerEmail: signer.email,
+            ipAddress: context.ipAddress || null,
+            userAgent: context.userAgent || null,
+            documentHash: agreement.documentHash,
+          },
+          tx
+        );
+
+        const signatureCount = await agreementsRepository.countSignatures(
+          agreement.id,
+          tx
+        );
+        const nextStatus =
+          signatureCount >= REQUIRED_SIGNATURES
+            ? 'FULLY_EXECUTED'
+            : 'PARTIALLY_SIGNED';
+
+        const updated = await agreementsRepository.updateIfDocument(
+          agreement.id,
+          agreement.documentHash,
+          {
+            status: nextStatus,
+            executedAt: nextStatus === 'FULLY_EXECUTED' ? new Date() : null,
+          },
+          tx
+        );
+
+        if (!updated) {
+          throw new Error('Rental agreement was changed by another request');
+        }
+
+        return nextStatus;
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw new Error('You have already signed this agreement');
+      }
+      throw error;
+    }
+
+    // The executed PDF is generated by the worker
+    const executedPDF =
+      status === 'FULLY_EXECUTED'
+        ? await jobsService.queuePDF(
+            'agreement.execute',
+            { leaseId },
+            { createdById: user.id }
+          )
+        : null;
+
+    return {
+      ...(await this.getAgreement(leaseId, user)),
+      executedPDF,
+    };
+  }
+
+  /**
+   * Mask a person's name for public display, e.g. "John Doe" -> "J*** D***"
+   * @param {string} name
+   * @returns {string}
+   */
+  maskName(name) {
+    return (name || '')
+      .trim()
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(part => `${part.charAt(0).toUpperCase()}***`)
+      .join(' ');
+  }
+
+  /**
+   * Public verification details of a rental agreement
+   * @param {string} agreementId
+   * @returns {Promise<Object>}
+   */
+  async verifyAgreement(agreementId) {
+    const agreement = await agreementsRepository.findById(agreementId);
+
+    if (!agreement || !agreement.documentHash) {
+      throw new Error('Rental agreement not found');
+    }
+
+    const partyName = party =>
+      this.maskName(party.name || `${party.firstName} ${party.lastName}`);
+
+    return {
+      id: agreement.id,
+      status: agreement.status,
+      hashAlgorithm: 'SHA-256',
+      documentHash: agreement.documentHash,
+      executedHash: agreement.executedHash,
+      generatedAt: agreement.generatedAt,
+      executedAt: agreement.executedAt,
+      parties: {
+        landlord: partyName(agreement.lease.landlord),
+        tenant: partyName(agreement.lease.tenant),
+      },
+      signatures: agreement.signatures.map(signature => ({
+        role: signature.role,
+        signerName: this.maskName(signature.signerName),
+        signedAt: signature.signedAt,
+      })),
+    };
+  }
+
+  /**
+   * Check an uploaded PDF against the stored hashes of a rental agreement.
+   * Both the document the parties signed and the executed PDF are accepted.
+   * @param {string} agreementId
+   * @param {Object} file - Uploaded PDF (multer memory file)
+   * @returns {Promise<Object>} Verification details with match result
+   */
+  async verifyAgreementFile(agreementId, file) {
+    if (!file) {
+      throw new Error('PDF file is required');
+    }
+
+    if (file.mimetype !== 'application/pdf') {
+      throw new Error('Uploaded file must be a PDF');
+    }
+
+    const agreement = await this.verifyAgreement(agreementId);
+    const uploadedHash = crypto
+      .createHash('sha256')
+      .update(file.buffer)
+      .digest('hex');
+
+    let matchedDocument = null;
+
+    if (uploadedHash === agreement.documentHash) {
+      matchedDocument = 'SIGNED_DOCUMENT';
+    } else if (uploadedHash === agreement.executedHash) {
+      matchedDocument = 'EXECUTED_DOCUMENT';
+    }
+
+    return {
+      ...agreement,
+      uploadedHash,
+      matches: matchedDocument !== null,
+      matchedDocument,
+    };
+  }
+}
+
+module.exports = new AgreementsService();
@@ -0,0 +1,13 @@
+const agreementsRoutes = require('./agreements.routes');
+const verificationRoutes = require('./verification.routes');
+const agreementsController = require('./agreements.controller');
+const agreementsService = require('./agreements.service');
+const agreementsRepository = require('./agreements.repository');
+
+module.exports = {
+  routes: agreementsRoutes,
+  verificationRoutes,
+  controller: agreementsController,
+  service: agreementsService,
+  repository: agreementsRepository,
+};
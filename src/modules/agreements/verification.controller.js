@@ -0,0 +1,93 @@
+const agreementsService = require('./agreements.service');
+const { validationResult } = require('express-validator');
+
+class VerificationController {
+  /**
+   * Map service errors to HTTP responses
+   */
+  handleError(res, error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (
+      error.message.includes('is required') ||
+      error.message.includes('must be a PDF')
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+
+  /**
+   * Public verification details of a rental agreement
+   */
+  async verifyAgreement(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const agreement = await agreementsService.verifyAgreement(req.params.id);
+
+      res.json({
+        success: true,
+        data: { agreement },
+      });
+    } catch (error) {
+      console.error('Verify agreement error:', error);
+      verificationController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Check an uploaded PDF against the stored agreement hash
+   */
+  async verifyAgreementFile(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const verification = await agreementsService.verifyAgreementFile(
+        req.params.id,
+        req.file
+      );
+
+      res.json({
+        success: true,
+        message: verification.matches
+          ? 'The uploaded PDF matches this rental agreement'
+          : 'The uploaded PDF does not match this rental agreement',
+        data: { verification },
+      });
+    } catch (error) {
+      console.error('Verify agreement file error:', error);
+      verificationController.handleError(res, error);
+    }
+  }
+}
+
+const verificationController = new VerificationController();
+
+module.exports = verificationController;
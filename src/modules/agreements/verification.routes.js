@@ -0,0 +1,168 @@
+const express = require('express');
+const { param } = require('express-validator');
+const { uploadSingle, handleUploadError } = require('../../middleware/upload');
+const verificationController = require('./verification.controller');
+
+// Mounted at /api/agreements. Public: no authentication required.
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AgreementVerification:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [PENDING_SIGNATURES, PARTIALLY_SIGNED, FULLY_EXECUTED]
+ *         hashAlgorithm:
+ *           type: string
+ *           example: SHA-256
+ *         documentHash:
+ *           type: string
+ *           description: Hash of the agreement PDF the parties sign
+ *         executedHash:
+ *           type: string
+ *           nullable: true
+ *           description: Hash of the executed PDF with the signature certificate
+ *         generatedAt:
+ *           type: string
+ *           format: date-time
+ *         executedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         parties:
+ *           type: object
+ *           properties:
+ *             landlord:
+ *               type: string
+ *               example: J*** D***
+ *             tenant:
+ *               type: string
+ *               example: A*** S***
+ *         signatures:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [LANDLORD, TENANT]
+ *               signerName:
+ *                 type: string
+ *               signedAt:
+ *                 type: string
+ *                 format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/agreements/verify/{id}:
+ *   get:
+ *     summary: Verify a rental agreement (public)
+ *     description: Target of the verification QR code printed on every page of the agreement PDF. Returns the stored SHA-256 hash, the signing status and the masked names of the parties.
+ *     tags: [Bookings]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Rental agreement ID
+ *     responses:
+ *       200:
+ *         description: Agreement verification details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     agreement:
+ *                       $ref: '#/components/schemas/AgreementVerification'
+ *       400:
+ *         description: Invalid agreement ID
+ *       404:
+ *         description: Rental agreement not found
+ *   post:
+ *     summary: Check a PDF against a rental agreement (public)
+ *     description: Hashes the uploaded PDF and reports whether it matches the stored hash of the signed agreement or of its executed copy.
+ *     tags: [Bookings]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Rental agreement ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Verification result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     verification:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/AgreementVerification'
+ *                         - type: object
+ *                           properties:
+ *                             uploadedHash:
+ *                               type: string
+ *                             matches:
+ *                               type: boolean
+ *                             matchedDocument:
+ *                               type: string
+ *                               nullable: true
+ *                               enum: [SIGNED_DOCUMENT, EXECUTED_DOCUMENT]
+ *       400:
+ *         description: Missing file, not a PDF or invalid agreement ID
+ *       404:
+ *         description: Rental agreement not found
+ */
+router.get(
+  '/verify/:id',
+  [param('id').isUUID().withMessage('Invalid agreement ID')],
+  verificationController.verifyAgreement
+);
+
+router.post(
+  '/verify/:id',
+  uploadSingle('file'),
+  [param('id').isUUID().withMessage('Invalid agreement ID')],
+  verificationController.verifyAgreementFile
+);
+
+router.use(handleUploadError);
+
+module.exports = router;
@@ -200,7 +200,7 @@ router.get('/:id', amenitiesController.getById);
 router.post(
   '/',
   auth,
-  authorize('ADMIN'),
+  authorize('catalog.manage'),
   [
     body('name')
       .notEmpty()
@@ -269,7 +269,7 @@ router.post(
 router.put(
   '/:id',
   auth,
-  authorize('ADMIN'),
+  authorize('catalog.manage'),
   [
     body('name')
       .optional()
@@ -317,6 +317,11 @@ router.put(
  *       404:
  *         description: Amenity not found
  */
-router.delete('/:id', auth, authorize('ADMIN'), amenitiesController.delete);
+router.delete(
+  '/:id',
+  auth,
+  authorize('catalog.manage'),
+  amenitiesController.delete
+);
 
 module.exports = router;
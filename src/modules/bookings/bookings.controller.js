@@ -1,5 +1,6 @@
 const bookingsService = require('./bookings.service');
 const { validationResult } = require('express-validator');
+const { hasPermission } = require('../../config/permissions');
 
 class BookingsController {
   /**
@@ -23,7 +24,10 @@ class BookingsController {
 
       res.status(201).json({
         success: true,
-        message: 'Booking created successfully',
+        message:
+          booking.status === 'PENDING'
+            ? 'Booking request sent to the owner for approval'
+            : 'Booking created successfully',
         data: { booking },
       });
     } catch (error) {
@@ -84,6 +88,41 @@ class BookingsController {
     }
   }
 
+  /**
+   * Get all bookings (booking.view_all permission)
+   */
+  async getAllBookings(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+
+      const result = await bookingsService.getAllBookings(page, limit, {
+        status: req.query.status,
+        propertyId: req.query.propertyId,
+      });
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error('Get all bookings error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
   /**
    * Get owner's bookings (as landlord)
    */
@@ -121,7 +160,8 @@ class BookingsController {
       const bookingId = req.params.id;
       const booking = await bookingsService.getBookingById(
         bookingId,
-        req.user.id
+        req.user.id,
+        hasPermission(req.user.role, 'booking.view_all')
       );
 
       res.json({
@@ -152,6 +192,84 @@ class BookingsController {
     }
   }
 
+  /**
+   * Get status history of a booking
+   */
+  async getBookingHistory(req, res) {
+    try {
+      const history = await bookingsService.getBookingHistory(
+        req.params.id,
+        req.user.id,
+        hasPermission(req.user.role, 'booking.view_all')
+      );
+
+      res.json({
+        success: true,
+        data: { history },
+      });
+    } catch (error) {
+      console.error('Get booking history error:', error);
+
+      if (error.message === 'Booking not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Get computed lease terms of a booking
+   */
+  async getLeaseTerms(req, res) {
+    try {
+      const terms = await bookingsService.getLeaseTerms(
+        req.params.id,
+        req.user.id,
+        hasPermission(req.user.role, 'booking.view_all')
+      );
+
+      res.json({
+        success: true,
+        data: { terms },
+      });
+    } catch (error) {
+      console.error('Get lease terms error:', error);
+
+      if (error.message === 'Booking not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
   /**
    * Approve booking (owner only)
    */
@@ -191,7 +309,12 @@ class BookingsController {
         });
       }
 
-      if (error.message.includes('no longer available')) {
+      if (
+        error.message.includes('no longer available') ||
+        error.message.includes('has expired') ||
+        error.message.includes('Invalid booking status transition') ||
+        error.message.includes('changed by another request')
+      ) {
         return res.status(409).json({
           success: false,
           message: error.message,
@@ -251,6 +374,16 @@ class BookingsController {
         });
       }
 
+      if (
+        error.message.includes('Invalid booking status transition') ||
+        error.message.includes('changed by another request')
+      ) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
       if (error.message.includes('required')) {
         return res.status(400).json({
           success: false,
@@ -265,6 +398,92 @@ class BookingsController {
     }
   }
 
+  /**
+   * Map cancellation errors to HTTP responses
+   */
+  handleCancellationError(res, error) {
+    if (error.message === 'Booking not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes('Access denied')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (
+      error.message.includes('Cannot cancel') ||
+      error.message.includes('Invalid booking status transition') ||
+      error.message.includes('changed by another request')
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+
+  /**
+   * Preview refund for cancelling a booking (tenant only)
+   */
+  async getCancellationQuote(req, res) {
+    try {
+      const quote = await bookingsService.getCancellationQuote(
+        req.params.id,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        data: { quote },
+      });
+    } catch (error) {
+      console.error('Get cancellation quote error:', error);
+      bookingsController.handleCancellationError(res, error);
+    }
+  }
+
+  /**
+   * Cancel booking (tenant only)
+   */
+  async cancelBooking(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const result = await bookingsService.cancelBooking(
+        req.params.id,
+        req.user.id,
+        req.body.reason
+      );
+
+      res.json({
+        success: true,
+        message: 'Booking cancelled successfully',
+        data: result,
+      });
+    } catch (error) {
+      console.error('Cancel booking error:', error);
+      bookingsController.handleCancellationError(res, error);
+    }
+  }
+
   /**
    * Get property booked periods (for calendar view)
    */
@@ -309,7 +528,8 @@ class BookingsController {
         req.user.id
       );
 
-      res.json(result);
+      // 202 while the PDF is still being generated by the worker
+      res.status(result.data.job ? 202 : 200).json(result);
     } catch (error) {
       console.error('Get rental agreement PDF error:', error);
 
@@ -349,6 +569,19 @@ class BookingsController {
         req.user.id
       );
 
+      if (result.pending) {
+        return res.status(202).json({
+          success: true,
+          message: 'Rental agreement PDF is being generated',
+          data: {
+            job: {
+              id: result.jobId,
+              status: result.status,
+            },
+          },
+        });
+      }
+
       if (result.isLocal) {
         // For local files, send the file directly
         const path = require('path');
@@ -406,4 +639,6 @@ class BookingsController {
   }
 }
 
-module.exports = new BookingsController();
+const bookingsController = new BookingsController();
+
+module.exports = bookingsController;
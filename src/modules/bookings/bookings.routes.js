@@ -1,7 +1,12 @@
 const express = require('express');
-const { body } = require('express-validator');
-const { auth, authorize } = require('../../middleware/auth');
+const { body, query } = require('express-validator');
+const {
+  auth,
+  authorize,
+  requireVerifiedEmail,
+} = require('../../middleware/auth');
 const bookingsController = require('./bookings.controller');
+const { AGREEMENT_LANGUAGES } = require('../../utils/i18n');
 
 const router = express.Router();
 
@@ -40,10 +45,22 @@ const router = express.Router();
  *           type: number
  *           format: decimal
  *           description: Security deposit amount
+ *         noticePeriodDays:
+ *           type: integer
+ *           description: Days of notice required to terminate the booking early
+ *         agreementLanguage:
+ *           type: string
+ *           enum: [en, ms, bilingual]
+ *           nullable: true
+ *           description: Language of the rental agreement; null follows the preferred languages of the tenant and landlord
  *         status:
  *           type: string
- *           enum: [PENDING, APPROVED, REJECTED, ACTIVE, COMPLETED]
+ *           enum: [PENDING, APPROVED, REJECTED, ACTIVE, COMPLETED, CANCELLED, EXPIRED]
  *           description: Booking status
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: Deadline for the owner to answer a booking request (request-to-book properties only)
  *         notes:
  *           type: string
  *           description: Booking notes/comments
@@ -60,6 +77,7 @@ const router = express.Router();
  * /api/bookings:
  *   post:
  *     summary: Create a new booking
+ *     description: On instant-booking properties the booking is approved immediately, invoices are issued and the rental agreement PDF is queued for generation (rentalAgreementPDF.jobId, see GET /api/jobs/{id}). On request-to-book properties it stays PENDING until the owner approves or rejects it, and expires if the owner does not answer in time.
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -95,6 +113,16 @@ const router = express.Router();
  *                 type: number
  *                 minimum: 0
  *                 description: Security deposit (optional)
+ *               noticePeriodDays:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 365
+ *                 default: 30
+ *                 description: Days of notice required to terminate the booking early
+ *               agreementLanguage:
+ *                 type: string
+ *                 enum: [en, ms, bilingual]
+ *                 description: Language of the rental agreement. Defaults to the parties' preferred language, or a bilingual English/Malay document when their preferences differ.
  *               notes:
  *                 type: string
  *                 description: Booking notes/comments
@@ -105,13 +133,16 @@ const router = express.Router();
  *         description: Bad request or validation error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Email not verified (when REQUIRE_VERIFIED_EMAIL=true)
  *       404:
  *         description: Property not found
  */
 router.post(
   '/',
   auth,
-  authorize('USER', 'ADMIN'),
+  authorize('booking.create'),
+  requireVerifiedEmail,
   [
     body('propertyId').isUUID().withMessage('Valid property ID is required'),
     body('startDate').isISO8601().withMessage('Valid start date is required'),
@@ -123,6 +154,16 @@ router.post(
       .optional()
       .isFloat({ min: 0 })
       .withMessage('Security deposit must be positive'),
+    body('noticePeriodDays')
+      .optional()
+      .isInt({ min: 0, max: 365 })
+      .withMessage('Notice period must be between 0 and 365 days'),
+    body('agreementLanguage')
+      .optional()
+      .isIn(AGREEMENT_LANGUAGES)
+      .withMessage(
+        `Agreement language must be one of: ${AGREEMENT_LANGUAGES.join(', ')}`
+      ),
     body('notes')
       .optional()
       .trim()
@@ -132,6 +173,71 @@ router.post(
   bookingsController.createBooking
 );
 
+/**
+ * @swagger
+ * /api/bookings:
+ *   get:
+ *     summary: Get all bookings (booking.view_all permission)
+ *     description: For agents and admins. Newest first.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, APPROVED, REJECTED, ACTIVE, COMPLETED, CANCELLED, EXPIRED]
+ *       - in: query
+ *         name: propertyId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Items per page
+ *     responses:
+ *       200:
+ *         description: Bookings retrieved successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing the booking.view_all permission
+ */
+router.get(
+  '/',
+  auth,
+  authorize('booking.view_all'),
+  [
+    query('status')
+      .optional()
+      .isIn([
+        'PENDING',
+        'APPROVED',
+        'REJECTED',
+        'ACTIVE',
+        'COMPLETED',
+        'CANCELLED',
+        'EXPIRED',
+      ]),
+    query('propertyId').optional().isString(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+  ],
+  bookingsController.getAllBookings
+);
+
 /**
  * @swagger
  * /api/bookings/my-bookings:
@@ -188,7 +294,7 @@ router.get('/my-bookings', auth, bookingsController.getUserBookings);
  *         name: status
  *         schema:
  *           type: string
- *           enum: [PENDING, APPROVED, REJECTED, ACTIVE, COMPLETED]
+ *           enum: [PENDING, APPROVED, REJECTED, ACTIVE, COMPLETED, CANCELLED, EXPIRED]
  *         description: Filter by booking status
  *     responses:
  *       200:
@@ -259,11 +365,174 @@ router.get(
  */
 router.get('/:id', auth, bookingsController.getBookingById);
 
+/**
+ * @swagger
+ * /api/bookings/{id}/history:
+ *   get:
+ *     summary: Get the status history of a booking
+ *     description: Every status change with who triggered it (null for automatic changes by the scheduler) and when.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Status history retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Booking not found
+ */
+router.get('/:id/history', auth, bookingsController.getBookingHistory);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RentPeriod:
+ *       type: object
+ *       properties:
+ *         periodStart:
+ *           type: string
+ *           format: date
+ *         periodEnd:
+ *           type: string
+ *           format: date
+ *         billedDays:
+ *           type: integer
+ *         monthDays:
+ *           type: integer
+ *         prorated:
+ *           type: boolean
+ *         amount:
+ *           type: number
+ *     LeaseTerms:
+ *       type: object
+ *       properties:
+ *         leaseId:
+ *           type: string
+ *         currencyCode:
+ *           type: string
+ *         term:
+ *           type: object
+ *           properties:
+ *             startDate:
+ *               type: string
+ *               format: date
+ *             endDate:
+ *               type: string
+ *               format: date
+ *             months:
+ *               type: integer
+ *               description: Whole months in the term
+ *             days:
+ *               type: integer
+ *               description: Days after the whole months
+ *             totalDays:
+ *               type: integer
+ *             description:
+ *               type: string
+ *               example: 6 month(s) and 21 day(s)
+ *         rent:
+ *           type: object
+ *           properties:
+ *             monthlyRent:
+ *               type: number
+ *               description: Rent agreed at booking
+ *             rentChanges:
+ *               type: array
+ *               description: Later rents, e.g. agreed for an extension, each applying from its start date
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   startDate:
+ *                     type: string
+ *                     format: date
+ *                   monthlyRent:
+ *                     type: number
+ *             billingPeriods:
+ *               type: integer
+ *             fullMonths:
+ *               type: integer
+ *             firstPeriod:
+ *               $ref: '#/components/schemas/RentPeriod'
+ *             lastPeriod:
+ *               $ref: '#/components/schemas/RentPeriod'
+ *             totalRent:
+ *               type: number
+ *             schedule:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/RentPeriod'
+ *         deposit:
+ *           type: object
+ *           properties:
+ *             required:
+ *               type: boolean
+ *             amount:
+ *               type: number
+ *         notice:
+ *           type: object
+ *           properties:
+ *             noticePeriodDays:
+ *               type: integer
+ *         totalContractValue:
+ *           type: number
+ *           description: Rent payable over the whole term (the refundable deposit is not included)
+ */
+
+/**
+ * @swagger
+ * /api/bookings/{id}/terms:
+ *   get:
+ *     summary: Get the computed terms of a booking
+ *     description: Term length, monthly rent schedule with prorated first and last month, deposit, notice period and total contract value. The rental agreement PDF states the same figures.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Lease terms
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     terms:
+ *                       $ref: '#/components/schemas/LeaseTerms'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Booking not found
+ */
+router.get('/:id/terms', auth, bookingsController.getLeaseTerms);
+
 /**
  * @swagger
  * /api/bookings/{id}/approve:
  *   post:
  *     summary: Approve booking (owner only)
+ *     description: Approves a PENDING booking request, issues its invoices and queues the rental agreement PDF (rentalAgreementPDF.jobId, see GET /api/jobs/{id}).
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -293,7 +562,7 @@ router.get('/:id', auth, bookingsController.getBookingById);
  *       404:
  *         description: Booking not found
  *       409:
- *         description: Property no longer available for this period
+ *         description: Property no longer available for this period or request expired
  */
 router.post('/:id/approve', auth, bookingsController.approveBooking);
 
@@ -338,6 +607,148 @@ router.post('/:id/approve', auth, bookingsController.approveBooking);
  */
 router.post('/:id/reject', auth, bookingsController.rejectBooking);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CancellationRefund:
+ *       type: object
+ *       properties:
+ *         policy:
+ *           type: string
+ *           enum: [FLEXIBLE, MODERATE, STRICT]
+ *         daysBeforeStart:
+ *           type: integer
+ *         rentRefundPercentage:
+ *           type: integer
+ *           description: Share of paid rent refunded (deposits are always refunded in full)
+ *         currencyCode:
+ *           type: string
+ *         totalPaid:
+ *           type: number
+ *         totalRefund:
+ *           type: number
+ *         totalRetained:
+ *           type: number
+ *         invoices:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               invoiceId:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *               paid:
+ *                 type: number
+ *               refund:
+ *                 type: number
+ *               retained:
+ *                 type: number
+ *               previousStatus:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 description: Invoice status after cancellation (VOID, REFUNDED or PAID)
+ */
+
+/**
+ * @swagger
+ * /api/bookings/{id}/cancellation-quote:
+ *   get:
+ *     summary: Preview the refund for cancelling a booking (tenant only)
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Refund breakdown if the booking were cancelled now
+ *       403:
+ *         description: Only the tenant can cancel the booking
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Booking can no longer be cancelled
+ */
+router.get(
+  '/:id/cancellation-quote',
+  auth,
+  bookingsController.getCancellationQuote
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/cancel:
+ *   post:
+ *     summary: Cancel a booking (tenant only)
+ *     description: Cancels a PENDING or APPROVED booking before its start date. Paid rent is refunded according to the property's cancellation policy (FLEXIBLE, MODERATE or STRICT), paid deposits are refunded in full, unpaid invoices are voided and the dates become available again.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Optional cancellation reason
+ *     responses:
+ *       200:
+ *         description: Booking cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     booking:
+ *                       $ref: '#/components/schemas/Booking'
+ *                     cancellation:
+ *                       $ref: '#/components/schemas/CancellationRefund'
+ *       403:
+ *         description: Only the tenant can cancel the booking
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Booking can no longer be cancelled
+ */
+router.post(
+  '/:id/cancel',
+  auth,
+  [
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters'),
+  ],
+  bookingsController.cancelBooking
+);
+
 /**
  * @swagger
  * /api/bookings/{id}/rental-agreement:
@@ -395,6 +806,8 @@ router.post('/:id/reject', auth, bookingsController.rejectBooking);
  *                         generatedAt:
  *                           type: string
  *                           format: date-time
+ *       202:
+ *         description: The PDF does not exist yet and is being generated by the worker; data.pdf is null and data.job holds the job (poll this endpoint or GET /api/jobs/{id})
  *       400:
  *         description: Rental agreement only available for approved bookings
  *       401:
@@ -432,6 +845,8 @@ router.get(
  *             schema:
  *               type: string
  *               format: binary
+ *       202:
+ *         description: The PDF does not exist yet and is being generated by the worker; data.job holds the job
  *       401:
  *         description: Unauthorized
  *       404:
@@ -1,5 +1,58 @@
 const { prisma } = require('../../config/database');
 const pdfGenerationService = require('../../services/pdfGeneration.service');
+const invoicesService = require('../invoices/invoices.service');
+const depositsService = require('../deposits/deposits.service');
+const leaseLifecycleService = require('../../services/leaseLifecycle.service');
+const jobsService = require('../jobs/jobs.service');
+const notificationsService = require('../notifications/notifications.service');
+const emailService = require('../../services/email.service');
+const realtimeService = require('../../services/realtime.service');
+const {
+  daysBeforeStart,
+  getRentRefund,
+  describePolicy,
+} = require('../../utils/cancellationPolicy');
+const { computeLeaseTerms } = require('../../utils/leaseTerms');
+
+// Relations returned with a booking after create/approve
+const bookingInclude = {
+  property: {
+    select: {
+      id: true,
+      title: true,
+      address: true,
+      city: true,
+      images: true,
+    },
+  },
+  tenant: {
+    select: {
+      id: true,
+      email: true,
+      firstName: true,
+      lastName: true,
+      name: true,
+    },
+  },
+  landlord: {
+    select: {
+      id: true,
+      email: true,
+      firstName: true,
+      lastName: true,
+      name: true,
+    },
+  },
+};
+
+// User fields needed to email a party of the booking
+const emailRecipientSelect = {
+  email: true,
+  name: true,
+  firstName: true,
+  lastName: true,
+  preferredLanguage: true,
+};
 
 class BookingsService {
   /**
@@ -8,17 +61,19 @@ class BookingsService {
    * @param {Date} startDate
    * @param {Date} endDate
    * @param {string} excludeLeaseId - Optional: exclude specific lease from check
+   * @param {Object} client - Prisma client or transaction client
    * @returns {Promise<boolean>}
    */
   async isPropertyAvailableForPeriod(
     propertyId,
     startDate,
     endDate,
-    excludeLeaseId = null
+    excludeLeaseId = null,
+    client = prisma
   ) {
     const where = {
       propertyId,
-      status: { in: ['APPROVED', 'ACTIVE'] },
+      status: { in: leaseLifecycleService.getOccupyingStatuses() },
       OR: [
         // Check for date overlaps
         {
@@ -35,7 +90,7 @@ class BookingsService {
       where.id = { not: excludeLeaseId };
     }
 
-    const overlappingLeases = await prisma.lease.findMany({ where });
+    const overlappingLeases = await client.lease.findMany({ where });
 
     return overlappingLeases.length === 0;
   }
@@ -53,6 +108,8 @@ class BookingsService {
       endDate,
       rentAmount,
       securityDeposit,
+      noticePeriodDays,
+      agreementLanguage,
       notes,
     } = bookingData;
 
@@ -110,104 +167,190 @@ class BookingsService {
       throw new Error(`Property is already booked for the selected period`);
     }
 
-    // ===========================================
-    // 🆕 AUTO-APPROVE FLOW (New Implementation)
-    // ===========================================
-    // Create booking with APPROVED status (auto-approve)
-    const booking = await prisma.lease.create({
-      data: {
-        propertyId,
-        tenantId: userId,
-        landlordId: property.ownerId,
-        startDate: bookingStartDate,
-        endDate: bookingEndDate,
-        rentAmount: parseFloat(rentAmount),
-        securityDeposit: securityDeposit ? parseFloat(securityDeposit) : null,
-        status: 'APPROVED', // 🆕 Auto-approve immediately
-        notes: notes || null,
-      },
-      include: {
-        property: {
-          select: {
-            id: true,
-            title: true,
-            address: true,
-            city: true,
-            images: true,
-          },
-        },
-        tenant: {
-          select: {
-            id: true,
-            email: true,
-            firstName: true,
-            lastName: true,
-            name: true,
-          },
-        },
-        landlord: {
-          select: {
-            id: true,
-            email: true,
-            firstName: true,
-            lastName: true,
-            name: true,
-          },
+    // Instant booking: approved right away with its deposit + monthly rent
+    // invoices. Request-to-book: stays PENDING until the owner answers.
+    const requiresApproval = property.bookingMode === 'REQUEST';
+
+    const booking = await prisma.$transaction(async tx => {
+      await this.lockPropertyCalendar(propertyId, tx);
+
+      // Re-check inside the lock so two instant bookings cannot overlap
+      if (
+        !requiresApproval &&
+        !(await this.isPropertyAvailableForPeriod(
+          propertyId,
+          bookingStartDate,
+          bookingEndDate,
+          null,
+          tx
+        ))
+      ) {
+        throw new Error(`Property is already booked for the selected period`);
+      }
+
+      const lease = await tx.lease.create({
+        data: {
+          propertyId,
+          tenantId: userId,
+          landlordId: property.ownerId,
+          startDate: bookingStartDate,
+          endDate: bookingEndDate,
+          rentAmount: parseFloat(rentAmount),
+          securityDeposit: securityDeposit ? parseFloat(securityDeposit) : null,
+          noticePeriodDays:
+            noticePeriodDays !== undefined ? parseInt(noticePeriodDays) : 30,
+          agreementLanguage: agreementLanguage || null,
+          status: 'PENDING',
+          notes: notes || null,
+          expiresAt: requiresApproval
+            ? this.getRequestExpiry(property, bookingStartDate)
+            : null,
         },
-      },
-    });
+        include: bookingInclude,
+      });
+      await leaseLifecycleService.recordCreation(lease, userId, tx);
 
-    // 🆕 AUTO-GENERATE PDF immediately after booking creation
-    try {
-      console.log(
-        `📄 Auto-generating rental agreement PDF for booking: ${booking.id}`
-      );
-      const pdfResult =
-        await pdfGenerationService.generateAndUploadRentalAgreementPDF(
-          booking.id
-        );
+      if (requiresApproval) {
+        return lease;
+      }
 
-      console.log('✅ Rental agreement PDF auto-generated successfully');
-      console.log('📍 PDF URL:', pdfResult.data.cloudinary.url);
+      return await this.approveLease(lease.id, {
+        reason: 'Instant booking',
+        client: tx,
+      });
+    });
 
-      // Add PDF info to response
-      booking.rentalAgreementPDF = {
-        url: pdfResult.data.cloudinary.url,
-        fileName: pdfResult.data.cloudinary.fileName,
-        generated: true,
-      };
-    } catch (pdfError) {
-      console.error(
-        '❌ Error auto-generating rental agreement PDF:',
-        pdfError.message
-      );
-      // Don't fail the booking if PDF generation fails
-      booking.rentalAgreementPDF = {
-        url: null,
-        error: pdfError.message,
-        generated: false,
-      };
+    if (booking.status === 'APPROVED') {
+      await this.queueRentalAgreementPDF(booking, userId);
     }
 
+    this.publishBookingEvent('booking.created', booking);
+
+    const tenant = booking.tenant;
+    await notificationsService.notify(booking.landlordId, 'BOOKING_CREATED', {
+      ...this.getNotificationData(booking),
+      tenantName:
+        tenant.name || `${tenant.firstName} ${tenant.lastName}`.trim(),
+      requiresApproval,
+    });
+
     return booking;
+  }
 
-    // ===========================================
-    // 🔒 OLD MANUAL APPROVAL FLOW (Commented for future implementation)
-    // ===========================================
-    /*
-    // Create booking with PENDING status (requires manual approval)
-    const booking = await prisma.lease.create({
-      data: {
-        propertyId,
-        tenantId: userId,
-        landlordId: property.ownerId,
-        startDate: bookingStartDate,
-        endDate: bookingEndDate,
-        rentAmount: parseFloat(rentAmount),
-        securityDeposit: securityDeposit ? parseFloat(securityDeposit) : null,
-        status: 'PENDING', // Manual approval required
-        notes: notes || null,
-      },
+  /**
+   * Push a booking change to the tenant's and landlord's event streams
+   * @param {string} event - e.g. booking.created
+   * @param {Object} booking - Booking with property
+   */
+  publishBookingEvent(event, booking) {
+    realtimeService.publish([booking.tenantId, booking.landlordId], event, {
+      ...this.getNotificationData(booking),
+      status: booking.status,
+    });
+  }
+
+  /**
+   * Booking details stored with its notifications
+   * @param {Object} booking - Booking with property
+   * @returns {Object}
+   */
+  getNotificationData(booking) {
+    return {
+      bookingId: booking.id,
+      propertyId: booking.propertyId,
+      propertyTitle: booking.property.title,
+      startDate: booking.startDate,
+      endDate: booking.endDate,
+    };
+  }
+
+  /**
+   * Deadline for the owner to answer a booking request
+   * @param {Object} property - Property with requestExpiryHours
+   * @param {Date} startDate - Lease start (a request never outlives it)
+   * @returns {Date}
+   */
+  getRequestExpiry(property, startDate) {
+    const hours =
+      property.requestExpiryHours ||
+      parseInt(process.env.BOOKING_REQUEST_EXPIRY_HOURS) ||
+      48;
+    const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+
+    return expiresAt < startDate ? expiresAt : startDate;
+  }
+
+  /**
+   * Serialize approvals of the same property (row lock until commit)
+   * @param {string} propertyId
+   * @param {Object} tx - Transaction client
+   */
+  async lockPropertyCalendar(propertyId, tx) {
+    await tx.$queryRaw`SELECT id FROM properties WHERE id = ${propertyId} FOR UPDATE`;
+  }
+
+  /**
+   * Approve a PENDING lease and issue its invoices
+   * @param {string} leaseId
+   * @param {Object} options - actorId, reason, data, client (transaction),
+   *   includeDeposit (false when the deposit is carried over from a renewal)
+   * @returns {Promise<Object>} Approved lease with invoices
+   */
+  async approveLease(leaseId, options) {
+    const {
+      actorId = null,
+      reason,
+      data = {},
+      client,
+      includeDeposit = true,
+    } = options;
+
+    const lease = await leaseLifecycleService.transition(leaseId, 'APPROVED', {
+      actorId,
+      reason,
+      data: { ...data, expiresAt: null },
+      include: bookingInclude,
+      client,
+    });
+
+    lease.invoices = await invoicesService.issueLeaseInvoices(lease, client, {
+      includeDeposit,
+    });
+
+    return lease;
+  }
+
+  /**
+   * Queue the rental agreement PDF of an approved booking and attach the job
+   * to it. The PDF is generated by the worker; clients poll
+   * GET /api/jobs/:jobId. Both parties are emailed the PDF with the booking
+   * confirmation once it exists, unless sendConfirmation is false.
+   * @param {Object} booking - Approved booking
+   * @param {string} actorId - User whose request approved the booking
+   * @param {Object} options - sendConfirmation (default true)
+   * @returns {Promise<Object>} Same booking with rentalAgreementPDF
+   */
+  async queueRentalAgreementPDF(booking, actorId = null, options = {}) {
+    const { sendConfirmation = true } = options;
+
+    booking.rentalAgreementPDF = await jobsService.queuePDF(
+      'agreement.generate',
+      { leaseId: booking.id, sendConfirmation },
+      { createdById: actorId }
+    );
+
+    return booking;
+  }
+
+  /**
+   * Email the booking confirmation, with the rental agreement attached, to
+   * the tenant and the landlord (each in their own language)
+   * @param {string} leaseId
+   * @param {Object} agreement - Generated agreement PDF { url, fileName }
+   */
+  async queueBookingConfirmation(leaseId, agreement) {
+    const booking = await prisma.lease.findUnique({
+      where: { id: leaseId },
       include: {
         property: {
           select: {
@@ -215,32 +358,42 @@ class BookingsService {
             title: true,
             address: true,
             city: true,
-            images: true,
-          },
-        },
-        tenant: {
-          select: {
-            id: true,
-            email: true,
-            firstName: true,
-            lastName: true,
-            name: true,
-          },
-        },
-        landlord: {
-          select: {
-            id: true,
-            email: true,
-            firstName: true,
-            lastName: true,
-            name: true,
+            currencyCode: true,
           },
         },
+        tenant: { select: emailRecipientSelect },
+        landlord: { select: emailRecipientSelect },
       },
     });
-
-    return booking;
-    */
+    const attachments = [
+      {
+        filename: agreement.fileName,
+        url: agreement.url,
+        contentType: 'application/pdf',
+      },
+    ];
+
+    for (const [role, user, otherParty] of [
+      ['tenant', booking.tenant, booking.landlord],
+      ['landlord', booking.landlord, booking.tenant],
+    ]) {
+      await emailService.queue(
+        'booking-confirmed',
+        user,
+        {
+          role,
+          bookingId: booking.id,
+          propertyTitle: booking.property.title,
+          propertyAddress: `${booking.property.address}, ${booking.property.city}`,
+          startDate: booking.startDate,
+          endDate: booking.endDate,
+          rentAmount: booking.rentAmount,
+          currencyCode: booking.property.currencyCode,
+          otherPartyName: emailService.getRecipient(otherParty).name,
+        },
+        { attachments }
+      );
+    }
   }
 
   /**
@@ -363,180 +516,158 @@ class BookingsService {
   }
 
   /**
-   * 🔒 COMMENTED FOR FUTURE IMPLEMENTATION
-   * Approve booking (owner only) - NOT USED IN AUTO-APPROVE FLOW
-   * @param {string} bookingId
-   * @param {string} ownerId
-   * @param {string} notes - Optional notes
+   * Get all bookings, for staff with the booking.view_all permission
+   * @param {number} page
+   * @param {number} limit
+   * @param {Object} filters - Optional status and propertyId
    * @returns {Promise<Object>}
    */
-  async approveBooking_OLD_FLOW(bookingId, ownerId, notes = '') {
-    // Get booking details
-    const booking = await prisma.lease.findUnique({
-      where: { id: bookingId },
-      include: {
-        property: true,
-        tenant: {
-          select: {
-            id: true,
-            email: true,
-            firstName: true,
-            lastName: true,
-            name: true,
-          },
-        },
-      },
-    });
-
-    if (!booking) {
-      throw new Error('Booking not found');
-    }
-
-    // Check ownership
-    if (booking.landlordId !== ownerId) {
-      throw new Error(
-        'Access denied: You can only approve bookings for your own properties'
-      );
-    }
+  async getAllBookings(page = 1, limit = 10, filters = {}) {
+    const skip = (page - 1) * limit;
 
-    // Check if booking is in PENDING status
-    if (booking.status !== 'PENDING') {
-      throw new Error('Only PENDING bookings can be approved');
+    const where = {};
+    if (filters.status) {
+      where.status = filters.status;
     }
-
-    // Double-check availability (in case other bookings were approved in meantime)
-    const isStillAvailable = await this.isPropertyAvailableForPeriod(
-      booking.propertyId,
-      booking.startDate,
-      booking.endDate,
-      bookingId // Exclude current booking from check
-    );
-
-    if (!isStillAvailable) {
-      throw new Error(
-        'Property is no longer available for this period due to other approved bookings'
-      );
+    if (filters.propertyId) {
+      where.propertyId = filters.propertyId;
     }
 
-    // Approve the booking
-    const approvedBooking = await prisma.lease.update({
-      where: { id: bookingId },
-      data: {
-        status: 'APPROVED',
-        notes: notes
-          ? `${booking.notes || ''}\n\nOwner approval notes: ${notes}`.trim()
-          : booking.notes,
-        updatedAt: new Date(),
-      },
-      include: {
-        property: {
-          select: {
-            id: true,
-            title: true,
-            address: true,
-            city: true,
+    const [bookings, total] = await Promise.all([
+      prisma.lease.findMany({
+        where,
+        include: {
+          property: {
+            select: {
+              id: true,
+              title: true,
+              address: true,
+              city: true,
+              images: true,
+              price: true,
+              currencyCode: true,
+            },
           },
-        },
-        tenant: {
-          select: {
-            id: true,
-            email: true,
-            firstName: true,
-            lastName: true,
-            name: true,
+          tenant: {
+            select: {
+              id: true,
+              email: true,
+              firstName: true,
+              lastName: true,
+              name: true,
+            },
+          },
+          landlord: {
+            select: {
+              id: true,
+              email: true,
+              firstName: true,
+              lastName: true,
+              name: true,
+            },
           },
         },
-      },
-    });
-
-    // Generate PDF rental agreement after approval
-    try {
-      console.log(
-        `📄 Generating rental agreement PDF for approved booking: ${bookingId}`
-      );
-      const pdfResult =
-        await pdfGenerationService.generateAndUploadRentalAgreementPDF(
-          bookingId
-        );
-
-      console.log('✅ Rental agreement PDF generated successfully');
-      console.log('📍 PDF URL:', pdfResult.data.cloudinary.url);
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit,
+      }),
+      prisma.lease.count({ where }),
+    ]);
 
-      // Add PDF info to response
-      approvedBooking.rentalAgreementPDF = {
-        url: pdfResult.data.cloudinary.url,
-        fileName: pdfResult.data.cloudinary.fileName,
-        generated: true,
-      };
-    } catch (pdfError) {
-      console.error(
-        '❌ Error generating rental agreement PDF:',
-        pdfError.message
-      );
-      // Don't fail the approval if PDF generation fails
-      // Just log the error and continue
-      approvedBooking.rentalAgreementPDF = {
-        url: null,
-        error: pdfError.message,
-        generated: false,
-      };
-    }
+    const pages = Math.ceil(total / limit);
 
-    return approvedBooking;
+    return {
+      bookings,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages,
+      },
+    };
   }
 
   /**
-   * 🆕 AUTO-APPROVE FLOW - No manual approval needed
-   * This method is now disabled since bookings are auto-approved
+   * Approve a booking request (owner only)
    * @param {string} bookingId
    * @param {string} ownerId
    * @param {string} notes - Optional notes
    * @returns {Promise<Object>}
    */
   async approveBooking(bookingId, ownerId, notes = '') {
-    // Get booking details to check if it exists
-    const booking = await prisma.lease.findUnique({
-      where: { id: bookingId },
-      include: {
-        property: true,
-        tenant: {
-          select: {
-            id: true,
-            email: true,
-            firstName: true,
-            lastName: true,
-            name: true,
-          },
+    const approvedBooking = await prisma.$transaction(async tx => {
+      const booking = await tx.lease.findUnique({
+        where: { id: bookingId },
+        select: {
+          id: true,
+          propertyId: true,
+          landlordId: true,
+          status: true,
+          startDate: true,
+          endDate: true,
+          expiresAt: true,
+          notes: true,
         },
-      },
-    });
+      });
 
-    if (!booking) {
-      throw new Error('Booking not found');
-    }
+      if (!booking) {
+        throw new Error('Booking not found');
+      }
 
-    // Check ownership
-    if (booking.landlordId !== ownerId) {
-      throw new Error(
-        'Access denied: You can only manage bookings for your own properties'
+      // Check ownership
+      if (booking.landlordId !== ownerId) {
+        throw new Error(
+          'Access denied: You can only approve bookings for your own properties'
+        );
+      }
+
+      // Check if booking is in PENDING status
+      if (booking.status !== 'PENDING') {
+        throw new Error('Only PENDING bookings can be approved');
+      }
+
+      if (booking.expiresAt && booking.expiresAt <= new Date()) {
+        throw new Error('Booking request has expired');
+      }
+
+      await this.lockPropertyCalendar(booking.propertyId, tx);
+
+      // Double-check availability (in case other bookings were approved in meantime)
+      const isStillAvailable = await this.isPropertyAvailableForPeriod(
+        booking.propertyId,
+        booking.startDate,
+        booking.endDate,
+        bookingId, // Exclude current booking from check
+        tx
       );
-    }
 
-    // 🆕 Since bookings are auto-approved, this endpoint is no longer needed
-    if (booking.status === 'APPROVED') {
-      return {
-        message:
-          '✅ Booking is already approved! With the new auto-approve system, all bookings are automatically approved upon creation.',
-        booking: booking,
-        autoApproveEnabled: true,
-        needsManualApproval: false,
-      };
-    }
+      if (!isStillAvailable) {
+        throw new Error(
+          'Property is no longer available for this period due to other approved bookings'
+        );
+      }
 
-    // If somehow there's a PENDING booking (shouldn't happen with auto-approve)
-    throw new Error(
-      '🔄 Auto-approve is enabled. All new bookings are automatically approved. This booking might be from the old system. Please contact support if needed.'
+      return await this.approveLease(bookingId, {
+        actorId: ownerId,
+        reason: notes || null,
+        data: {
+          notes: notes
+            ? `${booking.notes || ''}\n\nOwner approval notes: ${notes}`.trim()
+            : booking.notes,
+        },
+        client: tx,
+      });
+    });
+
+    this.publishBookingEvent('booking.approved', approvedBooking);
+    await notificationsService.notify(
+      approvedBooking.tenantId,
+      'BOOKING_APPROVED',
+      this.getNotificationData(approvedBooking)
     );
+
+    // Generate PDF rental agreement after approval
+    return await this.queueRentalAgreementPDF(approvedBooking, ownerId);
   }
 
   /**
@@ -585,44 +716,181 @@ class BookingsService {
     }
 
     // Reject the booking
-    const rejectedBooking = await prisma.lease.update({
+    const rejectedBooking = await leaseLifecycleService.transition(
+      bookingId,
+      'REJECTED',
+      {
+        actorId: ownerId,
+        reason,
+        data: {
+          notes: `${booking.notes || ''}\n\nRejection reason: ${reason}`.trim(),
+        },
+        include: {
+          property: {
+            select: {
+              id: true,
+              title: true,
+              address: true,
+              city: true,
+            },
+          },
+          tenant: {
+            select: {
+              id: true,
+              email: true,
+              firstName: true,
+              lastName: true,
+              name: true,
+            },
+          },
+        },
+      }
+    );
+
+    this.publishBookingEvent('booking.rejected', rejectedBooking);
+    await notificationsService.notify(booking.tenantId, 'BOOKING_REJECTED', {
+      ...this.getNotificationData(rejectedBooking),
+      reason,
+    });
+
+    return rejectedBooking;
+  }
+
+  /**
+   * Load a booking the tenant is still allowed to cancel
+   * @param {string} bookingId
+   * @param {string} userId
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>}
+   */
+  async getCancellableBooking(bookingId, userId, client = prisma) {
+    const booking = await client.lease.findUnique({
       where: { id: bookingId },
-      data: {
-        status: 'REJECTED',
-        notes: `${booking.notes || ''}\n\nRejection reason: ${reason}`.trim(),
-        updatedAt: new Date(),
-      },
       include: {
         property: {
           select: {
             id: true,
             title: true,
-            address: true,
-            city: true,
-          },
-        },
-        tenant: {
-          select: {
-            id: true,
-            email: true,
-            firstName: true,
-            lastName: true,
-            name: true,
+            cancellationPolicy: true,
           },
         },
       },
     });
 
-    return rejectedBooking;
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+
+    if (booking.tenantId !== userId) {
+      throw new Error('Access denied: Only the tenant can cancel this booking');
+    }
+
+    if (!leaseLifecycleService.canTransition(booking.status, 'CANCELLED')) {
+      throw new Error(`Cannot cancel a ${booking.status} booking`);
+    }
+
+    if (daysBeforeStart(booking.startDate) <= 0) {
+      throw new Error('Cannot cancel a booking on or after its start date');
+    }
+
+    return booking;
+  }
+
+  /**
+   * Preview the refund a tenant would get when cancelling now
+   * @param {string} bookingId
+   * @param {string} userId
+   * @returns {Promise<Object>}
+   */
+  async getCancellationQuote(bookingId, userId) {
+    const booking = await this.getCancellableBooking(bookingId, userId);
+    const policy = booking.property.cancellationPolicy;
+    const terms = getRentRefund(policy, booking.startDate);
+
+    const refund = await invoicesService.quoteLeaseCancellation(
+      booking.id,
+      terms.rentRefundPercentage,
+      booking.currencyCode
+    );
+
+    return {
+      bookingId,
+      ...terms,
+      rules: describePolicy(policy),
+      ...refund,
+    };
+  }
+
+  /**
+   * Cancel a booking (tenant only). Refunds follow the property's
+   * cancellation policy; unpaid invoices are voided, the dates are freed
+   * and the landlord is notified.
+   * @param {string} bookingId
+   * @param {string} userId
+   * @param {string} reason - Optional cancellation reason
+   * @returns {Promise<Object>} Cancelled booking and refund breakdown
+   */
+  async cancelBooking(bookingId, userId, reason) {
+    const result = await prisma.$transaction(async tx => {
+      const booking = await this.getCancellableBooking(bookingId, userId, tx);
+      const terms = getRentRefund(
+        booking.property.cancellationPolicy,
+        booking.startDate
+      );
+
+      const refund = await invoicesService.cancelLeaseInvoices(
+        booking.id,
+        terms.rentRefundPercentage,
+        booking.currencyCode,
+        tx
+      );
+
+      const cancelledBooking = await leaseLifecycleService.transition(
+        bookingId,
+        'CANCELLED',
+        {
+          actorId: userId,
+          reason: reason || 'Cancelled by tenant',
+          data: { expiresAt: null },
+          include: bookingInclude,
+          client: tx,
+        }
+      );
+
+      // A cancelled renewal gives the carried-over deposit back
+      await depositsService.returnCarriedOverDeposit(booking.id, tx);
+
+      return {
+        booking: cancelledBooking,
+        cancellation: { ...terms, ...refund },
+      };
+    });
+
+    this.publishBookingEvent('booking.cancelled', result.booking);
+
+    const tenant = result.booking.tenant;
+    await notificationsService.notify(
+      result.booking.landlordId,
+      'BOOKING_CANCELLED',
+      {
+        ...this.getNotificationData(result.booking),
+        tenantName:
+          tenant.name || `${tenant.firstName} ${tenant.lastName}`.trim(),
+        reason: reason || null,
+      }
+    );
+
+    return result;
   }
 
   /**
    * Get booking by ID
    * @param {string} bookingId
    * @param {string} userId - For access control
+   * @param {boolean} canViewAll - User has the booking.view_all permission
    * @returns {Promise<Object>}
    */
-  async getBookingById(bookingId, userId) {
+  async getBookingById(bookingId, userId, canViewAll = false) {
     const booking = await prisma.lease.findUnique({
       where: { id: bookingId },
       include: {
@@ -663,13 +931,86 @@ class BookingsService {
     }
 
     // Check access: user must be either tenant or landlord
-    if (booking.tenantId !== userId && booking.landlordId !== userId) {
+    if (
+      !canViewAll &&
+      booking.tenantId !== userId &&
+      booking.landlordId !== userId
+    ) {
       throw new Error('Access denied: You can only view your own bookings');
     }
 
     return booking;
   }
 
+  /**
+   * Get status history of a booking
+   * @param {string} bookingId
+   * @param {string} userId - For access control
+   * @param {boolean} canViewAll - User has the booking.view_all permission
+   * @returns {Promise<Array>}
+   */
+  async getBookingHistory(bookingId, userId, canViewAll = false) {
+    const booking = await prisma.lease.findUnique({
+      where: { id: bookingId },
+      select: { id: true, tenantId: true, landlordId: true },
+    });
+
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+
+    if (
+      !canViewAll &&
+      booking.tenantId !== userId &&
+      booking.landlordId !== userId
+    ) {
+      throw new Error('Access denied: You can only view your own bookings');
+    }
+
+    return await leaseLifecycleService.getHistory(bookingId);
+  }
+
+  /**
+   * Get the computed terms of a booking: term length, rent schedule with
+   * prorated first and last month, deposit, notice period and total contract
+   * value. The rental agreement PDF is rendered from the same figures.
+   * @param {string} bookingId
+   * @param {string} userId - For access control
+   * @param {boolean} canViewAll - User has the booking.view_all permission
+   * @returns {Promise<Object>}
+   */
+  async getLeaseTerms(bookingId, userId, canViewAll = false) {
+    const booking = await prisma.lease.findUnique({
+      where: { id: bookingId },
+      select: {
+        id: true,
+        tenantId: true,
+        landlordId: true,
+        startDate: true,
+        endDate: true,
+        rentAmount: true,
+        currencyCode: true,
+        securityDeposit: true,
+        noticePeriodDays: true,
+        rentPeriods: true,
+      },
+    });
+
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+
+    if (
+      !canViewAll &&
+      booking.tenantId !== userId &&
+      booking.landlordId !== userId
+    ) {
+      throw new Error('Access denied: You can only view your own bookings');
+    }
+
+    return computeLeaseTerms(booking);
+  }
+
   /**
    * Get property availability for a date range (for frontend calendar)
    * @param {string} propertyId
@@ -681,7 +1022,7 @@ class BookingsService {
     const bookedPeriods = await prisma.lease.findMany({
       where: {
         propertyId,
-        status: { in: ['APPROVED', 'ACTIVE'] },
+        status: { in: leaseLifecycleService.getOccupyingStatuses() },
         OR: [
           {
             AND: [
@@ -717,7 +1058,7 @@ class BookingsService {
       throw new Error('Booking not found or access denied');
     }
 
-    if (booking.status !== 'APPROVED' && booking.status !== 'ACTIVE') {
+    if (!leaseLifecycleService.isApproved(booking.status)) {
       throw new Error(
         'Rental agreement is only available for approved bookings'
       );
@@ -745,20 +1086,21 @@ class BookingsService {
             fileSize: pdfResult.data.fileSize,
             generatedAt: pdfResult.data.generatedAt,
           },
+          signing: {
+            status: pdfResult.data.status,
+            executedAt: pdfResult.data.executedAt,
+            executedPdfUrl: pdfResult.data.executedPdfUrl,
+          },
         },
       };
     } catch (error) {
-      // If PDF doesn't exist yet, try to generate it
+      // A missing PDF is queued for the worker instead of generated here
       if (error.message.includes('not found')) {
-        console.log('📄 PDF not found, generating rental agreement...');
-        const pdfResult =
-          await pdfGenerationService.generateAndUploadRentalAgreementPDF(
-            bookingId
-          );
+        const job = await this.queueMissingRentalAgreement(bookingId, userId);
 
         return {
           success: true,
-          message: 'Rental agreement PDF generated and retrieved successfully',
+          message: 'Rental agreement PDF is being generated',
           data: {
             bookingId: bookingId,
             status: booking.status,
@@ -767,11 +1109,10 @@ class BookingsService {
               title: booking.property.title,
               address: booking.property.address,
             },
-            pdf: {
-              url: pdfResult.data.cloudinary.url,
-              fileName: pdfResult.data.cloudinary.fileName,
-              fileSize: pdfResult.data.cloudinary.size,
-              generatedAt: new Date(),
+            pdf: null,
+            job: {
+              id: job.id,
+              status: job.status,
             },
           },
         };
@@ -781,6 +1122,23 @@ class BookingsService {
     }
   }
 
+  /**
+   * Queue the rental agreement PDF of an approved booking that has none yet
+   * (e.g. its generation job failed). A job already waiting for the booking
+   * is reused, so polling clients do not queue duplicates.
+   * @param {string} bookingId
+   * @param {string} userId - User whose request found the PDF missing
+   * @returns {Promise<Object>} Queued job
+   */
+  async queueMissingRentalAgreement(bookingId, userId) {
+    return await jobsService.enqueueOnce(
+      'agreement.generate',
+      { leaseId: bookingId, sendConfirmation: false },
+      { leaseId: bookingId },
+      { createdById: userId }
+    );
+  }
+
   /**
    * Download rental agreement PDF file
    * @param {string} bookingId
@@ -795,7 +1153,7 @@ class BookingsService {
       throw new Error('Booking not found or access denied');
     }
 
-    if (booking.status !== 'APPROVED' && booking.status !== 'ACTIVE') {
+    if (!leaseLifecycleService.isApproved(booking.status)) {
       throw new Error(
         'Rental agreement is only available for approved bookings'
       );
@@ -806,16 +1164,19 @@ class BookingsService {
       const pdfResult =
         await pdfGenerationService.getRentalAgreementPDF(bookingId);
 
+      // Serve the fully executed agreement once both parties have signed
+      const pdfUrl = pdfResult.data.executedPdfUrl || pdfResult.data.pdfUrl;
+      const pdfFileName = pdfResult.data.executedPdfUrl
+        ? pdfResult.data.executedFileName
+        : pdfResult.data.fileName;
+
       // Determine if this is a local file or Cloudinary URL
-      const isLocal =
-        pdfResult.data.pdfUrl &&
-        pdfResult.data.pdfUrl.startsWith('/api/files/pdfs/');
+      const isLocal = pdfUrl && pdfUrl.startsWith('/api/files/pdfs/');
 
       if (isLocal) {
         // Extract local file path
         const path = require('path');
-        const fileName =
-          pdfResult.data.fileName || `rental-agreement-${bookingId}.pdf`;
+        const fileName = pdfFileName || `rental-agreement-${bookingId}.pdf`;
         const filePath = path.join(
           __dirname,
           '../../../uploads/pdfs/',
@@ -826,56 +1187,26 @@ class BookingsService {
           isLocal: true,
           filePath,
           fileName,
-          url: pdfResult.data.pdfUrl,
+          url: pdfUrl,
         };
       } else {
         // Cloudinary URL
         return {
           isLocal: false,
-          url: pdfResult.data.pdfUrl,
-          fileName: pdfResult.data.fileName,
+          url: pdfUrl,
+          fileName: pdfFileName,
         };
       }
     } catch (error) {
-      // If PDF doesn't exist yet, try to generate it
+      // A missing PDF is queued for the worker instead of generated here
       if (error.message.includes('not found')) {
-        console.log(
-          '📄 PDF not found, generating rental agreement for download...'
-        );
-        const pdfResult =
-          await pdfGenerationService.generateAndUploadRentalAgreementPDF(
-            bookingId
-          );
-
-        // Check if newly generated PDF is local or Cloudinary
-        const isLocal =
-          pdfResult.data.rentalAgreement.pdfUrl &&
-          pdfResult.data.rentalAgreement.pdfUrl.startsWith('/api/files/pdfs/');
-
-        if (isLocal) {
-          const path = require('path');
-          const fileName =
-            pdfResult.data.rentalAgreement.fileName ||
-            `rental-agreement-${bookingId}.pdf`;
-          const filePath = path.join(
-            __dirname,
-            '../../../uploads/pdfs/',
-            fileName
-          );
-
-          return {
-            isLocal: true,
-            filePath,
-            fileName,
-            url: pdfResult.data.rentalAgreement.pdfUrl,
-          };
-        } else {
-          return {
-            isLocal: false,
-            url: pdfResult.data.cloudinary.url,
-            fileName: pdfResult.data.cloudinary.fileName,
-          };
-        }
+        const job = await this.queueMissingRentalAgreement(bookingId, userId);
+
+        return {
+          pending: true,
+          jobId: job.id,
+          status: job.status,
+        };
       }
 
       throw error;
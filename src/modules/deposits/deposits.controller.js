@@ -0,0 +1,233 @@
+const depositsService = require('./deposits.service');
+const { validationResult } = require('express-validator');
+
+class DepositsController {
+  /**
+   * Map service errors to HTTP responses
+   */
+  handleError(res, error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes('Access denied')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (
+      error.message.includes('cannot exceed') ||
+      error.message.includes('File type') ||
+      error.message.includes('File size')
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (
+      error.message.includes('Cannot ') ||
+      error.message.includes('already settled') ||
+      error.message.includes('No security deposit') ||
+      error.message.includes('changed by another request')
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+
+  /**
+   * Get deposit ledger, deductions and settlement of a booking
+   */
+  async getDeposit(req, res) {
+    try {
+      const deposit = await depositsService.getDeposit(req.params.id, req.user);
+
+      res.json({
+        success: true,
+        data: { deposit },
+      });
+    } catch (error) {
+      console.error('Get deposit error:', error);
+      depositsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Claim a deduction with photo evidence (landlord)
+   */
+  async addDeduction(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const deduction = await depositsService.addDeduction(
+        req.params.id,
+        req.user,
+        req.body,
+        req.files || []
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Deposit deduction submitted to the tenant',
+        data: { deduction },
+      });
+    } catch (error) {
+      console.error('Add deposit deduction error:', error);
+      depositsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Withdraw a deduction (landlord)
+   */
+  async withdrawDeduction(req, res) {
+    try {
+      const deduction = await depositsService.withdrawDeduction(
+        req.params.id,
+        req.params.deductionId,
+        req.user
+      );
+
+      res.json({
+        success: true,
+        message: 'Deposit deduction withdrawn',
+        data: { deduction },
+      });
+    } catch (error) {
+      console.error('Withdraw deposit deduction error:', error);
+      depositsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Accept a deduction (tenant)
+   */
+  async acceptDeduction(req, res) {
+    try {
+      const deduction = await depositsService.acceptDeduction(
+        req.params.id,
+        req.params.deductionId,
+        req.user
+      );
+
+      res.json({
+        success: true,
+        message: 'Deposit deduction accepted',
+        data: { deduction },
+      });
+    } catch (error) {
+      console.error('Accept deposit deduction error:', error);
+      depositsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Dispute a deduction (tenant)
+   */
+  async disputeDeduction(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const deduction = await depositsService.disputeDeduction(
+        req.params.id,
+        req.params.deductionId,
+        req.user,
+        req.body.reason
+      );
+
+      res.json({
+        success: true,
+        message: 'Deposit deduction disputed',
+        data: { deduction },
+      });
+    } catch (error) {
+      console.error('Dispute deposit deduction error:', error);
+      depositsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Resolve a disputed deduction (admin)
+   */
+  async resolveDeduction(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const deduction = await depositsService.resolveDeduction(
+        req.params.id,
+        req.params.deductionId,
+        req.user,
+        req.body
+      );
+
+      res.json({
+        success: true,
+        message: 'Deposit dispute resolved',
+        data: { deduction },
+      });
+    } catch (error) {
+      console.error('Resolve deposit deduction error:', error);
+      depositsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Settle the deposit at move-out (landlord)
+   */
+  async settleDeposit(req, res) {
+    try {
+      const deposit = await depositsService.settleDeposit(
+        req.params.id,
+        req.user
+      );
+
+      res.json({
+        success: true,
+        message: 'Deposit settled successfully',
+        data: { deposit },
+      });
+    } catch (error) {
+      console.error('Settle deposit error:', error);
+      depositsController.handleError(res, error);
+    }
+  }
+}
+
+const depositsController = new DepositsController();
+
+module.exports = depositsController;
@@ -0,0 +1,91 @@
+const { prisma } = require('../../config/database');
+
+class DepositsRepository {
+  async findLease(leaseId, client = prisma) {
+    return await client.lease.findUnique({
+      where: { id: leaseId },
+      select: {
+        id: true,
+        status: true,
+        tenantId: true,
+        landlordId: true,
+        securityDeposit: true,
+        currencyCode: true,
+        depositSettlement: true,
+        previousLeaseId: true,
+        nextLease: {
+          select: {
+            id: true,
+            status: true,
+          },
+        },
+      },
+    });
+  }
+
+  async findTransactions(leaseId, client = prisma) {
+    return await client.depositTransaction.findMany({
+      where: { leaseId },
+      orderBy: { createdAt: 'asc' },
+    });
+  }
+
+  async createTransaction(data, client = prisma) {
+    return await client.depositTransaction.create({ data });
+  }
+
+  async findDeductions(leaseId, client = prisma) {
+    return await client.depositDeduction.findMany({
+      where: { leaseId },
+      include: {
+        createdBy: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
+      },
+      orderBy: { createdAt: 'asc' },
+    });
+  }
+
+  async findDeductionById(id, client = prisma) {
+    return await client.depositDeduction.findUnique({
+      where: { id },
+    });
+  }
+
+  async createDeduction(data) {
+    return await prisma.depositDeduction.create({ data });
+  }
+
+  /**
+   * Update only if the deduction is still in the expected status
+   * @returns {Promise<number>} Number of updated rows (0 or 1)
+   */
+  async updateDeductionIfStatus(id, expectedStatus, data, client = prisma) {
+    const result = await client.depositDeduction.updateMany({
+      where: { id, status: expectedStatus },
+      data,
+    });
+    return result.count;
+  }
+
+  /**
+   * Move unsettled deductions to another lease
+   * @returns {Promise<number>} Number of moved deductions
+   */
+  async moveDeductions(fromLeaseId, toLeaseId, statuses, client = prisma) {
+    const result = await client.depositDeduction.updateMany({
+      where: { leaseId: fromLeaseId, status: { in: statuses } },
+      data: { leaseId: toLeaseId },
+    });
+    return result.count;
+  }
+
+  async createSettlement(data, client = prisma) {
+    return await client.depositSettlement.create({ data });
+  }
+}
+
+module.exports = new DepositsRepository();
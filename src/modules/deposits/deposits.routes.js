@@ -0,0 +1,416 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { auth, authorize } = require('../../middleware/auth');
+const {
+  uploadMultiple,
+  handleUploadError,
+} = require('../../middleware/upload');
+const depositsController = require('./deposits.controller');
+
+// Mounted at /api/bookings/:id/deposit
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DepositDeduction:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         leaseId:
+ *           type: string
+ *         reason:
+ *           type: string
+ *         amount:
+ *           type: number
+ *         images:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Photo evidence URLs
+ *         status:
+ *           type: string
+ *           enum: [PROPOSED, ACCEPTED, DISPUTED, WITHDRAWN, REJECTED]
+ *         disputeReason:
+ *           type: string
+ *           nullable: true
+ *         resolutionNote:
+ *           type: string
+ *           nullable: true
+ *     Deposit:
+ *       type: object
+ *       properties:
+ *         bookingId:
+ *           type: string
+ *         currencyCode:
+ *           type: string
+ *         securityDeposit:
+ *           type: number
+ *           nullable: true
+ *         received:
+ *           type: number
+ *           description: Paid in, plus the deposit carried over from the previous booking, minus the deposit carried over to the renewed booking
+ *         deducted:
+ *           type: number
+ *         refunded:
+ *           type: number
+ *         transferredOut:
+ *           type: number
+ *           description: Carried over to the renewed booking
+ *         balance:
+ *           type: number
+ *           description: Deposit still held by the landlord
+ *         transactions:
+ *           type: array
+ *           description: Ledger entries (RECEIVED, DEDUCTION, REFUND, TRANSFER_IN, TRANSFER_OUT), oldest first
+ *           items:
+ *             type: object
+ *         deductions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/DepositDeduction'
+ *         settlement:
+ *           type: object
+ *           nullable: true
+ *           description: Move-out settlement with statementUrl
+ */
+
+/**
+ * @swagger
+ * /api/bookings/{id}/deposit:
+ *   get:
+ *     summary: Get the security deposit ledger of a booking (tenant, landlord or admin)
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Deposit ledger
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     deposit:
+ *                       $ref: '#/components/schemas/Deposit'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Booking not found
+ */
+router.get('/', auth, depositsController.getDeposit);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/deposit/deductions:
+ *   post:
+ *     summary: Claim a deposit deduction with photo evidence (landlord)
+ *     description: Allowed on ACTIVE or COMPLETED bookings until the deposit is settled. Claimed deductions cannot exceed the deposit balance.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *               - amount
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Deduction submitted to the tenant
+ *       400:
+ *         description: Validation error, invalid photo or amount above the balance
+ *       403:
+ *         description: Not the landlord of this booking
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Deposit not received, already settled or booking not ACTIVE/COMPLETED
+ */
+router.post(
+  '/deductions',
+  auth,
+  uploadMultiple('images', 10),
+  [
+    body('reason')
+      .trim()
+      .notEmpty()
+      .withMessage('Reason is required')
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters'),
+    body('amount')
+      .isFloat({ min: 0.01 })
+      .withMessage('Amount must be a positive number'),
+  ],
+  depositsController.addDeduction
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/deposit/deductions/{deductionId}/withdraw:
+ *   post:
+ *     summary: Withdraw a proposed or disputed deduction (landlord)
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *       - in: path
+ *         name: deductionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Deduction withdrawn
+ *       403:
+ *         description: Not the landlord of this booking
+ *       404:
+ *         description: Booking or deduction not found
+ *       409:
+ *         description: Deduction already accepted or closed
+ */
+router.post(
+  '/deductions/:deductionId/withdraw',
+  auth,
+  depositsController.withdrawDeduction
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/deposit/deductions/{deductionId}/accept:
+ *   post:
+ *     summary: Accept a proposed deduction (tenant)
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *       - in: path
+ *         name: deductionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Deduction accepted
+ *       403:
+ *         description: Not the tenant of this booking
+ *       404:
+ *         description: Booking or deduction not found
+ *       409:
+ *         description: Deduction is no longer proposed
+ */
+router.post(
+  '/deductions/:deductionId/accept',
+  auth,
+  depositsController.acceptDeduction
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/deposit/deductions/{deductionId}/dispute:
+ *   post:
+ *     summary: Dispute a proposed deduction (tenant)
+ *     description: Disputed deductions are resolved by an admin.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *       - in: path
+ *         name: deductionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Deduction disputed
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not the tenant of this booking
+ *       404:
+ *         description: Booking or deduction not found
+ *       409:
+ *         description: Deduction is no longer proposed
+ */
+router.post(
+  '/deductions/:deductionId/dispute',
+  auth,
+  [
+    body('reason')
+      .trim()
+      .notEmpty()
+      .withMessage('Dispute reason is required')
+      .isLength({ max: 500 })
+      .withMessage('Dispute reason cannot exceed 500 characters'),
+  ],
+  depositsController.disputeDeduction
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/deposit/deductions/{deductionId}/resolve:
+ *   post:
+ *     summary: Resolve a disputed deduction (admin only)
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *       - in: path
+ *         name: deductionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decision
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [ACCEPTED, REJECTED]
+ *               amount:
+ *                 type: number
+ *                 description: Reduced amount when accepting part of the claim
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Dispute resolved
+ *       400:
+ *         description: Validation error or amount above the claim
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Booking or deduction not found
+ *       409:
+ *         description: Deduction is not disputed
+ */
+router.post(
+  '/deductions/:deductionId/resolve',
+  auth,
+  authorize('deposit.resolve'),
+  [
+    body('decision')
+      .isIn(['ACCEPTED', 'REJECTED'])
+      .withMessage('Decision must be ACCEPTED or REJECTED'),
+    body('amount')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Amount must be a positive number'),
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Note cannot exceed 500 characters'),
+  ],
+  depositsController.resolveDeduction
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/deposit/settle:
+ *   post:
+ *     summary: Settle the deposit at move-out (landlord)
+ *     description: Requires a COMPLETED booking with no proposed or disputed deductions that has not been renewed (a renewed booking's deposit is settled at the end of the renewal). Accepted deductions are booked on the ledger, the remaining balance is recorded as refunded to the tenant, and the settlement statement PDF is queued for the worker (statementPDF.jobId).
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Deposit settled
+ *       403:
+ *         description: Not the landlord of this booking
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Booking not completed, deductions still open or already settled
+ */
+router.post('/settle', auth, depositsController.settleDeposit);
+
+router.use(handleUploadError);
+
+module.exports = router;
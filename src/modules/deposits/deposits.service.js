@@ -0,0 +1,577 @@
+const { prisma } = require('../../config/database');
+const depositsRepository = require('./deposits.repository');
+const fileUploadService = require('../../utils/fileUpload');
+const jobsService = require('../jobs/jobs.service');
+const { toCents, fromCents } = require('../../utils/rentSchedule');
+const { hasPermission } = require('../../config/permissions');
+
+// Deductions that still wait for the tenant or an admin
+const OPEN_DEDUCTION_STATUSES = ['PROPOSED', 'DISPUTED'];
+
+// Deductions that count against the deposit balance
+const CLAIMED_DEDUCTION_STATUSES = ['PROPOSED', 'DISPUTED', 'ACCEPTED'];
+
+// Lease statuses in which the landlord can claim damage deductions
+const DEDUCTIBLE_LEASE_STATUSES = ['ACTIVE', 'COMPLETED'];
+
+// Successor lease statuses that no longer hold a carried-over deposit
+const ENDED_SUCCESSOR_STATUSES = ['REJECTED', 'CANCELLED', 'EXPIRED'];
+
+class DepositsService {
+  /**
+   * Load a lease and check the user is its tenant, landlord or an admin
+   * @param {string} leaseId
+   * @param {Object} user - Requesting user (id, role)
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>}
+   */
+  async getAccessibleLease(leaseId, user, client = prisma) {
+    const lease = await depositsRepository.findLease(leaseId, client);
+
+    if (!lease) {
+      throw new Error('Booking not found');
+    }
+
+    if (
+      !hasPermission(user.role, 'booking.view_all') &&
+      lease.tenantId !== user.id &&
+      lease.landlordId !== user.id
+    ) {
+      throw new Error(
+        'Access denied: You can only view deposits of your own bookings'
+      );
+    }
+
+    return lease;
+  }
+
+  /**
+   * Load a deduction that belongs to the given lease
+   * @param {string} leaseId
+   * @param {string} deductionId
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>}
+   */
+  async getDeduction(leaseId, deductionId, client = prisma) {
+    const deduction = await depositsRepository.findDeductionById(
+      deductionId,
+      client
+    );
+
+    if (!deduction || deduction.leaseId !== leaseId) {
+      throw new Error('Deposit deduction not found');
+    }
+
+    return deduction;
+  }
+
+  /**
+   * Sum ledger entries per type
+   * @param {Array} transactions
+   * @returns {Object} Totals in cents
+   */
+  summarizeLedger(transactions) {
+    const totals = {
+      RECEIVED: 0,
+      DEDUCTION: 0,
+      REFUND: 0,
+      TRANSFER_IN: 0,
+      TRANSFER_OUT: 0,
+    };
+
+    for (const transaction of transactions) {
+      totals[transaction.type] += toCents(transaction.amount);
+    }
+
+    // Deposit held for this lease: carried over from the previous lease
+    // counts as received, carried on to the renewal no longer does
+    const received = totals.RECEIVED + totals.TRANSFER_IN - totals.TRANSFER_OUT;
+
+    return {
+      received,
+      deducted: totals.DEDUCTION,
+      refunded: totals.REFUND,
+      transferredOut: totals.TRANSFER_OUT,
+      balance: received - totals.DEDUCTION - totals.REFUND,
+    };
+  }
+
+  /**
+   * Whether the deposit of a lease has moved on to its renewal
+   * @param {Object} lease - With nextLease (id, status)
+   * @returns {boolean}
+   */
+  hasCarriedOverDeposit(lease) {
+    return (
+      !!lease.nextLease &&
+      !ENDED_SUCCESSOR_STATUSES.includes(lease.nextLease.status)
+    );
+  }
+
+  /**
+   * Move the deposit balance of a lease to another lease of the same
+   * tenancy (renewal successor, or back when the successor is cancelled).
+   * Unsettled deductions move with it, since they are claims on the same
+   * money.
+   * @param {string} fromLeaseId
+   * @param {string} toLeaseId
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<number>} Transferred amount
+   */
+  async transferDeposit(fromLeaseId, toLeaseId, client = prisma) {
+    const lease = await depositsRepository.findLease(fromLeaseId, client);
+    const transactions = await depositsRepository.findTransactions(
+      fromLeaseId,
+      client
+    );
+    const { balance } = this.summarizeLedger(transactions);
+
+    await depositsRepository.moveDeductions(
+      fromLeaseId,
+      toLeaseId,
+      CLAIMED_DEDUCTION_STATUSES,
+      client
+    );
+
+    if (balance <= 0) {
+      return 0;
+    }
+
+    const amount = fromCents(balance);
+    const isRenewal = lease.nextLease?.id === toLeaseId;
+
+    await depositsRepository.createTransaction(
+      {
+        leaseId: fromLeaseId,
+        type: 'TRANSFER_OUT',
+        amount,
+        currencyCode: lease.currencyCode,
+        memo: isRenewal
+          ? 'Security deposit carried over to the renewed booking'
+          : 'Security deposit returned to the previous booking',
+        relatedLeaseId: toLeaseId,
+      },
+      client
+    );
+    await depositsRepository.createTransaction(
+      {
+        leaseId: toLeaseId,
+        type: 'TRANSFER_IN',
+        amount,
+        currencyCode: lease.currencyCode,
+        memo: isRenewal
+          ? 'Security deposit carried over from the previous booking'
+          : 'Security deposit returned from the cancelled renewal',
+        relatedLeaseId: fromLeaseId,
+      },
+      client
+    );
+
+    return amount;
+  }
+
+  /**
+   * Hand the deposit of a cancelled renewal back to the lease it came from
+   * @param {string} leaseId - Cancelled successor lease
+   * @param {Object} client - Prisma client or transaction client
+   */
+  async returnCarriedOverDeposit(leaseId, client = prisma) {
+    const lease = await depositsRepository.findLease(leaseId, client);
+
+    if (lease?.previousLeaseId) {
+      await this.transferDeposit(leaseId, lease.previousLeaseId, client);
+    }
+  }
+
+  /**
+   * Deposit ledger, deductions and settlement of a lease
+   * @param {string} leaseId
+   * @param {Object} user
+   * @returns {Promise<Object>}
+   */
+  async getDeposit(leaseId, user) {
+    const lease = await this.getAccessibleLease(leaseId, user);
+    const [transactions, deductions] = await Promise.all([
+      depositsRepository.findTransactions(leaseId),
+      depositsRepository.findDeductions(leaseId),
+    ]);
+    const totals = this.summarizeLedger(transactions);
+
+    return {
+      bookingId: lease.id,
+      currencyCode: lease.currencyCode,
+      securityDeposit: lease.securityDeposit,
+      received: fromCents(totals.received),
+      deducted: fromCents(totals.deducted),
+      refunded: fromCents(totals.refunded),
+      transferredOut: fromCents(totals.transferredOut),
+      balance: fromCents(totals.balance),
+      transactions,
+      deductions,
+      settlement: lease.depositSettlement,
+    };
+  }
+
+  /**
+   * Record that a DEPOSIT invoice was paid in full. Paid after the lease was
+   * renewed, the deposit goes straight on to the renewal.
+   * @param {Object} invoice - DEPOSIT invoice
+   * @param {Object} client - Prisma client or transaction client
+   */
+  async recordReceived(invoice, client = prisma) {
+    const lease = await depositsRepository.findLease(invoice.leaseId, client);
+
+    await depositsRepository.createTransaction(
+      {
+        leaseId: invoice.leaseId,
+        type: 'RECEIVED',
+        amount: invoice.amount,
+        currencyCode: invoice.currencyCode,
+        memo: 'Security deposit received',
+        invoiceId: invoice.id,
+      },
+      client
+    );
+
+    if (lease && this.hasCarriedOverDeposit(lease)) {
+      await this.transferDeposit(lease.id, lease.nextLease.id, client);
+    }
+  }
+
+  /**
+   * Record deposit money returned to the tenant outside of a settlement
+   * (booking cancellation, gateway refund)
+   * @param {Object} invoice - DEPOSIT invoice
+   * @param {number} amount - Refunded amount
+   * @param {string} memo
+   * @param {Object} client - Prisma client or transaction client
+   */
+  async recordRefund(invoice, amount, memo, client = prisma) {
+    await depositsRepository.createTransaction(
+      {
+        leaseId: invoice.leaseId,
+        type: 'REFUND',
+        amount,
+        currencyCode: invoice.currencyCode,
+        memo,
+        invoiceId: invoice.id,
+      },
+      client
+    );
+  }
+
+  /**
+   * Claim a damage deduction with photo evidence (landlord)
+   * @param {string} leaseId
+   * @param {Object} user
+   * @param {Object} deductionData - reason, amount
+   * @param {Array} files - Uploaded photos (multer memory files)
+   * @returns {Promise<Object>} Created deduction
+   */
+  async addDeduction(leaseId, user, deductionData, files = []) {
+    const lease = await this.getAccessibleLease(leaseId, user);
+
+    if (lease.landlordId !== user.id) {
+      throw new Error('Access denied: Only the landlord can claim deductions');
+    }
+
+    if (!DEDUCTIBLE_LEASE_STATUSES.includes(lease.status)) {
+      throw new Error(`Cannot claim deductions on a ${lease.status} booking`);
+    }
+
+    if (lease.depositSettlement) {
+      throw new Error('The deposit of this booking is already settled');
+    }
+
+    if (this.hasCarriedOverDeposit(lease)) {
+      throw new Error(
+        'Cannot claim deductions here: the deposit was carried over to the renewed booking'
+      );
+    }
+
+    const amountCents = toCents(deductionData.amount);
+    const [transactions, deductions] = await Promise.all([
+      depositsRepository.findTransactions(leaseId),
+      depositsRepository.findDeductions(leaseId),
+    ]);
+    const { balance } = this.summarizeLedger(transactions);
+
+    if (balance <= 0) {
+      throw new Error('No security deposit has been received for this booking');
+    }
+
+    const claimedCents = deductions
+      .filter(deduction =>
+        CLAIMED_DEDUCTION_STATUSES.includes(deduction.status)
+      )
+      .reduce((sum, deduction) => sum + toCents(deduction.amount), 0);
+
+    if (claimedCents + amountCents > balance) {
+      throw new Error(
+        `Deductions cannot exceed the deposit balance of ${lease.currencyCode} ${fromCents(balance - claimedCents).toFixed(2)}`
+      );
+    }
+
+    for (const file of files) {
+      fileUploadService.validateFile(file, fileUploadService.allowedImageTypes);
+    }
+
+    const uploads =
+      files.length > 0
+        ? await fileUploadService.uploadMultipleFiles(files, true)
+        : [];
+
+    return await depositsRepository.createDeduction({
+      leaseId,
+      createdById: user.id,
+      reason: deductionData.reason,
+      amount: fromCents(amountCents),
+      images: uploads.map(upload => upload.url),
+    });
+  }
+
+  /**
+   * Move a deduction from one status to another, guarding concurrent changes
+   * @returns {Promise<Object>} Updated deduction
+   */
+  async updateDeduction(deduction, data) {
+    const updated = await depositsRepository.updateDeductionIfStatus(
+      deduction.id,
+      deduction.status,
+      data
+    );
+
+    if (!updated) {
+      throw new Error('Deposit deduction was changed by another request');
+    }
+
+    return await depositsRepository.findDeductionById(deduction.id);
+  }
+
+  /**
+   * Withdraw an open deduction (landlord)
+   * @param {string} leaseId
+   * @param {string} deductionId
+   * @param {Object} user
+   * @returns {Promise<Object>}
+   */
+  async withdrawDeduction(leaseId, deductionId, user) {
+    const lease = await this.getAccessibleLease(leaseId, user);
+    const deduction = await this.getDeduction(leaseId, deductionId);
+
+    if (lease.landlordId !== user.id) {
+      throw new Error(
+        'Access denied: Only the landlord can withdraw a deduction'
+      );
+    }
+
+    if (!OPEN_DEDUCTION_STATUSES.includes(deduction.status)) {
+      throw new Error(`Cannot withdraw a ${deduction.status} deduction`);
+    }
+
+    return await this.updateDeduction(deduction, { status: 'WITHDRAWN' });
+  }
+
+  /**
+   * Accept a proposed deduction (tenant)
+   * @param {string} leaseId
+   * @param {string} deductionId
+   * @param {Object} user
+   * @returns {Promise<Object>}
+   */
+  async acceptDeduction(leaseId, deductionId, user) {
+    const lease = await this.getAccessibleLease(leaseId, user);
+    const deduction = await this.getDeduction(leaseId, deductionId);
+
+    if (lease.tenantId !== user.id) {
+      throw new Error('Access denied: Only the tenant can accept a deduction');
+    }
+
+    if (deduction.status !== 'PROPOSED') {
+      throw new Error(`Cannot accept a ${deduction.status} deduction`);
+    }
+
+    return await this.updateDeduction(deduction, {
+      status: 'ACCEPTED',
+      respondedAt: new Date(),
+    });
+  }
+
+  /**
+   * Dispute a proposed deduction (tenant). An admin then resolves it.
+   * @param {string} leaseId
+   * @param {string} deductionId
+   * @param {Object} user
+   * @param {string} disputeReason
+   * @returns {Promise<Object>}
+   */
+  async disputeDeduction(leaseId, deductionId, user, disputeReason) {
+    const lease = await this.getAccessibleLease(leaseId, user);
+    const deduction = await this.getDeduction(leaseId, deductionId);
+
+    if (lease.tenantId !== user.id) {
+      throw new Error('Access denied: Only the tenant can dispute a deduction');
+    }
+
+    if (deduction.status !== 'PROPOSED') {
+      throw new Error(`Cannot dispute a ${deduction.status} deduction`);
+    }
+
+    return await this.updateDeduction(deduction, {
+      status: 'DISPUTED',
+      disputeReason,
+      respondedAt: new Date(),
+    });
+  }
+
+  /**
+   * Resolve a disputed deduction (admin only)
+   * @param {string} leaseId
+   * @param {string} deductionId
+   * @param {Object} user
+   * @param {Object} resolution - decision (ACCEPTED|REJECTED), amount, note
+   * @returns {Promise<Object>}
+   */
+  async resolveDeduction(leaseId, deductionId, user, resolution) {
+    const { decision, amount, note } = resolution;
+    await this.getAccessibleLease(leaseId, user);
+    const deduction = await this.getDeduction(leaseId, deductionId);
+
+    if (!hasPermission(user.role, 'deposit.resolve')) {
+      throw new Error('Access denied: Only an admin can resolve a dispute');
+    }
+
+    if (deduction.status !== 'DISPUTED') {
+      throw new Error(`Cannot resolve a ${deduction.status} deduction`);
+    }
+
+    const data = { status: decision, resolutionNote: note || null };
+
+    if (decision === 'ACCEPTED' && amount !== undefined) {
+      if (toCents(amount) > toCents(deduction.amount)) {
+        throw new Error('Resolved amount cannot exceed the claimed amount');
+      }
+      data.amount = fromCents(toCents(amount));
+    }
+
+    return await this.updateDeduction(deduction, data);
+  }
+
+  /**
+   * Settle the deposit at move-out (landlord). Accepted deductions are
+   * booked on the ledger, the rest of the balance is refunded to the tenant
+   * and the settlement statement PDF is queued.
+   * @param {string} leaseId
+   * @param {Object} user
+   * @returns {Promise<Object>} { settlement, statementPDF }
+   */
+  async settleDeposit(leaseId, user) {
+    const settlement = await prisma.$transaction(async tx => {
+      const lease = await this.getAccessibleLease(leaseId, user, tx);
+
+      if (lease.landlordId !== user.id) {
+        throw new Error(
+          'Access denied: Only the landlord can settle a deposit'
+        );
+      }
+
+      if (lease.status !== 'COMPLETED') {
+        throw new Error(
+          `Cannot settle the deposit of a ${lease.status} booking`
+        );
+      }
+
+      if (lease.depositSettlement) {
+        throw new Error('The deposit of this booking is already settled');
+      }
+
+      // The tenant still lives there: the deposit is settled at the end of
+      // the renewed booking
+      if (this.hasCarriedOverDeposit(lease)) {
+        throw new Error(
+          'Cannot settle the deposit: it was carried over to the renewed booking'
+        );
+      }
+
+      const [transactions, deductions] = await Promise.all([
+        depositsRepository.findTransactions(leaseId, tx),
+        depositsRepository.findDeductions(leaseId, tx),
+      ]);
+      const { received, balance } = this.summarizeLedger(transactions);
+
+      if (received <= 0) {
+        throw new Error(
+          'No security deposit has been received for this booking'
+        );
+      }
+
+      if (deductions.some(d => OPEN_DEDUCTION_STATUSES.includes(d.status))) {
+        throw new Error(
+          'Cannot settle while deductions are still proposed or disputed'
+        );
+      }
+
+      let deductedCents = 0;
+      for (const deduction of deductions) {
+        if (deduction.status !== 'ACCEPTED') {
+          continue;
+        }
+
+        deductedCents += toCents(deduction.amount);
+        await depositsRepository.createTransaction(
+          {
+            leaseId,
+            type: 'DEDUCTION',
+            amount: deduction.amount,
+            currencyCode: lease.currencyCode,
+            memo: deduction.reason,
+            deductionId: deduction.id,
+            createdById: user.id,
+          },
+          tx
+        );
+      }
+
+      const refundCents = balance - deductedCents;
+      if (refundCents > 0) {
+        await depositsRepository.createTransaction(
+          {
+            leaseId,
+            type: 'REFUND',
+            amount: fromCents(refundCents),
+            currencyCode: lease.currencyCode,
+            memo: 'Deposit refund at move-out',
+            createdById: user.id,
+          },
+          tx
+        );
+      }
+
+      return await depositsRepository.createSettlement(
+        {
+          leaseId,
+          settledById: user.id,
+          totalReceived: fromCents(received),
+          totalDeductions: fromCents(deductedCents),
+          refundAmount: fromCents(Math.max(refundCents, 0)),
+          currencyCode: lease.currencyCode,
+        },
+        tx
+      );
+    });
+
+    // The statement is generated by the worker
+    const statementPDF = await jobsService.queuePDF(
+      'deposit.statement',
+      { settlementId: settlement.id },
+      { createdById: user.id }
+    );
+
+    return {
+      ...(await this.getDeposit(leaseId, user)),
+      statementPDF,
+    };
+  }
+}
+
+module.exports = new DepositsService();
@@ -0,0 +1,11 @@
+const depositsRoutes = require('./deposits.routes');
+const depositsController = require('./deposits.controller');
+const depositsService = require('./deposits.service');
+const depositsRepository = require('./deposits.repository');
+
+module.exports = {
+  routes: depositsRoutes,
+  controller: depositsController,
+  service: depositsService,
+  repository: depositsRepository,
+};
@@ -0,0 +1,11 @@
+const invoicesRoutes = require('./invoices.routes');
+const invoicesController = require('./invoices.controller');
+const invoicesService = require('./invoices.service');
+const invoicesRepository = require('./invoices.repository');
+
+module.exports = {
+  routes: invoicesRoutes,
+  controller: invoicesController,
+  service: invoicesService,
+  repository: invoicesRepository,
+};
@@ -0,0 +1,171 @@
+const invoicesService = require('./invoices.service');
+
+class InvoicesController {
+  /**
+   * Get invoices of the authenticated user
+   */
+  async getUserInvoices(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const { as, status, type, leaseId } = req.query;
+
+      const result = await invoicesService.getUserInvoices(
+        req.user.id,
+        { as, status, type, leaseId },
+        page,
+        limit
+      );
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error('Get user invoices error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Get invoice schedule for a lease
+   */
+  async getLeaseInvoices(req, res) {
+    try {
+      const result = await invoicesService.getLeaseInvoices(
+        req.params.leaseId,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error('Get lease invoices error:', error);
+
+      if (error.message === 'Booking not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Get overdue balances of the authenticated user
+   */
+  async getUserOverdueBalances(req, res) {
+    try {
+      const result = await invoicesService.getUserOverdueBalances(
+        req.user.id,
+        req.query.as
+      );
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error('Get overdue balances error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Get overdue balance of a lease
+   */
+  async getLeaseOverdueBalance(req, res) {
+    try {
+      const result = await invoicesService.getLeaseOverdueBalance(
+        req.params.leaseId,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error('Get lease overdue balance error:', error);
+
+      if (error.message === 'Booking not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+
+  /**
+   * Get invoice by ID
+   */
+  async getInvoiceById(req, res) {
+    try {
+      const invoice = await invoicesService.getInvoiceById(
+        req.params.id,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        data: { invoice },
+      });
+    } catch (error) {
+      console.error('Get invoice error:', error);
+
+      if (error.message === 'Invoice not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Access denied')) {
+        return res.status(403).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+}
+
+module.exports = new InvoicesController();
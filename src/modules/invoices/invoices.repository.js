@@ -0,0 +1,211 @@
+const { prisma } = require('../../config/database');
+
+const leaseSummarySelect = {
+  id: true,
+  status: true,
+  startDate: true,
+  endDate: true,
+  tenantId: true,
+  landlordId: true,
+  property: {
+    select: {
+      id: true,
+      title: true,
+      address: true,
+      city: true,
+    },
+  },
+};
+
+class InvoicesRepository {
+  async findMany(options = {}) {
+    const {
+      where = {},
+      skip = 0,
+      take = 10,
+      orderBy = [{ dueDate: 'asc' }, { issuedAt: 'asc' }],
+    } = options;
+
+    return await prisma.invoice.findMany({
+      where,
+      skip,
+      take,
+      orderBy,
+      include: {
+        lease: { select: leaseSummarySelect },
+      },
+    });
+  }
+
+  async count(where = {}) {
+    return await prisma.invoice.count({ where });
+  }
+
+  async findById(id) {
+    return await prisma.invoice.findUnique({
+      where: { id },
+      include: {
+        lease: { select: leaseSummarySelect },
+        payments: {
+          orderBy: { createdAt: 'desc' },
+        },
+      },
+    });
+  }
+
+  async findByLeaseId(leaseId, client = prisma) {
+    return await client.invoice.findMany({
+      where: { leaseId },
+      orderBy: [{ dueDate: 'asc' }, { issuedAt: 'asc' }],
+    });
+  }
+
+  async findByLeaseIdWithPayments(leaseId, client = prisma) {
+    return await client.invoice.findMany({
+      where: { leaseId },
+      include: {
+        payments: {
+          select: { id: true, amount: true, status: true },
+        },
+      },
+      orderBy: [{ dueDate: 'asc' }, { issuedAt: 'asc' }],
+    });
+  }
+
+  async update(id, data, client = prisma) {
+    return await client.invoice.update({
+      where: { id },
+      data,
+    });
+  }
+
+  async createMany(data, client = prisma) {
+    return await client.invoice.createMany({ data });
+  }
+
+  async create(data, client = prisma) {
+    return await client.invoice.create({ data });
+  }
+
+  /**
+   * Flip DUE invoices whose due date has passed to OVERDUE
+   * @returns {Promise<number>} Number of invoices marked
+   */
+  async markOverdue(before, overdueAt) {
+    const result = await prisma.invoice.updateMany({
+      where: {
+        status: 'DUE',
+        dueDate: { lt: before },
+      },
+      data: {
+        status: 'OVERDUE',
+        overdueAt,
+      },
+    });
+    return result.count;
+  }
+
+  /**
+   * Overdue rent invoices without a late fee on properties that have an
+   * active late-fee policy
+   */
+  async findLateFeeCandidates() {
+    return await prisma.invoice.findMany({
+      where: {
+        status: 'OVERDUE',
+        type: 'RENT',
+        lateFees: { none: {} },
+        lease: {
+          property: {
+            lateFeePolicy: { isActive: true },
+          },
+        },
+      },
+      include: {
+        payments: {
+          where: { status: 'COMPLETED' },
+          select: { amount: true },
+        },
+        lease: {
+          select: {
+            id: true,
+            property: {
+              select: {
+                id: true,
+                lateFeePolicy: true,
+              },
+            },
+          },
+        },
+      },
+      orderBy: { dueDate: 'asc' },
+    });
+  }
+
+  async countLateFees(parentInvoiceId, client = prisma) {
+    return await client.invoice.count({
+      where: { parentInvoiceId },
+    });
+  }
+
+  /**
+   * Late fees of the given invoices that are neither voided nor refunded
+   */
+  async countOpenLateFees(parentInvoiceIds, client = prisma) {
+    return await client.invoice.count({
+      where: {
+        parentInvoiceId: { in: parentInvoiceIds },
+        status: { notIn: ['VOID', 'REFUNDED'] },
+      },
+    });
+  }
+
+  /**
+   * Overdue invoices of a lease with completed payments and late fees
+   */
+  async findOverdueByLeaseId(leaseId) {
+    return await prisma.invoice.findMany({
+      where: {
+        leaseId,
+        status: 'OVERDUE',
+      },
+      include: {
+        payments: {
+          where: { status: 'COMPLETED' },
+          select: { amount: true },
+        },
+        lateFees: {
+          select: {
+            id: true,
+            amount: true,
+            status: true,
+            dueDate: true,
+          },
+        },
+      },
+      orderBy: { dueDate: 'asc' },
+    });
+  }
+
+  /**
+   * Overdue invoices across all leases of a user
+   */
+  async findOverdueForUser(leaseWhere) {
+    return await prisma.invoice.findMany({
+      where: {
+        status: 'OVERDUE',
+        lease: leaseWhere,
+      },
+      include: {
+        payments: {
+          where: { status: 'COMPLETED' },
+          select: { amount: true },
+        },
+        lease: { select: leaseSummarySelect },
+      },
+      orderBy: [{ leaseId: 'asc' }, { dueDate: 'asc' }],
+    });
+  }
+}
+
+module.exports = new InvoicesRepository();
@@ -0,0 +1,237 @@
+const express = require('express');
+const { auth } = require('../../middleware/auth');
+const invoicesController = require('./invoices.controller');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invoice:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated UUID of the invoice
+ *         leaseId:
+ *           type: string
+ *           description: Lease (booking) this invoice belongs to
+ *         type:
+ *           type: string
+ *           enum: [RENT, DEPOSIT, UTILITY, OTHER]
+ *         amount:
+ *           type: number
+ *           format: decimal
+ *         currencyCode:
+ *           type: string
+ *           example: MYR
+ *         dueDate:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [DUE, OVERDUE, PAID, VOID, REFUNDED]
+ *         issuedAt:
+ *           type: string
+ *           format: date-time
+ *         paidAt:
+ *           type: string
+ *           format: date-time
+ *         memo:
+ *           type: string
+ *           example: Rent 2025-01-15 to 2025-01-31 (prorated 17/31 days)
+ *         periodStart:
+ *           type: string
+ *           format: date-time
+ *           description: First day billed (RENT only)
+ *         periodEnd:
+ *           type: string
+ *           format: date-time
+ *           description: Last day billed, inclusive (RENT only)
+ *         overdueAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the invoice was marked OVERDUE
+ *         parentInvoiceId:
+ *           type: string
+ *           description: Overdue invoice this late fee was charged for (late fees only)
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Invoices
+ *   description: Lease invoices (deposit and monthly rent)
+ */
+
+/**
+ * @swagger
+ * /api/invoices:
+ *   get:
+ *     summary: Get invoices of the authenticated user
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: as
+ *         schema:
+ *           type: string
+ *           enum: [tenant, landlord]
+ *         description: Only invoices where the user is tenant or landlord (default both)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [DUE, OVERDUE, PAID, VOID, REFUNDED]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [RENT, DEPOSIT, UTILITY, OTHER]
+ *       - in: query
+ *         name: leaseId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Invoices retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', auth, invoicesController.getUserInvoices);
+
+/**
+ * @swagger
+ * /api/invoices/overdue:
+ *   get:
+ *     summary: Get overdue balances of the authenticated user, per lease
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: as
+ *         schema:
+ *           type: string
+ *           enum: [tenant, landlord]
+ *         description: Only leases where the user is tenant or landlord (default both)
+ *     responses:
+ *       200:
+ *         description: Overdue balances retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/overdue', auth, invoicesController.getUserOverdueBalances);
+
+/**
+ * @swagger
+ * /api/invoices/lease/{leaseId}/overdue:
+ *   get:
+ *     summary: Get the overdue balance of a lease
+ *     description: Lists OVERDUE invoices with what is still unpaid on each, days overdue and late fees charged.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: leaseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking (lease) ID
+ *     responses:
+ *       200:
+ *         description: Overdue balance retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Booking not found
+ */
+router.get(
+  '/lease/:leaseId/overdue',
+  auth,
+  invoicesController.getLeaseOverdueBalance
+);
+
+/**
+ * @swagger
+ * /api/invoices/lease/{leaseId}:
+ *   get:
+ *     summary: Get the invoice schedule of a lease with totals
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: leaseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking (lease) ID
+ *     responses:
+ *       200:
+ *         description: Lease invoices retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Booking not found
+ */
+router.get('/lease/:leaseId', auth, invoicesController.getLeaseInvoices);
+
+/**
+ * @swagger
+ * /api/invoices/{id}:
+ *   get:
+ *     summary: Get invoice details by ID
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invoice ID
+ *     responses:
+ *       200:
+ *         description: Invoice retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invoice:
+ *                       $ref: '#/components/schemas/Invoice'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Invoice not found
+ */
+router.get('/:id', auth, invoicesController.getInvoiceById);
+
+module.exports = router;
@@ -0,0 +1,845 @@
+const { prisma } = require('../../config/database');
+const invoicesRepository = require('./invoices.repository');
+const lateFeesService = require('../lateFees/lateFees.service');
+const depositsService = require('../deposits/deposits.service');
+const {
+  toCents,
+  fromCents,
+  toUtcDay,
+  daysInclusive,
+  buildRentSchedule,
+  formatDay,
+} = require('../../utils/rentSchedule');
+
+// Invoice statuses that still have money owed on them
+const OPEN_INVOICE_STATUSES = ['DUE', 'OVERDUE'];
+
+class InvoicesService {
+  /**
+   * Build invoice rows (deposit + monthly rent) for a lease
+   * @param {Object} lease - Lease record
+   * @param {Object} options
+   * @param {boolean} [options.includeDeposit] - Bill the security deposit (false for renewals that carry it over)
+   * @returns {Array<Object>} Invoice data ready for createMany
+   */
+  buildLeaseInvoices(lease, options = {}) {
+    const { includeDeposit = true } = options;
+    const invoices = [];
+    const currencyCode = lease.currencyCode || 'MYR';
+
+    if (
+      includeDeposit &&
+      lease.securityDeposit &&
+      toCents(lease.securityDeposit) > 0
+    ) {
+      invoices.push({
+        leaseId: lease.id,
+        type: 'DEPOSIT',
+        amount: fromCents(toCents(lease.securityDeposit)),
+        currencyCode,
+        dueDate: toUtcDay(lease.startDate),
+        memo: 'Security deposit',
+      });
+    }
+
+    invoices.push(
+      ...this.buildRentInvoices(lease, lease.startDate, lease.endDate)
+    );
+
+    return invoices;
+  }
+
+  /**
+   * Build monthly rent invoice rows of a lease for a date range
+   * @param {Object} lease - Lease record (id, rentAmount, currencyCode)
+   * @param {Date} startDate - First billed day
+   * @param {Date} endDate - Last billed day (inclusive)
+   * @param {number|string|Object} rentAmount - Monthly rent of the range
+   * @returns {Array<Object>} Invoice data ready for createMany
+   */
+  buildRentInvoices(lease, startDate, endDate, rentAmount = lease.rentAmount) {
+    const currencyCode = lease.currencyCode || 'MYR';
+    const schedule = buildRentSchedule({
+      startDate,
+      endDate,
+      rentAmount,
+    });
+
+    return schedule.map(period => {
+      const range = `${formatDay(period.periodStart)} to ${formatDay(period.periodEnd)}`;
+
+      return {
+        leaseId: lease.id,
+        type: 'RENT',
+        amount: period.amount,
+        currencyCode,
+        dueDate: period.dueDate,
+        periodStart: period.periodStart,
+        periodEnd: period.periodEnd,
+        memo: period.prorated
+          ? `Rent ${range} (prorated ${period.billedDays}/${period.monthDays} days)`
+          : `Rent ${range}`,
+      };
+    });
+  }
+
+  /**
+   * Issue the full invoice schedule for a lease
+   * @param {Object} lease - Lease record
+   * @param {Object} client - Prisma client or transaction client
+   * @param {Object} options - Passed to buildLeaseInvoices
+   * @returns {Promise<Array>} Created invoices
+   */
+  async issueLeaseInvoices(lease, client = prisma, options = {}) {
+    const data = this.buildLeaseInvoices(lease, options);
+
+    if (data.length > 0) {
+      await invoicesRepository.createMany(data, client);
+    }
+
+    return await invoicesRepository.findByLeaseId(lease.id, client);
+  }
+
+  /**
+   * Bill the rent of an extended lease from the day after its previous end
+   * date up to its new end date
+   * @param {Object} lease - Lease record with the new endDate
+   * @param {Date} fromDate - First day of the extension
+   * @param {number|string|Object} rentAmount - Monthly rent of the extension
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Array>} All invoices of the lease
+   */
+  async extendLeaseInvoices(lease, fromDate, rentAmount, client = prisma) {
+    const data = this.buildRentInvoices(
+      lease,
+      fromDate,
+      lease.endDate,
+      rentAmount
+    );
+
+    if (data.length > 0) {
+      await invoicesRepository.createMany(data, client);
+    }
+
+    return await invoicesRepository.findByLeaseId(lease.id, client);
+  }
+
+  /**
+   * Get invoices visible to a user (as tenant and/or landlord)
+   * @param {string} userId
+   * @param {Object} filters - as, status, type, leaseId
+   * @param {number} page
+   * @param {number} limit
+   * @returns {Promise<Object>}
+   */
+  async getUserInvoices(userId, filters = {}, page = 1, limit = 10) {
+    const skip = (page - 1) * limit;
+    const where = {};
+
+    if (filters.as === 'tenant') {
+      where.lease = { tenantId: userId };
+    } else if (filters.as === 'landlord') {
+      where.lease = { landlordId: userId };
+    } else {
+      where.lease = { OR: [{ tenantId: userId }, { landlordId: userId }] };
+    }
+
+    if (filters.status) {
+      where.status = filters.status;
+    }
+    if (filters.type) {
+      where.type = filters.type;
+    }
+    if (filters.leaseId) {
+      where.leaseId = filters.leaseId;
+    }
+
+    const [invoices, total] = await Promise.all([
+      invoicesRepository.findMany({ where, skip, take: limit }),
+      invoicesRepository.count(where),
+    ]);
+
+    return {
+      invoices,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Get invoice by ID
+   * @param {string} invoiceId
+   * @param {string} userId - For access control
+   * @returns {Promise<Object>}
+   */
+  async getInvoiceById(invoiceId, userId) {
+    const invoice = await invoicesRepository.findById(invoiceId);
+
+    if (!invoice) {
+      throw new Error('Invoice not found');
+    }
+
+    if (
+      invoice.lease.tenantId !== userId &&
+      invoice.lease.landlordId !== userId
+    ) {
+      throw new Error('Access denied: You can only view your own invoices');
+    }
+
+    return invoice;
+  }
+
+  /**
+   * Get the full invoice schedule of a lease with totals
+   * @param {string} leaseId
+   * @param {string} userId - For access control
+   * @returns {Promise<Object>}
+   */
+  async getLeaseInvoices(leaseId, userId) {
+    const lease = await this.getAccessibleLease(leaseId, userId);
+    const invoices = await invoicesRepository.findByLeaseId(leaseId);
+
+    return {
+      leaseId,
+      invoices,
+      summary: this.summarizeInvoices(invoices, lease.currencyCode),
+    };
+  }
+
+  /**
+   * Load lease and check the user is its tenant or landlord
+   * @param {string} leaseId
+   * @param {string} userId
+   * @returns {Promise<Object>}
+   */
+  async getAccessibleLease(leaseId, userId) {
+    const lease = await prisma.lease.findUnique({
+      where: { id: leaseId },
+      select: {
+        id: true,
+        tenantId: true,
+        landlordId: true,
+        currencyCode: true,
+      },
+    });
+
+    if (!lease) {
+      throw new Error('Booking not found');
+    }
+
+    if (lease.tenantId !== userId && lease.landlordId !== userId) {
+      throw new Error('Access denied: You can only view your own invoices');
+    }
+
+    return lease;
+  }
+
+  /**
+   * Unpaid part of an invoice loaded with its COMPLETED payments
+   * @param {Object} invoice
+   * @returns {number} Cents
+   */
+  getOutstandingCents(invoice) {
+    const paidCents = (invoice.payments || []).reduce(
+      (sum, payment) => sum + toCents(payment.amount),
+      0
+    );
+    return Math.max(toCents(invoice.amount) - paidCents, 0);
+  }
+
+  /**
+   * Describe an overdue invoice for balance responses
+   * @param {Object} invoice - Invoice with COMPLETED payments
+   * @param {Date} today - UTC day
+   * @returns {Object}
+   */
+  formatOverdueInvoice(invoice, today) {
+    const outstandingCents = this.getOutstandingCents(invoice);
+
+    return {
+      ...invoice,
+      paid: fromCents(toCents(invoice.amount) - outstandingCents),
+      outstanding: fromCents(outstandingCents),
+      daysOverdue: daysInclusive(invoice.dueDate, today) - 1,
+    };
+  }
+
+  /**
+   * Overdue balance of a lease
+   * @param {string} leaseId
+   * @param {string} userId - For access control
+   * @returns {Promise<Object>}
+   */
+  async getLeaseOverdueBalance(leaseId, userId) {
+    const lease = await this.getAccessibleLease(leaseId, userId);
+    const invoices = await invoicesRepository.findOverdueByLeaseId(leaseId);
+    const today = toUtcDay(new Date());
+
+    const overdueInvoices = invoices.map(invoice =>
+      this.formatOverdueInvoice(invoice, today)
+    );
+    const totalCents = overdueInvoices.reduce(
+      (sum, invoice) => sum + toCents(invoice.outstanding),
+      0
+    );
+
+    return {
+      leaseId,
+      currencyCode: lease.currencyCode,
+      totalOverdue: fromCents(totalCents),
+      invoices: overdueInvoices,
+    };
+  }
+
+  /**
+   * Overdue balances of all leases of a user, grouped per lease
+   * @param {string} userId
+   * @param {string} as - tenant | landlord (both when omitted)
+   * @returns {Promise<Object>}
+   */
+  async getUserOverdueBalances(userId, as) {
+    let leaseWhere;
+    if (as === 'tenant') {
+      leaseWhere = { tenantId: userId };
+    } else if (as === 'landlord') {
+      leaseWhere = { landlordId: userId };
+    } else {
+      leaseWhere = { OR: [{ tenantId: userId }, { landlordId: userId }] };
+    }
+
+    const invoices = await invoicesRepository.findOverdueForUser(leaseWhere);
+    const today = toUtcDay(new Date());
+    const leases = new Map();
+
+    for (const invoice of invoices) {
+      const { lease, ...overdue } = invoice;
+
+      if (!leases.has(lease.id)) {
+        leases.set(lease.id, {
+          lease,
+          currencyCode: invoice.currencyCode,
+          totalCents: 0,
+          invoiceCount: 0,
+          oldestDueDate: invoice.dueDate,
+        });
+      }
+
+      const entry = leases.get(lease.id);
+      entry.totalCents += this.getOutstandingCents(overdue);
+      entry.invoiceCount += 1;
+      if (invoice.dueDate < entry.oldestDueDate) {
+        entry.oldestDueDate = invoice.dueDate;
+      }
+    }
+
+    return {
+      leases: Array.from(leases.values()).map(entry => ({
+        lease: entry.lease,
+        currencyCode: entry.currencyCode,
+        totalOverdue: fromCents(entry.totalCents),
+        invoiceCount: entry.invoiceCount,
+        oldestDueDate: entry.oldestDueDate,
+        daysOverdue: daysInclusive(entry.oldestDueDate, today) - 1,
+      })),
+    };
+  }
+
+  /**
+   * Mark DUE invoices past their due date as OVERDUE and issue late fees.
+   * Run periodically by the scheduler; safe to run repeatedly.
+   * @param {Date} now
+   * @returns {Promise<Object>} { markedOverdue, lateFeesIssued }
+   */
+  async processOverdueInvoices(now = new Date()) {
+    const today = toUtcDay(now);
+
+    const markedOverdue = await invoicesRepository.markOverdue(today, now);
+    const lateFeesIssued = await this.issueLateFees(today);
+
+    return { markedOverdue, lateFeesIssued };
+  }
+
+  /**
+   * Issue one late-fee invoice (type OTHER) per overdue rent invoice whose
+   * grace period has passed, following the property's late-fee policy
+   * @param {Date} today - UTC day
+   * @returns {Promise<number>} Number of late-fee invoices created
+   */
+  async issueLateFees(today) {
+    const candidates = await invoicesRepository.findLateFeeCandidates();
+    let issued = 0;
+
+    for (const invoice of candidates) {
+      const policy = invoice.lease.property.lateFeePolicy;
+
+      if (!lateFeesService.isPastGracePeriod(policy, invoice, today)) {
+        continue;
+      }
+
+      const feeCents = lateFeesService.computeLateFeeCents(
+        policy,
+        this.getOutstandingCents(invoice)
+      );
+      if (feeCents <= 0) {
+        continue;
+      }
+
+      const created = await prisma.$transaction(async tx => {
+        // Another run may have issued the fee in the meantime
+        const existing = await invoicesRepository.countLateFees(invoice.id, tx);
+        if (existing > 0) {
+          return false;
+        }
+
+        await invoicesRepository.create(
+          {
+            leaseId: invoice.leaseId,
+            parentInvoiceId: invoice.id,
+            type: 'OTHER',
+            amount: fromCents(feeCents),
+            currencyCode: invoice.currencyCode,
+            dueDate: today,
+            memo: `Late fee for invoice due ${formatDay(invoice.dueDate)} (${lateFeesService.describeFee(policy, feeCents, invoice.currencyCode)})`,
+          },
+          tx
+        );
+        return true;
+      });
+
+      if (created) {
+        issued += 1;
+      }
+    }
+
+    return issued;
+  }
+
+  /**
+   * Work out what happens to each invoice of a cancelled lease. Unpaid
+   * invoices are voided, deposits are refunded in full and paid rent is
+   * refunded by the given percentage; anything else paid is retained.
+   * @param {Array} invoices - Lease invoices with their payments
+   * @param {number} rentRefundPercentage - 0..100
+   * @param {string} currencyCode
+   * @returns {Object} Refund breakdown
+   */
+  buildCancellationRefund(invoices, rentRefundPercentage, currencyCode) {
+    let paidTotal = 0;
+    let refundTotal = 0;
+    const lines = [];
+
+    for (const invoice of invoices) {
+      if (['VOID', 'REFUNDED'].includes(invoice.status)) {
+        continue;
+      }
+
+      const paidCents = invoice.payments
+        .filter(payment => payment.status === 'COMPLETED')
+        .reduce((sum, payment) => sum + toCents(payment.amount), 0);
+
+      let refundCents = 0;
+      if (invoice.type === 'DEPOSIT') {
+        refundCents = paidCents;
+      } else if (invoice.type === 'RENT') {
+        refundCents = Math.round((paidCents * rentRefundPercentage) / 100);
+      }
+
+      let status = 'VOID';
+      if (refundCents > 0) {
+        status = 'REFUNDED';
+      } else if (invoice.status === 'PAID') {
+        status = 'PAID';
+      }
+
+      paidTotal += paidCents;
+      refundTotal += refundCents;
+      lines.push({
+        invoiceId: invoice.id,
+        type: invoice.type,
+        memo: invoice.memo,
+        amount: fromCents(toCents(invoice.amount)),
+        paid: fromCents(paidCents),
+        refund: fromCents(refundCents),
+        retained: fromCents(paidCents - refundCents),
+        previousStatus: invoice.status,
+        status,
+      });
+    }
+
+    return {
+      currencyCode,
+      totalPaid: fromCents(paidTotal),
+      totalRefund: fromCents(refundTotal),
+      totalRetained: fromCents(paidTotal - refundTotal),
+      invoices: lines,
+    };
+  }
+
+  /**
+   * Preview the refund breakdown for cancelling a lease
+   * @param {string} leaseId
+   * @param {number} rentRefundPercentage - 0..100
+   * @param {string} currencyCode
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>}
+   */
+  async quoteLeaseCancellation(
+    leaseId,
+    rentRefundPercentage,
+    currencyCode,
+    client = prisma
+  ) {
+    const invoices = await invoicesRepository.findByLeaseIdWithPayments(
+      leaseId,
+      client
+    );
+
+    return this.buildCancellationRefund(
+      invoices,
+      rentRefundPercentage,
+      currencyCode
+    );
+  }
+
+  /**
+   * Void / refund the invoices of a cancelled lease
+   * @param {string} leaseId
+   * @param {number} rentRefundPercentage - 0..100
+   * @param {string} currencyCode
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>} Applied refund breakdown
+   */
+  async cancelLeaseInvoices(
+    leaseId,
+    rentRefundPercentage,
+    currencyCode,
+    client = prisma
+  ) {
+    const invoices = await invoicesRepository.findByLeaseIdWithPayments(
+      leaseId,
+      client
+    );
+    const refund = this.buildCancellationRefund(
+      invoices,
+      rentRefundPercentage,
+      currencyCode
+    );
+
+    await this.applyCancellationRefund(invoices, refund, client);
+
+    return refund;
+  }
+
+  /**
+   * Apply a cancellation refund breakdown: update invoice statuses, fail
+   * pending payments and mark fully refunded payments REFUNDED
+   * @param {Array} invoices - Lease invoices with their payments
+   * @param {Object} refund - Result of buildCancellationRefund
+   * @param {Object} client - Prisma client or transaction client
+   */
+  async applyCancellationRefund(invoices, refund, client = prisma) {
+    const byId = new Map(invoices.map(invoice => [invoice.id, invoice]));
+
+    for (const line of refund.invoices) {
+      const invoice = byId.get(line.invoiceId);
+      const fullRefund = line.refund > 0 && line.refund === line.paid;
+
+      for (const payment of invoice.payments) {
+        if (payment.status === 'PENDING') {
+          await client.payment.update({
+            where: { id: payment.id },
+            data: { status: 'FAILED', notes: 'Booking cancelled by tenant' },
+          });
+        } else if (payment.status === 'COMPLETED' && fullRefund) {
+          await client.payment.update({
+            where: { id: payment.id },
+            data: { status: 'REFUNDED', notes: 'Refunded on cancellation' },
+          });
+        }
+      }
+
+      await invoicesRepository.update(
+        invoice.id,
+        {
+          status: line.status,
+          refundedAmount: line.refund > 0 ? line.refund : null,
+        },
+        client
+      );
+
+      if (invoice.type === 'DEPOSIT' && line.refund > 0) {
+        await depositsService.recordRefund(
+          invoice,
+          line.refund,
+          'Security deposit refunded on cancellation',
+          client
+        );
+      }
+    }
+  }
+
+  /**
+   * Compute how an early termination changes the rent invoices of a lease.
+   * Periods that start after the new end date are voided (or refunded when
+   * already paid), together with the late fees charged on them; the period
+   * containing it is shortened pro rata.
+   * @param {Array} invoices - Lease invoices with their payments
+   * @param {Date} effectiveEndDate - New last day of the lease
+   * @param {string} currencyCode
+   * @returns {Object} Totals and per-invoice lines
+   */
+  buildTerminationAdjustments(invoices, effectiveEndDate, currencyCode) {
+    const end = toUtcDay(effectiveEndDate);
+    let reductionTotal = 0;
+    let refundTotal = 0;
+    const lines = [];
+    const removedIds = new Set();
+    const getPaidCents = invoice =>
+      invoice.payments
+        .filter(payment => payment.status === 'COMPLETED')
+        .reduce((sum, payment) => sum + toCents(payment.amount), 0);
+
+    for (const invoice of invoices) {
+      if (
+        invoice.type !== 'RENT' ||
+        !invoice.periodStart ||
+        ['VOID', 'REFUNDED'].includes(invoice.status)
+      ) {
+        continue;
+      }
+
+      const periodStart = toUtcDay(invoice.periodStart);
+      const periodEnd = toUtcDay(invoice.periodEnd);
+      if (periodEnd <= end) {
+        continue;
+      }
+
+      const amountCents = toCents(invoice.amount);
+      const paidCents = getPaidCents(invoice);
+
+      const shortened = periodStart <= end;
+      const newAmountCents = shortened
+        ? Math.round(
+            (amountCents * daysInclusive(periodStart, end)) /
+              daysInclusive(periodStart, periodEnd)
+          )
+        : 0;
+      const refundCents = Math.max(paidCents - newAmountCents, 0);
+
+      let status;
+      if (shortened) {
+        status = paidCents >= newAmountCents ? 'PAID' : invoice.status;
+      } else {
+        status = refundCents > 0 ? 'REFUNDED' : 'VOID';
+      }
+
+      reductionTotal += amountCents - newAmountCents;
+      refundTotal += refundCents;
+      lines.push({
+        invoiceId: invoice.id,
+        memo: invoice.memo,
+        action: shortened ? 'SHORTENED' : 'REMOVED',
+        periodStart,
+        periodEnd: shortened ? end : periodEnd,
+        previousAmount: fromCents(amountCents),
+        amount: fromCents(newAmountCents),
+        paid: fromCents(paidCents),
+        refund: fromCents(refundCents),
+        previousStatus: invoice.status,
+        status,
+      });
+
+      if (!shortened) {
+        removedIds.add(invoice.id);
+      }
+    }
+
+    // Late fees (invoices linked to the rent through parentInvoiceId) are
+    // not owed for rent that is no longer payable
+    for (const invoice of invoices) {
+      if (
+        !invoice.parentInvoiceId ||
+        !removedIds.has(invoice.parentInvoiceId) ||
+        ['VOID', 'REFUNDED'].includes(invoice.status)
+      ) {
+        continue;
+      }
+
+      const amountCents = toCents(invoice.amount);
+      const paidCents = getPaidCents(invoice);
+
+      reductionTotal += amountCents;
+      refundTotal += paidCents;
+      lines.push({
+        invoiceId: invoice.id,
+        memo: invoice.memo,
+        action: 'REMOVED',
+        periodStart: null,
+        periodEnd: null,
+        previousAmount: fromCents(amountCents),
+        amount: 0,
+        paid: fromCents(paidCents),
+        refund: fromCents(paidCents),
+        previousStatus: invoice.status,
+        status: paidCents > 0 ? 'REFUNDED' : 'VOID',
+      });
+    }
+
+    return {
+      currencyCode,
+      effectiveEndDate: end,
+      totalReduction: fromCents(reductionTotal),
+      totalRefund: fromCents(refundTotal),
+      invoices: lines,
+    };
+  }
+
+  /**
+   * Preview the invoice changes of terminating a lease early
+   * @param {string} leaseId
+   * @param {Date} effectiveEndDate
+   * @param {string} currencyCode
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>}
+   */
+  async quoteLeaseTermination(
+    leaseId,
+    effectiveEndDate,
+    currencyCode,
+    client = prisma
+  ) {
+    const invoices = await invoicesRepository.findByLeaseIdWithPayments(
+      leaseId,
+      client
+    );
+
+    return this.buildTerminationAdjustments(
+      invoices,
+      effectiveEndDate,
+      currencyCode
+    );
+  }
+
+  /**
+   * Shorten / void the rent invoices (and their late fees) of a lease
+   * terminated early
+   * @param {string} leaseId
+   * @param {Date} effectiveEndDate
+   * @param {string} currencyCode
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>} Applied adjustments
+   */
+  async terminateLeaseInvoices(
+    leaseId,
+    effectiveEndDate,
+    currencyCode,
+    client = prisma
+  ) {
+    const invoices = await invoicesRepository.findByLeaseIdWithPayments(
+      leaseId,
+      client
+    );
+    const adjustments = this.buildTerminationAdjustments(
+      invoices,
+      effectiveEndDate,
+      currencyCode
+    );
+    const byId = new Map(invoices.map(invoice => [invoice.id, invoice]));
+
+    for (const line of adjustments.invoices) {
+      const invoice = byId.get(line.invoiceId);
+      const data = {
+        status: line.status,
+        refundedAmount: line.refund > 0 ? line.refund : null,
+      };
+
+      if (line.action === 'SHORTENED') {
+        data.amount = line.amount;
+        data.periodEnd = line.periodEnd;
+        data.memo = `Rent ${formatDay(line.periodStart)} to ${formatDay(line.periodEnd)} (shortened by early termination)`;
+      } else {
+        for (const payment of invoice.payments) {
+          if (payment.status === 'PENDING') {
+            await client.payment.update({
+              where: { id: payment.id },
+              data: { status: 'FAILED', notes: 'Lease terminated early' },
+            });
+          } else if (payment.status === 'COMPLETED') {
+            await client.payment.update({
+              where: { id: payment.id },
+              data: {
+                status: 'REFUNDED',
+                notes: 'Refunded on early termination',
+              },
+            });
+          }
+        }
+      }
+
+      await invoicesRepository.update(invoice.id, data, client);
+    }
+
+    // Every late fee of a removed rent period must be settled by now
+    const removedRentIds = adjustments.invoices
+      .filter(
+        line =>
+          line.action === 'REMOVED' && byId.get(line.invoiceId).type === 'RENT'
+      )
+      .map(line => line.invoiceId);
+    const openLateFees = await invoicesRepository.countOpenLateFees(
+      removedRentIds,
+      client
+    );
+    if (openLateFees > 0) {
+      throw new Error(
+        `${openLateFees} late fee(s) of removed rent periods are still open`
+      );
+    }
+
+    return adjustments;
+  }
+
+  /**
+   * Sum invoice amounts per status
+   * @param {Array} invoices
+   * @param {string} currencyCode
+   * @returns {Object}
+   */
+  summarizeInvoices(invoices, currencyCode = 'MYR') {
+    const totals = {};
+    let billedCents = 0;
+
+    for (const invoice of invoices) {
+      const cents = toCents(invoice.amount);
+      totals[invoice.status] = (totals[invoice.status] || 0) + cents;
+      if (invoice.status !== 'VOID') {
+        billedCents += cents;
+      }
+    }
+
+    return {
+      currencyCode,
+      totalBilled: fromCents(billedCents),
+      totalPaid: fromCents(totals.PAID || 0),
+      totalDue: fromCents(
+        OPEN_INVOICE_STATUSES.reduce(
+          (sum, status) => sum + (totals[status] || 0),
+          0
+        )
+      ),
+      totalOverdue: fromCents(totals.OVERDUE || 0),
+      byStatus: Object.fromEntries(
+        Object.entries(totals).map(([status, cents]) => [
+          status,
+          fromCents(cents),
+        ])
+      ),
+    };
+  }
+}
+
+module.exports = new InvoicesService();
@@ -0,0 +1,11 @@
+const jobsRoutes = require('./jobs.routes');
+const jobsController = require('./jobs.controller');
+const jobsService = require('./jobs.service');
+const jobsRepository = require('./jobs.repository');
+
+module.exports = {
+  routes: jobsRoutes,
+  controller: jobsController,
+  service: jobsService,
+  repository: jobsRepository,
+};
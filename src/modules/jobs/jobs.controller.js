@@ -0,0 +1,118 @@
+const jobsService = require('./jobs.service');
+const { validationResult } = require('express-validator');
+
+class JobsController {
+  /**
+   * Map service errors to HTTP responses
+   */
+  handleError(res, error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes('Access denied')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (
+      error.message.includes('Cannot ') ||
+      error.message.includes('changed by another request')
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+
+  /**
+   * List jobs (admin)
+   */
+  async getAll(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const filters = {};
+
+      if (req.query.status) {
+        filters.status = req.query.status;
+      }
+
+      if (req.query.type) {
+        filters.type = req.query.type;
+      }
+
+      const result = await jobsService.getAll(filters, { page, limit });
+
+      res.json({
+        success: true,
+        data: {
+          jobs: result.data,
+          pagination: result.pagination,
+        },
+      });
+    } catch (error) {
+      console.error('Get jobs error:', error);
+      jobsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Get the status of a job
+   */
+  async getJob(req, res) {
+    try {
+      const job = await jobsService.getJob(req.params.id, req.user);
+
+      res.json({
+        success: true,
+        data: { job },
+      });
+    } catch (error) {
+      console.error('Get job error:', error);
+      jobsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Requeue a dead job (admin)
+   */
+  async retryJob(req, res) {
+    try {
+      const job = await jobsService.retryJob(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Job queued again',
+        data: { job },
+      });
+    } catch (error) {
+      console.error('Retry job error:', error);
+      jobsController.handleError(res, error);
+    }
+  }
+}
+
+const jobsController = new JobsController();
+
+module.exports = jobsController;
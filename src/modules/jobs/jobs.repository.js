@@ -0,0 +1,143 @@
+const { prisma } = require('../../config/database');
+
+// Fields returned by the job status API (lock details stay internal)
+const jobSelect = {
+  id: true,
+  type: true,
+  status: true,
+  attempts: true,
+  maxAttempts: true,
+  runAt: true,
+  lastError: true,
+  result: true,
+  createdById: true,
+  completedAt: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+class JobsRepository {
+  async create(data, client = prisma) {
+    return await client.job.create({ data, select: jobSelect });
+  }
+
+  async findById(id) {
+    return await prisma.job.findUnique({
+      where: { id },
+      select: jobSelect,
+    });
+  }
+
+  /**
+   * Latest PENDING or RUNNING job of a type whose payload contains the given
+   * top-level values
+   * @param {string} type
+   * @param {Object} payload - e.g. { leaseId }
+   * @returns {Promise<Object|null>}
+   */
+  async findActive(type, payload) {
+    return await prisma.job.findFirst({
+      where: {
+        type,
+        status: { in: ['PENDING', 'RUNNING'] },
+        AND: Object.entries(payload).map(([key, value]) => ({
+          payload: { path: [key], equals: value },
+        })),
+      },
+      select: jobSelect,
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  async findMany(where, { skip, take }) {
+    return await prisma.job.findMany({
+      where,
+      select: jobSelect,
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take,
+    });
+  }
+
+  async count(where) {
+    return await prisma.job.count({ where });
+  }
+
+  /**
+   * Lock the next due PENDING job of the given types for a worker. Rows
+   * locked by other workers are skipped, so several workers can share the
+   * queue without taking the same job.
+   * @param {string} workerId
+   * @param {Array<string>} types - Job types the worker can handle
+   * @returns {Promise<Object|null>} Claimed job (attempts already counted)
+   */
+  async claimNext(workerId, types) {
+    const [job] = await prisma.$queryRaw`
+      UPDATE jobs
+      SET status = 'RUNNING',
+          attempts = attempts + 1,
+          "lockedAt" = NOW(),
+          "lockedBy" = ${workerId},
+          "updatedAt" = NOW()
+      WHERE id = (
+        SELECT id FROM jobs
+        WHERE status = 'PENDING'
+          AND "runAt" <= NOW()
+          AND type = ANY(${types})
+        ORDER BY "runAt" ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *`;
+
+    return job || null;
+  }
+
+  /**
+   * Update a job only while it is still locked by the given worker
+   * @returns {Promise<number>} Number of updated rows (0 or 1)
+   */
+  async updateIfLocked(id, workerId, data) {
+    const result = await prisma.job.updateMany({
+      where: { id, status: 'RUNNING', lockedBy: workerId },
+      data: { ...data, lockedAt: null, lockedBy: null },
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Release jobs whose worker stopped while running them. Jobs that used up
+   * their attempts go to the dead-letter state.
+   * @param {Date} lockedBefore
+   * @returns {Promise<number>} Number of released jobs
+   */
+  async releaseStale(lockedBefore) {
+    return await prisma.$executeRaw`
+      UPDATE jobs
+      SET status = CASE
+            WHEN attempts >= "maxAttempts" THEN 'DEAD'::"JobStatus"
+            ELSE 'PENDING'::"JobStatus"
+          END,
+          "lastError" = 'Worker stopped while running the job',
+          "lockedAt" = NULL,
+          "lockedBy" = NULL,
+          "updatedAt" = NOW()
+      WHERE status = 'RUNNING' AND "lockedAt" < ${lockedBefore}`;
+  }
+
+  /**
+   * Update only if the job is still in the expected status
+   * @returns {Promise<number>} Number of updated rows (0 or 1)
+   */
+  async updateIfStatus(id, expectedStatus, data) {
+    const result = await prisma.job.updateMany({
+      where: { id, status: expectedStatus },
+      data,
+    });
+
+    return result.count;
+  }
+}
+
+module.exports = new JobsRepository();
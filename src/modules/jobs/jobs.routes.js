@@ -0,0 +1,170 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { auth, authorize } = require('../../middleware/auth');
+const jobsController = require('./jobs.controller');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Jobs
+ *   description: Background job queue (PDF generation, thumbnails, notifications)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Job:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           example: agreement.generate
+ *         status:
+ *           type: string
+ *           enum: [PENDING, RUNNING, COMPLETED, DEAD]
+ *           description: DEAD jobs failed on every attempt and are no longer retried
+ *         attempts:
+ *           type: integer
+ *         maxAttempts:
+ *           type: integer
+ *         runAt:
+ *           type: string
+ *           format: date-time
+ *           description: Earliest time of the next attempt
+ *         lastError:
+ *           type: string
+ *           nullable: true
+ *         result:
+ *           type: object
+ *           nullable: true
+ *           description: Handler output, e.g. the URL of the generated PDF
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: List background jobs (admin only)
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, RUNNING, COMPLETED, DEAD]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Jobs, newest first
+ *       403:
+ *         description: Admin access required
+ */
+router.get(
+  '/',
+  auth,
+  authorize('job.manage'),
+  [
+    query('status')
+      .optional()
+      .isIn(['PENDING', 'RUNNING', 'COMPLETED', 'DEAD'])
+      .withMessage('Invalid job status'),
+  ],
+  jobsController.getAll
+);
+
+/**
+ * @swagger
+ * /api/jobs/{id}:
+ *   get:
+ *     summary: Get the status of a background job
+ *     description: Available to the user whose request queued the job and to admins. Poll until the status is COMPLETED or DEAD.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     job:
+ *                       $ref: '#/components/schemas/Job'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Job not found
+ */
+router.get('/:id', auth, jobsController.getJob);
+
+/**
+ * @swagger
+ * /api/jobs/{id}/retry:
+ *   post:
+ *     summary: Put a dead job back on the queue (admin only)
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job queued again with fresh attempts
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is not dead
+ */
+router.post(
+  '/:id/retry',
+  auth,
+  authorize('job.manage'),
+  jobsController.retryJob
+);
+
+module.exports = router;
@@ -0,0 +1,238 @@
+const jobsRepository = require('./jobs.repository');
+const { hasPermission } = require('../../config/permissions');
+
+const SECOND = 1000;
+
+class JobsService {
+  /**
+   * Add a job to the queue. It is picked up by the worker process
+   * (`node worker.js`), not by the API server.
+   * @param {string} type - Handler name, e.g. agreement.generate
+   * @param {Object} payload - JSON-serializable handler input
+   * @param {Object} options - createdById, maxAttempts, runAt, client
+   * @returns {Promise<Object>} Queued job
+   */
+  async enqueue(type, payload, options = {}) {
+    const { createdById = null, maxAttempts, runAt, client } = options;
+
+    const job = await jobsRepository.create(
+      {
+        type,
+        payload,
+        createdById,
+        maxAttempts: maxAttempts || parseInt(process.env.JOB_MAX_ATTEMPTS) || 5,
+        runAt: runAt || new Date(),
+      },
+      client
+    );
+
+    console.log(`📥 Queued job ${job.type} (${job.id})`);
+    return job;
+  }
+
+  /**
+   * Queue the PDF of a change that is already saved (an approved booking, a
+   * termination notice, a deposit settlement, signatures). The change
+   * stands even if the job cannot be queued right now, so a queue failure
+   * is logged and returned in place of the job instead of thrown.
+   * @param {string} type - Handler name, e.g. agreement.generate
+   * @param {Object} payload - JSON-serializable handler input
+   * @param {Object} options - Same as enqueue
+   * @returns {Promise<Object>} { url: null, jobId, status, generated: false }
+   *   or { url: null, error, generated: false }
+   */
+  async queuePDF(type, payload, options = {}) {
+    try {
+      const job = await this.enqueue(type, payload, options);
+
+      return {
+        url: null,
+        jobId: job.id,
+        status: job.status,
+        generated: false,
+      };
+    } catch (error) {
+      console.error(`❌ Error queueing ${type} job:`, error.message);
+
+      return {
+        url: null,
+        error: error.message,
+        generated: false,
+      };
+    }
+  }
+
+  /**
+   * Add a job unless one of the same type for the same subject is already
+   * waiting or running, in which case that job is returned
+   * @param {string} type - Handler name
+   * @param {Object} payload - JSON-serializable handler input
+   * @param {Object} match - Payload values identifying the subject, e.g. { leaseId }
+   * @param {Object} options - Same as enqueue
+   * @returns {Promise<Object>} Queued or already active job
+   */
+  async enqueueOnce(type, payload, match, options = {}) {
+    const active = await jobsRepository.findActive(type, match);
+
+    if (active) {
+      return active;
+    }
+
+    return await this.enqueue(type, payload, options);
+  }
+
+  /**
+   * Get the status of a job (the user who triggered it or an admin)
+   * @param {string} id
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>}
+   */
+  async getJob(id, user) {
+    const job = await jobsRepository.findById(id);
+
+    if (!job) {
+      throw new Error('Job not found');
+    }
+
+    if (
+      !hasPermission(user.role, 'job.manage') &&
+      job.createdById !== user.id
+    ) {
+      throw new Error('Access denied: You can only view your own jobs');
+    }
+
+    return job;
+  }
+
+  /**
+   * List jobs (admin)
+   * @param {Object} filters - status, type
+   * @param {Object} pagination - page, limit
+   * @returns {Promise<Object>}
+   */
+  async getAll(filters = {}, pagination = {}) {
+    const { page = 1, limit = 10 } = pagination;
+    const skip = (page - 1) * limit;
+
+    const [data, total] = await Promise.all([
+      jobsRepository.findMany(filters, { skip, take: limit }),
+      jobsRepository.count(filters),
+    ]);
+
+    return {
+      data,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Put a dead job back on the queue with fresh attempts (admin)
+   * @param {string} id
+   * @returns {Promise<Object>}
+   */
+  async retryJob(id) {
+    const job = await jobsRepository.findById(id);
+
+    if (!job) {
+      throw new Error('Job not found');
+    }
+
+    if (job.status !== 'DEAD') {
+      throw new Error(`Cannot retry a job that is ${job.status}`);
+    }
+
+    const updated = await jobsRepository.updateIfStatus(id, 'DEAD', {
+      status: 'PENDING',
+      attempts: 0,
+      runAt: new Date(),
+      completedAt: null,
+    });
+
+    if (updated === 0) {
+      throw new Error('Job was changed by another request');
+    }
+
+    return await jobsRepository.findById(id);
+  }
+
+  /**
+   * Wait before the next attempt: base delay doubled after every failed
+   * attempt, capped at JOB_RETRY_MAX_SECONDS
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    const base = parseInt(process.env.JOB_RETRY_BASE_SECONDS) || 30;
+    const max = parseInt(process.env.JOB_RETRY_MAX_SECONDS) || 3600;
+
+    return Math.min(base * 2 ** Math.max(attempts - 1, 0), max) * SECOND;
+  }
+
+  /**
+   * Claim the next due job for a worker
+   * @param {string} workerId
+   * @param {Array<string>} types - Job types the worker has handlers for
+   * @returns {Promise<Object|null>}
+   */
+  async claimNext(workerId, types) {
+    return await jobsRepository.claimNext(workerId, types);
+  }
+
+  /**
+   * Record a successful run
+   * @param {Object} job - Claimed job
+   * @param {string} workerId
+   * @param {*} result - Handler result (stored as JSON)
+   */
+  async completeJob(job, workerId, result) {
+    await jobsRepository.updateIfLocked(job.id, workerId, {
+      status: 'COMPLETED',
+      result: result === undefined ? null : result,
+      lastError: null,
+      completedAt: new Date(),
+    });
+  }
+
+  /**
+   * Record a failed run: retry later with backoff, or move the job to the
+   * dead-letter state once it has used up its attempts
+   * @param {Object} job - Claimed job
+   * @param {string} workerId
+   * @param {Error} error
+   * @returns {Promise<string>} New status (PENDING or DEAD)
+   */
+  async failJob(job, workerId, error) {
+    if (job.attempts >= job.maxAttempts) {
+      await jobsRepository.updateIfLocked(job.id, workerId, {
+        status: 'DEAD',
+        lastError: error.message,
+      });
+
+      return 'DEAD';
+    }
+
+    await jobsRepository.updateIfLocked(job.id, workerId, {
+      status: 'PENDING',
+      lastError: error.message,
+      runAt: new Date(Date.now() + this.getRetryDelay(job.attempts)),
+    });
+
+    return 'PENDING';
+  }
+
+  /**
+   * Requeue jobs of workers that stopped mid-run
+   * @param {number} timeoutMs - How long a job may stay RUNNING
+   * @returns {Promise<number>} Number of released jobs
+   */
+  async releaseStaleJobs(timeoutMs) {
+    return await jobsRepository.releaseStale(new Date(Date.now() - timeoutMs));
+  }
+}
+
+module.exports = new JobsService();
@@ -0,0 +1,11 @@
+const lateFeesRoutes = require('./lateFees.routes');
+const lateFeesController = require('./lateFees.controller');
+const lateFeesService = require('./lateFees.service');
+const lateFeesRepository = require('./lateFees.repository');
+
+module.exports = {
+  routes: lateFeesRoutes,
+  controller: lateFeesController,
+  service: lateFeesService,
+  repository: lateFeesRepository,
+};
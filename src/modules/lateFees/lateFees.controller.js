@@ -0,0 +1,104 @@
+const lateFeesService = require('./lateFees.service');
+const { validationResult } = require('express-validator');
+
+class LateFeesController {
+  /**
+   * Map service errors to HTTP responses
+   */
+  handleError(res, error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes('Access denied')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes('cannot exceed')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+
+  /**
+   * Get late-fee policy of a property
+   */
+  async getPolicy(req, res) {
+    try {
+      const policy = await lateFeesService.getPolicy(req.params.id);
+
+      res.json({
+        success: true,
+        data: { policy },
+      });
+    } catch (error) {
+      console.error('Get late fee policy error:', error);
+      lateFeesController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Create or update late-fee policy (owner or admin)
+   */
+  async upsertPolicy(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const policy = await lateFeesService.upsertPolicy(
+        req.params.id,
+        req.body,
+        req.user
+      );
+
+      res.json({
+        success: true,
+        message: 'Late fee policy saved successfully',
+        data: { policy },
+      });
+    } catch (error) {
+      console.error('Save late fee policy error:', error);
+      lateFeesController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Delete late-fee policy (owner or admin)
+   */
+  async deletePolicy(req, res) {
+    try {
+      await lateFeesService.deletePolicy(req.params.id, req.user);
+
+      res.json({
+        success: true,
+        message: 'Late fee policy deleted successfully',
+      });
+    } catch (error) {
+      console.error('Delete late fee policy error:', error);
+      lateFeesController.handleError(res, error);
+    }
+  }
+}
+
+const lateFeesController = new LateFeesController();
+
+module.exports = lateFeesController;
@@ -0,0 +1,36 @@
+const { prisma } = require('../../config/database');
+
+class LateFeesRepository {
+  async findPolicyByPropertyId(propertyId, client = prisma) {
+    return await client.lateFeePolicy.findUnique({
+      where: { propertyId },
+    });
+  }
+
+  async findProperty(propertyId) {
+    return await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: {
+        id: true,
+        ownerId: true,
+        currencyCode: true,
+      },
+    });
+  }
+
+  async upsertPolicy(propertyId, data) {
+    return await prisma.lateFeePolicy.upsert({
+      where: { propertyId },
+      create: { propertyId, ...data },
+      update: data,
+    });
+  }
+
+  async deletePolicy(propertyId) {
+    return await prisma.lateFeePolicy.delete({
+      where: { propertyId },
+    });
+  }
+}
+
+module.exports = new LateFeesRepository();
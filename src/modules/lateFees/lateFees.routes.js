@@ -0,0 +1,163 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { auth } = require('../../middleware/auth');
+const lateFeesController = require('./lateFees.controller');
+
+// Mounted at /api/properties/:id/late-fee-policy
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LateFeePolicy:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         propertyId:
+ *           type: string
+ *         graceDays:
+ *           type: integer
+ *           description: Days after the due date before a late fee is charged
+ *         feeType:
+ *           type: string
+ *           enum: [FLAT, PERCENTAGE]
+ *         feeAmount:
+ *           type: number
+ *           description: Flat amount, or percentage of the unpaid balance
+ *         maxFee:
+ *           type: number
+ *           nullable: true
+ *           description: Cap per overdue invoice
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/properties/{id}/late-fee-policy:
+ *   get:
+ *     summary: Get the late-fee policy of a property
+ *     tags: [Properties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Property ID
+ *     responses:
+ *       200:
+ *         description: Policy retrieved (null when not configured)
+ *       404:
+ *         description: Property not found
+ */
+router.get('/', auth, lateFeesController.getPolicy);
+
+/**
+ * @swagger
+ * /api/properties/{id}/late-fee-policy:
+ *   put:
+ *     summary: Create or update the late-fee policy of a property (owner or admin)
+ *     description: Overdue rent invoices of this property get one late-fee invoice (type OTHER) once the grace period has passed.
+ *     tags: [Properties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Property ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - feeType
+ *               - feeAmount
+ *             properties:
+ *               graceDays:
+ *                 type: integer
+ *                 minimum: 0
+ *                 default: 0
+ *               feeType:
+ *                 type: string
+ *                 enum: [FLAT, PERCENTAGE]
+ *               feeAmount:
+ *                 type: number
+ *                 minimum: 0
+ *               maxFee:
+ *                 type: number
+ *                 minimum: 0
+ *               isActive:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Policy saved
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not the property owner
+ *       404:
+ *         description: Property not found
+ */
+router.put(
+  '/',
+  auth,
+  [
+    body('graceDays')
+      .optional()
+      .isInt({ min: 0, max: 365 })
+      .withMessage('Grace days must be between 0 and 365'),
+    body('feeType')
+      .isIn(['FLAT', 'PERCENTAGE'])
+      .withMessage('Fee type must be FLAT or PERCENTAGE'),
+    body('feeAmount')
+      .isFloat({ min: 0 })
+      .withMessage('Fee amount must be a positive number'),
+    body('maxFee')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Maximum fee must be a positive number'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+  ],
+  lateFeesController.upsertPolicy
+);
+
+/**
+ * @swagger
+ * /api/properties/{id}/late-fee-policy:
+ *   delete:
+ *     summary: Remove the late-fee policy of a property (owner or admin)
+ *     tags: [Properties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Property ID
+ *     responses:
+ *       200:
+ *         description: Policy deleted
+ *       403:
+ *         description: Not the property owner
+ *       404:
+ *         description: Property or policy not found
+ */
+router.delete('/', auth, lateFeesController.deletePolicy);
+
+module.exports = router;
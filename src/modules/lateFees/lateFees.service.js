@@ -0,0 +1,145 @@
+const lateFeesRepository = require('./lateFees.repository');
+const {
+  toCents,
+  fromCents,
+  toUtcDay,
+  addDays,
+} = require('../../utils/rentSchedule');
+const { hasPermission } = require('../../config/permissions');
+
+class LateFeesService {
+  /**
+   * Load property and check the user may manage its late-fee policy
+   * @param {string} propertyId
+   * @param {Object} requestingUser
+   * @returns {Promise<Object>}
+   */
+  async getManageableProperty(propertyId, requestingUser) {
+    const property = await lateFeesRepository.findProperty(propertyId);
+
+    if (!property) {
+      throw new Error('Property not found');
+    }
+
+    if (
+      !hasPermission(requestingUser.role, 'listing.manage') &&
+      property.ownerId !== requestingUser.id
+    ) {
+      throw new Error(
+        'Access denied. You can only manage late fees of your own properties.'
+      );
+    }
+
+    return property;
+  }
+
+  /**
+   * Get late-fee policy of a property (null when none configured)
+   * @param {string} propertyId
+   * @returns {Promise<Object|null>}
+   */
+  async getPolicy(propertyId) {
+    const property = await lateFeesRepository.findProperty(propertyId);
+
+    if (!property) {
+      throw new Error('Property not found');
+    }
+
+    return await lateFeesRepository.findPolicyByPropertyId(propertyId);
+  }
+
+  /**
+   * Create or replace the late-fee policy of a property (owner or admin)
+   * @param {string} propertyId
+   * @param {Object} policyData - graceDays, feeType, feeAmount, maxFee, isActive
+   * @param {Object} requestingUser
+   * @returns {Promise<Object>}
+   */
+  async upsertPolicy(propertyId, policyData, requestingUser) {
+    await this.getManageableProperty(propertyId, requestingUser);
+
+    const { graceDays, feeType, feeAmount, maxFee, isActive } = policyData;
+
+    if (feeType === 'PERCENTAGE' && parseFloat(feeAmount) > 100) {
+      throw new Error('Percentage late fee cannot exceed 100');
+    }
+
+    return await lateFeesRepository.upsertPolicy(propertyId, {
+      graceDays: graceDays !== undefined ? parseInt(graceDays) : 0,
+      feeType,
+      feeAmount: parseFloat(feeAmount),
+      maxFee:
+        maxFee !== undefined && maxFee !== null ? parseFloat(maxFee) : null,
+      isActive: isActive !== undefined ? isActive : true,
+    });
+  }
+
+  /**
+   * Remove the late-fee policy of a property (owner or admin)
+   * @param {string} propertyId
+   * @param {Object} requestingUser
+   */
+  async deletePolicy(propertyId, requestingUser) {
+    await this.getManageableProperty(propertyId, requestingUser);
+
+    const policy = await lateFeesRepository.findPolicyByPropertyId(propertyId);
+    if (!policy) {
+      throw new Error('Late fee policy not found');
+    }
+
+    await lateFeesRepository.deletePolicy(propertyId);
+  }
+
+  /**
+   * Whether the grace period of an overdue invoice has passed
+   * @param {Object} policy
+   * @param {Object} invoice
+   * @param {Date} today - UTC day
+   * @returns {boolean}
+   */
+  isPastGracePeriod(policy, invoice, today) {
+    return addDays(toUtcDay(invoice.dueDate), policy.graceDays) < today;
+  }
+
+  /**
+   * Compute the late fee for an unpaid amount
+   * @param {Object} policy
+   * @param {number} outstandingCents - Unpaid part of the overdue invoice
+   * @returns {number} Fee in cents (0 when nothing should be charged)
+   */
+  computeLateFeeCents(policy, outstandingCents) {
+    if (!policy.isActive || outstandingCents <= 0) {
+      return 0;
+    }
+
+    let feeCents =
+      policy.feeType === 'PERCENTAGE'
+        ? Math.round((outstandingCents * parseFloat(policy.feeAmount)) / 100)
+        : toCents(policy.feeAmount);
+
+    if (policy.maxFee !== null && policy.maxFee !== undefined) {
+      feeCents = Math.min(feeCents, toCents(policy.maxFee));
+    }
+
+    return Math.max(feeCents, 0);
+  }
+
+  /**
+   * Human readable description of how a fee was computed
+   * @param {Object} policy
+   * @param {number} feeCents
+   * @param {string} currencyCode
+   * @returns {string}
+   */
+  describeFee(policy, feeCents, currencyCode) {
+    const fee = `${currencyCode} ${fromCents(feeCents).toFixed(2)}`;
+
+    if (policy.feeType === 'PERCENTAGE') {
+      return `${parseFloat(policy.feeAmount)}% of unpaid balance = ${fee}`;
+    }
+
+    return fee;
+  }
+}
+
+module.exports = new LateFeesService();
@@ -0,0 +1,77 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { auth } = require('../../middleware/auth');
+const safetyController = require('./safety.controller');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/blocks:
+ *   get:
+ *     summary: Get the users blocked by the current user
+ *     tags: [Messaging]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Blocked users, most recent first
+ *   post:
+ *     summary: Block a user
+ *     description: |
+ *       Neither user can message the other or start a new conversation with
+ *       them. Existing conversations stay readable.
+ *     tags: [Messaging]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: User blocked
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Cannot block yourself
+ */
+router.get('/', auth, safetyController.getBlockedUsers);
+
+router.post(
+  '/',
+  auth,
+  [body('userId').isString().notEmpty().withMessage('User ID is required')],
+  safetyController.blockUser
+);
+
+/**
+ * @swagger
+ * /api/blocks/{userId}:
+ *   delete:
+ *     summary: Unblock a user
+ *     tags: [Messaging]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User unblocked
+ *       404:
+ *         description: Block not found
+ */
+router.delete('/:userId', auth, safetyController.unblockUser);
+
+module.exports = router;
@@ -0,0 +1,240 @@
+const messagingService = require('./messaging.service');
+const { validationResult } = require('express-validator');
+
+class ConversationsController {
+  /**
+   * Map service errors to HTTP responses
+   */
+  handleError(res, error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes('Access denied')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (
+      error.message.includes('must contain') ||
+      error.message.includes('File type') ||
+      error.message.includes('File size')
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes('Cannot ')) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+
+  /**
+   * Conversations of the current user
+   */
+  async getConversations(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+
+      const result = await messagingService.getConversations(req.user.id, {
+        page,
+        limit,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          conversations: result.data,
+          unreadCount: result.unreadCount,
+          pagination: result.pagination,
+        },
+      });
+    } catch (error) {
+      console.error('Get conversations error:', error);
+      conversationsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Number of unread messages of the current user
+   */
+  async getUnreadCount(req, res) {
+    try {
+      const unreadCount = await messagingService.getUnreadCount(req.user.id);
+
+      res.json({
+        success: true,
+        data: { unreadCount },
+      });
+    } catch (error) {
+      console.error('Get unread message count error:', error);
+      conversationsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Open the thread of a property inquiry or a booking
+   */
+  async startConversation(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { conversation, created } =
+        await messagingService.startConversation(req.user, {
+          propertyId: req.body.propertyId,
+          bookingId: req.body.bookingId,
+        });
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        message: created ? 'Conversation started' : 'Conversation found',
+        data: { conversation },
+      });
+    } catch (error) {
+      console.error('Start conversation error:', error);
+      conversationsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Get one conversation
+   */
+  async getConversation(req, res) {
+    try {
+      const conversation = await messagingService.getConversation(
+        req.params.id,
+        req.user
+      );
+
+      res.json({
+        success: true,
+        data: { conversation },
+      });
+    } catch (error) {
+      console.error('Get conversation error:', error);
+      conversationsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Messages of a conversation
+   */
+  async getMessages(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const result = await messagingService.getMessages(
+        req.params.id,
+        req.user,
+        { page, limit }
+      );
+
+      res.json({
+        success: true,
+        data: {
+          messages: result.data,
+          pagination: result.pagination,
+        },
+      });
+    } catch (error) {
+      console.error('Get messages error:', error);
+      conversationsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Send a message with text and/or images
+   */
+  async sendMessage(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const message = await messagingService.sendMessage(
+        req.params.id,
+        req.user,
+        req.body,
+        req.files || []
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Message sent',
+        data: { message },
+      });
+    } catch (error) {
+      console.error('Send message error:', error);
+      conversationsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Mark the other party's messages in a conversation as read
+   */
+  async markAsRead(req, res) {
+    try {
+      const result = await messagingService.markAsRead(req.params.id, req.user);
+
+      res.json({
+        success: true,
+        message: 'Conversation marked as read',
+        data: result,
+      });
+    } catch (error) {
+      console.error('Mark conversation as read error:', error);
+      conversationsController.handleError(res, error);
+    }
+  }
+}
+
+const conversationsController = new ConversationsController();
+
+module.exports = conversationsController;
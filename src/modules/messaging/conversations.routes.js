@@ -0,0 +1,412 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { auth } = require('../../middleware/auth');
+const {
+  uploadMultiple,
+  handleUploadError,
+} = require('../../middleware/upload');
+const conversationsController = require('./conversations.controller');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Messaging
+ *   description: Tenant-landlord conversations, blocks and reports
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Participant:
+ *       type: object
+ *       description: Public profile of a conversation party (no contact details)
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         firstName:
+ *           type: string
+ *         lastName:
+ *           type: string
+ *         profilePicture:
+ *           type: string
+ *           nullable: true
+ *     Message:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         conversationId:
+ *           type: string
+ *         senderId:
+ *           type: string
+ *         body:
+ *           type: string
+ *           nullable: true
+ *         attachments:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               fileName:
+ *                 type: string
+ *               mimeType:
+ *                 type: string
+ *               size:
+ *                 type: integer
+ *               width:
+ *                 type: integer
+ *               height:
+ *                 type: integer
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the recipient read the message (read receipt)
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     Conversation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [INQUIRY, LEASE]
+ *         propertyId:
+ *           type: string
+ *         leaseId:
+ *           type: string
+ *           nullable: true
+ *         tenantId:
+ *           type: string
+ *         landlordId:
+ *           type: string
+ *         lastMessageAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         property:
+ *           type: object
+ *         lease:
+ *           type: object
+ *           nullable: true
+ *         tenant:
+ *           $ref: '#/components/schemas/Participant'
+ *         landlord:
+ *           $ref: '#/components/schemas/Participant'
+ *         otherParty:
+ *           $ref: '#/components/schemas/Participant'
+ *         lastMessage:
+ *           $ref: '#/components/schemas/Message'
+ *         unreadCount:
+ *           type: integer
+ *           description: Messages from the other party not read yet
+ */
+
+/**
+ * @swagger
+ * /api/conversations:
+ *   get:
+ *     summary: Get the current user's conversations
+ *     description: Most recent activity first, with the last message and unread count of each.
+ *     tags: [Messaging]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Conversations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     conversations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Conversation'
+ *                     unreadCount:
+ *                       type: integer
+ *                     pagination:
+ *                       type: object
+ *   post:
+ *     summary: Start a conversation
+ *     description: |
+ *       Opens the inquiry thread of a property (as the prospective tenant) or
+ *       the thread of a booking (as its tenant or landlord). If the thread
+ *       already exists it is returned with status 200.
+ *     tags: [Messaging]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               propertyId:
+ *                 type: string
+ *                 description: Property to ask about (approved listings only)
+ *               bookingId:
+ *                 type: string
+ *                 description: Booking to discuss
+ *     responses:
+ *       200:
+ *         description: Existing conversation
+ *       201:
+ *         description: Conversation started
+ *       400:
+ *         description: Neither or both of propertyId and bookingId given
+ *       403:
+ *         description: Not part of the booking, or one user blocked the other
+ *       404:
+ *         description: Property or booking not found
+ *       409:
+ *         description: Inquiry about your own property
+ */
+router.get(
+  '/',
+  auth,
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+  ],
+  conversationsController.getConversations
+);
+
+router.post(
+  '/',
+  auth,
+  [
+    body('propertyId').optional().isString(),
+    body('bookingId').optional().isString(),
+    body().custom(value => {
+      if (!value.propertyId === !value.bookingId) {
+        throw new Error('Provide either propertyId or bookingId');
+      }
+      return true;
+    }),
+  ],
+  conversationsController.startConversation
+);
+
+/**
+ * @swagger
+ * /api/conversations/unread-count:
+ *   get:
+ *     summary: Get the number of unread messages
+ *     tags: [Messaging]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread count across all conversations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     unreadCount:
+ *                       type: integer
+ */
+router.get('/unread-count', auth, conversationsController.getUnreadCount);
+
+/**
+ * @swagger
+ * /api/conversations/{id}:
+ *   get:
+ *     summary: Get a conversation
+ *     description: Parties only. Admins can read any conversation to review reports.
+ *     tags: [Messaging]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conversation
+ *       403:
+ *         description: Not part of this conversation
+ *       404:
+ *         description: Conversation not found
+ */
+router.get('/:id', auth, conversationsController.getConversation);
+
+/**
+ * @swagger
+ * /api/conversations/{id}/messages:
+ *   get:
+ *     summary: Get the messages of a conversation
+ *     description: Newest first
+ *     tags: [Messaging]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Messages
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     messages:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Message'
+ *                     pagination:
+ *                       type: object
+ *       403:
+ *         description: Not part of this conversation
+ *       404:
+ *         description: Conversation not found
+ *   post:
+ *     summary: Send a message
+ *     description: Text, up to 10 images, or both. The other party receives a `message.created` event on the realtime stream.
+ *     tags: [Messaging]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 2000
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       201:
+ *         description: Message sent
+ *       400:
+ *         description: Empty message, text too long or invalid image
+ *       403:
+ *         description: Not part of this conversation, or one user blocked the other
+ *       404:
+ *         description: Conversation not found
+ */
+router.get(
+  '/:id/messages',
+  auth,
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+  ],
+  conversationsController.getMessages
+);
+
+router.post(
+  '/:id/messages',
+  auth,
+  uploadMultiple('images', 10),
+  [
+    body('body')
+      .optional()
+      .isString()
+      .isLength({ max: 2000 })
+      .withMessage('Message cannot exceed 2000 characters'),
+  ],
+  conversationsController.sendMessage
+);
+
+/**
+ * @swagger
+ * /api/conversations/{id}/read:
+ *   post:
+ *     summary: Mark a conversation as read
+ *     description: Sets readAt on the other party's unread messages and sends them a `message.read` event.
+ *     tags: [Messaging]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Number of messages marked as read
+ *       403:
+ *         description: Not part of this conversation
+ *       404:
+ *         description: Conversation not found
+ */
+router.post('/:id/read', auth, conversationsController.markAsRead);
+
+router.use(handleUploadError);
+
+module.exports = router;
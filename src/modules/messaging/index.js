@@ -0,0 +1,17 @@
+const conversationsRoutes = require('./conversations.routes');
+const blocksRoutes = require('./blocks.routes');
+const reportsRoutes = require('./reports.routes');
+const conversationsController = require('./conversations.controller');
+const safetyController = require('./safety.controller');
+const messagingService = require('./messaging.service');
+const messagingRepository = require('./messaging.repository');
+
+module.exports = {
+  routes: conversationsRoutes,
+  blocksRoutes,
+  reportsRoutes,
+  controller: conversationsController,
+  safetyController,
+  service: messagingService,
+  repository: messagingRepository,
+};
@@ -0,0 +1,291 @@
+const { prisma } = require('../../config/database');
+
+// Public profile of a conversation party: no email or phone
+const participantSelect = {
+  id: true,
+  name: true,
+  firstName: true,
+  lastName: true,
+  profilePicture: true,
+};
+
+const conversationInclude = {
+  property: {
+    select: {
+      id: true,
+      code: true,
+      title: true,
+      city: true,
+      images: true,
+    },
+  },
+  lease: {
+    select: {
+      id: true,
+      startDate: true,
+      endDate: true,
+      status: true,
+    },
+  },
+  tenant: { select: participantSelect },
+  landlord: { select: participantSelect },
+};
+
+const reportInclude = {
+  reporter: { select: { id: true, name: true, email: true } },
+  reportedUser: {
+    select: { id: true, name: true, email: true, isActive: true },
+  },
+  reviewedBy: { select: { id: true, name: true } },
+  message: {
+    select: { id: true, body: true, attachments: true, createdAt: true },
+  },
+};
+
+class MessagingRepository {
+  async findConversationById(id) {
+    return await prisma.conversation.findUnique({
+      where: { id },
+      include: conversationInclude,
+    });
+  }
+
+  async findConversationByThreadKey(threadKey) {
+    return await prisma.conversation.findUnique({
+      where: { threadKey },
+      include: conversationInclude,
+    });
+  }
+
+  async createConversation(data) {
+    return await prisma.conversation.create({
+      data,
+      include: conversationInclude,
+    });
+  }
+
+  /**
+   * Conversations of a user with their last message and the number of
+   * messages the user has not read
+   * @param {string} userId
+   * @returns {Promise<Array>}
+   */
+  async findConversations(userId, { skip, take }) {
+    return await prisma.conversation.findMany({
+      where: { OR: [{ tenantId: userId }, { landlordId: userId }] },
+      include: {
+        ...conversationInclude,
+        messages: {
+          orderBy: { createdAt: 'desc' },
+          take: 1,
+        },
+        _count: {
+          select: {
+            messages: {
+              where: { senderId: { not: userId }, readAt: null },
+            },
+          },
+        },
+      },
+      orderBy: [
+        { lastMessageAt: { sort: 'desc', nulls: 'last' } },
+        { createdAt: 'desc' },
+      ],
+      skip,
+      take,
+    });
+  }
+
+  async countConversations(userId) {
+    return await prisma.conversation.count({
+      where: { OR: [{ tenantId: userId }, { landlordId: userId }] },
+    });
+  }
+
+  /**
+   * Messages sent to a user that they have not read
+   * @param {string} userId
+   * @param {string} conversationId - Limit to one conversation (optional)
+   * @returns {Promise<number>}
+   */
+  async countUnread(userId, conversationId) {
+    return await prisma.message.count({
+      where: {
+        ...(conversationId
+          ? { conversationId }
+          : {
+              conversation: {
+                OR: [{ tenantId: userId }, { landlordId: userId }],
+              },
+            }),
+        senderId: { not: userId },
+        readAt: null,
+      },
+    });
+  }
+
+  async findMessages(conversationId, { skip, take }) {
+    return await prisma.message.findMany({
+      where: { conversationId },
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take,
+    });
+  }
+
+  async countMessages(conversationId) {
+    return await prisma.message.count({ where: { conversationId } });
+  }
+
+  async findMessageById(id) {
+    return await prisma.message.findUnique({ where: { id } });
+  }
+
+  /**
+   * Store a message and move its conversation to the top of both inboxes
+   * @returns {Promise<Object>} Message
+   */
+  async createMessage(data) {
+    return await prisma.$transaction(async tx => {
+      const message = await tx.message.create({ data });
+
+      await tx.conversation.update({
+        where: { id: data.conversationId },
+        data: { lastMessageAt: message.createdAt },
+      });
+
+      return message;
+    });
+  }
+
+  /**
+   * Mark messages the other party sent in a conversation as read
+   * @param {string} conversationId
+   * @param {string} readerId - User reading the conversation
+   * @param {Date} readAt
+   * @returns {Promise<number>} Number of messages marked
+   */
+  async markRead(conversationId, readerId, readAt) {
+    const result = await prisma.message.updateMany({
+      where: {
+        conversationId,
+        senderId: { not: readerId },
+        readAt: null,
+      },
+      data: { readAt },
+    });
+
+    return result.count;
+  }
+
+  async findProperty(id) {
+    return await prisma.property.findUnique({
+      where: { id },
+      select: { id: true, title: true, ownerId: true, status: true },
+    });
+  }
+
+  async findLease(id) {
+    return await prisma.lease.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        propertyId: true,
+        tenantId: true,
+        landlordId: true,
+      },
+    });
+  }
+
+  async findUser(id) {
+    return await prisma.user.findUnique({
+      where: { id },
+      select: { ...participantSelect, isActive: true },
+    });
+  }
+
+  /**
+   * Whether either user has blocked the other
+   * @returns {Promise<boolean>}
+   */
+  async isBlockedBetween(userId, otherUserId) {
+    const block = await prisma.userBlock.findFirst({
+      where: {
+        OR: [
+          { blockerId: userId, blockedId: otherUserId },
+          { blockerId: otherUserId, blockedId: userId },
+        ],
+      },
+    });
+
+    return !!block;
+  }
+
+  async findBlocks(blockerId) {
+    return await prisma.userBlock.findMany({
+      where: { blockerId },
+      include: { blocked: { select: participantSelect } },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  async createBlock(blockerId, blockedId) {
+    return await prisma.userBlock.upsert({
+      where: { blockerId_blockedId: { blockerId, blockedId } },
+      create: { blockerId, blockedId },
+      update: {},
+      include: { blocked: { select: participantSelect } },
+    });
+  }
+
+  async deleteBlock(blockerId, blockedId) {
+    const result = await prisma.userBlock.deleteMany({
+      where: { blockerId, blockedId },
+    });
+
+    return result.count;
+  }
+
+  async createReport(data) {
+    return await prisma.userReport.create({
+      data,
+      include: reportInclude,
+    });
+  }
+
+  async findReportById(id) {
+    return await prisma.userReport.findUnique({
+      where: { id },
+      include: reportInclude,
+    });
+  }
+
+  async findReports(where, { skip, take }) {
+    return await prisma.userReport.findMany({
+      where,
+      include: reportInclude,
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take,
+    });
+  }
+
+  async countReports(where) {
+    return await prisma.userReport.count({ where });
+  }
+
+  /**
+   * Update a report only if it still has the expected status
+   * @returns {Promise<boolean>} false if the report was changed meanwhile
+   */
+  async updateReportIfStatus(id, status, data) {
+    const result = await prisma.userReport.updateMany({
+      where: { id, status },
+      data,
+    });
+
+    return result.count === 1;
+  }
+}
+
+module.exports = new MessagingRepository();
@@ -0,0 +1,521 @@
+const messagingRepository = require('./messaging.repository');
+const realtimeService = require('../../services/realtime.service');
+const fileUploadService = require('../../utils/fileUpload');
+const { hasPermission } = require('../../config/permissions');
+
+class MessagingService {
+  /**
+   * Whether a user takes part in a conversation
+   * @param {Object} conversation
+   * @param {string} userId
+   * @returns {boolean}
+   */
+  isParticipant(conversation, userId) {
+    return (
+      conversation.tenantId === userId || conversation.landlordId === userId
+    );
+  }
+
+  /**
+   * The party of a conversation that is not the given user
+   * @returns {string} User ID
+   */
+  getOtherPartyId(conversation, userId) {
+    return conversation.tenantId === userId
+      ? conversation.landlordId
+      : conversation.tenantId;
+  }
+
+  /**
+   * Shape a conversation for one of its parties
+   * @param {Object} conversation - With tenant, landlord and optionally
+   * messages (last message) and _count (unread messages)
+   * @param {string} userId - Viewer
+   * @returns {Object}
+   */
+  formatConversation(conversation, userId) {
+    const { messages, _count, ...data } = conversation;
+    const otherParty =
+      conversation.tenantId === userId
+        ? conversation.landlord
+        : conversation.tenant;
+
+    return {
+      ...data,
+      otherParty,
+      ...(messages && { lastMessage: messages[0] || null }),
+      ...(_count && { unreadCount: _count.messages }),
+    };
+  }
+
+  /**
+   * Refuse contact between users when either has blocked the other
+   */
+  async assertNotBlocked(userId, otherUserId) {
+    if (await messagingRepository.isBlockedBetween(userId, otherUserId)) {
+      throw new Error('Access denied: You cannot message this user');
+    }
+  }
+
+  /**
+   * Get a conversation the user may read. Admins can read any conversation
+   * to review reports.
+   * @param {string} id
+   * @param {Object} user
+   * @returns {Promise<Object>}
+   */
+  async getAccessibleConversation(id, user) {
+    const conversation = await messagingRepository.findConversationById(id);
+
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    if (
+      !this.isParticipant(conversation, user.id) &&
+      !hasPermission(user.role, 'report.manage')
+    ) {
+      throw new Error('Access denied: You are not part of this conversation');
+    }
+
+    return conversation;
+  }
+
+  /**
+   * Open the thread of a property inquiry or a lease, or return the existing
+   * one. There is one inquiry thread per property and tenant, and one thread
+   * per lease.
+   * @param {Object} user - Current user
+   * @param {Object} target - { propertyId } or { bookingId }
+   * @returns {Promise<Object>} { conversation, created }
+   */
+  async startConversation(user, { propertyId, bookingId }) {
+    let threadData;
+
+    if (bookingId) {
+      const lease = await messagingRepository.findLease(bookingId);
+
+      if (!lease) {
+        throw new Error('Booking not found');
+      }
+
+      if (lease.tenantId !== user.id && lease.landlordId !== user.id) {
+        throw new Error(
+          'Access denied: You can only message about your own bookings'
+        );
+      }
+
+      threadData = {
+        type: 'LEASE',
+        threadKey: `lease:${lease.id}`,
+        propertyId: lease.propertyId,
+        leaseId: lease.id,
+        tenantId: lease.tenantId,
+        landlordId: lease.landlordId,
+      };
+    } else {
+      const property = await messagingRepository.findProperty(propertyId);
+
+      if (!property || property.status !== 'APPROVED') {
+        throw new Error('Property not found');
+      }
+
+      if (property.ownerId === user.id) {
+        throw new Error('Cannot send an inquiry about your own property');
+      }
+
+      threadData = {
+        type: 'INQUIRY',
+        threadKey: `inquiry:${property.id}:${user.id}`,
+        propertyId: property.id,
+        tenantId: user.id,
+        landlordId: property.ownerId,
+      };
+    }
+
+    const existing = await messagingRepository.findConversationByThreadKey(
+      threadData.threadKey
+    );
+    if (existing) {
+      return {
+        conversation: this.formatConversation(existing, user.id),
+        created: false,
+      };
+    }
+
+    await this.assertNotBlocked(
+      user.id,
+      this.getOtherPartyId(threadData, user.id)
+    );
+
+    try {
+      const conversation =
+        await messagingRepository.createConversation(threadData);
+
+      return {
+        conversation: this.formatConversation(conversation, user.id),
+        created: true,
+      };
+    } catch (error) {
+      // Opened by a concurrent request
+      if (error.code === 'P2002') {
+        const conversation =
+          await messagingRepository.findConversationByThreadKey(
+            threadData.threadKey
+          );
+
+        return {
+          conversation: this.formatConversation(conversation, user.id),
+          created: false,
+        };
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Conversations of a user, most recent activity first
+   * @param {string} userId
+   * @param {Object} options - page, limit
+   * @returns {Promise<Object>}
+   */
+  async getConversations(userId, options = {}) {
+    const { page = 1, limit = 10 } = options;
+    const skip = (page - 1) * limit;
+
+    const [conversations, total, unreadCount] = await Promise.all([
+      messagingRepository.findConversations(userId, { skip, take: limit }),
+      messagingRepository.countConversations(userId),
+      messagingRepository.countUnread(userId),
+    ]);
+
+    return {
+      data: conversations.map(conversation =>
+        this.formatConversation(conversation, userId)
+      ),
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Number of messages sent to a user that they have not read
+   * @param {string} userId
+   * @returns {Promise<number>}
+   */
+  async getUnreadCount(userId) {
+    return await messagingRepository.countUnread(userId);
+  }
+
+  /**
+   * Get one conversation
+   * @param {string} id
+   * @param {Object} user
+   * @returns {Promise<Object>}
+   */
+  async getConversation(id, user) {
+    const conversation = await this.getAccessibleConversation(id, user);
+
+    return {
+      ...this.formatConversation(conversation, user.id),
+      unreadCount: this.isParticipant(conversation, user.id)
+        ? await messagingRepository.countUnread(user.id, id)
+        : 0,
+    };
+  }
+
+  /**
+   * Messages of a conversation, newest first
+   * @param {string} id - Conversation ID
+   * @param {Object} user
+   * @param {Object} options - page, limit
+   * @returns {Promise<Object>}
+   */
+  async getMessages(id, user, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const skip = (page - 1) * limit;
+
+    await this.getAccessibleConversation(id, user);
+
+    const [data, total] = await Promise.all([
+      messagingRepository.findMessages(id, { skip, take: limit }),
+      messagingRepository.countMessages(id),
+    ]);
+
+    return {
+      data,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Send a message with text, images or both
+   * @param {string} id - Conversation ID
+   * @param {Object} user - Sender
+   * @param {Object} messageData - { body }
+   * @param {Array} files - Uploaded images (multer)
+   * @returns {Promise<Object>} Message
+   */
+  async sendMessage(id, user, messageData, files = []) {
+    const conversation = await messagingRepository.findConversationById(id);
+
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    if (!this.isParticipant(conversation, user.id)) {
+      throw new Error('Access denied: You are not part of this conversation');
+    }
+
+    const body = messageData.body?.trim() || null;
+    if (!body && files.length === 0) {
+      throw new Error('Message must contain text or an image');
+    }
+
+    const recipientId = this.getOtherPartyId(conversation, user.id);
+    await this.assertNotBlocked(user.id, recipientId);
+
+    for (const file of files) {
+      fileUploadService.validateFile(file, fileUploadService.allowedImageTypes);
+    }
+
+    const uploads =
+      files.length > 0
+        ? await fileUploadService.uploadMultipleFiles(files, true)
+        : [];
+
+    const message = await messagingRepository.createMessage({
+      conversationId: id,
+      senderId: user.id,
+      body,
+      attachments:
+        uploads.length > 0
+          ? uploads.map(upload => ({
+              url: upload.url,
+              publicId: upload.publicId,
+              fileName: upload.originalName,
+              mimeType: upload.mimeType,
+              size: upload.size,
+              width: upload.width,
+              height: upload.height,
+            }))
+          : undefined,
+    });
+
+    // Sender too, so their other open tabs stay in sync
+    realtimeService.publish([recipientId, user.id], 'message.created', {
+      conversationId: id,
+      message,
+    });
+
+    return message;
+  }
+
+  /**
+   * Mark the messages the other party sent as read, and tell them
+   * @param {string} id - Conversation ID
+   * @param {Object} user - Reader
+   * @returns {Promise<Object>} { updated, readAt }
+   */
+  async markAsRead(id, user) {
+    const conversation = await messagingRepository.findConversationById(id);
+
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    if (!this.isParticipant(conversation, user.id)) {
+      throw new Error('Access denied: You are not part of this conversation');
+    }
+
+    const readAt = new Date();
+    const updated = await messagingRepository.markRead(id, user.id, readAt);
+
+    if (updated > 0) {
+      realtimeService.publish(
+        [this.getOtherPartyId(conversation, user.id), user.id],
+        'message.read',
+        { conversationId: id, readerId: user.id, readAt }
+      );
+    }
+
+    return { updated, readAt };
+  }
+
+  /**
+   * Users blocked by a user
+   * @param {string} userId
+   * @returns {Promise<Array>}
+   */
+  async getBlockedUsers(userId) {
+    return await messagingRepository.findBlocks(userId);
+  }
+
+  /**
+   * Block a user. Neither user can then message the other or open a new
+   * thread; existing threads stay readable.
+   * @param {string} userId - Current user
+   * @param {string} blockedId - User to block
+   * @returns {Promise<Object>}
+   */
+  async blockUser(userId, blockedId) {
+    if (userId === blockedId) {
+      throw new Error('Cannot block yourself');
+    }
+
+    const blocked = await messagingRepository.findUser(blockedId);
+    if (!blocked) {
+      throw new Error('User not found');
+    }
+
+    return await messagingRepository.createBlock(userId, blockedId);
+  }
+
+  /**
+   * Unblock a user
+   * @param {string} userId - Current user
+   * @param {string} blockedId
+   */
+  async unblockUser(userId, blockedId) {
+    const removed = await messagingRepository.deleteBlock(userId, blockedId);
+
+    if (removed === 0) {
+      throw new Error('Block not found');
+    }
+  }
+
+  /**
+   * Report a user to the admins, optionally pointing at a conversation or a
+   * message they sent
+   * @param {string} reporterId - Current user
+   * @param {string} reportedUserId
+   * @param {Object} reportData - reason, details, conversationId, messageId
+   * @returns {Promise<Object>} Report
+   */
+  async reportUser(reporterId, reportedUserId, reportData) {
+    const { reason, details, messageId } = reportData;
+    let { conversationId } = reportData;
+
+    if (reporterId === reportedUserId) {
+      throw new Error('Cannot report yourself');
+    }
+
+    const reportedUser = await messagingRepository.findUser(reportedUserId);
+    if (!reportedUser) {
+      throw new Error('User not found');
+    }
+
+    if (messageId) {
+      const message = await messagingRepository.findMessageById(messageId);
+
+      if (!message || message.senderId !== reportedUserId) {
+        throw new Error('Message not found');
+      }
+
+      conversationId = message.conversationId;
+    }
+
+    if (conversationId) {
+      const conversation =
+        await messagingRepository.findConversationById(conversationId);
+
+      if (
+        !conversation ||
+        !this.isParticipant(conversation, reporterId) ||
+        !this.isParticipant(conversation, reportedUserId)
+      ) {
+        throw new Error('Conversation not found');
+      }
+    }
+
+    const report = await messagingRepository.createReport({
+      reporterId,
+      reportedUserId,
+      conversationId: conversationId || null,
+      messageId: messageId || null,
+      reason,
+      details: details || null,
+    });
+
+    realtimeService.publishToPermission('report.manage', 'report.created', {
+      reportId: report.id,
+      reportedUserId,
+      reason,
+    });
+
+    return report;
+  }
+
+  /**
+   * Reports for admin review, newest first
+   * @param {Object} options - page, limit, status
+   * @returns {Promise<Object>}
+   */
+  async getReports(options = {}) {
+    const { page = 1, limit = 10, status } = options;
+    const skip = (page - 1) * limit;
+    const where = status ? { status } : {};
+
+    const [data, total] = await Promise.all([
+      messagingRepository.findReports(where, { skip, take: limit }),
+      messagingRepository.countReports(where),
+    ]);
+
+    return {
+      data,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Close an open report (admin)
+   * @param {string} id
+   * @param {string} adminId
+   * @param {Object} reviewData - status (RESOLVED or DISMISSED), notes
+   * @returns {Promise<Object>} Report
+   */
+  async reviewReport(id, adminId, { status, notes }) {
+    const report = await messagingRepository.findReportById(id);
+
+    if (!report) {
+      throw new Error('Report not found');
+    }
+
+    if (report.status !== 'OPEN') {
+      throw new Error(
+        `Cannot review a report that is already ${report.status.toLowerCase()}`
+      );
+    }
+
+    const updated = await messagingRepository.updateReportIfStatus(id, 'OPEN', {
+      status,
+      reviewedById: adminId,
+      reviewedAt: new Date(),
+      resolutionNotes: notes || null,
+    });
+
+    if (!updated) {
+      throw new Error('Report was changed by another request');
+    }
+
+    return await messagingRepository.findReportById(id);
+  }
+}
+
+module.exports = new MessagingService();
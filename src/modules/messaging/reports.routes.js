@@ -0,0 +1,230 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { auth, authorize } = require('../../middleware/auth');
+const safetyController = require('./safety.controller');
+
+const router = express.Router();
+
+const REPORT_REASONS = [
+  'SPAM',
+  'HARASSMENT',
+  'SCAM',
+  'INAPPROPRIATE_CONTENT',
+  'OTHER',
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UserReport:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         reporterId:
+ *           type: string
+ *         reportedUserId:
+ *           type: string
+ *         conversationId:
+ *           type: string
+ *           nullable: true
+ *         messageId:
+ *           type: string
+ *           nullable: true
+ *         reason:
+ *           type: string
+ *           enum: [SPAM, HARASSMENT, SCAM, INAPPROPRIATE_CONTENT, OTHER]
+ *         details:
+ *           type: string
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [OPEN, RESOLVED, DISMISSED]
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         resolutionNotes:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/reports:
+ *   post:
+ *     summary: Report a user
+ *     description: |
+ *       Admins are alerted on the realtime stream (`report.created`). A
+ *       reported message must have been sent by the reported user; its
+ *       conversation is attached to the report.
+ *     tags: [Messaging]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - reason
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 enum: [SPAM, HARASSMENT, SCAM, INAPPROPRIATE_CONTENT, OTHER]
+ *               details:
+ *                 type: string
+ *                 maxLength: 1000
+ *               conversationId:
+ *                 type: string
+ *               messageId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Report submitted
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: User, conversation or message not found
+ *       409:
+ *         description: Cannot report yourself
+ *   get:
+ *     summary: Get user reports (Moderator/Admin)
+ *     tags: [Messaging]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [OPEN, RESOLVED, DISMISSED]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Reports, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reports:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/UserReport'
+ *                     pagination:
+ *                       type: object
+ *       403:
+ *         description: Missing the report.manage permission
+ */
+router.post(
+  '/',
+  auth,
+  [
+    body('userId').isString().notEmpty().withMessage('User ID is required'),
+    body('reason')
+      .isIn(REPORT_REASONS)
+      .withMessage(`Reason must be one of: ${REPORT_REASONS.join(', ')}`),
+    body('details')
+      .optional()
+      .isString()
+      .isLength({ max: 1000 })
+      .withMessage('Details cannot exceed 1000 characters'),
+    body('conversationId').optional().isString(),
+    body('messageId').optional().isString(),
+  ],
+  safetyController.reportUser
+);
+
+router.get(
+  '/',
+  auth,
+  authorize('report.manage'),
+  [
+    query('status').optional().isIn(['OPEN', 'RESOLVED', 'DISMISSED']),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+  ],
+  safetyController.getReports
+);
+
+/**
+ * @swagger
+ * /api/reports/{id}:
+ *   patch:
+ *     summary: Resolve or dismiss a report (Moderator/Admin)
+ *     description: To suspend the reported user, deactivate them through the user endpoints.
+ *     tags: [Messaging]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [RESOLVED, DISMISSED]
+ *               notes:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Report reviewed
+ *       403:
+ *         description: Missing the report.manage permission
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Report already reviewed
+ */
+router.patch(
+  '/:id',
+  auth,
+  authorize('report.manage'),
+  [
+    body('status')
+      .isIn(['RESOLVED', 'DISMISSED'])
+      .withMessage('Status must be RESOLVED or DISMISSED'),
+    body('notes')
+      .optional()
+      .isString()
+      .isLength({ max: 1000 })
+      .withMessage('Notes cannot exceed 1000 characters'),
+  ],
+  safetyController.reviewReport
+);
+
+module.exports = router;
@@ -0,0 +1,197 @@
+const messagingService = require('./messaging.service');
+const { validationResult } = require('express-validator');
+
+class SafetyController {
+  /**
+   * Map service errors to HTTP responses
+   */
+  handleError(res, error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (
+      error.message.includes('Cannot ') ||
+      error.message.includes('changed by another request')
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+
+  /**
+   * Users blocked by the current user
+   */
+  async getBlockedUsers(req, res) {
+    try {
+      const blocks = await messagingService.getBlockedUsers(req.user.id);
+
+      res.json({
+        success: true,
+        data: { blocks },
+      });
+    } catch (error) {
+      console.error('Get blocked users error:', error);
+      safetyController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Block a user
+   */
+  async blockUser(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const block = await messagingService.blockUser(
+        req.user.id,
+        req.body.userId
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'User blocked',
+        data: { block },
+      });
+    } catch (error) {
+      console.error('Block user error:', error);
+      safetyController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Unblock a user
+   */
+  async unblockUser(req, res) {
+    try {
+      await messagingService.unblockUser(req.user.id, req.params.userId);
+
+      res.json({
+        success: true,
+        message: 'User unblocked',
+      });
+    } catch (error) {
+      console.error('Unblock user error:', error);
+      safetyController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Report a user to the admins
+   */
+  async reportUser(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const report = await messagingService.reportUser(
+        req.user.id,
+        req.body.userId,
+        req.body
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Report submitted',
+        data: { report },
+      });
+    } catch (error) {
+      console.error('Report user error:', error);
+      safetyController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Reports for review (admin)
+   */
+  async getReports(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+
+      const result = await messagingService.getReports({
+        page,
+        limit,
+        status: req.query.status,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          reports: result.data,
+          pagination: result.pagination,
+        },
+      });
+    } catch (error) {
+      console.error('Get reports error:', error);
+      safetyController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Resolve or dismiss a report (admin)
+   */
+  async reviewReport(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const report = await messagingService.reviewReport(
+        req.params.id,
+        req.user.id,
+        req.body
+      );
+
+      res.json({
+        success: true,
+        message: `Report ${report.status.toLowerCase()}`,
+        data: { report },
+      });
+    } catch (error) {
+      console.error('Review report error:', error);
+      safetyController.handleError(res, error);
+    }
+  }
+}
+
+const safetyController = new SafetyController();
+
+module.exports = safetyController;
@@ -0,0 +1,119 @@
+const { normalizeLanguage, formatDate } = require('../../utils/i18n');
+
+/**
+ * Title and message of each notification type, in the recipient's
+ * language. `data` is the payload stored with the notification.
+ */
+const MESSAGES = {
+  en: {
+    BOOKING_CREATED: (data, date) => ({
+      title: data.requiresApproval ? 'New booking request' : 'New booking',
+      message: data.requiresApproval
+        ? `${data.tenantName} requested to book ${data.propertyTitle} from ${date(data.startDate)} to ${date(data.endDate)}. Please approve or reject the request.`
+        : `${data.tenantName} booked ${data.propertyTitle} from ${date(data.startDate)} to ${date(data.endDate)}.`,
+    }),
+    BOOKING_APPROVED: (data, date) => ({
+      title: 'Booking approved',
+      message: `Your booking of ${data.propertyTitle} from ${date(data.startDate)} to ${date(data.endDate)} was approved.`,
+    }),
+    BOOKING_REJECTED: data => ({
+      title: 'Booking rejected',
+      message: `Your booking request for ${data.propertyTitle} was rejected. Reason: ${data.reason}`,
+    }),
+    BOOKING_CANCELLED: (data, date) => ({
+      title: 'Booking cancelled',
+      message: data.reason
+        ? `${data.tenantName} cancelled the booking of ${data.propertyTitle} from ${date(data.startDate)} to ${date(data.endDate)}. Reason: ${data.reason}`
+        : `${data.tenantName} cancelled the booking of ${data.propertyTitle} from ${date(data.startDate)} to ${date(data.endDate)}.`,
+    }),
+    PROPERTY_APPROVED: data => ({
+      title: 'Listing approved',
+      message: `${data.propertyTitle} was approved and is now visible to tenants.`,
+    }),
+    PROPERTY_REJECTED: data => ({
+      title: 'Listing rejected',
+      message: data.notes
+        ? `${data.propertyTitle} was not approved. Reason: ${data.notes}`
+        : `${data.propertyTitle} was not approved.`,
+    }),
+    PROPERTY_RATED: data => ({
+      title: 'New rating',
+      message: `${data.raterName} rated ${data.propertyTitle} ${data.rating}/5.`,
+    }),
+    RENEWAL_ACCEPTED: (data, date) => ({
+      title:
+        data.renewalType === 'EXTENSION'
+          ? 'Extension accepted'
+          : 'Renewal accepted',
+      message:
+        data.renewalType === 'EXTENSION'
+          ? `The extension of your booking of ${data.propertyTitle} was accepted. It now ends on ${date(data.endDate)}.`
+          : `The renewal of your booking of ${data.propertyTitle} was accepted. The new booking runs from ${date(data.startDate)} to ${date(data.endDate)}.`,
+    }),
+  },
+  ms: {
+    BOOKING_CREATED: (data, date) => ({
+      title: data.requiresApproval
+        ? 'Permintaan tempahan baharu'
+        : 'Tempahan baharu',
+      message: data.requiresApproval
+        ? `${data.tenantName} ingin menempah ${data.propertyTitle} dari ${date(data.startDate)} hingga ${date(data.endDate)}. Sila luluskan atau tolak permintaan ini.`
+        : `${data.tenantName} telah menempah ${data.propertyTitle} dari ${date(data.startDate)} hingga ${date(data.endDate)}.`,
+    }),
+    BOOKING_APPROVED: (data, date) => ({
+      title: 'Tempahan diluluskan',
+      message: `Tempahan anda untuk ${data.propertyTitle} dari ${date(data.startDate)} hingga ${date(data.endDate)} telah diluluskan.`,
+    }),
+    BOOKING_REJECTED: data => ({
+      title: 'Tempahan ditolak',
+      message: `Permintaan tempahan anda untuk ${data.propertyTitle} telah ditolak. Sebab: ${data.reason}`,
+    }),
+    BOOKING_CANCELLED: (data, date) => ({
+      title: 'Tempahan dibatalkan',
+      message: data.reason
+        ? `${data.tenantName} telah membatalkan tempahan ${data.propertyTitle} dari ${date(data.startDate)} hingga ${date(data.endDate)}. Sebab: ${data.reason}`
+        : `${data.tenantName} telah membatalkan tempahan ${data.propertyTitle} dari ${date(data.startDate)} hingga ${date(data.endDate)}.`,
+    }),
+    PROPERTY_APPROVED: data => ({
+      title: 'Iklan diluluskan',
+      message: `${data.propertyTitle} telah diluluskan dan kini boleh dilihat oleh penyewa.`,
+    }),
+    PROPERTY_REJECTED: data => ({
+      title: 'Iklan ditolak',
+      message: data.notes
+        ? `${data.propertyTitle} tidak diluluskan. Sebab: ${data.notes}`
+        : `${data.propertyTitle} tidak diluluskan.`,
+    }),
+    PROPERTY_RATED: data => ({
+      title: 'Penilaian baharu',
+      message: `${data.raterName} memberikan penilaian ${data.rating}/5 untuk ${data.propertyTitle}.`,
+    }),
+    RENEWAL_ACCEPTED: (data, date) => ({
+      title:
+        data.renewalType === 'EXTENSION'
+          ? 'Lanjutan diterima'
+          : 'Pembaharuan diterima',
+      message:
+        data.renewalType === 'EXTENSION'
+          ? `Lanjutan tempahan anda untuk ${data.propertyTitle} telah diterima. Tempahan kini tamat pada ${date(data.endDate)}.`
+          : `Pembaharuan tempahan anda untuk ${data.propertyTitle} telah diterima. Tempahan baharu berjalan dari ${date(data.startDate)} hingga ${date(data.endDate)}.`,
+    }),
+  },
+};
+
+const NOTIFICATION_TYPES = Object.keys(MESSAGES.en);
+
+/**
+ * Title and message of a notification
+ * @param {string} type - NotificationType
+ * @param {Object} data - Notification payload
+ * @param {string} language - Recipient's preferred language
+ * @returns {Object} { title, message }
+ */
+function renderNotification(type, data, language) {
+  const code = normalizeLanguage(language);
+
+  return MESSAGES[code][type](data, date => formatDate(date, code));
+}
+
+module.exports = { NOTIFICATION_TYPES, renderNotification };
@@ -0,0 +1,170 @@
+const notificationsService = require('./notifications.service');
+const { validationResult } = require('express-validator');
+
+class NotificationsController {
+  /**
+   * Map service errors to HTTP responses
+   */
+  handleError(res, error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+
+  /**
+   * Inbox of the current user
+   */
+  async getNotifications(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const unread = req.query.unread === 'true';
+
+      const result = await notificationsService.getNotifications(req.user.id, {
+        page,
+        limit,
+        unread,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          notifications: result.data,
+          unreadCount: result.unreadCount,
+          pagination: result.pagination,
+        },
+      });
+    } catch (error) {
+      console.error('Get notifications error:', error);
+      notificationsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Number of unread notifications of the current user
+   */
+  async getUnreadCount(req, res) {
+    try {
+      const unreadCount = await notificationsService.getUnreadCount(
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        data: { unreadCount },
+      });
+    } catch (error) {
+      console.error('Get unread notification count error:', error);
+      notificationsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Mark one notification as read
+   */
+  async markAsRead(req, res) {
+    try {
+      const notification = await notificationsService.markAsRead(
+        req.params.id,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        message: 'Notification marked as read',
+        data: { notification },
+      });
+    } catch (error) {
+      console.error('Mark notification as read error:', error);
+      notificationsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Mark every notification of the current user as read
+   */
+  async markAllAsRead(req, res) {
+    try {
+      const updated = await notificationsService.markAllAsRead(req.user.id);
+
+      res.json({
+        success: true,
+        message: 'All notifications marked as read',
+        data: { updated },
+      });
+    } catch (error) {
+      console.error('Mark all notifications as read error:', error);
+      notificationsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Notification preferences of the current user
+   */
+  async getPreferences(req, res) {
+    try {
+      const preferences = await notificationsService.getPreferences(
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        data: { preferences },
+      });
+    } catch (error) {
+      console.error('Get notification preferences error:', error);
+      notificationsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Update notification preferences of the current user
+   */
+  async updatePreferences(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const preferences = await notificationsService.updatePreferences(
+        req.user.id,
+        req.body.preferences
+      );
+
+      res.json({
+        success: true,
+        message: 'Notification preferences updated',
+        data: { preferences },
+      });
+    } catch (error) {
+      console.error('Update notification preferences error:', error);
+      notificationsController.handleError(res, error);
+    }
+  }
+}
+
+const notificationsController = new NotificationsController();
+
+module.exports = notificationsController;
@@ -0,0 +1,78 @@
+const { prisma } = require('../../config/database');
+
+class NotificationsRepository {
+  async create(data) {
+    return await prisma.notification.create({ data });
+  }
+
+  async findById(id) {
+    return await prisma.notification.findUnique({ where: { id } });
+  }
+
+  async findMany(where, { skip, take }) {
+    return await prisma.notification.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take,
+    });
+  }
+
+  async count(where) {
+    return await prisma.notification.count({ where });
+  }
+
+  /**
+   * Mark unread notifications of a user as read
+   * @param {Object} where - Extra conditions, e.g. { id }
+   * @returns {Promise<number>} Number of notifications marked
+   */
+  async markRead(userId, where = {}) {
+    const result = await prisma.notification.updateMany({
+      where: { ...where, userId, readAt: null },
+      data: { readAt: new Date() },
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Recipient of a notification with their preference for its type
+   * @param {string} userId
+   * @param {string} type - NotificationType
+   * @returns {Promise<Object|null>}
+   */
+  async findRecipient(userId, type) {
+    return await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        isActive: true,
+        preferredLanguage: true,
+        notificationPreferences: {
+          where: { type },
+        },
+      },
+    });
+  }
+
+  async findPreferences(userId) {
+    return await prisma.notificationPreference.findMany({
+      where: { userId },
+    });
+  }
+
+  async upsertPreferences(userId, preferences) {
+    return await prisma.$transaction(
+      preferences.map(({ type, ...settings }) =>
+        prisma.notificationPreference.upsert({
+          where: { userId_type: { userId, type } },
+          create: { userId, type, ...settings },
+          update: settings,
+        })
+      )
+    );
+  }
+}
+
+module.exports = new NotificationsRepository();
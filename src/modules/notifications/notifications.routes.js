@@ -0,0 +1,264 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { auth } = require('../../middleware/auth');
+const notificationsController = require('./notifications.controller');
+const { NOTIFICATION_TYPES } = require('./notificationMessages');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notifications
+ *   description: In-app notification inbox and preferences
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [BOOKING_CREATED, BOOKING_APPROVED, BOOKING_REJECTED, BOOKING_CANCELLED, PROPERTY_APPROVED, PROPERTY_REJECTED, PROPERTY_RATED, RENEWAL_ACCEPTED]
+ *         title:
+ *           type: string
+ *           example: New booking request
+ *         message:
+ *           type: string
+ *           description: Written in the recipient's preferred language
+ *         data:
+ *           type: object
+ *           nullable: true
+ *           description: Event details, e.g. bookingId or propertyId
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     NotificationPreference:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [BOOKING_CREATED, BOOKING_APPROVED, BOOKING_REJECTED, BOOKING_CANCELLED, PROPERTY_APPROVED, PROPERTY_REJECTED, PROPERTY_RATED, RENEWAL_ACCEPTED]
+ *         inApp:
+ *           type: boolean
+ *           description: Whether this event appears in the inbox
+ */
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Get the current user's notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only unread notifications
+ *     responses:
+ *       200:
+ *         description: Notifications, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     notifications:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Notification'
+ *                     unreadCount:
+ *                       type: integer
+ *                     pagination:
+ *                       type: object
+ */
+router.get(
+  '/',
+  auth,
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('unread')
+      .optional()
+      .isBoolean()
+      .withMessage('Unread must be true or false'),
+  ],
+  notificationsController.getNotifications
+);
+
+/**
+ * @swagger
+ * /api/notifications/unread-count:
+ *   get:
+ *     summary: Get the number of unread notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread count
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     unreadCount:
+ *                       type: integer
+ */
+router.get('/unread-count', auth, notificationsController.getUnreadCount);
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   post:
+ *     summary: Mark all notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of notifications marked as read
+ */
+router.post('/read-all', auth, notificationsController.markAllAsRead);
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   get:
+ *     summary: Get notification preferences
+ *     description: Every event type is listed. Events are on until turned off.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     preferences:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/NotificationPreference'
+ *   put:
+ *     summary: Turn notification events on or off
+ *     description: Event types that are not listed keep their current setting.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - preferences
+ *             properties:
+ *               preferences:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/NotificationPreference'
+ *           example:
+ *             preferences:
+ *               - type: PROPERTY_RATED
+ *                 inApp: false
+ *     responses:
+ *       200:
+ *         description: Updated preferences
+ *       400:
+ *         description: Validation error
+ */
+router.get('/preferences', auth, notificationsController.getPreferences);
+
+router.put(
+  '/preferences',
+  auth,
+  [
+    body('preferences')
+      .isArray({ min: 1 })
+      .withMessage('Preferences must be a non-empty array'),
+    body('preferences.*.type')
+      .isIn(NOTIFICATION_TYPES)
+      .withMessage('Invalid notification type'),
+    body('preferences.*.inApp')
+      .isBoolean()
+      .withMessage('inApp must be a boolean'),
+  ],
+  notificationsController.updatePreferences
+);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   post:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     notification:
+ *                       $ref: '#/components/schemas/Notification'
+ *       404:
+ *         description: Notification not found
+ */
+router.post('/:id/read', auth, notificationsController.markAsRead);
+
+module.exports = router;
@@ -0,0 +1,165 @@
+const notificationsRepository = require('./notifications.repository');
+const realtimeService = require('../../services/realtime.service');
+const {
+  NOTIFICATION_TYPES,
+  renderNotification,
+} = require('./notificationMessages');
+
+class NotificationsService {
+  /**
+   * Notify a user of an event, unless they turned that event off. The text
+   * is written in the recipient's preferred language and pushed to their
+   * open event streams.
+   *
+   * Failures are logged and swallowed: a notification must never fail the
+   * booking, approval or rating that triggered it.
+   * @param {string} userId - Recipient
+   * @param {string} type - NotificationType, e.g. BOOKING_CREATED
+   * @param {Object} data - Event details, stored with the notification
+   * @returns {Promise<Object|null>} Notification, or null if not sent
+   */
+  async notify(userId, type, data = {}) {
+    try {
+      const recipient = await notificationsRepository.findRecipient(
+        userId,
+        type
+      );
+
+      if (!recipient || !recipient.isActive) {
+        return null;
+      }
+
+      // Every event is on until the user turns it off
+      const [preference] = recipient.notificationPreferences;
+      if (preference && !preference.inApp) {
+        return null;
+      }
+
+      const { title, message } = renderNotification(
+        type,
+        data,
+        recipient.preferredLanguage
+      );
+
+      const notification = await notificationsRepository.create({
+        userId,
+        type,
+        title,
+        message,
+        data,
+      });
+
+      realtimeService.publish(userId, 'notification.created', notification);
+      return notification;
+    } catch (error) {
+      console.error(`❌ Error creating ${type} notification:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Inbox of a user, newest first
+   * @param {string} userId
+   * @param {Object} options - page, limit, unread
+   * @returns {Promise<Object>}
+   */
+  async getNotifications(userId, options = {}) {
+    const { page = 1, limit = 10, unread = false } = options;
+    const skip = (page - 1) * limit;
+
+    const where = { userId };
+    if (unread) {
+      where.readAt = null;
+    }
+
+    const [data, total, unreadCount] = await Promise.all([
+      notificationsRepository.findMany(where, { skip, take: limit }),
+      notificationsRepository.count(where),
+      this.getUnreadCount(userId),
+    ]);
+
+    return {
+      data,
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Number of unread notifications of a user
+   * @param {string} userId
+   * @returns {Promise<number>}
+   */
+  async getUnreadCount(userId) {
+    return await notificationsRepository.count({ userId, readAt: null });
+  }
+
+  /**
+   * Mark one notification as read
+   * @param {string} id
+   * @param {string} userId - Current user, who must own the notification
+   * @returns {Promise<Object>}
+   */
+  async markAsRead(id, userId) {
+    const notification = await notificationsRepository.findById(id);
+
+    if (!notification || notification.userId !== userId) {
+      throw new Error('Notification not found');
+    }
+
+    if (!notification.readAt) {
+      await notificationsRepository.markRead(userId, { id });
+    }
+
+    return await notificationsRepository.findById(id);
+  }
+
+  /**
+   * Mark every unread notification of a user as read
+   * @param {string} userId
+   * @returns {Promise<number>} Number of notifications marked
+   */
+  async markAllAsRead(userId) {
+    return await notificationsRepository.markRead(userId);
+  }
+
+  /**
+   * Preferences of a user for every event type
+   * @param {string} userId
+   * @returns {Promise<Array>} [{ type, inApp }]
+   */
+  async getPreferences(userId) {
+    const saved = await notificationsRepository.findPreferences(userId);
+
+    return NOTIFICATION_TYPES.map(type => {
+      const preference = saved.find(item => item.type === type);
+
+      return {
+        type,
+        inApp: preference ? preference.inApp : true,
+      };
+    });
+  }
+
+  /**
+   * Turn events on or off. Types that are not listed keep their setting.
+   * @param {string} userId
+   * @param {Array} preferences - [{ type, inApp }]
+   * @returns {Promise<Array>} Preferences for every event type
+   */
+  async updatePreferences(userId, preferences) {
+    await notificationsRepository.upsertPreferences(
+      userId,
+      preferences.map(({ type, inApp }) => ({ type, inApp }))
+    );
+
+    return await this.getPreferences(userId);
+  }
+}
+
+module.exports = new NotificationsService();
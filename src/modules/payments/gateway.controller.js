@@ -0,0 +1,136 @@
+const paymentsService = require('./payments.service');
+const paymentGatewayService = require('../../services/paymentGateway.service');
+
+class GatewayController {
+  /**
+   * Receive a signed webhook from a payment gateway
+   */
+  async handleWebhook(req, res) {
+    try {
+      const result = await paymentsService.handleGatewayWebhook(
+        req.params.provider,
+        req.rawBody,
+        req.headers
+      );
+
+      // Always 200 for verified events so the gateway stops retrying
+      res.json({
+        success: true,
+        message: result.duplicate
+          ? 'Event already processed'
+          : result.handled
+            ? 'Event processed'
+            : `Event ignored: ${result.reason}`,
+        data: {
+          handled: result.handled,
+          duplicate: !!result.duplicate,
+          paymentId: result.payment ? result.payment.id : null,
+          paymentStatus: result.payment ? result.payment.status : null,
+          invoiceStatus: result.invoice ? result.invoice.status : null,
+        },
+      });
+    } catch (error) {
+      console.error('Payment webhook error:', error);
+      gatewayController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Get sandbox checkout session (sandbox gateway only)
+   */
+  async getSandboxSession(req, res) {
+    try {
+      const session = paymentGatewayService
+        .getGateway('sandbox')
+        .getSession(req.params.sessionId);
+
+      res.json({
+        success: true,
+        data: session,
+      });
+    } catch (error) {
+      console.error('Get sandbox session error:', error);
+      gatewayController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Finish a sandbox checkout. Sends a signed webhook through the same
+   * processing path as a real gateway delivery.
+   */
+  async completeSandboxCheckout(req, res) {
+    try {
+      const gateway = paymentGatewayService.getGateway('sandbox');
+      const { rawBody, headers } = gateway.simulateCheckoutOutcome(
+        req.params.sessionId,
+        req.body.outcome || 'success'
+      );
+
+      const result = await paymentsService.handleGatewayWebhook(
+        gateway.name,
+        Buffer.from(rawBody),
+        headers
+      );
+
+      res.json({
+        success: true,
+        message: 'Sandbox checkout completed',
+        data: {
+          session: gateway.getSession(req.params.sessionId),
+          ...result,
+        },
+      });
+    } catch (error) {
+      console.error('Complete sandbox checkout error:', error);
+      gatewayController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   */
+  handleError(res, error) {
+    if (error.message.includes('Invalid webhook signature')) {
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes('is unavailable')) {
+      return res.status(503).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (
+      error.message.includes('Invalid outcome') ||
+      error.message.includes('expired') ||
+      error.message.includes('missing txnRef') ||
+      error.message.includes('does not match') ||
+      error instanceof SyntaxError
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+}
+
+const gatewayController = new GatewayController();
+
+module.exports = gatewayController;
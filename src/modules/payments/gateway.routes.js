@@ -0,0 +1,115 @@
+const express = require('express');
+const gatewayController = require('./gateway.controller');
+const paymentGatewayService = require('../../services/paymentGateway.service');
+
+// Mounted at /api/payments
+const router = express.Router();
+
+// Sandbox checkout pages only exist outside production
+const sandboxOnly = (req, res, next) => {
+  if (!paymentGatewayService.isSandboxEnabled()) {
+    return res.status(404).json({
+      success: false,
+      message: 'Sandbox gateway is not enabled',
+    });
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /api/payments/webhook/{provider}:
+ *   post:
+ *     summary: Payment gateway webhook
+ *     description: Called by the payment gateway. The request must be signed by the gateway; unsigned or tampered requests are rejected with 401. Events are idempotent on the payment txnRef, so redeliveries return 200 without changing anything.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: sandbox
+ *         description: Gateway name
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Event processed, already processed or ignored
+ *       400:
+ *         description: Malformed event
+ *       401:
+ *         description: Invalid webhook signature
+ *       404:
+ *         description: Payment not found
+ *       503:
+ *         description: Gateway unavailable (not registered or not configured)
+ */
+router.post('/webhook/:provider', gatewayController.handleWebhook);
+
+/**
+ * @swagger
+ * /api/payments/sandbox/checkout/{sessionId}:
+ *   get:
+ *     summary: Get a sandbox checkout session (non-production only)
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Checkout session details
+ *       404:
+ *         description: Session not found or sandbox disabled
+ */
+router.get(
+  '/sandbox/checkout/:sessionId',
+  sandboxOnly,
+  gatewayController.getSandboxSession
+);
+
+/**
+ * @swagger
+ * /api/payments/sandbox/checkout/{sessionId}/complete:
+ *   post:
+ *     summary: Finish a sandbox checkout (non-production only)
+ *     description: Simulates the payer finishing checkout. The sandbox gateway signs a webhook event for the chosen outcome and it is processed exactly like a real webhook delivery.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [success, failure, refund]
+ *                 default: success
+ *     responses:
+ *       200:
+ *         description: Sandbox checkout completed
+ *       400:
+ *         description: Invalid outcome or session expired
+ *       404:
+ *         description: Session not found or sandbox disabled
+ */
+router.post(
+  '/sandbox/checkout/:sessionId/complete',
+  sandboxOnly,
+  gatewayController.completeSandboxCheckout
+);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const paymentsRoutes = require('./payments.routes');
+const gatewayRoutes = require('./gateway.routes');
+const paymentsController = require('./payments.controller');
+const paymentsService = require('./payments.service');
+const paymentsRepository = require('./payments.repository');
+
+module.exports = {
+  routes: paymentsRoutes,
+  gatewayRoutes,
+  controller: paymentsController,
+  service: paymentsService,
+  repository: paymentsRepository,
+};
@@ -0,0 +1,195 @@
+const paymentsService = require('./payments.service');
+const { validationResult } = require('express-validator');
+
+class PaymentsController {
+  /**
+   * Map service errors to HTTP responses
+   */
+  handleError(res, error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes('is unavailable')) {
+      return res.status(503).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes('Access denied')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (
+      error.message.includes('Only PENDING') ||
+      error.message.includes('Invalid payment transition') ||
+      error.message.includes('already paid') ||
+      error.message.includes('settled by the payment gateway')
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (
+      error.message.includes('VOID invoice') ||
+      error.message.includes('Cannot record a payment') ||
+      error.message.includes('exceed') ||
+      error.message.includes('greater than zero') ||
+      error.message.includes('not supported')
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+
+  /**
+   * Get payments of an invoice
+   */
+  async getInvoicePayments(req, res) {
+    try {
+      const result = await paymentsService.getInvoicePayments(
+        req.params.id,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error('Get invoice payments error:', error);
+      paymentsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Submit payment for an invoice (tenant only)
+   */
+  async submitPayment(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const result = await paymentsService.submitPayment(
+        req.params.id,
+        req.user.id,
+        req.body
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Payment submitted successfully and awaiting confirmation',
+        data: result,
+      });
+    } catch (error) {
+      console.error('Submit payment error:', error);
+      paymentsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Start gateway checkout for an invoice (tenant only)
+   */
+  async startCheckout(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const result = await paymentsService.startCheckout(
+        req.params.id,
+        req.user.id,
+        req.body
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Checkout session created successfully',
+        data: result,
+      });
+    } catch (error) {
+      console.error('Start checkout error:', error);
+      paymentsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Confirm payment (landlord only)
+   */
+  async confirmPayment(req, res) {
+    try {
+      const result = await paymentsService.confirmPayment(
+        req.params.id,
+        req.params.paymentId,
+        req.user.id,
+        req.body.notes
+      );
+
+      res.json({
+        success: true,
+        message:
+          result.invoice.status === 'PAID'
+            ? 'Payment confirmed and invoice fully paid'
+            : 'Payment confirmed successfully',
+        data: result,
+      });
+    } catch (error) {
+      console.error('Confirm payment error:', error);
+      paymentsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Mark payment as failed (landlord only)
+   */
+  async failPayment(req, res) {
+    try {
+      const result = await paymentsService.failPayment(
+        req.params.id,
+        req.params.paymentId,
+        req.user.id,
+        req.body.reason
+      );
+
+      res.json({
+        success: true,
+        message: 'Payment marked as failed',
+        data: result,
+      });
+    } catch (error) {
+      console.error('Fail payment error:', error);
+      paymentsController.handleError(res, error);
+    }
+  }
+}
+
+const paymentsController = new PaymentsController();
+
+module.exports = paymentsController;
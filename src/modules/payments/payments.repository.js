@@ -0,0 +1,118 @@
+const { prisma } = require('../../config/database');
+
+class PaymentsRepository {
+  async findByInvoiceId(invoiceId, client = prisma) {
+    return await client.payment.findMany({
+      where: { invoiceId },
+      include: {
+        payer: {
+          select: {
+            id: true,
+            email: true,
+            name: true,
+          },
+        },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  async findById(id, client = prisma) {
+    return await client.payment.findUnique({
+      where: { id },
+    });
+  }
+
+  /**
+   * Payment with its payer, invoice and property, for the receipt email
+   */
+  async findForReceipt(id, client = prisma) {
+    return await client.payment.findUnique({
+      where: { id },
+      include: {
+        payer: {
+          select: {
+            email: true,
+            name: true,
+            firstName: true,
+            lastName: true,
+            preferredLanguage: true,
+          },
+        },
+        invoice: {
+          include: {
+            lease: {
+              select: {
+                property: {
+                  select: {
+                    title: true,
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    });
+  }
+
+  async findInvoiceWithLease(invoiceId, client = prisma) {
+    return await client.invoice.findUnique({
+      where: { id: invoiceId },
+      include: {
+        lease: {
+          select: {
+            id: true,
+            tenantId: true,
+            landlordId: true,
+            status: true,
+          },
+        },
+      },
+    });
+  }
+
+  async sumByStatus(invoiceId, client = prisma) {
+    const groups = await client.payment.groupBy({
+      by: ['status'],
+      where: { invoiceId },
+      _sum: { amount: true },
+    });
+
+    return groups.reduce((acc, group) => {
+      acc[group.status] = group._sum.amount || 0;
+      return acc;
+    }, {});
+  }
+
+  async findByTxnRef(txnRef, gateway, client = prisma) {
+    return await client.payment.findFirst({
+      where: { txnRef, gateway },
+    });
+  }
+
+  async create(data, client = prisma) {
+    return await client.payment.create({ data });
+  }
+
+  async update(id, data, client = prisma) {
+    return await client.payment.update({
+      where: { id },
+      data,
+    });
+  }
+
+  /**
+   * Update only if the payment is still in the expected status
+   * @returns {Promise<number>} Number of updated rows (0 or 1)
+   */
+  async updateIfStatus(id, expectedStatus, data, client = prisma) {
+    const result = await client.payment.updateMany({
+      where: { id, status: expectedStatus },
+      data,
+    });
+    return result.count;
+  }
+}
+
+module.exports = new PaymentsRepository();
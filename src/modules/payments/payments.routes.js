@@ -0,0 +1,300 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { auth } = require('../../middleware/auth');
+const paymentsController = require('./payments.controller');
+
+// Mounted at /api/invoices/:id/payments
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Payment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         invoiceId:
+ *           type: string
+ *         amount:
+ *           type: number
+ *           format: decimal
+ *         method:
+ *           type: string
+ *           enum: [BANK_TRANSFER, CASH, EWALLET, CREDIT_CARD]
+ *         status:
+ *           type: string
+ *           enum: [PENDING, COMPLETED, FAILED, REFUNDED]
+ *         paidAt:
+ *           type: string
+ *           format: date-time
+ *         txnRef:
+ *           type: string
+ *           description: Transaction reference (bank/e-wallet reference number)
+ *         gateway:
+ *           type: string
+ *           description: Payment gateway that processes this payment (null for manual payments)
+ *         notes:
+ *           type: string
+ *         payerId:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/invoices/{id}/payments:
+ *   get:
+ *     summary: Get payments and balance of an invoice
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invoice ID
+ *     responses:
+ *       200:
+ *         description: Payments retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Invoice not found
+ */
+router.get('/', auth, paymentsController.getInvoicePayments);
+
+/**
+ * @swagger
+ * /api/invoices/{id}/payments:
+ *   post:
+ *     summary: Submit a payment for an invoice (tenant only)
+ *     description: Creates a PENDING payment. Partial payments are allowed; the total of completed and pending payments cannot exceed the invoice amount.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invoice ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - method
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *                 description: Amount paid (defaults to the outstanding balance)
+ *               method:
+ *                 type: string
+ *                 enum: [BANK_TRANSFER, CASH, EWALLET, CREDIT_CARD]
+ *               txnRef:
+ *                 type: string
+ *                 description: Transaction reference
+ *     responses:
+ *       201:
+ *         description: Payment submitted successfully
+ *       400:
+ *         description: Overpayment, VOID invoice or validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only the tenant can submit payments
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: Invoice is already paid
+ */
+router.post(
+  '/',
+  auth,
+  [
+    body('amount')
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage('Amount must be greater than zero'),
+    body('method')
+      .isIn(['BANK_TRANSFER', 'CASH', 'EWALLET', 'CREDIT_CARD'])
+      .withMessage('Valid payment method is required'),
+    body('txnRef')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Transaction reference cannot exceed 100 characters'),
+  ],
+  paymentsController.submitPayment
+);
+
+/**
+ * @swagger
+ * /api/invoices/{id}/payments/checkout:
+ *   post:
+ *     summary: Pay an invoice online through the payment gateway (tenant only)
+ *     description: Creates a PENDING gateway payment and a hosted checkout session. The payment is completed or failed by the gateway webhook, not by the landlord.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invoice ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - method
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *                 description: Amount to pay (defaults to the outstanding balance)
+ *               method:
+ *                 type: string
+ *                 enum: [EWALLET, CREDIT_CARD]
+ *               returnUrl:
+ *                 type: string
+ *                 format: uri
+ *                 description: Where the payer is sent after checkout
+ *     responses:
+ *       201:
+ *         description: Checkout session created
+ *       400:
+ *         description: Overpayment, unsupported method or validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only the tenant can pay this invoice
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: Invoice is already paid
+ *       503:
+ *         description: The payment gateway is unavailable (not registered or not configured)
+ */
+router.post(
+  '/checkout',
+  auth,
+  [
+    body('amount')
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage('Amount must be greater than zero'),
+    body('method')
+      .isIn(['EWALLET', 'CREDIT_CARD'])
+      .withMessage('Method must be EWALLET or CREDIT_CARD'),
+    body('returnUrl')
+      .optional()
+      .isURL({ require_tld: false })
+      .withMessage('Return URL must be a valid URL'),
+  ],
+  paymentsController.startCheckout
+);
+
+/**
+ * @swagger
+ * /api/invoices/{id}/payments/{paymentId}/confirm:
+ *   post:
+ *     summary: Confirm a pending payment (landlord only)
+ *     description: Marks the payment COMPLETED. When completed payments add up to the invoice amount the invoice becomes PAID.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invoice ID
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payment ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment confirmed
+ *       400:
+ *         description: Confirmation would overpay or invoice is VOID
+ *       403:
+ *         description: Only the landlord can confirm payments
+ *       404:
+ *         description: Invoice or payment not found
+ *       409:
+ *         description: Payment is not PENDING or is settled by the gateway
+ */
+router.post('/:paymentId/confirm', auth, paymentsController.confirmPayment);
+
+/**
+ * @swagger
+ * /api/invoices/{id}/payments/{paymentId}/fail:
+ *   post:
+ *     summary: Mark a pending payment as failed (landlord only)
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invoice ID
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payment ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the payment failed (e.g. funds not received)
+ *     responses:
+ *       200:
+ *         description: Payment marked as failed
+ *       403:
+ *         description: Only the landlord can fail payments
+ *       404:
+ *         description: Invoice or payment not found
+ *       409:
+ *         description: Payment is not PENDING or is settled by the gateway
+ */
+router.post('/:paymentId/fail', auth, paymentsController.failPayment);
+
+module.exports = router;
@@ -0,0 +1,627 @@
+const { prisma } = require('../../config/database');
+const paymentsRepository = require('./payments.repository');
+const paymentGatewayService = require('../../services/paymentGateway.service');
+const depositsService = require('../deposits/deposits.service');
+const emailService = require('../../services/email.service');
+const realtimeService = require('../../services/realtime.service');
+const { toCents, fromCents, toUtcDay } = require('../../utils/rentSchedule');
+
+// Allowed Payment.status transitions
+const PAYMENT_TRANSITIONS = {
+  PENDING: ['COMPLETED', 'FAILED'],
+  COMPLETED: ['REFUNDED'],
+  FAILED: [],
+  REFUNDED: [],
+};
+
+// Invoice statuses that still accept payments
+const PAYABLE_INVOICE_STATUSES = ['DUE', 'OVERDUE'];
+
+// Normalized gateway webhook events -> Payment.status
+const GATEWAY_EVENT_STATUSES = {
+  'payment.succeeded': 'COMPLETED',
+  'payment.failed': 'FAILED',
+  'payment.refunded': 'REFUNDED',
+};
+
+class PaymentsService {
+  /**
+   * Load invoice and check the user is party to its lease
+   * @param {string} invoiceId
+   * @param {string} userId
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>}
+   */
+  async getAccessibleInvoice(invoiceId, userId, client = prisma) {
+    const invoice = await paymentsRepository.findInvoiceWithLease(
+      invoiceId,
+      client
+    );
+
+    if (!invoice) {
+      throw new Error('Invoice not found');
+    }
+
+    if (
+      invoice.lease.tenantId !== userId &&
+      invoice.lease.landlordId !== userId
+    ) {
+      throw new Error(
+        'Access denied: You can only access payments for your own invoices'
+      );
+    }
+
+    return invoice;
+  }
+
+  /**
+   * Compute paid / pending / outstanding amounts of an invoice
+   * @param {Object} invoice
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>} Amounts in cents
+   */
+  async getBalanceCents(invoice, client = prisma) {
+    const sums = await paymentsRepository.sumByStatus(invoice.id, client);
+    const amount = toCents(invoice.amount);
+    const completed = toCents(sums.COMPLETED);
+    const pending = toCents(sums.PENDING);
+
+    return {
+      amount,
+      completed,
+      pending,
+      outstanding: Math.max(amount - completed - pending, 0),
+    };
+  }
+
+  /**
+   * Format a cents balance for API responses
+   * @param {Object} balance - Result of getBalanceCents
+   * @param {string} currencyCode
+   * @returns {Object}
+   */
+  formatBalance(balance, currencyCode) {
+    return {
+      currencyCode,
+      amount: fromCents(balance.amount),
+      paid: fromCents(balance.completed),
+      pending: fromCents(balance.pending),
+      outstanding: fromCents(balance.outstanding),
+    };
+  }
+
+  /**
+   * Reject payments against invoices that cannot be paid anymore
+   * @param {Object} invoice
+   */
+  assertInvoicePayable(invoice) {
+    if (invoice.status === 'VOID') {
+      throw new Error('Cannot record a payment against a VOID invoice');
+    }
+
+    if (invoice.status === 'PAID') {
+      throw new Error('Invoice is already paid');
+    }
+
+    if (!PAYABLE_INVOICE_STATUSES.includes(invoice.status)) {
+      throw new Error(
+        `Cannot record a payment against a ${invoice.status} invoice`
+      );
+    }
+  }
+
+  /**
+   * List payments of an invoice with its balance
+   * @param {string} invoiceId
+   * @param {string} userId - For access control
+   * @returns {Promise<Object>}
+   */
+  async getInvoicePayments(invoiceId, userId) {
+    const invoice = await this.getAccessibleInvoice(invoiceId, userId);
+
+    const [payments, balance] = await Promise.all([
+      paymentsRepository.findByInvoiceId(invoiceId),
+      this.getBalanceCents(invoice),
+    ]);
+
+    return {
+      invoiceId,
+      invoiceStatus: invoice.status,
+      balance: this.formatBalance(balance, invoice.currencyCode),
+      payments,
+    };
+  }
+
+  /**
+   * Submit a payment for an invoice (tenant only). Payment starts as PENDING
+   * until the landlord confirms it.
+   * @param {string} invoiceId
+   * @param {string} userId
+   * @param {Object} paymentData - amount, method, txnRef, gateway
+   * @returns {Promise<Object>}
+   */
+  async submitPayment(invoiceId, userId, paymentData) {
+    const { amount, method, txnRef, gateway } = paymentData;
+
+    return await prisma.$transaction(async tx => {
+      const invoice = await this.getAccessibleInvoice(invoiceId, userId, tx);
+
+      if (invoice.lease.tenantId !== userId) {
+        throw new Error(
+          'Access denied: Only the tenant can submit payments for this invoice'
+        );
+      }
+
+      this.assertInvoicePayable(invoice);
+
+      const balance = await this.getBalanceCents(invoice, tx);
+      const amountCents =
+        amount !== undefined && amount !== null
+          ? toCents(amount)
+          : balance.outstanding;
+
+      if (amountCents <= 0) {
+        throw new Error('Payment amount must be greater than zero');
+      }
+
+      if (amountCents > balance.outstanding) {
+        throw new Error(
+          `Payment amount exceeds outstanding balance of ${invoice.currencyCode} ${fromCents(balance.outstanding).toFixed(2)}`
+        );
+      }
+
+      const payment = await paymentsRepository.create(
+        {
+          invoiceId,
+          amount: fromCents(amountCents),
+          method: method || 'BANK_TRANSFER',
+          txnRef: txnRef || null,
+          gateway: gateway || null,
+          payerId: userId,
+          status: 'PENDING',
+        },
+        tx
+      );
+
+      return {
+        payment,
+        balance: this.formatBalance(
+          {
+            ...balance,
+            pending: balance.pending + amountCents,
+            outstanding: balance.outstanding - amountCents,
+          },
+          invoice.currencyCode
+        ),
+      };
+    });
+  }
+
+  /**
+   * Move a payment to a new status and settle its invoice
+   * @param {string} paymentId
+   * @param {string} status - Target PaymentStatus
+   * @param {Object} options - notes, txnRef, client
+   * @returns {Promise<Object>} Updated payment and invoice
+   */
+  async changePaymentStatus(paymentId, status, options = {}) {
+    const { notes, txnRef, client = prisma } = options;
+
+    const payment = await paymentsRepository.findById(paymentId, client);
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+
+    const allowed = PAYMENT_TRANSITIONS[payment.status] || [];
+    if (!allowed.includes(status)) {
+      throw new Error(
+        `Invalid payment transition from ${payment.status} to ${status}`
+      );
+    }
+
+    const data = { status };
+    if (status === 'COMPLETED') {
+      data.paidAt = new Date();
+    }
+    if (notes !== undefined) {
+      data.notes = notes;
+    }
+    if (txnRef && !payment.txnRef) {
+      data.txnRef = txnRef;
+    }
+
+    const updated = await paymentsRepository.updateIfStatus(
+      paymentId,
+      payment.status,
+      data,
+      client
+    );
+    if (updated === 0) {
+      throw new Error('Payment status was changed concurrently');
+    }
+
+    const updatedPayment = await paymentsRepository.findById(paymentId, client);
+    const invoice = await this.settleInvoice(payment.invoiceId, client);
+
+    if (status === 'COMPLETED') {
+      await this.queueReceipt(paymentId, client);
+    }
+
+    return { payment: updatedPayment, invoice };
+  }
+
+  /**
+   * Email the payer a receipt for a completed payment. Queued with the
+   * payment update, so no receipt goes out if the transaction rolls back.
+   * @param {string} paymentId
+   * @param {Object} client - Prisma client or transaction client
+   */
+  async queueReceipt(paymentId, client = prisma) {
+    const payment = await paymentsRepository.findForReceipt(paymentId, client);
+
+    if (!payment.payer) {
+      return;
+    }
+
+    const { invoice } = payment;
+
+    await emailService.queue(
+      'payment-receipt',
+      payment.payer,
+      {
+        paymentId: payment.id,
+        txnRef: payment.txnRef,
+        amount: payment.amount,
+        method: payment.method,
+        paidAt: payment.paidAt,
+        invoiceId: invoice.id,
+        invoiceType: invoice.type,
+        invoicePaid: invoice.status === 'PAID',
+        periodStart: invoice.periodStart,
+        periodEnd: invoice.periodEnd,
+        currencyCode: invoice.currencyCode,
+        propertyTitle: invoice.lease.property.title,
+      },
+      { createdById: payment.payerId, client }
+    );
+  }
+
+  /**
+   * Flip invoice to PAID once COMPLETED payments cover its amount (or back
+   * when completed payments are refunded). Deposit invoices are mirrored on
+   * the deposit ledger.
+   * @param {string} invoiceId
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>} Invoice after settlement
+   */
+  async settleInvoice(invoiceId, client = prisma) {
+    const invoice = await client.invoice.findUnique({
+      where: { id: invoiceId },
+    });
+    const balance = await this.getBalanceCents(invoice, client);
+
+    if (
+      PAYABLE_INVOICE_STATUSES.includes(invoice.status) &&
+      balance.completed >= balance.amount
+    ) {
+      const paidInvoice = await client.invoice.update({
+        where: { id: invoiceId },
+        data: { status: 'PAID', paidAt: new Date() },
+      });
+
+      if (paidInvoice.type === 'DEPOSIT') {
+        await depositsService.recordReceived(paidInvoice, client);
+      }
+
+      return paidInvoice;
+    }
+
+    if (invoice.status === 'PAID' && balance.completed < balance.amount) {
+      let status = 'DUE';
+      if (balance.completed === 0) {
+        status = 'REFUNDED';
+      } else if (invoice.dueDate < toUtcDay(new Date())) {
+        status = 'OVERDUE';
+      }
+
+      const reopenedInvoice = await client.invoice.update({
+        where: { id: invoiceId },
+        data: { status, paidAt: null },
+      });
+
+      if (reopenedInvoice.type === 'DEPOSIT') {
+        await depositsService.recordRefund(
+          reopenedInvoice,
+          fromCents(balance.amount - balance.completed),
+          'Security deposit payment refunded',
+          client
+        );
+      }
+
+      return reopenedInvoice;
+    }
+
+    return invoice;
+  }
+
+  /**
+   * Confirm a pending payment (landlord only)
+   * @param {string} invoiceId
+   * @param {string} paymentId
+   * @param {string} userId
+   * @param {string} notes - Optional notes
+   * @returns {Promise<Object>}
+   */
+  async confirmPayment(invoiceId, paymentId, userId, notes) {
+    const result = await prisma.$transaction(async tx => {
+      const { invoice, payment } = await this.getLandlordPayment(
+        invoiceId,
+        paymentId,
+        userId,
+        tx
+      );
+
+      if (payment.status !== 'PENDING') {
+        throw new Error('Only PENDING payments can be confirmed');
+      }
+
+      if (payment.gateway) {
+        throw new Error('Gateway payments are settled by the payment gateway');
+      }
+
+      this.assertInvoicePayable(invoice);
+
+      const balance = await this.getBalanceCents(invoice, tx);
+      if (balance.completed + toCents(payment.amount) > balance.amount) {
+        throw new Error(
+          'Confirming this payment would exceed the invoice amount (overpayment)'
+        );
+      }
+
+      return await this.changePaymentStatus(paymentId, 'COMPLETED', {
+        notes,
+        client: tx,
+      });
+    });
+
+    await this.publishPaymentConfirmed(result);
+    return result;
+  }
+
+  /**
+   * Push a completed payment to the tenant's and landlord's event streams.
+   * The payment is already committed, so failures are only logged.
+   * @param {Object} result - { payment, invoice } from changePaymentStatus
+   */
+  async publishPaymentConfirmed({ payment, invoice }) {
+    try {
+      const { lease } = await paymentsRepository.findInvoiceWithLease(
+        invoice.id
+      );
+
+      realtimeService.publish(
+        [lease.tenantId, lease.landlordId],
+        'payment.confirmed',
+        {
+          paymentId: payment.id,
+          invoiceId: invoice.id,
+          bookingId: lease.id,
+          amount: payment.amount,
+          currencyCode: invoice.currencyCode,
+          method: payment.method,
+          paidAt: payment.paidAt,
+          invoiceStatus: invoice.status,
+        }
+      );
+    } catch (error) {
+      console.error('❌ Error publishing payment.confirmed:', error.message);
+    }
+  }
+
+  /**
+   * Mark a pending payment as failed (landlord only)
+   * @param {string} invoiceId
+   * @param {string} paymentId
+   * @param {string} userId
+   * @param {string} reason - Failure reason
+   * @returns {Promise<Object>}
+   */
+  async failPayment(invoiceId, paymentId, userId, reason) {
+    return await prisma.$transaction(async tx => {
+      const { payment } = await this.getLandlordPayment(
+        invoiceId,
+        paymentId,
+        userId,
+        tx
+      );
+
+      if (payment.status !== 'PENDING') {
+        throw new Error('Only PENDING payments can be marked as failed');
+      }
+
+      if (payment.gateway) {
+        throw new Error('Gateway payments are settled by the payment gateway');
+      }
+
+      return await this.changePaymentStatus(paymentId, 'FAILED', {
+        notes: reason || null,
+        client: tx,
+      });
+    });
+  }
+
+  /**
+   * Start a gateway checkout (card / e-wallet) for an invoice (tenant only)
+   * @param {string} invoiceId
+   * @param {string} userId
+   * @param {Object} checkoutData - method, amount, returnUrl
+   * @returns {Promise<Object>} Pending payment and checkout session
+   */
+  async startCheckout(invoiceId, userId, checkoutData) {
+    const { method, amount, returnUrl } = checkoutData;
+    const gateway = paymentGatewayService.getGateway();
+
+    if (!gateway.supportedMethods.includes(method)) {
+      throw new Error(
+        `Payment method ${method} is not supported by the ${gateway.name} gateway`
+      );
+    }
+
+    const { payment } = await this.submitPayment(invoiceId, userId, {
+      amount,
+      method,
+      gateway: gateway.name,
+    });
+    const invoice = await paymentsRepository.findInvoiceWithLease(invoiceId);
+
+    let session;
+    try {
+      session = await gateway.createCheckoutSession({
+        payment,
+        invoice,
+        returnUrl,
+      });
+    } catch (error) {
+      await this.changePaymentStatus(payment.id, 'FAILED', {
+        notes: `Checkout session could not be created: ${error.message}`,
+      });
+      throw error;
+    }
+
+    const updatedPayment = await paymentsRepository.update(payment.id, {
+      txnRef: session.txnRef,
+    });
+
+    return {
+      payment: updatedPayment,
+      checkout: {
+        gateway: gateway.name,
+        ...session,
+      },
+    };
+  }
+
+  /**
+   * Verify and apply a gateway webhook
+   * @param {string} provider - Gateway name from the webhook URL
+   * @param {Buffer} rawBody - Raw request body (needed for the signature)
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Object>}
+   */
+  async handleGatewayWebhook(provider, rawBody, headers) {
+    const gateway = paymentGatewayService.getGateway(provider);
+
+    if (!rawBody || !gateway.verifyWebhookSignature(rawBody, headers)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    const event = gateway.parseWebhookEvent(rawBody);
+    return await this.applyGatewayEvent(gateway.name, event);
+  }
+
+  /**
+   * Apply a normalized gateway event. Idempotent on txnRef: replaying an
+   * event for a payment already in the target status is a no-op.
+   * @param {string} gatewayName
+   * @param {Object} event - { eventId, type, txnRef, amount }
+   * @returns {Promise<Object>}
+   */
+  async applyGatewayEvent(gatewayName, event) {
+    const status = GATEWAY_EVENT_STATUSES[event.type];
+
+    if (!status) {
+      return {
+        handled: false,
+        reason: `Unsupported event type ${event.type}`,
+      };
+    }
+
+    if (!event.txnRef) {
+      throw new Error('Webhook event is missing txnRef');
+    }
+
+    try {
+      const outcome = await prisma.$transaction(async tx => {
+        const payment = await paymentsRepository.findByTxnRef(
+          event.txnRef,
+          gatewayName,
+          tx
+        );
+
+        if (!payment) {
+          throw new Error(`Payment not found for txnRef ${event.txnRef}`);
+        }
+
+        if (payment.status === status) {
+          return { handled: true, duplicate: true, payment };
+        }
+
+        if (!PAYMENT_TRANSITIONS[payment.status].includes(status)) {
+          return {
+            handled: false,
+            reason: `Payment is already ${payment.status}`,
+            payment,
+          };
+        }
+
+        if (
+          event.amount !== undefined &&
+          event.amount !== null &&
+          toCents(event.amount) !== toCents(payment.amount)
+        ) {
+          throw new Error('Webhook amount does not match payment amount');
+        }
+
+        const result = await this.changePaymentStatus(payment.id, status, {
+          notes: `Gateway event ${event.eventId || event.type}`,
+          client: tx,
+        });
+
+        return { handled: true, duplicate: false, ...result };
+      });
+
+      if (status === 'COMPLETED' && outcome.handled && !outcome.duplicate) {
+        await this.publishPaymentConfirmed(outcome);
+      }
+
+      return outcome;
+    } catch (error) {
+      // A concurrent delivery of the same event already applied it
+      if (error.message.includes('changed concurrently')) {
+        const payment = await paymentsRepository.findByTxnRef(
+          event.txnRef,
+          gatewayName
+        );
+        return { handled: true, duplicate: true, payment };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load a payment of an invoice owned by the landlord
+   * @param {string} invoiceId
+   * @param {string} paymentId
+   * @param {string} userId
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>}
+   */
+  async getLandlordPayment(invoiceId, paymentId, userId, client = prisma) {
+    const invoice = await this.getAccessibleInvoice(invoiceId, userId, client);
+
+    if (invoice.lease.landlordId !== userId) {
+      throw new Error(
+        'Access denied: Only the landlord can confirm or fail payments'
+      );
+    }
+
+    const payment = await paymentsRepository.findById(paymentId, client);
+    if (!payment || payment.invoiceId !== invoiceId) {
+      throw new Error('Payment not found');
+    }
+
+    return { invoice, payment };
+  }
+}
+
+module.exports = new PaymentsService();
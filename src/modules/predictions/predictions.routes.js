@@ -115,7 +115,7 @@ router.get('/status', auth, predictionsController.getStatus);
 router.post(
   '/toggle',
   auth,
-  authorize('ADMIN'),
+  authorize('prediction.manage'),
   [
     body('enabled')
       .isBoolean()
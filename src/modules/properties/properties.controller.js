@@ -1,5 +1,6 @@
 const propertiesService = require('./properties.service');
 const { validationResult } = require('express-validator');
+const { normalizeLanguage } = require('../../utils/i18n');
 
 // 🆕 AUTO-APPROVE PROPERTIES STATUS GLOBAL
 let propertyAutoApproveStatus = {
@@ -223,7 +224,7 @@ class PropertiesController {
 
   async getGeoJSON(req, res) {
     try {
-      const { bbox, limit = 1000, clng, clat, q } = req.query;
+      const { bbox, limit = 1000, clng, clat, q, lang } = req.query;
 
       // Validate required bbox parameter
       if (!bbox) {
@@ -281,6 +282,7 @@ class PropertiesController {
         centerLng,
         centerLat,
         query: q,
+        language: normalizeLanguage(lang),
       });
 
       // Set proper content type for GeoJSON
@@ -319,7 +321,7 @@ class PropertiesController {
     }
   }
 
-  // Get pending approvals (admin only)
+  // Get pending approvals (moderators and admins)
   async getPendingApprovals(req, res) {
     console.log('🚀 getPendingApprovals controller called');
     console.log('👤 User:', req.user?.email, 'Role:', req.user?.role);
@@ -345,7 +347,7 @@ class PropertiesController {
     }
   }
 
-  // Approve property (admin only)
+  // Approve property (moderators and admins)
   async approveProperty(req, res) {
     try {
       const propertyId = req.params.id;
@@ -389,7 +391,7 @@ class PropertiesController {
     }
   }
 
-  // Reject property (admin only)
+  // Reject property (moderators and admins)
   async rejectProperty(req, res) {
     try {
       const propertyId = req.params.id;
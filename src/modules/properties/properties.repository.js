@@ -1,5 +1,12 @@
 const { prisma } = require('../../config/database');
 
+// Owner fields shown on public listings. Contact details are left out:
+// tenants reach owners through conversations.
+const publicOwnerSelect = {
+  id: true,
+  name: true,
+};
+
 class PropertiesRepository {
   async findMany(options = {}) {
     const {
@@ -14,14 +21,7 @@ class PropertiesRepository {
       skip,
       take,
       include: {
-        owner: {
-          select: {
-            id: true,
-            name: true,
-            email: true,
-            phone: true,
-          },
-        },
+        owner: { select: publicOwnerSelect },
         propertyType: {
           select: {
             id: true,
@@ -54,14 +54,7 @@ class PropertiesRepository {
     return await prisma.property.findUnique({
       where: { id },
       include: {
-        owner: {
-          select: {
-            id: true,
-            name: true,
-            email: true,
-            phone: true,
-          },
-        },
+        owner: { select: publicOwnerSelect },
         propertyType: {
           select: {
             id: true,
@@ -88,14 +81,7 @@ class PropertiesRepository {
     return await prisma.property.findUnique({
       where: { code },
       include: {
-        owner: {
-          select: {
-            id: true,
-            name: true,
-            email: true,
-            phone: true,
-          },
-        },
+        owner: { select: publicOwnerSelect },
         propertyType: {
           select: {
             id: true,
@@ -326,14 +312,7 @@ class PropertiesRepository {
         isAvailable: true,
       },
       include: {
-        owner: {
-          select: {
-            id: true,
-            name: true,
-            email: true,
-            phone: true,
-          },
-        },
+        owner: { select: publicOwnerSelect },
         propertyType: {
           select: {
             id: true,
@@ -1,6 +1,10 @@
 const express = require('express');
 const { body } = require('express-validator');
-const { auth, authorize } = require('../../middleware/auth');
+const {
+  auth,
+  authorize,
+  requireVerifiedEmail,
+} = require('../../middleware/auth');
 const propertiesController = require('./properties.controller');
 const propertyViewsController = require('../propertyViews/propertyViews.controller');
 
@@ -78,6 +82,18 @@ const router = express.Router();
  *         isAvailable:
  *           type: boolean
  *           description: Whether the property is available for rent
+ *         bookingMode:
+ *           type: string
+ *           enum: [INSTANT, REQUEST]
+ *           description: INSTANT approves bookings immediately, REQUEST requires the owner to approve each booking
+ *         requestExpiryHours:
+ *           type: integer
+ *           nullable: true
+ *           description: Hours the owner has to answer a booking request (defaults to BOOKING_REQUEST_EXPIRY_HOURS)
+ *         cancellationPolicy:
+ *           type: string
+ *           enum: [FLEXIBLE, MODERATE, STRICT]
+ *           description: Refund rules when a tenant cancels (FLEXIBLE full refund up to 1 day before start; MODERATE full at 14+ days, 50% at 7+; STRICT full at 30+ days, 50% at 14+)
  *         status:
  *           type: string
  *           enum: [PENDING_REVIEW, APPROVED, REJECTED]
@@ -116,7 +132,13 @@ const router = express.Router();
  *             $ref: '#/components/schemas/Amenity'
  *           description: Array of amenities
  *         owner:
- *           $ref: '#/components/schemas/User'
+ *           type: object
+ *           description: Public owner profile. Contact details are not shared; start a conversation to reach the owner.
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -181,11 +203,7 @@ const router = express.Router();
  *         ]
  *         owner:
  *           id: "user-123-456-789"
- *           email: "landlord@example.com"
  *           name: "John Doe"
- *           firstName: "John"
- *           lastName: "Doe"
- *           phone: "+60123456789"
  *         createdAt: "2025-09-19T08:30:45.123Z"
  *         updatedAt: "2025-09-19T10:15:22.456Z"
  */
@@ -336,7 +354,6 @@ const router = express.Router();
  *                     ]
  *                     owner:
  *                       name: "John Doe"
- *                       email: "landlord@example.com"
  *                     createdAt: "2025-09-19T08:30:45.123Z"
  *                     updatedAt: "2025-09-19T10:15:22.456Z"
  *                   },
@@ -378,7 +395,6 @@ const router = express.Router();
  *                     ]
  *                     owner:
  *                       name: "John Doe"
- *                       email: "landlord@example.com"
  *                     createdAt: "2025-09-20T14:22:10.987Z"
  *                     updatedAt: "2025-09-20T16:45:33.234Z"
  *                   }
@@ -576,6 +592,13 @@ router.get('/property/:code', propertiesController.getPropertyByCode);
  *         schema:
  *           type: string
  *         description: Search query for title or location
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [en, ms]
+ *           default: en
+ *         description: Language of priceFormatted
  *     responses:
  *       200:
  *         description: GeoJSON FeatureCollection of properties
@@ -719,7 +742,6 @@ router.get('/geojson', propertiesController.getGeoJSON);
  *                     ]
  *                     owner:
  *                       name: "John Doe"
- *                       email: "landlord@example.com"
  *                     createdAt: "2025-09-19T08:30:45.123Z"
  *                     updatedAt: "2025-09-19T10:15:22.456Z"
  *       404:
@@ -842,7 +864,7 @@ router.get('/my-properties', auth, propertiesController.getMyProperties);
 router.get(
   '/pending-approval',
   auth,
-  authorize('ADMIN'),
+  authorize('listing.approve'),
   propertiesController.getPendingApprovals
 );
 
@@ -852,7 +874,7 @@ router.get('/:id', propertiesController.getPropertyById);
  * @swagger
  * /api/properties:
  *   post:
- *     summary: Create a new property (Landlord/Admin only)
+ *     summary: Create a new property (Landlord/Agent/Admin)
  *     tags: [Properties]
  *     security:
  *       - bearerAuth: []
@@ -934,6 +956,19 @@ router.get('/:id', propertiesController.getPropertyById);
  *                 type: boolean
  *                 default: true
  *                 description: Whether property is available
+ *               bookingMode:
+ *                 type: string
+ *                 enum: [INSTANT, REQUEST]
+ *                 description: Instant booking or request-to-book
+ *               requestExpiryHours:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 720
+ *                 description: Hours the owner has to answer a booking request
+ *               cancellationPolicy:
+ *                 type: string
+ *                 enum: [FLEXIBLE, MODERATE, STRICT]
+ *                 description: Refund rules when a tenant cancels
  *               status:
  *                 type: string
  *                 enum: [DRAFT, PENDING_REVIEW, APPROVED, REJECTED, ARCHIVED]
@@ -1029,12 +1064,13 @@ router.get('/:id', propertiesController.getPropertyById);
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden
+ *         description: Forbidden, or email not verified (when REQUIRE_VERIFIED_EMAIL=true)
  */
 router.post(
   '/',
   auth,
-  authorize('USER', 'ADMIN'),
+  authorize('listing.create'),
+  requireVerifiedEmail,
   [
     body('code').optional().trim().isLength({ max: 50 }),
     body('title').notEmpty().trim(),
@@ -1055,6 +1091,13 @@ router.post(
     body('areaSqm').optional().isFloat({ min: 0 }),
     body('furnished').optional().isBoolean(),
     body('isAvailable').optional().isBoolean(),
+    body('bookingMode').optional().isIn(['INSTANT', 'REQUEST']),
+    body('requestExpiryHours')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 720 }),
+    body('cancellationPolicy')
+      .optional()
+      .isIn(['FLEXIBLE', 'MODERATE', 'STRICT']),
     body('status').optional().isIn(['PENDING_REVIEW', 'APPROVED', 'REJECTED']),
     body('images').optional().isArray(),
     body('amenityIds').optional().isArray(),
@@ -1144,6 +1187,19 @@ router.post(
  *               isAvailable:
  *                 type: boolean
  *                 description: Whether property is available
+ *               bookingMode:
+ *                 type: string
+ *                 enum: [INSTANT, REQUEST]
+ *                 description: Instant booking or request-to-book
+ *               requestExpiryHours:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 720
+ *                 description: Hours the owner has to answer a booking request
+ *               cancellationPolicy:
+ *                 type: string
+ *                 enum: [FLEXIBLE, MODERATE, STRICT]
+ *                 description: Refund rules when a tenant cancels
  *               status:
  *                 type: string
  *                 enum: [DRAFT, PENDING_REVIEW, APPROVED, REJECTED, ARCHIVED]
@@ -1225,7 +1281,7 @@ router.post(
 router.put(
   '/:id',
   auth,
-  authorize('USER', 'ADMIN'),
+  authorize('listing.create'),
   [
     body('title').optional().notEmpty().trim(),
     body('description').optional().trim(),
@@ -1245,6 +1301,13 @@ router.put(
     body('areaSqm').optional().isFloat({ min: 0 }),
     body('furnished').optional().isBoolean(),
     body('isAvailable').optional().isBoolean(),
+    body('bookingMode').optional().isIn(['INSTANT', 'REQUEST']),
+    body('requestExpiryHours')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 720 }),
+    body('cancellationPolicy')
+      .optional()
+      .isIn(['FLEXIBLE', 'MODERATE', 'STRICT']),
     body('status').optional().isIn(['PENDING_REVIEW', 'APPROVED', 'REJECTED']),
     body('images').optional().isArray(),
     body('amenityIds').optional().isArray(),
@@ -1293,7 +1356,7 @@ router.put(
 router.delete(
   '/:id',
   auth,
-  authorize('USER', 'ADMIN'),
+  authorize('listing.create'),
   propertiesController.deleteProperty
 );
 
@@ -1414,7 +1477,7 @@ router.post('/:id/view', propertyViewsController.logView);
 router.get(
   '/:id/view-stats',
   auth,
-  authorize('USER', 'ADMIN'),
+  authorize('listing.create'),
   propertyViewsController.getViewStats
 );
 
@@ -1924,7 +1987,7 @@ router.get('/:id/favorite-stats', propertyViewsController.getFavoriteStats);
  * @swagger
  * /api/properties/{id}/approve:
  *   post:
- *     summary: Approve a property (Admin only)
+ *     summary: Approve a property (Moderator/Admin)
  *     tags: [Properties]
  *     security:
  *       - bearerAuth: []
@@ -1950,14 +2013,14 @@ router.get('/:id/favorite-stats', propertyViewsController.getFavoriteStats);
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - listing.approve permission required
  *       404:
  *         description: Property not found
  */
 router.post(
   '/:id/approve',
   auth,
-  authorize('ADMIN'),
+  authorize('listing.approve'),
   propertiesController.approveProperty
 );
 
@@ -1965,7 +2028,7 @@ router.post(
  * @swagger
  * /api/properties/{id}/reject:
  *   post:
- *     summary: Reject a property (Admin only)
+ *     summary: Reject a property (Moderator/Admin)
  *     tags: [Properties]
  *     security:
  *       - bearerAuth: []
@@ -1995,14 +2058,14 @@ router.post(
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - listing.approve permission required
  *       404:
  *         description: Property not found
  */
 router.post(
   '/:id/reject',
   auth,
-  authorize('ADMIN'),
+  authorize('listing.approve'),
   propertiesController.rejectProperty
 );
 
@@ -2097,7 +2160,7 @@ router.get(
 router.post(
   '/auto-approve/toggle',
   auth,
-  authorize('ADMIN'),
+  authorize('listing.manage'),
   propertiesController.togglePropertyAutoApprove
 );
 
@@ -2202,7 +2265,7 @@ router.get(
 router.post(
   '/fix-approval-inconsistency',
   auth,
-  authorize('ADMIN'),
+  authorize('listing.manage'),
   propertiesController.fixApprovalDataInconsistency
 );
 
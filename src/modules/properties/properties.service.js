@@ -1,7 +1,12 @@
 const propertiesRepository = require('./properties.repository');
 const PropertyViewsRepository = require('../propertyViews/propertyViews.repository');
 const { generateUniquePropertyCode } = require('../../utils/codeGenerator');
+const { formatPrice } = require('../../utils/i18n');
 const { prisma } = require('../../config/database');
+const notificationsService = require('../notifications/notifications.service');
+const emailService = require('../../services/email.service');
+const realtimeService = require('../../services/realtime.service');
+const { hasPermission } = require('../../config/permissions');
 
 class PropertiesService {
   constructor() {
@@ -134,8 +139,8 @@ class PropertiesService {
     const skip = (page - 1) * limit;
     const where = {};
 
-    // For non-admin users, only show APPROVED properties
-    if (userRole !== 'ADMIN') {
+    // Only listing reviewers see properties that are not APPROVED
+    if (!hasPermission(userRole, 'listing.approve')) {
       where.status = 'APPROVED';
     }
 
@@ -146,8 +151,9 @@ class PropertiesService {
     if (filters.available !== undefined)
       where.isAvailable = filters.available === 'true';
     if (filters.bedrooms) where.bedrooms = parseInt(filters.bedrooms);
-    // Only allow admin to filter by status
-    if (filters.status && userRole === 'ADMIN') where.status = filters.status;
+    // Only allow listing reviewers to filter by status
+    if (filters.status && hasPermission(userRole, 'listing.approve'))
+      where.status = filters.status;
     if (filters.furnished !== undefined)
       where.furnished = filters.furnished === 'true';
 
@@ -315,6 +321,11 @@ class PropertiesService {
         propertyData.isAvailable !== undefined
           ? propertyData.isAvailable
           : true,
+      bookingMode: propertyData.bookingMode || 'INSTANT',
+      requestExpiryHours: propertyData.requestExpiryHours
+        ? parseInt(propertyData.requestExpiryHours)
+        : null,
+      cancellationPolicy: propertyData.cancellationPolicy || 'FLEXIBLE',
       status: propertyData.status || propertyStatus, // 🆕 Use auto-approve logic
       images: propertyData.images || [],
       propertyTypeId: propertyData.propertyTypeId,
@@ -384,6 +395,22 @@ class PropertiesService {
       return property;
     });
 
+    if (result.status === 'PENDING_REVIEW') {
+      realtimeService.publishToPermission(
+        'listing.approve',
+        'approval.pending',
+        {
+          propertyId: result.id,
+          propertyCode: result.code,
+          propertyTitle: result.title,
+          city: result.city,
+          owner: result.owner,
+          createdAt: result.createdAt,
+          pendingApprovals: await this.getPendingApprovalCount(),
+        }
+      );
+    }
+
     // Add Google Maps URL to the created property
     return this.addMapsUrlToProperty(result);
   }
@@ -397,7 +424,7 @@ class PropertiesService {
 
     // Only property owner or admin can update
     if (
-      requestingUser.role !== 'ADMIN' &&
+      !hasPermission(requestingUser.role, 'listing.manage') &&
       existingProperty.ownerId !== requestingUser.id
     ) {
       throw new Error(
@@ -425,6 +452,9 @@ class PropertiesService {
       'areaSqm',
       'furnished',
       'isAvailable',
+      'bookingMode',
+      'requestExpiryHours',
+      'cancellationPolicy',
       'status',
       'images',
       'propertyTypeId',
@@ -441,6 +471,10 @@ class PropertiesService {
           cleanUpdateData[field] = parseFloat(updateData[field]);
         } else if (field === 'bedrooms' || field === 'bathrooms') {
           cleanUpdateData[field] = parseInt(updateData[field]);
+        } else if (field === 'requestExpiryHours') {
+          cleanUpdateData[field] = updateData[field]
+            ? parseInt(updateData[field])
+            : null;
         } else if (field === 'furnished' || field === 'isAvailable') {
           cleanUpdateData[field] = Boolean(updateData[field]);
         } else {
@@ -487,7 +521,7 @@ class PropertiesService {
 
     // Only property owner or admin can delete
     if (
-      requestingUser.role !== 'ADMIN' &&
+      !hasPermission(requestingUser.role, 'listing.manage') &&
       existingProperty.ownerId !== requestingUser.id
     ) {
       throw new Error(
@@ -510,6 +544,7 @@ class PropertiesService {
         centerLng,
         centerLat,
         query,
+        language,
       } = params;
 
       const properties = await propertiesRepository.findForGeoJSON({
@@ -528,7 +563,8 @@ class PropertiesService {
         // Format price for display
         const formattedPrice = this.formatPrice(
           property.price,
-          property.currencyCode
+          property.currencyCode,
+          language
         );
 
         // Handle thumbnail - either from raw query result or from images array
@@ -577,17 +613,9 @@ class PropertiesService {
     }
   }
 
-  // Helper method to format price
-  formatPrice(price, currencyCode = 'MYR') {
-    const numPrice = parseFloat(price);
-
-    if (currencyCode === 'MYR') {
-      return `RM ${numPrice.toLocaleString('ms-MY')}`;
-    } else if (currencyCode === 'USD') {
-      return `$${numPrice.toLocaleString('en-US')}`;
-    } else {
-      return `${currencyCode} ${numPrice.toLocaleString()}`;
-    }
+  // Helper method to format price (en or ms)
+  formatPrice(price, currencyCode = 'MYR', language = 'en') {
+    return formatPrice(price, currencyCode || 'MYR', language);
   }
 
   async getFeaturedProperties(page = 1, limit = 8, userId = null) {
@@ -715,6 +743,25 @@ class PropertiesService {
         comment: comment || null,
       });
 
+    if (property.ownerId !== userId) {
+      realtimeService.publish(property.ownerId, 'rating.created', {
+        propertyId,
+        propertyTitle: property.title,
+        ratingId: ratingRecord.id,
+        rating: ratingRecord.rating,
+        comment: ratingRecord.comment,
+      });
+
+      const rater = ratingRecord.user;
+      await notificationsService.notify(property.ownerId, 'PROPERTY_RATED', {
+        propertyId,
+        propertyTitle: property.title,
+        ratingId: ratingRecord.id,
+        rating: ratingRecord.rating,
+        raterName: rater.name || `${rater.firstName} ${rater.lastName}`.trim(),
+      });
+    }
+
     return {
       rating: ratingRecord,
       message: 'Rating submitted successfully',
@@ -836,12 +883,21 @@ class PropertiesService {
     } else {
       // Add to favorites
       await this.propertyViewsRepository.addToFavorites(propertyId, userId);
+      const favoriteCount =
+        await this.propertyViewsRepository.getFavoriteCount(propertyId);
+
+      if (property.ownerId !== userId) {
+        realtimeService.publish(property.ownerId, 'favorite.created', {
+          propertyId,
+          propertyTitle: property.title,
+          favoriteCount,
+        });
+      }
 
       return {
         action: 'added',
         isFavorited: true,
-        favoriteCount:
-          await this.propertyViewsRepository.getFavoriteCount(propertyId),
+        favoriteCount,
         message: 'Property added to favorites',
       };
     }
@@ -932,7 +988,22 @@ class PropertiesService {
     };
   }
 
-  // Get pending approvals (admin only)
+  /**
+   * Number of listings waiting for review
+   * @returns {Promise<number>}
+   */
+  async getPendingApprovalCount() {
+    return await prisma.listingApproval.count({
+      where: {
+        status: 'PENDING',
+        property: {
+          status: 'PENDING_REVIEW',
+        },
+      },
+    });
+  }
+
+  // Get pending approvals (moderators and admins)
   async getPendingApprovals(page = 1, limit = 10) {
     console.log(
       '🔍 getPendingApprovals called with page:',
@@ -1004,7 +1075,7 @@ class PropertiesService {
     }
   }
 
-  // Approve property (admin only)
+  // Approve property (moderators and admins)
   async approveProperty(propertyId, reviewerId, notes = '') {
     // Check if property exists
     const property = await propertiesRepository.findById(propertyId);
@@ -1043,13 +1114,15 @@ class PropertiesService {
       }),
     ]);
 
+    await this.notifyListingDecision(property, 'APPROVED', notes, reviewerId);
+
     return {
       property: updatedProperty,
       approval: updatedApproval,
     };
   }
 
-  // Reject property (admin only)
+  // Reject property (moderators and admins)
   async rejectProperty(propertyId, reviewerId, notes) {
     // Check if property exists
     const property = await propertiesRepository.findById(propertyId);
@@ -1088,12 +1161,72 @@ class PropertiesService {
       }),
     ]);
 
+    await this.notifyListingDecision(property, 'REJECTED', notes, reviewerId);
+
     return {
       property: updatedProperty,
       approval: updatedApproval,
     };
   }
 
+  /**
+   * Tell the owner that their listing was approved or rejected, in the
+   * inbox, on their event stream and by email (rejections include the
+   * reviewer's notes), and update the admins' pending-approvals feed
+   * @param {Object} property - Reviewed property
+   * @param {string} status - APPROVED or REJECTED
+   * @param {string} notes - Reviewer notes
+   * @param {string} reviewerId
+   */
+  async notifyListingDecision(property, status, notes, reviewerId) {
+    const data = {
+      propertyId: property.id,
+      propertyCode: property.code,
+      propertyTitle: property.title,
+      notes: notes || null,
+    };
+
+    realtimeService.publish(
+      property.ownerId,
+      `listing.${status.toLowerCase()}`,
+      data
+    );
+    realtimeService.publishToPermission(
+      'listing.approve',
+      'approval.resolved',
+      {
+        propertyId: property.id,
+        status,
+        reviewerId,
+        pendingApprovals: await this.getPendingApprovalCount(),
+      }
+    );
+
+    await notificationsService.notify(
+      property.ownerId,
+      `PROPERTY_${status}`,
+      data
+    );
+
+    const owner = await prisma.user.findUnique({
+      where: { id: property.ownerId },
+      select: {
+        email: true,
+        name: true,
+        firstName: true,
+        lastName: true,
+        preferredLanguage: true,
+      },
+    });
+
+    await emailService.queue(
+      status === 'APPROVED' ? 'listing-approved' : 'listing-rejected',
+      owner,
+      data,
+      { createdById: reviewerId }
+    );
+  }
+
   // Get approval history for a property
   async getApprovalHistory(propertyId) {
     // Check if property exists
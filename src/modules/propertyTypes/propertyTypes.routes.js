@@ -209,7 +209,7 @@ router.get('/:id', propertyTypesController.getById);
 router.post(
   '/',
   auth,
-  authorize('ADMIN'),
+  authorize('catalog.manage'),
   [
     body('code')
       .notEmpty()
@@ -303,7 +303,7 @@ router.post(
 router.put(
   '/:id',
   auth,
-  authorize('ADMIN'),
+  authorize('catalog.manage'),
   [
     body('code')
       .optional()
@@ -361,6 +361,11 @@ router.put(
  *       404:
  *         description: Property type not found
  */
-router.delete('/:id', auth, authorize('ADMIN'), propertyTypesController.delete);
+router.delete(
+  '/:id',
+  auth,
+  authorize('catalog.manage'),
+  propertyTypesController.delete
+);
 
 module.exports = router;
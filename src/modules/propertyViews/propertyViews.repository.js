@@ -561,7 +561,6 @@ class PropertyViewsRepository {
               owner: {
                 select: {
                   id: true,
-                  email: true,
                   firstName: true,
                   lastName: true,
                   name: true,
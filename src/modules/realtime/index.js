@@ -0,0 +1,7 @@
+const realtimeRoutes = require('./realtime.routes');
+const realtimeController = require('./realtime.controller');
+
+module.exports = {
+  routes: realtimeRoutes,
+  controller: realtimeController,
+};
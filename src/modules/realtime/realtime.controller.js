@@ -0,0 +1,32 @@
+const realtimeService = require('../../services/realtime.service');
+const propertiesService = require('../properties/properties.service');
+const { hasPermission } = require('../../config/permissions');
+
+class RealtimeController {
+  /**
+   * Open the event stream of the current user. Listing reviewers also
+   * receive the pending-approvals feed, starting with the current count.
+   */
+  async stream(req, res) {
+    try {
+      const readyData = { userId: req.user.id, role: req.user.role };
+
+      if (hasPermission(req.user.role, 'listing.approve')) {
+        readyData.pendingApprovals =
+          await propertiesService.getPendingApprovalCount();
+      }
+
+      realtimeService.connect(req, res, req.user, readyData);
+    } catch (error) {
+      console.error('Open event stream error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+}
+
+const realtimeController = new RealtimeController();
+
+module.exports = realtimeController;
@@ -0,0 +1,61 @@
+const express = require('express');
+const { authStream } = require('../../middleware/auth');
+const realtimeController = require('./realtime.controller');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Realtime
+ *   description: Live updates over Server-Sent Events
+ */
+
+/**
+ * @swagger
+ * /api/realtime/events:
+ *   get:
+ *     summary: Open a live event stream
+ *     description: |
+ *       Server-Sent Events stream (`text/event-stream`) of the events that concern the current user. Authenticate with the login JWT in the `Authorization` header, or in the `token` query parameter for browser `EventSource`, which cannot send headers.
+ *
+ *       Every event has a JSON `data` payload. The first event is `ready`. Events:
+ *       - `notification.created` - New inbox notification (see Notifications)
+ *       - `booking.created`, `booking.approved`, `booking.rejected`, `booking.cancelled` - Sent to the tenant and landlord of the booking
+ *       - `listing.approved`, `listing.rejected` - Sent to the property owner
+ *       - `rating.created` - New or updated rating, sent to the property owner
+ *       - `favorite.created` - Property added to someone's favorites, sent to the owner
+ *       - `payment.confirmed` - Payment completed, sent to the tenant and landlord
+ *       - `approval.pending`, `approval.resolved` - Pending-approvals feed, sent to admins; `ready` includes `pendingApprovals` for admins
+ *
+ *       A comment line is sent every `REALTIME_HEARTBEAT_SECONDS` (default 25) to keep the connection open, and the login session is checked at the same interval. When the session is revoked (logout, password reset, deactivation) or expires, a `session.revoked` event is sent and the stream ends.
+ *     tags: [Realtime]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: JWT, when the Authorization header cannot be set
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *             example: |
+ *               id: 1
+ *               event: ready
+ *               data: {"userId":"...","role":"USER"}
+ *
+ *               id: 2
+ *               event: booking.created
+ *               data: {"bookingId":"...","propertyId":"...","propertyTitle":"Cozy Condo","status":"PENDING"}
+ *       401:
+ *         description: Missing, invalid or expired token
+ */
+router.get('/events', authStream, realtimeController.stream);
+
+module.exports = router;
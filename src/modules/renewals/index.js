@@ -0,0 +1,11 @@
+const renewalsRoutes = require('./renewals.routes');
+const renewalsController = require('./renewals.controller');
+const renewalsService = require('./renewals.service');
+const renewalsRepository = require('./renewals.repository');
+
+module.exports = {
+  routes: renewalsRoutes,
+  controller: renewalsController,
+  service: renewalsService,
+  repository: renewalsRepository,
+};
@@ -0,0 +1,217 @@
+const renewalsService = require('./renewals.service');
+const { validationResult } = require('express-validator');
+
+class RenewalsController {
+  /**
+   * Map service errors to HTTP responses
+   */
+  handleError(res, error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes('Access denied')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (
+      error.message.includes('must be after') ||
+      error.message.includes('must change')
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (
+      error.message.includes('Cannot ') ||
+      error.message.includes('already') ||
+      error.message.includes('no longer available') ||
+      error.message.includes('Invalid booking status transition') ||
+      error.message.includes('changed by another request')
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+
+  /**
+   * List renewal requests of a booking
+   */
+  async getRenewals(req, res) {
+    try {
+      const renewals = await renewalsService.getRenewals(
+        req.params.id,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        data: { renewals },
+      });
+    } catch (error) {
+      console.error('Get renewals error:', error);
+      renewalsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Request an extension or renewal (tenant only)
+   */
+  async requestRenewal(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const renewal = await renewalsService.requestRenewal(
+        req.params.id,
+        req.user.id,
+        req.body
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Renewal request sent to the landlord',
+        data: { renewal },
+      });
+    } catch (error) {
+      console.error('Request renewal error:', error);
+      renewalsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Counter a renewal request (landlord only)
+   */
+  async counterRenewal(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const renewal = await renewalsService.counterRenewal(
+        req.params.id,
+        req.params.renewalId,
+        req.user.id,
+        req.body
+      );
+
+      res.json({
+        success: true,
+        message: 'Counter offer sent to the tenant',
+        data: { renewal },
+      });
+    } catch (error) {
+      console.error('Counter renewal error:', error);
+      renewalsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Accept a renewal request or counter offer
+   */
+  async acceptRenewal(req, res) {
+    try {
+      const result = await renewalsService.acceptRenewal(
+        req.params.id,
+        req.params.renewalId,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        message:
+          result.renewal.type === 'EXTENSION'
+            ? 'Renewal accepted, booking extended'
+            : 'Renewal accepted, successor booking created',
+        data: result,
+      });
+    } catch (error) {
+      console.error('Accept renewal error:', error);
+      renewalsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Decline a renewal request or counter offer
+   */
+  async declineRenewal(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const renewal = await renewalsService.declineRenewal(
+        req.params.id,
+        req.params.renewalId,
+        req.user.id,
+        req.body.responseMessage
+      );
+
+      res.json({
+        success: true,
+        message: 'Renewal request declined',
+        data: { renewal },
+      });
+    } catch (error) {
+      console.error('Decline renewal error:', error);
+      renewalsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Withdraw a renewal request (tenant only)
+   */
+  async withdrawRenewal(req, res) {
+    try {
+      const renewal = await renewalsService.withdrawRenewal(
+        req.params.id,
+        req.params.renewalId,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        message: 'Renewal request withdrawn',
+        data: { renewal },
+      });
+    } catch (error) {
+      console.error('Withdraw renewal error:', error);
+      renewalsController.handleError(res, error);
+    }
+  }
+}
+
+const renewalsController = new RenewalsController();
+
+module.exports = renewalsController;
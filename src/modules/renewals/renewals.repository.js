@@ -0,0 +1,73 @@
+const { prisma } = require('../../config/database');
+
+const renewalInclude = {
+  requestedBy: {
+    select: {
+      id: true,
+      name: true,
+      email: true,
+    },
+  },
+};
+
+class RenewalsRepository {
+  async findLease(leaseId, client = prisma) {
+    return await client.lease.findUnique({
+      where: { id: leaseId },
+      include: {
+        nextLease: {
+          select: {
+            id: true,
+            status: true,
+          },
+        },
+        termination: {
+          select: { id: true },
+        },
+        rentPeriods: true,
+      },
+    });
+  }
+
+  async findById(id, client = prisma) {
+    return await client.leaseRenewalRequest.findUnique({
+      where: { id },
+      include: renewalInclude,
+    });
+  }
+
+  async findByLeaseId(leaseId) {
+    return await prisma.leaseRenewalRequest.findMany({
+      where: { leaseId },
+      include: renewalInclude,
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  async findOpenByLeaseId(leaseId, openStatuses, client = prisma) {
+    return await client.leaseRenewalRequest.findFirst({
+      where: { leaseId, status: { in: openStatuses } },
+    });
+  }
+
+  async create(data) {
+    return await prisma.leaseRenewalRequest.create({
+      data,
+      include: renewalInclude,
+    });
+  }
+
+  /**
+   * Update only if the request is still in the expected status
+   * @returns {Promise<number>} Number of updated rows (0 or 1)
+   */
+  async updateIfStatus(id, expectedStatus, data, client = prisma) {
+    const result = await client.leaseRenewalRequest.updateMany({
+      where: { id, status: expectedStatus },
+      data,
+    });
+    return result.count;
+  }
+}
+
+module.exports = new RenewalsRepository();
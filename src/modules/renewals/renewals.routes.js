@@ -0,0 +1,373 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { auth } = require('../../middleware/auth');
+const renewalsController = require('./renewals.controller');
+
+// Mounted at /api/bookings/:id/renewals
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RenewalRequest:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         leaseId:
+ *           type: string
+ *         requestedById:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [EXTENSION, RENEWAL]
+ *           description: EXTENSION moves the end date of the booking, RENEWAL creates a linked successor booking
+ *         status:
+ *           type: string
+ *           enum: [PENDING, COUNTERED, ACCEPTED, DECLINED, WITHDRAWN]
+ *         proposedEndDate:
+ *           type: string
+ *           format: date-time
+ *         proposedRentAmount:
+ *           type: number
+ *         counterEndDate:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         counterRentAmount:
+ *           type: number
+ *           nullable: true
+ *         message:
+ *           type: string
+ *           nullable: true
+ *         responseMessage:
+ *           type: string
+ *           nullable: true
+ *         successorLeaseId:
+ *           type: string
+ *           nullable: true
+ *           description: Booking created when a RENEWAL was accepted
+ *         respondedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/bookings/{id}/renewals:
+ *   get:
+ *     summary: List renewal requests of a booking (tenant or landlord)
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Renewal requests, newest first
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Booking not found
+ */
+router.get('/', auth, renewalsController.getRenewals);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/renewals:
+ *   post:
+ *     summary: Request an extension or renewal of a booking (tenant only)
+ *     description: Only APPROVED or ACTIVE bookings that have not ended can be renewed, and a booking can have one open request at a time. The proposed rent defaults to the current rent.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - proposedEndDate
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [EXTENSION, RENEWAL]
+ *               proposedEndDate:
+ *                 type: string
+ *                 format: date
+ *                 description: New last day, after the current end date
+ *               proposedRentAmount:
+ *                 type: number
+ *                 minimum: 0
+ *               message:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       201:
+ *         description: Renewal request created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     renewal:
+ *                       $ref: '#/components/schemas/RenewalRequest'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not the tenant of this booking
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Booking cannot be renewed or already has an open request
+ */
+router.post(
+  '/',
+  auth,
+  [
+    body('type')
+      .isIn(['EXTENSION', 'RENEWAL'])
+      .withMessage('Type must be EXTENSION or RENEWAL'),
+    body('proposedEndDate')
+      .isISO8601()
+      .withMessage('Proposed end date must be a valid date'),
+    body('proposedRentAmount')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Proposed rent amount must be a positive number'),
+    body('message')
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage('Message must not exceed 1000 characters'),
+  ],
+  renewalsController.requestRenewal
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/renewals/{renewalId}/counter:
+ *   post:
+ *     summary: Counter a renewal request with other terms (landlord only)
+ *     description: The tenant can then accept or decline the counter offer.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *       - in: path
+ *         name: renewalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               counterEndDate:
+ *                 type: string
+ *                 format: date
+ *               counterRentAmount:
+ *                 type: number
+ *                 minimum: 0
+ *               responseMessage:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Counter offer sent
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not the landlord of this booking
+ *       404:
+ *         description: Booking or renewal request not found
+ *       409:
+ *         description: Request is no longer pending
+ */
+router.post(
+  '/:renewalId/counter',
+  auth,
+  [
+    body('counterEndDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Counter end date must be a valid date'),
+    body('counterRentAmount')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Counter rent amount must be a positive number'),
+    body('responseMessage')
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage('Response message must not exceed 1000 characters'),
+  ],
+  renewalsController.counterRenewal
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/renewals/{renewalId}/accept:
+ *   post:
+ *     summary: Accept a renewal request (landlord) or a counter offer (tenant)
+ *     description: Only succeeds if the property is still free for the added period. An EXTENSION moves the end date of the booking; a RENEWAL creates an approved successor booking that starts the day after it ends and carries over the security deposit. Rent invoices are issued for the added period and the rental agreement PDF is regenerated.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *       - in: path
+ *         name: renewalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Renewal accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     renewal:
+ *                       $ref: '#/components/schemas/RenewalRequest'
+ *                     booking:
+ *                       $ref: '#/components/schemas/Booking'
+ *       403:
+ *         description: Not the party expected to answer
+ *       404:
+ *         description: Booking or renewal request not found
+ *       409:
+ *         description: Request already answered or property no longer available
+ */
+router.post('/:renewalId/accept', auth, renewalsController.acceptRenewal);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/renewals/{renewalId}/decline:
+ *   post:
+ *     summary: Decline a renewal request (landlord) or a counter offer (tenant)
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *       - in: path
+ *         name: renewalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               responseMessage:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Renewal request declined
+ *       403:
+ *         description: Not the party expected to answer
+ *       404:
+ *         description: Booking or renewal request not found
+ *       409:
+ *         description: Request already answered
+ */
+router.post(
+  '/:renewalId/decline',
+  auth,
+  [
+    body('responseMessage')
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage('Response message must not exceed 1000 characters'),
+  ],
+  renewalsController.declineRenewal
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/renewals/{renewalId}/withdraw:
+ *   post:
+ *     summary: Withdraw an open renewal request (tenant only)
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *       - in: path
+ *         name: renewalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Renewal request withdrawn
+ *       403:
+ *         description: Not the tenant of this booking
+ *       404:
+ *         description: Booking or renewal request not found
+ *       409:
+ *         description: Request already answered
+ */
+router.post('/:renewalId/withdraw', auth, renewalsController.withdrawRenewal);
+
+module.exports = router;
@@ -0,0 +1,482 @@
+const { prisma } = require('../../config/database');
+const renewalsRepository = require('./renewals.repository');
+const bookingsService = require('../bookings/bookings.service');
+const invoicesService = require('../invoices/invoices.service');
+const depositsService = require('../deposits/deposits.service');
+const notificationsService = require('../notifications/notifications.service');
+const leaseLifecycleService = require('../../services/leaseLifecycle.service');
+const { toUtcDay, addDays } = require('../../utils/rentSchedule');
+const { getCurrentRent } = require('../../utils/leaseTerms');
+
+// Renewal requests still waiting for an answer
+const OPEN_RENEWAL_STATUSES = ['PENDING', 'COUNTERED'];
+
+class RenewalsService {
+  /**
+   * Load a lease and check the user is its tenant or landlord
+   * @param {string} leaseId
+   * @param {string} userId
+   * @returns {Promise<Object>}
+   */
+  async getAccessibleLease(leaseId, userId) {
+    const lease = await renewalsRepository.findLease(leaseId);
+
+    if (!lease) {
+      throw new Error('Booking not found');
+    }
+
+    if (lease.tenantId !== userId && lease.landlordId !== userId) {
+      throw new Error(
+        'Access denied: You can only view renewals of your own bookings'
+      );
+    }
+
+    return lease;
+  }
+
+  /**
+   * Load a renewal request that belongs to the given lease
+   * @param {string} leaseId
+   * @param {string} renewalId
+   * @returns {Promise<Object>}
+   */
+  async getRenewal(leaseId, renewalId) {
+    const renewal = await renewalsRepository.findById(renewalId);
+
+    if (!renewal || renewal.leaseId !== leaseId) {
+      throw new Error('Renewal request not found');
+    }
+
+    return renewal;
+  }
+
+  /**
+   * Check a lease can still be extended or renewed
+   * @param {Object} lease - Lease with nextLease and termination
+   */
+  assertRenewable(lease) {
+    if (!leaseLifecycleService.getOccupyingStatuses().includes(lease.status)) {
+      throw new Error(`Cannot renew a ${lease.status} booking`);
+    }
+
+    if (toUtcDay(lease.endDate) < toUtcDay(new Date())) {
+      throw new Error('Cannot renew a booking that has already ended');
+    }
+
+    if (lease.nextLease) {
+      throw new Error('This booking has already been renewed');
+    }
+
+    if (lease.termination) {
+      throw new Error('Cannot renew a booking with a termination notice');
+    }
+  }
+
+  /**
+   * Parse and check a new end date against the current lease end
+   * @param {Object} lease
+   * @param {string|Date} endDate
+   * @returns {Date} New end date (UTC day)
+   */
+  parseNewEndDate(lease, endDate) {
+    const newEndDate = toUtcDay(endDate);
+
+    if (newEndDate <= toUtcDay(lease.endDate)) {
+      throw new Error('New end date must be after the current end date');
+    }
+
+    return newEndDate;
+  }
+
+  /**
+   * Terms that become binding when a request is accepted
+   * @param {Object} renewal
+   * @returns {Object} { endDate, rentAmount }
+   */
+  getAgreedTerms(renewal) {
+    if (renewal.status === 'COUNTERED') {
+      return {
+        endDate: renewal.counterEndDate,
+        rentAmount: renewal.counterRentAmount,
+      };
+    }
+
+    return {
+      endDate: renewal.proposedEndDate,
+      rentAmount: renewal.proposedRentAmount,
+    };
+  }
+
+  /**
+   * Check the user is the party expected to answer the request: the
+   * landlord answers the tenant's request, the tenant answers a counter offer
+   * @param {Object} lease
+   * @param {Object} renewal
+   * @param {string} userId
+   */
+  assertCanRespond(lease, renewal, userId) {
+    if (renewal.status === 'PENDING' && lease.landlordId !== userId) {
+      throw new Error(
+        'Access denied: Only the landlord can respond to this renewal request'
+      );
+    }
+
+    if (renewal.status === 'COUNTERED' && lease.tenantId !== userId) {
+      throw new Error(
+        'Access denied: Only the tenant can respond to a counter offer'
+      );
+    }
+
+    if (!OPEN_RENEWAL_STATUSES.includes(renewal.status)) {
+      throw new Error(`Cannot respond to a ${renewal.status} renewal request`);
+    }
+  }
+
+  /**
+   * List renewal requests of a lease (tenant or landlord)
+   * @param {string} leaseId
+   * @param {string} userId
+   * @returns {Promise<Array>}
+   */
+  async getRenewals(leaseId, userId) {
+    await this.getAccessibleLease(leaseId, userId);
+
+    return await renewalsRepository.findByLeaseId(leaseId);
+  }
+
+  /**
+   * Request an extension of the current lease or a successor lease (tenant)
+   * @param {string} leaseId
+   * @param {string} userId
+   * @param {Object} requestData - type, proposedEndDate, proposedRentAmount, message
+   * @returns {Promise<Object>} Created renewal request
+   */
+  async requestRenewal(leaseId, userId, requestData) {
+    const { type, proposedEndDate, proposedRentAmount, message } = requestData;
+    const lease = await this.getAccessibleLease(leaseId, userId);
+
+    if (lease.tenantId !== userId) {
+      throw new Error('Access denied: Only the tenant can request a renewal');
+    }
+
+    this.assertRenewable(lease);
+    const endDate = this.parseNewEndDate(lease, proposedEndDate);
+
+    const openRequest = await renewalsRepository.findOpenByLeaseId(
+      leaseId,
+      OPEN_RENEWAL_STATUSES
+    );
+    if (openRequest) {
+      throw new Error('This booking already has an open renewal request');
+    }
+
+    return await renewalsRepository.create({
+      leaseId,
+      requestedById: userId,
+      type,
+      proposedEndDate: endDate,
+      proposedRentAmount:
+        proposedRentAmount !== undefined && proposedRentAmount !== null
+          ? parseFloat(proposedRentAmount)
+          : getCurrentRent(lease),
+      message: message || null,
+    });
+  }
+
+  /**
+   * Answer a pending request with different terms (landlord)
+   * @param {string} leaseId
+   * @param {string} renewalId
+   * @param {string} userId
+   * @param {Object} counterData - counterEndDate, counterRentAmount, responseMessage
+   * @returns {Promise<Object>} Updated renewal request
+   */
+  async counterRenewal(leaseId, renewalId, userId, counterData) {
+    const { counterEndDate, counterRentAmount, responseMessage } = counterData;
+    const lease = await this.getAccessibleLease(leaseId, userId);
+    const renewal = await this.getRenewal(leaseId, renewalId);
+
+    if (lease.landlordId !== userId) {
+      throw new Error('Access denied: Only the landlord can counter a renewal');
+    }
+
+    if (renewal.status !== 'PENDING') {
+      throw new Error(`Cannot counter a ${renewal.status} renewal request`);
+    }
+
+    if (!counterEndDate && counterRentAmount === undefined) {
+      throw new Error('A counter offer must change the end date or the rent');
+    }
+
+    this.assertRenewable(lease);
+
+    const updated = await renewalsRepository.updateIfStatus(
+      renewalId,
+      'PENDING',
+      {
+        status: 'COUNTERED',
+        counterEndDate: counterEndDate
+          ? this.parseNewEndDate(lease, counterEndDate)
+          : renewal.proposedEndDate,
+        counterRentAmount:
+          counterRentAmount !== undefined
+            ? parseFloat(counterRentAmount)
+            : renewal.proposedRentAmount,
+        responseMessage: responseMessage || null,
+        respondedAt: new Date(),
+      }
+    );
+
+    if (!updated) {
+      throw new Error('Renewal request was changed by another request');
+    }
+
+    return await renewalsRepository.findById(renewalId);
+  }
+
+  /**
+   * Accept a renewal request. The landlord accepts the tenant's terms, the
+   * tenant accepts a counter offer. An EXTENSION moves the end date of the
+   * current lease; a RENEWAL creates an approved successor lease starting
+   * the day after it ends. Either way the extra period must still be free,
+   * new rent invoices are issued and the rental agreement is regenerated.
+   * @param {string} leaseId
+   * @param {string} renewalId
+   * @param {string} userId
+   * @returns {Promise<Object>} { renewal, booking }
+   */
+  async acceptRenewal(leaseId, renewalId, userId) {
+    const lease = await this.getAccessibleLease(leaseId, userId);
+    const renewal = await this.getRenewal(leaseId, renewalId);
+
+    this.assertCanRespond(lease, renewal, userId);
+    const terms = this.getAgreedTerms(renewal);
+
+    const bookingId = await prisma.$transaction(async tx => {
+      await bookingsService.lockPropertyCalendar(lease.propertyId, tx);
+
+      // Re-read inside the lock: the lease may have changed meanwhile
+      const current = await renewalsRepository.findLease(leaseId, tx);
+      this.assertRenewable(current);
+
+      const startDate = addDays(toUtcDay(current.endDate), 1);
+      const endDate = this.parseNewEndDate(current, terms.endDate);
+
+      const isAvailable = await bookingsService.isPropertyAvailableForPeriod(
+        current.propertyId,
+        startDate,
+        endDate,
+        current.id,
+        tx
+      );
+
+      if (!isAvailable) {
+        throw new Error(
+          'Property is no longer available for the requested renewal period'
+        );
+      }
+
+      let targetLeaseId = current.id;
+
+      if (renewal.type === 'EXTENSION') {
+        await this.extendLease(current, startDate, endDate, terms, tx);
+      } else {
+        const successor = await this.createSuccessorLease(
+          current,
+          startDate,
+          endDate,
+          terms,
+          { actorId: userId, requestedById: renewal.requestedById },
+          tx
+        );
+        targetLeaseId = successor.id;
+      }
+
+      const updated = await renewalsRepository.updateIfStatus(
+        renewalId,
+        renewal.status,
+        {
+          status: 'ACCEPTED',
+          successorLeaseId: targetLeaseId !== current.id ? targetLeaseId : null,
+          respondedAt: new Date(),
+        },
+        tx
+      );
+
+      if (!updated) {
+        throw new Error('Renewal request was changed by another request');
+      }
+
+      return targetLeaseId;
+    });
+
+    const booking = await bookingsService.getBookingById(bookingId, userId);
+    // The booking was already confirmed: the parties get the regenerated
+    // agreement through the booking, not a second confirmation email
+    await bookingsService.queueRentalAgreementPDF(booking, userId, {
+      sendConfirmation: false,
+    });
+
+    await notificationsService.notify(
+      userId === lease.landlordId ? lease.tenantId : lease.landlordId,
+      'RENEWAL_ACCEPTED',
+      {
+        ...bookingsService.getNotificationData(booking),
+        renewalId,
+        renewalType: renewal.type,
+      }
+    );
+
+    return {
+      renewal: await renewalsRepository.findById(renewalId),
+      booking,
+    };
+  }
+
+  /**
+   * Move the end date of a lease and bill the added period. The agreed rent
+   * is recorded as a rent period starting with the extension, so the terms
+   * and the agreement keep the original rent for the original term.
+   * @param {Object} lease - Current lease
+   * @param {Date} startDate - First day of the extension
+   * @param {Date} endDate - New last day of the lease
+   * @param {Object} terms - Agreed rentAmount (applies to the added period)
+   * @param {Object} tx - Transaction client
+   * @returns {Promise<Object>} Updated lease
+   */
+  async extendLease(lease, startDate, endDate, terms, tx) {
+    const extended = await tx.lease.update({
+      where: { id: lease.id },
+      data: {
+        endDate,
+        rentPeriods: {
+          create: { startDate, rentAmount: terms.rentAmount },
+        },
+      },
+    });
+
+    await invoicesService.extendLeaseInvoices(
+      extended,
+      startDate,
+      terms.rentAmount,
+      tx
+    );
+
+    return extended;
+  }
+
+  /**
+   * Create the approved successor of a lease. The security deposit is
+   * carried over (balance and unsettled deductions), so only rent is
+   * invoiced.
+   * @param {Object} lease - Current lease
+   * @param {Date} startDate - First day of the successor lease
+   * @param {Date} endDate - Last day of the successor lease
+   * @param {Object} terms - Agreed rentAmount
+   * @param {Object} actors - actorId (who accepted), requestedById (tenant)
+   * @param {Object} tx - Transaction client
+   * @returns {Promise<Object>} Approved successor lease
+   */
+  async createSuccessorLease(lease, startDate, endDate, terms, actors, tx) {
+    const successor = await tx.lease.create({
+      data: {
+        propertyId: lease.propertyId,
+        tenantId: lease.tenantId,
+        landlordId: lease.landlordId,
+        startDate,
+        endDate,
+        rentAmount: terms.rentAmount,
+        currencyCode: lease.currencyCode,
+        securityDeposit: lease.securityDeposit,
+        noticePeriodDays: lease.noticePeriodDays,
+        agreementLanguage: lease.agreementLanguage,
+        status: 'PENDING',
+        notes: lease.notes,
+        previousLeaseId: lease.id,
+      },
+    });
+    await leaseLifecycleService.recordCreation(
+      successor,
+      actors.requestedById,
+      tx
+    );
+
+    const approved = await bookingsService.approveLease(successor.id, {
+      actorId: actors.actorId,
+      reason: 'Renewal accepted',
+      client: tx,
+      includeDeposit: false,
+    });
+
+    await depositsService.transferDeposit(lease.id, successor.id, tx);
+
+    return approved;
+  }
+
+  /**
+   * Decline a renewal request (landlord) or a counter offer (tenant)
+   * @param {string} leaseId
+   * @param {string} renewalId
+   * @param {string} userId
+   * @param {string} responseMessage - Optional reason
+   * @returns {Promise<Object>} Updated renewal request
+   */
+  async declineRenewal(leaseId, renewalId, userId, responseMessage) {
+    const lease = await this.getAccessibleLease(leaseId, userId);
+    const renewal = await this.getRenewal(leaseId, renewalId);
+
+    this.assertCanRespond(lease, renewal, userId);
+
+    const data = { status: 'DECLINED', respondedAt: new Date() };
+    // Keep the landlord's counter message when the tenant declines it
+    if (responseMessage || renewal.status === 'PENDING') {
+      data.responseMessage = responseMessage || null;
+    }
+
+    const updated = await renewalsRepository.updateIfStatus(
+      renewalId,
+      renewal.status,
+      data
+    );
+
+    if (!updated) {
+      throw new Error('Renewal request was changed by another request');
+    }
+
+    return await renewalsRepository.findById(renewalId);
+  }
+
+  /**
+   * Withdraw an open renewal request (tenant)
+   * @param {string} leaseId
+   * @param {string} renewalId
+   * @param {string} userId
+   * @returns {Promise<Object>} Updated renewal request
+   */
+  async withdrawRenewal(leaseId, renewalId, userId) {
+    const lease = await this.getAccessibleLease(leaseId, userId);
+    const renewal = await this.getRenewal(leaseId, renewalId);
+
+    if (lease.tenantId !== userId) {
+      throw new Error('Access denied: Only the tenant can withdraw a renewal');
+    }
+
+    if (!OPEN_RENEWAL_STATUSES.includes(renewal.status)) {
+      throw new Error(`Cannot withdraw a ${renewal.status} renewal request`);
+    }
+
+    const updated = await renewalsRepository.updateIfStatus(
+      renewalId,
+      renewal.status,
+      { status: 'WITHDRAWN' }
+    );
+
+    if (!updated) {
+      throw new Error('Renewal request was changed by another request');
+    }
+
+    return await renewalsRepository.findById(renewalId);
+  }
+}
+
+module.exports = new RenewalsService();
@@ -0,0 +1,11 @@
+const terminationsRoutes = require('./terminations.routes');
+const terminationsController = require('./terminations.controller');
+const terminationsService = require('./terminations.service');
+const terminationsRepository = require('./terminations.repository');
+
+module.exports = {
+  routes: terminationsRoutes,
+  controller: terminationsController,
+  service: terminationsService,
+  repository: terminationsRepository,
+};
@@ -0,0 +1,131 @@
+const terminationsService = require('./terminations.service');
+const { validationResult } = require('express-validator');
+
+class TerminationsController {
+  /**
+   * Map service errors to HTTP responses
+   */
+  handleError(res, error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes('Access denied')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes('Termination date must')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (
+      error.message.includes('Cannot terminate') ||
+      error.message.includes('already has a termination notice') ||
+      error.message.includes('changed by another request')
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+
+  /**
+   * Get the termination notice of a booking
+   */
+  async getTermination(req, res) {
+    try {
+      const termination = await terminationsService.getTermination(
+        req.params.id,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        data: { termination },
+      });
+    } catch (error) {
+      console.error('Get termination error:', error);
+      terminationsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Preview terminating a booking now
+   */
+  async getTerminationQuote(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const quote = await terminationsService.getTerminationQuote(
+        req.params.id,
+        req.user.id,
+        req.query.effectiveEndDate
+      );
+
+      res.json({
+        success: true,
+        data: { quote },
+      });
+    } catch (error) {
+      console.error('Get termination quote error:', error);
+      terminationsController.handleError(res, error);
+    }
+  }
+
+  /**
+   * Give termination notice (tenant or landlord)
+   */
+  async terminateLease(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const result = await terminationsService.terminateLease(
+        req.params.id,
+        req.user.id,
+        req.body
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Termination notice recorded successfully',
+        data: result,
+      });
+    } catch (error) {
+      console.error('Terminate booking error:', error);
+      terminationsController.handleError(res, error);
+    }
+  }
+}
+
+const terminationsController = new TerminationsController();
+
+module.exports = terminationsController;
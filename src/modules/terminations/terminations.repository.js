@@ -0,0 +1,56 @@
+const { prisma } = require('../../config/database');
+
+const terminationInclude = {
+  requestedBy: {
+    select: {
+      id: true,
+      name: true,
+      role: true,
+    },
+  },
+};
+
+class TerminationsRepository {
+  async findLease(leaseId, client = prisma) {
+    return await client.lease.findUnique({
+      where: { id: leaseId },
+      include: {
+        nextLease: {
+          select: {
+            id: true,
+            status: true,
+          },
+        },
+        termination: {
+          include: terminationInclude,
+        },
+      },
+    });
+  }
+
+  async findById(id) {
+    return await prisma.leaseTermination.findUnique({
+      where: { id },
+      include: terminationInclude,
+    });
+  }
+
+  async create(data, client = prisma) {
+    return await client.leaseTermination.create({ data });
+  }
+
+  /**
+   * Move the end date only if the lease is still ACTIVE with the expected
+   * end date
+   * @returns {Promise<number>} Number of updated rows (0 or 1)
+   */
+  async shortenLease(leaseId, expectedEndDate, endDate, client = prisma) {
+    const result = await client.lease.updateMany({
+      where: { id: leaseId, status: 'ACTIVE', endDate: expectedEndDate },
+      data: { endDate },
+    });
+    return result.count;
+  }
+}
+
+module.exports = new TerminationsRepository();
@@ -0,0 +1,238 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { auth } = require('../../middleware/auth');
+const terminationsController = require('./terminations.controller');
+
+// Mounted at /api/bookings/:id/termination
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LeaseTermination:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         leaseId:
+ *           type: string
+ *         requestedById:
+ *           type: string
+ *         noticeDate:
+ *           type: string
+ *           format: date-time
+ *         noticePeriodDays:
+ *           type: integer
+ *         originalEndDate:
+ *           type: string
+ *           format: date-time
+ *         effectiveEndDate:
+ *           type: string
+ *           format: date-time
+ *           description: New last day of the booking
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *         addendumUrl:
+ *           type: string
+ *           nullable: true
+ *           description: Termination addendum PDF
+ *     TerminationAdjustments:
+ *       type: object
+ *       properties:
+ *         currencyCode:
+ *           type: string
+ *         effectiveEndDate:
+ *           type: string
+ *           format: date-time
+ *         totalReduction:
+ *           type: number
+ *           description: Rent and late fees no longer payable
+ *         totalRefund:
+ *           type: number
+ *           description: Already paid rent and late fees refunded to the tenant
+ *         invoices:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               invoiceId:
+ *                 type: string
+ *               action:
+ *                 type: string
+ *                 enum: [SHORTENED, REMOVED]
+ *               previousAmount:
+ *                 type: number
+ *               amount:
+ *                 type: number
+ *               paid:
+ *                 type: number
+ *               refund:
+ *                 type: number
+ *               previousStatus:
+ *                 type: string
+ *               status:
+ *                 type: string
+ */
+
+/**
+ * @swagger
+ * /api/bookings/{id}/termination:
+ *   get:
+ *     summary: Get the termination notice of a booking (tenant or landlord)
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Termination notice with addendum URL
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Booking or termination notice not found
+ */
+router.get('/', auth, terminationsController.getTermination);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/termination/quote:
+ *   get:
+ *     summary: Preview terminating an ACTIVE booking now (tenant or landlord)
+ *     description: Returns the earliest end date allowed by the notice period and how the rent invoices would change.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *       - in: query
+ *         name: effectiveEndDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Desired last day (defaults to the earliest allowed)
+ *     responses:
+ *       200:
+ *         description: Termination preview
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     quote:
+ *                       $ref: '#/components/schemas/TerminationAdjustments'
+ *       400:
+ *         description: Date violates the notice period or is not before the current end date
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Booking cannot be terminated
+ */
+router.get(
+  '/quote',
+  auth,
+  [
+    query('effectiveEndDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Effective end date must be a valid date'),
+  ],
+  terminationsController.getTerminationQuote
+);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/termination:
+ *   post:
+ *     summary: Give termination notice on an ACTIVE booking (tenant or landlord)
+ *     description: The booking ends on the effective end date, which must be at least noticePeriodDays after today and before the current end date. Rent invoices after that date and their late fees are voided (refunded if paid), the last period is prorated, and the termination addendum PDF is queued for the worker (addendumPDF.jobId).
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               effectiveEndDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Desired last day (defaults to the earliest allowed)
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Termination notice recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     termination:
+ *                       $ref: '#/components/schemas/LeaseTermination'
+ *                     invoices:
+ *                       $ref: '#/components/schemas/TerminationAdjustments'
+ *                     addendumPDF:
+ *                       type: object
+ *       400:
+ *         description: Validation error or date violates the notice period
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Booking is not ACTIVE, already has a notice or was renewed
+ */
+router.post(
+  '/',
+  auth,
+  [
+    body('effectiveEndDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Effective end date must be a valid date'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters'),
+  ],
+  terminationsController.terminateLease
+);
+
+module.exports = router;
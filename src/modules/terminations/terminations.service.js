@@ -0,0 +1,202 @@
+const { prisma } = require('../../config/database');
+const terminationsRepository = require('./terminations.repository');
+const invoicesService = require('../invoices/invoices.service');
+const jobsService = require('../jobs/jobs.service');
+const { toUtcDay, addDays, formatDay } = require('../../utils/rentSchedule');
+
+class TerminationsService {
+  /**
+   * Load a lease and check the user is its tenant or landlord
+   * @param {string} leaseId
+   * @param {string} userId
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>}
+   */
+  async getAccessibleLease(leaseId, userId, client = prisma) {
+    const lease = await terminationsRepository.findLease(leaseId, client);
+
+    if (!lease) {
+      throw new Error('Booking not found');
+    }
+
+    if (lease.tenantId !== userId && lease.landlordId !== userId) {
+      throw new Error(
+        'Access denied: Only the tenant or landlord can terminate this booking'
+      );
+    }
+
+    return lease;
+  }
+
+  /**
+   * Load a lease that can still be terminated early
+   * @param {string} leaseId
+   * @param {string} userId
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>}
+   */
+  async getTerminableLease(leaseId, userId, client = prisma) {
+    const lease = await this.getAccessibleLease(leaseId, userId, client);
+
+    if (lease.status !== 'ACTIVE') {
+      throw new Error(`Cannot terminate a ${lease.status} booking`);
+    }
+
+    if (lease.termination) {
+      throw new Error('This booking already has a termination notice');
+    }
+
+    if (lease.nextLease) {
+      throw new Error('Cannot terminate a booking that has been renewed');
+    }
+
+    return lease;
+  }
+
+  /**
+   * Work out the last day of a lease terminated with notice given today.
+   * The earliest possible end is the notice date plus the notice period.
+   * @param {Object} lease
+   * @param {string|Date} requestedEndDate - Optional later end date
+   * @param {Date} noticeDate
+   * @returns {Object} { earliestEndDate, effectiveEndDate }
+   */
+  computeEffectiveEndDate(lease, requestedEndDate, noticeDate = new Date()) {
+    const earliestEndDate = addDays(
+      toUtcDay(noticeDate),
+      lease.noticePeriodDays
+    );
+    const effectiveEndDate = requestedEndDate
+      ? toUtcDay(requestedEndDate)
+      : earliestEndDate;
+
+    if (effectiveEndDate < earliestEndDate) {
+      throw new Error(
+        `Termination date must respect the ${lease.noticePeriodDays}-day notice period (earliest ${formatDay(earliestEndDate)})`
+      );
+    }
+
+    if (effectiveEndDate >= toUtcDay(lease.endDate)) {
+      throw new Error(
+        'Termination date must be before the current end date of the booking'
+      );
+    }
+
+    return { earliestEndDate, effectiveEndDate };
+  }
+
+  /**
+   * Get the termination notice of a lease
+   * @param {string} leaseId
+   * @param {string} userId
+   * @returns {Promise<Object>}
+   */
+  async getTermination(leaseId, userId) {
+    const lease = await this.getAccessibleLease(leaseId, userId);
+
+    if (!lease.termination) {
+      throw new Error('Termination notice not found');
+    }
+
+    return lease.termination;
+  }
+
+  /**
+   * Preview the end date and invoice changes of terminating now
+   * @param {string} leaseId
+   * @param {string} userId
+   * @param {string} requestedEndDate - Optional
+   * @returns {Promise<Object>}
+   */
+  async getTerminationQuote(leaseId, userId, requestedEndDate) {
+    const lease = await this.getTerminableLease(leaseId, userId);
+    const dates = this.computeEffectiveEndDate(lease, requestedEndDate);
+
+    const adjustments = await invoicesService.quoteLeaseTermination(
+      lease.id,
+      dates.effectiveEndDate,
+      lease.currencyCode
+    );
+
+    return {
+      bookingId: lease.id,
+      noticePeriodDays: lease.noticePeriodDays,
+      currentEndDate: lease.endDate,
+      earliestEndDate: dates.earliestEndDate,
+      ...adjustments,
+    };
+  }
+
+  /**
+   * Give termination notice on an ACTIVE lease (tenant or landlord). The
+   * lease end date moves to the effective end date, remaining rent invoices
+   * are shortened or voided and the termination addendum PDF is queued.
+   * The lease stays ACTIVE and is completed by the scheduler after its new
+   * end date.
+   * @param {string} leaseId
+   * @param {string} userId
+   * @param {Object} noticeData - effectiveEndDate (optional), reason
+   * @returns {Promise<Object>} { termination, invoices, addendumPDF }
+   */
+  async terminateLease(leaseId, userId, noticeData) {
+    const { effectiveEndDate: requestedEndDate, reason } = noticeData;
+    const noticeDate = new Date();
+
+    const result = await prisma.$transaction(async tx => {
+      const lease = await this.getTerminableLease(leaseId, userId, tx);
+      const { effectiveEndDate } = this.computeEffectiveEndDate(
+        lease,
+        requestedEndDate,
+        noticeDate
+      );
+
+      const updated = await terminationsRepository.shortenLease(
+        lease.id,
+        lease.endDate,
+        effectiveEndDate,
+        tx
+      );
+
+      if (!updated) {
+        throw new Error('Booking was changed by another request');
+      }
+
+      const adjustments = await invoicesService.terminateLeaseInvoices(
+        lease.id,
+        effectiveEndDate,
+        lease.currencyCode,
+        tx
+      );
+
+      const termination = await terminationsRepository.create(
+        {
+          leaseId: lease.id,
+          requestedById: userId,
+          noticeDate,
+          noticePeriodDays: lease.noticePeriodDays,
+          originalEndDate: lease.endDate,
+          effectiveEndDate,
+          reason: reason || null,
+        },
+        tx
+      );
+
+      return { termination, adjustments };
+    });
+
+    // The addendum is generated by the worker
+    const addendumPDF = await jobsService.queuePDF(
+      'termination.addendum',
+      { terminationId: result.termination.id, adjustments: result.adjustments },
+      { createdById: userId }
+    );
+
+    return {
+      termination: await terminationsRepository.findById(result.termination.id),
+      invoices: result.adjustments,
+      addendumPDF,
+    };
+  }
+}
+
+module.exports = new TerminationsService();
@@ -74,7 +74,12 @@ class UsersController {
       const userId = req.params.id;
       const updateData = req.body;
 
-      const user = await usersService.updateUser(userId, updateData, req.user);
+      const user = await usersService.updateUser(
+        userId,
+        updateData,
+        req.user,
+        req
+      );
 
       res.json({
         success: true,
@@ -223,6 +228,7 @@ class UsersController {
         'dateOfBirth',
         'phone',
         'profilePicture',
+        'preferredLanguage',
       ];
       const profileUpdateData = {};
 
@@ -22,8 +22,10 @@ class UsersRepository {
         dateOfBirth: true,
         phone: true,
         profilePicture: true,
+        preferredLanguage: true,
         role: true,
         isActive: true,
+        lockedUntil: true,
         createdAt: true,
         updatedAt: true,
       },
@@ -47,8 +49,10 @@ class UsersRepository {
         dateOfBirth: true,
         phone: true,
         profilePicture: true,
+        preferredLanguage: true,
         role: true,
         isActive: true,
+        lockedUntil: true,
         createdAt: true,
         updatedAt: true,
       },
@@ -80,8 +84,10 @@ class UsersRepository {
         dateOfBirth: true,
         phone: true,
         profilePicture: true,
+        preferredLanguage: true,
         role: true,
         isActive: true,
+        lockedUntil: true,
         createdAt: true,
         updatedAt: true,
       },
@@ -124,8 +130,10 @@ class UsersRepository {
         dateOfBirth: true,
         phone: true,
         profilePicture: true,
+        preferredLanguage: true,
         role: true,
         isActive: true,
+        lockedUntil: true,
         createdAt: true,
         updatedAt: true,
       },
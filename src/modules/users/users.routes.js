@@ -2,6 +2,8 @@ const express = require('express');
 const { body } = require('express-validator');
 const { auth, authorize } = require('../../middleware/auth');
 const usersController = require('./users.controller');
+const { SUPPORTED_LANGUAGES } = require('../../utils/i18n');
+const { ROLES } = require('../../config/permissions');
 
 const router = express.Router();
 
@@ -38,13 +40,22 @@ const router = express.Router();
  *         profilePicture:
  *           type: string
  *           description: URL of the user's profile picture
+ *         preferredLanguage:
+ *           type: string
+ *           enum: [en, ms]
+ *           description: Language of the user's rental agreements and formatted values
  *         role:
  *           type: string
- *           enum: [USER, ADMIN]
+ *           enum: [USER, AGENT, MODERATOR, ADMIN]
  *           description: The role of the user
  *         isActive:
  *           type: boolean
  *           description: Whether the user is active
+ *         lockedUntil:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Login is locked until this time after too many failed attempts
  *         verifiedAt:
  *           type: string
  *           format: date-time
@@ -124,7 +135,7 @@ const router = express.Router();
  *                 description: The password for the user
  *               role:
  *                 type: string
- *                 enum: [USER, ADMIN]
+ *                 enum: [USER, AGENT, MODERATOR, ADMIN]
  *                 default: USER
  *                 description: The role of the user
  *               isActive:
@@ -169,7 +180,7 @@ const router = express.Router();
 router.post(
   '/',
   auth,
-  authorize('ADMIN'),
+  authorize('user.manage'),
   [
     body('email')
       .isEmail()
@@ -195,8 +206,8 @@ router.post(
     body('phone').optional().trim(),
     body('role')
       .optional()
-      .isIn(['USER', 'ADMIN'])
-      .withMessage('Role must be one of: USER, ADMIN'),
+      .isIn(ROLES)
+      .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
     body('isActive')
       .optional()
       .isBoolean()
@@ -263,12 +274,17 @@ router.get('/profile', auth, usersController.getProfile);
  *               profilePicture:
  *                 type: string
  *                 description: URL of profile picture
+ *               preferredLanguage:
+ *                 type: string
+ *                 enum: [en, ms]
+ *                 description: Language for rental agreements (English or Bahasa Melayu)
  *             example:
  *               firstName: John
  *               lastName: Doe
  *               dateOfBirth: "1990-01-15"
  *               phone: "+1234567890"
  *               profilePicture: "https://example.com/profile.jpg"
+ *               preferredLanguage: ms
  *     responses:
  *       200:
  *         description: Profile updated successfully
@@ -335,6 +351,12 @@ router.patch(
       .optional()
       .isURL()
       .withMessage('Profile picture must be a valid URL'),
+    body('preferredLanguage')
+      .optional()
+      .isIn(SUPPORTED_LANGUAGES)
+      .withMessage(
+        `Preferred language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`
+      ),
   ],
   usersController.updateProfile
 );
@@ -363,7 +385,7 @@ router.patch(
  *         name: role
  *         schema:
  *           type: string
- *           enum: [USER, ADMIN]
+ *           enum: [USER, AGENT, MODERATOR, ADMIN]
  *         description: Filter by user role
  *     responses:
  *       200:
@@ -398,7 +420,7 @@ router.patch(
  *       403:
  *         description: Forbidden
  */
-router.get('/', auth, authorize('ADMIN'), usersController.getAllUsers);
+router.get('/', auth, authorize('user.manage'), usersController.getAllUsers);
 
 /**
  * @swagger
@@ -476,11 +498,14 @@ router.get('/:id', auth, usersController.getUserById);
  *                 description: Phone number
  *               role:
  *                 type: string
- *                 enum: [USER, ADMIN]
+ *                 enum: [USER, AGENT, MODERATOR, ADMIN]
  *                 description: User role (admin only)
  *               isActive:
  *                 type: boolean
  *                 description: Active status (admin only)
+ *               unlock:
+ *                 type: boolean
+ *                 description: Set true to lift a login lockout and clear failed attempts (admin only)
  *     responses:
  *       200:
  *         description: User updated successfully
@@ -513,8 +538,9 @@ router.patch(
     body('lastName').optional().trim().notEmpty(),
     body('dateOfBirth').optional().isISO8601(),
     body('phone').optional().trim(),
-    body('role').optional().isIn(['USER', 'ADMIN']),
+    body('role').optional().isIn(ROLES),
     body('isActive').optional().isBoolean(),
+    body('unlock').optional().isBoolean().toBoolean(),
   ],
   usersController.updateUser
 );
@@ -544,6 +570,11 @@ router.patch(
  *       404:
  *         description: User not found
  */
-router.delete('/:id', auth, authorize('ADMIN'), usersController.deleteUser);
+router.delete(
+  '/:id',
+  auth,
+  authorize('user.manage'),
+  usersController.deleteUser
+);
 
 module.exports = router;
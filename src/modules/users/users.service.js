@@ -1,4 +1,7 @@
 const usersRepository = require('./users.repository');
+const sessionService = require('../../services/session.service');
+const accountSecurityService = require('../../services/accountSecurity.service');
+const { hasPermission } = require('../../config/permissions');
 
 class UsersService {
   async getAllUsers(page = 1, limit = 10, role = null) {
@@ -37,22 +40,26 @@ class UsersService {
     return user;
   }
 
-  async updateUser(id, updateData, requestingUser) {
+  async updateUser(id, updateData, requestingUser, req = null) {
     // Check if user exists
     const existingUser = await usersRepository.findById(id);
     if (!existingUser) {
       throw new Error('User not found');
     }
 
+    const canManageUsers = hasPermission(requestingUser.role, 'user.manage');
+
     // Authorization check
-    if (requestingUser.role !== 'ADMIN' && requestingUser.id !== id) {
+    if (!canManageUsers && requestingUser.id !== id) {
       throw new Error('Access denied. You can only update your own profile.');
     }
 
-    // Only admins can change role and isActive
+    // Only user managers can change role and isActive, or unlock an account
     if (
-      (updateData.role || updateData.isActive !== undefined) &&
-      requestingUser.role !== 'ADMIN'
+      (updateData.role ||
+        updateData.isActive !== undefined ||
+        updateData.unlock) &&
+      !canManageUsers
     ) {
       throw new Error(
         'Access denied. Only admins can change role or active status.'
@@ -71,13 +78,27 @@ class UsersService {
       cleanUpdateData.phone = updateData.phone;
     if (updateData.profilePicture !== undefined)
       cleanUpdateData.profilePicture = updateData.profilePicture;
-    if (updateData.role && requestingUser.role === 'ADMIN')
+    if (updateData.preferredLanguage !== undefined)
+      cleanUpdateData.preferredLanguage = updateData.preferredLanguage;
+    if (updateData.role && canManageUsers)
       cleanUpdateData.role = updateData.role;
-    if (updateData.isActive !== undefined && requestingUser.role === 'ADMIN') {
+    if (updateData.isActive !== undefined && canManageUsers) {
       cleanUpdateData.isActive = updateData.isActive;
     }
 
-    return await usersRepository.update(id, cleanUpdateData);
+    // Lift a login lockout before reading the user back
+    if (updateData.unlock === true) {
+      await accountSecurityService.unlock(id, requestingUser.id, req);
+    }
+
+    const updatedUser = await usersRepository.update(id, cleanUpdateData);
+
+    // A deactivated user is signed out everywhere
+    if (cleanUpdateData.isActive === false) {
+      await sessionService.revokeAllSessions(id, 'DEACTIVATED');
+    }
+
+    return updatedUser;
   }
 
   async deleteUser(id, requestingUser) {
@@ -126,7 +147,10 @@ class UsersService {
 
   async checkUserAccess(userId, requestingUser) {
     // Users can only view their own profile, admins can view any profile
-    if (requestingUser.role !== 'ADMIN' && requestingUser.id !== userId) {
+    if (
+      !hasPermission(requestingUser.role, 'user.manage') &&
+      requestingUser.id !== userId
+    ) {
       throw new Error('Access denied. You can only view your own profile.');
     }
     return true;
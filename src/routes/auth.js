@@ -1,15 +1,141 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { prisma } = require('../config/database');
 const { passport, handleAppleSignIn } = require('../config/passport');
+const emailService = require('../services/email.service');
+const authTokenService = require('../services/authToken.service');
+const sessionService = require('../services/session.service');
+const twoFactorService = require('../services/twoFactor.service');
+const accountSecurityService = require('../services/accountSecurity.service');
+const { auth, authorize } = require('../middleware/auth');
+const { ROLES, getRolePermissions } = require('../config/permissions');
 
 const router = express.Router();
 
 // Initialize Passport
 router.use(passport.initialize());
 
+// User fields safe to return to the user themselves (no password, 2FA
+// secret or lockout state)
+const publicUserSelect = {
+  id: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  name: true,
+  dateOfBirth: true,
+  phone: true,
+  profilePicture: true,
+  preferredLanguage: true,
+  role: true,
+  isActive: true,
+  verifiedAt: true,
+  twoFactorEnabled: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+/**
+ * Response for a login that has to pass two-factor authentication first
+ */
+const sendTwoFactorChallenge = (res, login) => {
+  res.json({
+    success: true,
+    message:
+      login.twoFactor === 'setup'
+        ? 'Two-factor authentication must be set up to log in'
+        : 'Two-factor authentication code required',
+    data: {
+      twoFactor: login.twoFactor,
+      challengeToken: login.challengeToken,
+    },
+  });
+};
+
+/**
+ * Query string handing an OAuth login to the frontend: session tokens, or a
+ * two-factor challenge to complete first
+ */
+const oauthCallbackQuery = login =>
+  login.challengeToken
+    ? `challengeToken=${login.challengeToken}&twoFactor=${login.twoFactor}`
+    : `token=${login.token}&refreshToken=${login.refreshToken}`;
+
+/**
+ * Response for a login attempt refused after too many failures
+ */
+const sendLoginBlocked = (res, error) => {
+  res.set('Retry-After', String(error.retryAfter));
+  res.status(429).json({
+    success: false,
+    message: error.message,
+    retryAfter: error.retryAfter,
+  });
+};
+
+/**
+ * Map two-factor service errors to HTTP responses
+ */
+const handleTwoFactorError = (res, error, label) => {
+  if (error.retryAfter) {
+    return sendLoginBlocked(res, error);
+  }
+
+  if (error.message === 'Invalid or expired challenge') {
+    return res.status(401).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (
+    error.message === 'Invalid verification code' ||
+    error.message === 'Invalid password'
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (error.message.startsWith('Cannot ')) {
+    return res.status(409).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+  });
+};
+
+/**
+ * Authenticate 2FA enrollment with an access token or, for users who must
+ * set up 2FA before they can log in, with the setup challenge token
+ */
+const authTwoFactorSetup = (req, res, next) => {
+  if (!req.body?.challengeToken) {
+    return auth(req, res, next);
+  }
+
+  try {
+    req.challengeUserId = twoFactorService.verifyChallenge(
+      req.body.challengeToken,
+      'setup'
+    );
+    next();
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 /**
  * @swagger
  * components:
@@ -85,6 +211,21 @@ router.use(passport.initialize());
  *                   type: string
  *             token:
  *               type: string
+ *               description: Access token (expires after JWT_EXPIRES_IN, default 15m)
+ *             refreshToken:
+ *               type: string
+ *               description: Single-use token for POST /api/auth/refresh
+ *             twoFactor:
+ *               type: string
+ *               enum: [verify, setup]
+ *               description: |
+ *                 Returned instead of the tokens when the login needs a second
+ *                 factor. verify - send a code to POST /api/auth/2fa/verify;
+ *                 setup - the user's role requires 2FA, enroll with
+ *                 POST /api/auth/2fa/setup and /api/auth/2fa/enable
+ *             challengeToken:
+ *               type: string
+ *               description: Short-lived token for the 2FA endpoints (with twoFactor)
  */
 
 /**
@@ -116,20 +257,1353 @@ router.use(passport.initialize());
  *       400:
  *         description: Bad request
  *       409:
- *         description: User already exists
+ *         description: User already exists
+ */
+router.post(
+  '/register',
+  [
+    body('email').isEmail().normalizeEmail(),
+    body('password').isLength({ min: 6 }),
+    body('firstName').notEmpty().trim().withMessage('First name is required'),
+    body('lastName').notEmpty().trim().withMessage('Last name is required'),
+    body('dateOfBirth')
+      .optional()
+      .isISO8601()
+      .withMessage('Date of birth must be a valid date'),
+    body('phone').optional().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { email, password, firstName, lastName, dateOfBirth, phone } =
+        req.body;
+
+      // Check if user already exists
+      const existingUser = await prisma.user.findUnique({
+        where: { email },
+      });
+
+      if (existingUser) {
+        return res.status(409).json({
+          success: false,
+          message: 'User already exists with this email',
+        });
+      }
+
+      // Hash password
+      const hashedPassword = await bcrypt.hash(password, 12);
+
+      // Create full name for backward compatibility
+      const fullName = `${firstName} ${lastName}`;
+
+      // Create user with USER role
+      const user = await prisma.user.create({
+        data: {
+          email,
+          password: hashedPassword,
+          firstName,
+          lastName,
+          name: fullName,
+          dateOfBirth: dateOfBirth ? new Date(dateOfBirth) : null,
+          phone: phone || null,
+          role: 'USER',
+        },
+        select: {
+          id: true,
+          email: true,
+          firstName: true,
+          lastName: true,
+          name: true,
+          dateOfBirth: true,
+          phone: true,
+          role: true,
+          isActive: true,
+          verifiedAt: true,
+          createdAt: true,
+        },
+      });
+
+      await emailService.queue('welcome', user, {}, { createdById: user.id });
+
+      try {
+        await authTokenService.sendEmailVerification(user);
+      } catch (error) {
+        // The user can ask for a new link later
+        console.error('Send verification email error:', error.message);
+      }
+
+      // Open a login session, unless the role requires 2FA to be set up
+      const login = await twoFactorService.startLogin(user, req, 'register');
+
+      res.status(201).json({
+        success: true,
+        message: 'User registered successfully',
+        data: {
+          user,
+          ...login,
+        },
+      });
+    } catch (error) {
+      console.error('User registration error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Login user
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoginRequest'
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Bad request
+ *       401:
+ *         description: Invalid credentials
+ *       429:
+ *         description: Too many failed attempts from this IP address or for this account; see Retry-After
+ */
+router.post(
+  '/login',
+  [body('email').isEmail().normalizeEmail(), body('password').notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { email, password } = req.body;
+
+      // Find user
+      const user = await prisma.user.findUnique({
+        where: { email },
+      });
+
+      // Refuse early while the IP address or the account is throttled
+      await accountSecurityService.assertLoginAllowed(user, email, req);
+
+      if (!user || !user.isActive) {
+        await accountSecurityService.recordFailure(
+          null,
+          email,
+          req,
+          user ? 'INACTIVE_ACCOUNT' : 'UNKNOWN_EMAIL'
+        );
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid credentials',
+        });
+      }
+
+      // Check password
+      const isPasswordValid = await bcrypt.compare(password, user.password);
+      if (!isPasswordValid) {
+        await accountSecurityService.recordFailure(
+          user,
+          email,
+          req,
+          'INVALID_PASSWORD'
+        );
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid credentials',
+        });
+      }
+
+      // Open a login session, or ask for the second factor first
+      const login = await twoFactorService.startLogin(user, req, 'password');
+      if (login.challengeToken) {
+        return sendTwoFactorChallenge(res, login);
+      }
+
+      const publicUser = await prisma.user.findUnique({
+        where: { id: user.id },
+        select: publicUserSelect,
+      });
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        data: {
+          user: publicUser,
+          ...login,
+        },
+      });
+    } catch (error) {
+      if (error.retryAfter) {
+        return sendLoginBlocked(res, error);
+      }
+
+      console.error('Login error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get current user profile
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User profile retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me', auth, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: publicUserSelect,
+    });
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user: { ...user, permissions: getRolePermissions(user.role) },
+      },
+    });
+  } catch (error) {
+    console.error('Auth me error:', error);
+    res.status(401).json({
+      success: false,
+      message: 'Invalid token',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/check-email:
+ *   post:
+ *     summary: Check if email exists in the system
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: Email address to check
+ *     responses:
+ *       200:
+ *         description: Email check result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     exists:
+ *                       type: boolean
+ *                       description: Whether the email exists in the system
+ *                     isActive:
+ *                       type: boolean
+ *                       description: Whether the account is active (only returned if exists is true)
+ *                     role:
+ *                       type: string
+ *                       description: User role (only returned if exists is true)
+ *       400:
+ *         description: Bad request - Invalid email format
+ */
+router.post(
+  '/check-email',
+  [body('email').isEmail().normalizeEmail()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { email } = req.body;
+
+      // Find user by email
+      const user = await prisma.user.findUnique({
+        where: { email },
+        select: {
+          id: true,
+          isActive: true,
+          role: true,
+        },
+      });
+
+      if (!user) {
+        return res.json({
+          success: true,
+          data: {
+            exists: false,
+          },
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          exists: true,
+          isActive: user.isActive,
+          role: user.role,
+        },
+      });
+    } catch (error) {
+      console.error('Check email error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link
+ *     description: |
+ *       Emails a single-use link to reset the password, valid for
+ *       PASSWORD_RESET_TOKEN_MINUTES (default 60). The response is the same
+ *       whether or not an account exists for the email.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Bad request - Invalid email format
+ */
+router.post(
+  '/forgot-password',
+  [body('email').isEmail().normalizeEmail()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { email: req.body.email },
+        select: {
+          id: true,
+          email: true,
+          name: true,
+          preferredLanguage: true,
+          isActive: true,
+        },
+      });
+
+      if (user && user.isActive) {
+        try {
+          await authTokenService.sendPasswordReset(user);
+        } catch (error) {
+          // Same response either way, so the email cannot be probed
+          console.error('Send password reset email error:', error.message);
+        }
+      }
+
+      res.json({
+        success: true,
+        message:
+          'If an account exists for this email, a password reset link has been sent',
+      });
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: The token from the reset link can be used once. Resetting also verifies the email address and signs out every session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Validation error, or invalid, expired or used token
+ */
+router.post(
+  '/reset-password',
+  [
+    body('token').isString().notEmpty().withMessage('Token is required'),
+    body('password')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const hashedPassword = await bcrypt.hash(req.body.password, 12);
+
+      await prisma.$transaction(async tx => {
+        const { userId } = await authTokenService.consume(
+          req.body.token,
+          'PASSWORD_RESET',
+          tx
+        );
+
+        const user = await tx.user.findUnique({
+          where: { id: userId },
+          select: { isActive: true, verifiedAt: true },
+        });
+
+        if (!user || !user.isActive) {
+          throw new Error('Invalid or expired token');
+        }
+
+        // The link reached the user's inbox, so the address is theirs
+        await tx.user.update({
+          where: { id: userId },
+          data: {
+            password: hashedPassword,
+            verifiedAt: user.verifiedAt || new Date(),
+          },
+        });
+
+        // Sign out every device that may have used the old password
+        await sessionService.revokeAllSessions(userId, 'PASSWORD_RESET', tx);
+      });
+
+      res.json({
+        success: true,
+        message: 'Password has been reset. You can now log in.',
+      });
+    } catch (error) {
+      if (error.message === 'Invalid or expired token') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired token',
+        });
+      }
+
+      console.error('Reset password error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify an email address with a verification token
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Invalid, expired or used token
+ */
+router.post(
+  '/verify-email',
+  [body('token').isString().notEmpty().withMessage('Token is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const user = await prisma.$transaction(async tx => {
+        const { userId } = await authTokenService.consume(
+          req.body.token,
+          'EMAIL_VERIFICATION',
+          tx
+        );
+
+        return await tx.user.update({
+          where: { id: userId },
+          data: { verifiedAt: new Date() },
+          select: { id: true, email: true, verifiedAt: true },
+        });
+      });
+
+      res.json({
+        success: true,
+        message: 'Email verified successfully',
+        data: { user },
+      });
+    } catch (error) {
+      if (error.message === 'Invalid or expired token') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired token',
+        });
+      }
+
+      console.error('Verify email error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new email verification link
+ *     description: Links sent earlier stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification link sent
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Email already verified
+ */
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    if (req.user.verifiedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Email is already verified',
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        preferredLanguage: true,
+      },
+    });
+
+    await authTokenService.sendEmailVerification(user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent',
+    });
+  } catch (error) {
+    console.error('Resend verification email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Get a new access token with a refresh token
+ *     description: |
+ *       Refresh tokens rotate: the response carries a new refresh token and
+ *       the one sent stops working. Sending a refresh token that was already
+ *       used revokes its session, since it means the token was copied.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access token and refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *       401:
+ *         description: Invalid, expired, reused or revoked refresh token
+ */
+router.post(
+  '/refresh',
+  [
+    body('refreshToken')
+      .isString()
+      .notEmpty()
+      .withMessage('Refresh token is required'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { token, refreshToken } = await sessionService.refresh(
+        req.body.refreshToken,
+        req
+      );
+
+      res.json({
+        success: true,
+        data: { token, refreshToken },
+      });
+    } catch (error) {
+      if (error.message === 'Invalid refresh token') {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid refresh token',
+        });
+      }
+
+      console.error('Refresh token error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out the current session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.user.id, req.sessionId, 'LOGOUT');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out every session, on all devices
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of sessions revoked
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllSessions(
+      req.user.id,
+      'LOGOUT_ALL'
+    );
+
+    res.json({
+      success: true,
+      message: 'Logged out of all sessions',
+      data: { revoked },
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the active sessions of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           userAgent:
+ *                             type: string
+ *                             nullable: true
+ *                           ipAddress:
+ *                             type: string
+ *                             nullable: true
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                           lastUsedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           expiresAt:
+ *                             type: string
+ *                             format: date-time
+ *                           current:
+ *                             type: boolean
+ *                             description: The session of this request
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await sessionService.getSessions(
+      req.user.id,
+      req.sessionId
+    );
+
+    res.json({
+      success: true,
+      data: { sessions },
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session (sign out a device)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.user.id, req.params.id, 'REVOKED');
+
+    res.json({
+      success: true,
+      message: 'Session revoked',
+    });
+  } catch (error) {
+    if (error.message === 'Session not found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/security-events:
+ *   get:
+ *     summary: Recent security activity of the current user
+ *     description: Logins, failed logins, lockouts and OAuth account link changes, newest first.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Security events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     events:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           type:
+ *                             type: string
+ *                             enum: [LOGIN_SUCCESS, LOGIN_FAILED, ACCOUNT_LOCKED, ACCOUNT_UNLOCKED, OAUTH_LINKED, OAUTH_UNLINKED]
+ *                           ipAddress:
+ *                             type: string
+ *                             nullable: true
+ *                           userAgent:
+ *                             type: string
+ *                             nullable: true
+ *                           metadata:
+ *                             type: object
+ *                             nullable: true
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                     pagination:
+ *                       type: object
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/security-events',
+  auth,
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const result = await accountSecurityService.getEvents(req.user.id, {
+        page,
+        limit,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          events: result.data,
+          pagination: result.pagination,
+        },
+      });
+    } catch (error) {
+      console.error('Get security events error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+);
+
+// ============= Two-Factor Authentication =============
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete a login with a two-factor code
+ *     description: |
+ *       Exchanges the challengeToken from a login response (twoFactor: verify)
+ *       for a session. Send either a code from the authenticator app or one of
+ *       the recovery codes; each recovery code works once.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *                 description: Recovery code, instead of code
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Validation error or invalid code
+ *       401:
+ *         description: Invalid or expired challenge
+ *       429:
+ *         description: Too many failed attempts; see Retry-After
+ */
+router.post(
+  '/2fa/verify',
+  [
+    body('challengeToken')
+      .isString()
+      .notEmpty()
+      .withMessage('Challenge token is required'),
+    body('code').optional().isString(),
+    body('recoveryCode').optional().isString(),
+    body().custom(value => {
+      if (!value.code && !value.recoveryCode) {
+        throw new Error('Either code or recoveryCode is required');
+      }
+      return true;
+    }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { token, refreshToken } = await twoFactorService.verifyLogin(
+        req.body.challengeToken,
+        { code: req.body.code, recoveryCode: req.body.recoveryCode },
+        req
+      );
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        data: { token, refreshToken },
+      });
+    } catch (error) {
+      handleTwoFactorError(res, error, 'Two-factor verify');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Two-factor authentication status of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     required:
+ *                       type: boolean
+ *                       description: Required for the user's role
+ *                     recoveryCodesLeft:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/2fa', auth, async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user.id);
+
+    res.json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    handleTwoFactorError(res, error, 'Get two-factor status');
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: |
+ *       Creates a new secret and returns it with a QR code to scan in an
+ *       authenticator app. 2FA is turned on by POST /api/auth/2fa/enable.
+ *       Authenticate with a bearer token, or send the challengeToken of a
+ *       login that returned twoFactor: setup.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret and QR code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       description: For manual entry in the app
+ *                     otpauthUrl:
+ *                       type: string
+ *                     qrCode:
+ *                       type: string
+ *                       description: PNG data URL of the otpauth URL
+ *       401:
+ *         description: Unauthorized or invalid challenge
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/2fa/setup', authTwoFactorSetup, async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : req.challengeUserId;
+    const setup = await twoFactorService.setup(userId);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code and confirm with a code from the app',
+      data: setup,
+    });
+  } catch (error) {
+    handleTwoFactorError(res, error, 'Two-factor setup');
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Turn on two-factor authentication
+ *     description: |
+ *       Confirms enrollment with a code from the authenticator app and returns
+ *       the recovery codes. They are shown only once. When authenticated with
+ *       a setup challengeToken, the response also opens a login session.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Enabled, with recovery codes
+ *       400:
+ *         description: Validation error or invalid code
+ *       401:
+ *         description: Unauthorized or invalid challenge
+ *       409:
+ *         description: Already enabled, or setup not started
+ */
+router.post(
+  '/2fa/enable',
+  authTwoFactorSetup,
+  [body('code').isString().notEmpty().withMessage('Code is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const userId = req.user ? req.user.id : req.challengeUserId;
+      const recoveryCodes = await twoFactorService.enable(
+        userId,
+        req.body.code
+      );
+
+      let session = {};
+      if (!req.user) {
+        // Enrollment was the last step of a login
+        const user = await prisma.user.findUnique({
+          where: { id: userId },
+          select: { id: true, email: true, role: true, isActive: true },
+        });
+        if (!user.isActive) {
+          throw new Error('Invalid or expired challenge');
+        }
+
+        session = await twoFactorService.openSession(user, req, {
+          method: 'two_factor_setup',
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled',
+        data: {
+          recoveryCodes,
+          ...session,
+        },
+      });
+    } catch (error) {
+      handleTwoFactorError(res, error, 'Two-factor enable');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Disabled
+ *       400:
+ *         description: Validation error, invalid password or code
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Not enabled, or required for the user's role
  */
 router.post(
-  '/register',
+  '/2fa/disable',
+  auth,
   [
-    body('email').isEmail().normalizeEmail(),
-    body('password').isLength({ min: 6 }),
-    body('firstName').notEmpty().trim().withMessage('First name is required'),
-    body('lastName').notEmpty().trim().withMessage('Last name is required'),
-    body('dateOfBirth')
-      .optional()
-      .isISO8601()
-      .withMessage('Date of birth must be a valid date'),
-    body('phone').optional().trim(),
+    body('password').isString().notEmpty().withMessage('Password is required'),
+    body('code').isString().notEmpty().withMessage('Code is required'),
   ],
   async (req, res) => {
     try {
@@ -142,105 +1616,56 @@ router.post(
         });
       }
 
-      const { email, password, firstName, lastName, dateOfBirth, phone } =
-        req.body;
-
-      // Check if user already exists
-      const existingUser = await prisma.user.findUnique({
-        where: { email },
-      });
-
-      if (existingUser) {
-        return res.status(409).json({
-          success: false,
-          message: 'User already exists with this email',
-        });
-      }
-
-      // Hash password
-      const hashedPassword = await bcrypt.hash(password, 12);
-
-      // Create full name for backward compatibility
-      const fullName = `${firstName} ${lastName}`;
-
-      // Create user with USER role
-      const user = await prisma.user.create({
-        data: {
-          email,
-          password: hashedPassword,
-          firstName,
-          lastName,
-          name: fullName,
-          dateOfBirth: dateOfBirth ? new Date(dateOfBirth) : null,
-          phone: phone || null,
-          role: 'USER',
-        },
-        select: {
-          id: true,
-          email: true,
-          firstName: true,
-          lastName: true,
-          name: true,
-          dateOfBirth: true,
-          phone: true,
-          role: true,
-          isActive: true,
-          createdAt: true,
-        },
+      await twoFactorService.disable(req.user.id, {
+        password: req.body.password,
+        code: req.body.code,
       });
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: user.id, email: user.email, role: user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-      );
-
-      res.status(201).json({
+      res.json({
         success: true,
-        message: 'User registered successfully',
-        data: {
-          user,
-          token,
-        },
+        message: 'Two-factor authentication disabled',
       });
     } catch (error) {
-      console.error('User registration error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error',
-      });
+      handleTwoFactorError(res, error, 'Two-factor disable');
     }
   }
 );
 
 /**
  * @swagger
- * /api/auth/login:
+ * /api/auth/2fa/recovery-codes:
  *   post:
- *     summary: Login user
+ *     summary: Replace the recovery codes
+ *     description: Codes issued earlier stop working. The new codes are shown only once.
  *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/LoginRequest'
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Current code from the authenticator app
  *     responses:
  *       200:
- *         description: Login successful
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *         description: New recovery codes
  *       400:
- *         description: Bad request
+ *         description: Validation error or invalid code
  *       401:
- *         description: Invalid credentials
+ *         description: Unauthorized
+ *       409:
+ *         description: Two-factor authentication is not enabled
  */
 router.post(
-  '/login',
-  [body('email').isEmail().normalizeEmail(), body('password').notEmpty()],
+  '/2fa/recovery-codes',
+  auth,
+  [body('code').isString().notEmpty().withMessage('Code is required')],
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -252,127 +1677,74 @@ router.post(
         });
       }
 
-      const { email, password } = req.body;
-
-      // Find user
-      const user = await prisma.user.findUnique({
-        where: { email },
-      });
-
-      if (!user || !user.isActive) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid credentials',
-        });
-      }
-
-      // Check password
-      const isPasswordValid = await bcrypt.compare(password, user.password);
-      if (!isPasswordValid) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid credentials',
-        });
-      }
-
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: user.id, email: user.email, role: user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+      const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(
+        req.user.id,
+        req.body.code
       );
 
-      // Remove password from response
-      // eslint-disable-next-line no-unused-vars
-      const { password: _, ...userWithoutPassword } = user;
-
       res.json({
         success: true,
-        message: 'Login successful',
-        data: {
-          user: userWithoutPassword,
-          token,
-        },
+        message: 'Recovery codes replaced',
+        data: { recoveryCodes },
       });
     } catch (error) {
-      console.error('Login error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error',
-      });
+      handleTwoFactorError(res, error, 'Regenerate recovery codes');
     }
   }
 );
 
 /**
  * @swagger
- * /api/auth/me:
+ * /api/auth/2fa/policies:
  *   get:
- *     summary: Get current user profile
+ *     summary: Two-factor requirement of each role (Admin only)
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: User profile retrieved successfully
+ *         description: Policies
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
  */
-router.get('/me', async (req, res) => {
-  try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'No token provided',
-      });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: {
-        id: true,
-        email: true,
-        firstName: true,
-        lastName: true,
-        name: true,
-        dateOfBirth: true,
-        phone: true,
-        role: true,
-        isActive: true,
-        createdAt: true,
-      },
-    });
+router.get(
+  '/2fa/policies',
+  auth,
+  authorize('security.manage'),
+  async (req, res) => {
+    try {
+      const policies = await twoFactorService.getPolicies();
 
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'User not found',
+      res.json({
+        success: true,
+        data: { policies },
       });
+    } catch (error) {
+      handleTwoFactorError(res, error, 'Get two-factor policies');
     }
-
-    res.json({
-      success: true,
-      data: { user },
-    });
-  } catch (error) {
-    console.error('Auth me error:', error);
-    res.status(401).json({
-      success: false,
-      message: 'Invalid token',
-    });
   }
-});
+);
 
 /**
  * @swagger
- * /api/auth/check-email:
- *   post:
- *     summary: Check if email exists in the system
+ * /api/auth/2fa/policies/{role}:
+ *   put:
+ *     summary: Require two-factor authentication for a role (Admin only)
+ *     description: |
+ *       Users of the role without 2FA must set it up at their next login.
+ *       Their existing sessions end at the next token refresh.
  *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [USER, AGENT, MODERATOR, ADMIN]
  *     requestBody:
  *       required: true
  *       content:
@@ -380,40 +1752,30 @@ router.get('/me', async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - email
+ *               - requireTwoFactor
  *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *                 description: Email address to check
+ *               requireTwoFactor:
+ *                 type: boolean
  *     responses:
  *       200:
- *         description: Email check result
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   type: object
- *                   properties:
- *                     exists:
- *                       type: boolean
- *                       description: Whether the email exists in the system
- *                     isActive:
- *                       type: boolean
- *                       description: Whether the account is active (only returned if exists is true)
- *                     role:
- *                       type: string
- *                       description: User role (only returned if exists is true)
+ *         description: Policy updated
  *       400:
- *         description: Bad request - Invalid email format
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
  */
-router.post(
-  '/check-email',
-  [body('email').isEmail().normalizeEmail()],
+router.put(
+  '/2fa/policies/:role',
+  auth,
+  authorize('security.manage'),
+  [
+    param('role').isIn(ROLES).withMessage('Invalid role'),
+    body('requireTwoFactor')
+      .isBoolean()
+      .withMessage('requireTwoFactor must be a boolean'),
+  ],
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -425,41 +1787,20 @@ router.post(
         });
       }
 
-      const { email } = req.body;
-
-      // Find user by email
-      const user = await prisma.user.findUnique({
-        where: { email },
-        select: {
-          id: true,
-          isActive: true,
-          role: true,
-        },
-      });
-
-      if (!user) {
-        return res.json({
-          success: true,
-          data: {
-            exists: false,
-          },
-        });
-      }
+      const policy = await twoFactorService.updatePolicy(
+        req.params.role,
+        req.body.requireTwoFactor === true ||
+          req.body.requireTwoFactor === 'true',
+        req.user.id
+      );
 
       res.json({
         success: true,
-        data: {
-          exists: true,
-          isActive: user.isActive,
-          role: user.role,
-        },
+        message: 'Two-factor policy updated',
+        data: { policy },
       });
     } catch (error) {
-      console.error('Check email error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error',
-      });
+      handleTwoFactorError(res, error, 'Update two-factor policy');
     }
   }
 );
@@ -506,16 +1847,12 @@ router.get(
         );
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: req.user.id, email: req.user.email, role: req.user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-      );
+      // Open a login session, or ask for the second factor first
+      const login = await twoFactorService.startLogin(req.user, req, 'google');
 
-      // Redirect to frontend with token
+      // Redirect to frontend with the tokens or the 2FA challenge
       res.redirect(
-        `${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth/callback?token=${token}&provider=google`
+        `${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth/callback?${oauthCallbackQuery(login)}&provider=google`
       );
     } catch (error) {
       console.error('Google OAuth callback error:', error);
@@ -566,16 +1903,16 @@ router.get(
         );
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: req.user.id, email: req.user.email, role: req.user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+      // Open a login session, or ask for the second factor first
+      const login = await twoFactorService.startLogin(
+        req.user,
+        req,
+        'facebook'
       );
 
-      // Redirect to frontend with token
+      // Redirect to frontend with the tokens or the 2FA challenge
       res.redirect(
-        `${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth/callback?token=${token}&provider=facebook`
+        `${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth/callback?${oauthCallbackQuery(login)}&provider=facebook`
       );
     } catch (error) {
       console.error('Facebook OAuth callback error:', error);
@@ -626,16 +1963,12 @@ router.get(
         );
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: req.user.id, email: req.user.email, role: req.user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-      );
+      // Open a login session, or ask for the second factor first
+      const login = await twoFactorService.startLogin(req.user, req, 'github');
 
-      // Redirect to frontend with token
+      // Redirect to frontend with the tokens or the 2FA challenge
       res.redirect(
-        `${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth/callback?token=${token}&provider=github`
+        `${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth/callback?${oauthCallbackQuery(login)}&provider=github`
       );
     } catch (error) {
       console.error('GitHub OAuth callback error:', error);
@@ -681,16 +2014,12 @@ router.get(
         );
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: req.user.id, email: req.user.email, role: req.user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-      );
+      // Open a login session, or ask for the second factor first
+      const login = await twoFactorService.startLogin(req.user, req, 'twitter');
 
-      // Redirect to frontend with token
+      // Redirect to frontend with the tokens or the 2FA challenge
       res.redirect(
-        `${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth/callback?token=${token}&provider=twitter`
+        `${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth/callback?${oauthCallbackQuery(login)}&provider=twitter`
       );
     } catch (error) {
       console.error('Twitter OAuth callback error:', error);
@@ -758,19 +2087,18 @@ router.post('/apple', async (req, res) => {
     // Handle Apple Sign In
     const user = await handleAppleSignIn(identityToken, userInfo);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Open a login session, or ask for the second factor first
+    const login = await twoFactorService.startLogin(user, req, 'apple');
+    if (login.challengeToken) {
+      return sendTwoFactorChallenge(res, login);
+    }
 
     res.json({
       success: true,
       message: 'Apple Sign In successful',
       data: {
         user,
-        token,
+        ...login,
       },
     });
   } catch (error) {
@@ -817,18 +2145,8 @@ router.post('/apple', async (req, res) => {
  *       409:
  *         description: OAuth account already linked to another user
  */
-router.post('/oauth/link', async (req, res) => {
+router.post('/oauth/link', auth, async (req, res) => {
   try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'No token provided',
-      });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const { provider, providerId } = req.body;
 
     if (!provider || !providerId) {
@@ -852,7 +2170,7 @@ router.post('/oauth/link', async (req, res) => {
     const existingUser = await prisma.user.findFirst({
       where: {
         [fieldName]: providerId,
-        id: { not: decoded.userId },
+        id: { not: req.user.id },
       },
     });
 
@@ -865,7 +2183,7 @@ router.post('/oauth/link', async (req, res) => {
 
     // Link OAuth account to current user
     const updatedUser = await prisma.user.update({
-      where: { id: decoded.userId },
+      where: { id: req.user.id },
       data: { [fieldName]: providerId },
       select: {
         id: true,
@@ -883,6 +2201,13 @@ router.post('/oauth/link', async (req, res) => {
       },
     });
 
+    await accountSecurityService.logEvent('OAUTH_LINKED', {
+      userId: req.user.id,
+      email: req.user.email,
+      req,
+      metadata: { provider },
+    });
+
     res.json({
       success: true,
       message: `${provider} account linked successfully`,
@@ -925,18 +2250,8 @@ router.post('/oauth/link', async (req, res) => {
  *       401:
  *         description: Unauthorized
  */
-router.post('/oauth/unlink', async (req, res) => {
+router.post('/oauth/unlink', auth, async (req, res) => {
   try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'No token provided',
-      });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const { provider } = req.body;
 
     if (!provider) {
@@ -958,7 +2273,7 @@ router.post('/oauth/unlink', async (req, res) => {
     // Unlink OAuth account from current user
     const fieldName = `${provider}Id`;
     const updatedUser = await prisma.user.update({
-      where: { id: decoded.userId },
+      where: { id: req.user.id },
       data: { [fieldName]: null },
       select: {
         id: true,
@@ -976,6 +2291,13 @@ router.post('/oauth/unlink', async (req, res) => {
       },
     });
 
+    await accountSecurityService.logEvent('OAUTH_UNLINKED', {
+      userId: req.user.id,
+      email: req.user.email,
+      req,
+      metadata: { provider },
+    });
+
     res.json({
       success: true,
       message: `${provider} account unlinked successfully`,
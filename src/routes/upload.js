@@ -56,6 +56,18 @@ const router = express.Router();
  *             etag:
  *               type: string
  *               description: File etag
+ *     ThumbnailJob:
+ *       type: object
+ *       properties:
+ *         jobId:
+ *           type: string
+ *           description: Background job creating the thumbnail (GET /api/jobs/{id})
+ *         status:
+ *           type: string
+ *           example: PENDING
+ *         sourceUrl:
+ *           type: string
+ *           description: URL of the uploaded image
  */
 
 /**
@@ -162,6 +174,7 @@ router.post(
  * /api/upload/property-images:
  *   post:
  *     summary: Upload property images with thumbnails
+ *     description: Thumbnails are created in the background; poll the returned jobs for their URLs.
  *     tags: [Upload]
  *     security:
  *       - bearerAuth: []
@@ -196,10 +209,11 @@ router.post(
  *                       type: array
  *                       items:
  *                         $ref: '#/components/schemas/FileUploadResponse'
- *                     thumbnails:
+ *                     thumbnailJobs:
  *                       type: array
+ *                       description: One background job per image; the job result holds the thumbnail (see GET /api/jobs/{id})
  *                       items:
- *                         $ref: '#/components/schemas/FileUploadResponse'
+ *                         $ref: '#/components/schemas/ThumbnailJob'
  *       400:
  *         description: Bad request
  *       401:
@@ -210,7 +224,7 @@ router.post(
 router.post(
   '/property-images',
   auth,
-  authorize('USER', 'ADMIN'),
+  authorize('listing.create'),
   uploadMultiple('files', 10),
   uploadController.uploadPropertyImages
 );
@@ -250,8 +264,8 @@ router.post(
  *                   properties:
  *                     avatar:
  *                       $ref: '#/components/schemas/FileUploadResponse'
- *                     thumbnail:
- *                       $ref: '#/components/schemas/FileUploadResponse'
+ *                     thumbnailJob:
+ *                       $ref: '#/components/schemas/ThumbnailJob'
  *       400:
  *         description: Bad request
  *       401:
@@ -0,0 +1,271 @@
+const { prisma } = require('../config/database');
+const sessionService = require('./session.service');
+
+// Limits for failed logins, read on each use so they follow the environment
+const LIMITS = {
+  // Failures in a row before each attempt has to wait (1s, 2s, 4s... up to 60s)
+  delayAfter: () => parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES) || 3,
+  lockoutThreshold: () => parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10,
+  lockoutMinutes: () => parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  ipMaxFailures: () => parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20,
+  ipWindowMinutes: () => parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15,
+};
+
+const MAX_DELAY_SECONDS = 60;
+
+/**
+ * Brute-force protection for logins and the account security log.
+ * Failed passwords and 2FA codes are counted per account (progressive delay,
+ * then a temporary lockout) and per IP address (failures in a time window).
+ */
+class AccountSecurityService {
+  /**
+   * Add an entry to the security log. Never throws: a failed write must not
+   * break the login it describes.
+   * @param {string} type - SecurityEventType
+   * @param {Object} details - { userId, email, req, metadata }
+   */
+  async logEvent(
+    type,
+    { userId = null, email = null, req = null, metadata } = {}
+  ) {
+    try {
+      await prisma.securityEvent.create({
+        data: {
+          type,
+          userId,
+          email,
+          ...(req ? sessionService.getClientInfo(req) : {}),
+          metadata,
+        },
+      });
+    } catch (error) {
+      console.error('Log security event error:', error.message);
+    }
+  }
+
+  /**
+   * Seconds an account has to wait after its last failure
+   * @param {number} failedCount - Failures in a row
+   * @returns {number}
+   */
+  getDelaySeconds(failedCount) {
+    const delayAfter = LIMITS.delayAfter();
+
+    if (failedCount < delayAfter) {
+      return 0;
+    }
+
+    return Math.min(2 ** (failedCount - delayAfter), MAX_DELAY_SECONDS);
+  }
+
+  /**
+   * Refuse a login attempt, before the credentials are checked, when the IP
+   * address or the account has failed too often. Refused attempts are logged
+   * and count towards the IP limit.
+   * @param {Object|null} user - With id, failedLoginCount, lastFailedLoginAt,
+   * lockedUntil; null when no account matches
+   * @param {string} email - Email the attempt was made with
+   * @param {Object} req - Express request
+   * @throws {Error} With retryAfter (seconds) when refused
+   */
+  async assertLoginAllowed(user, email, req) {
+    const block = await this.getLoginBlock(user, req);
+
+    if (block) {
+      await this.logEvent('LOGIN_FAILED', {
+        userId: user?.id,
+        email,
+        req,
+        metadata: { reason: block.reason },
+      });
+
+      const error = new Error(block.message);
+      error.retryAfter = block.retryAfter;
+      throw error;
+    }
+  }
+
+  /**
+   * Why a login attempt would be refused
+   * @returns {Promise<Object|null>} { reason, message, retryAfter } or null
+   */
+  async getLoginBlock(user, req) {
+    const now = Date.now();
+
+    if (req.ip) {
+      const windowMs = LIMITS.ipWindowMinutes() * 60000;
+      const failures = await prisma.securityEvent.count({
+        where: {
+          type: 'LOGIN_FAILED',
+          ipAddress: req.ip,
+          createdAt: { gt: new Date(now - windowMs) },
+        },
+      });
+
+      if (failures >= LIMITS.ipMaxFailures()) {
+        return {
+          reason: 'IP_THROTTLED',
+          message: 'Too many failed login attempts. Try again later.',
+          retryAfter: windowMs / 1000,
+        };
+      }
+    }
+
+    if (!user) {
+      return null;
+    }
+
+    if (user.lockedUntil && user.lockedUntil.getTime() > now) {
+      return {
+        reason: 'ACCOUNT_LOCKED',
+        message:
+          'Account is temporarily locked after too many failed login attempts',
+        retryAfter: Math.ceil((user.lockedUntil.getTime() - now) / 1000),
+      };
+    }
+
+    const delay = this.getDelaySeconds(user.failedLoginCount);
+    if (delay && user.lastFailedLoginAt) {
+      const waitUntil = user.lastFailedLoginAt.getTime() + delay * 1000;
+
+      if (waitUntil > now) {
+        return {
+          reason: 'DELAYED',
+          message: 'Too many failed login attempts. Try again shortly.',
+          retryAfter: Math.ceil((waitUntil - now) / 1000),
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Record a wrong password or 2FA code. Locks the account once the
+   * failures in a row reach LOGIN_LOCKOUT_THRESHOLD.
+   * @param {Object|null} user - null when no account matches
+   * @param {string} email
+   * @param {Object} req - Express request
+   * @param {string} reason - e.g. INVALID_PASSWORD, INVALID_TWO_FACTOR_CODE
+   */
+  async recordFailure(user, email, req, reason) {
+    await this.logEvent('LOGIN_FAILED', {
+      userId: user?.id,
+      email,
+      req,
+      metadata: { reason },
+    });
+
+    if (!user) {
+      return;
+    }
+
+    const { failedLoginCount } = await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        failedLoginCount: { increment: 1 },
+        lastFailedLoginAt: new Date(),
+      },
+      select: { failedLoginCount: true },
+    });
+
+    if (failedLoginCount >= LIMITS.lockoutThreshold()) {
+      const lockedUntil = new Date(
+        Date.now() + LIMITS.lockoutMinutes() * 60000
+      );
+
+      // The lockout replaces the delays; they start over once it ends
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { lockedUntil, failedLoginCount: 0, lastFailedLoginAt: null },
+      });
+
+      await this.logEvent('ACCOUNT_LOCKED', {
+        userId: user.id,
+        email,
+        req,
+        metadata: { failedAttempts: failedLoginCount, lockedUntil },
+      });
+    }
+  }
+
+  /**
+   * Record a login that opened a session and clear the failure count
+   * @param {Object} user - id, email
+   * @param {Object} req - Express request
+   * @param {Object} metadata - e.g. { method: 'password' }
+   */
+  async recordSuccess(user, req, metadata) {
+    await prisma.user.updateMany({
+      where: { id: user.id, failedLoginCount: { gt: 0 } },
+      data: { failedLoginCount: 0, lastFailedLoginAt: null },
+    });
+
+    await this.logEvent('LOGIN_SUCCESS', {
+      userId: user.id,
+      email: user.email,
+      req,
+      metadata,
+    });
+  }
+
+  /**
+   * Lift a lockout and clear the failure count (admin)
+   * @param {string} userId
+   * @param {string} adminId
+   * @param {Object} req - Express request
+   */
+  async unlock(userId, adminId, req) {
+    await prisma.user.update({
+      where: { id: userId },
+      data: { lockedUntil: null, failedLoginCount: 0, lastFailedLoginAt: null },
+    });
+
+    await this.logEvent('ACCOUNT_UNLOCKED', {
+      userId,
+      req,
+      metadata: { unlockedBy: adminId },
+    });
+  }
+
+  /**
+   * Security log of a user, newest first
+   * @param {string} userId
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { data, pagination }
+   */
+  async getEvents(userId, { page = 1, limit = 20 } = {}) {
+    const where = { userId };
+
+    const [data, total] = await Promise.all([
+      prisma.securityEvent.findMany({
+        where,
+        select: {
+          id: true,
+          type: true,
+          ipAddress: true,
+          userAgent: true,
+          metadata: true,
+          createdAt: true,
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.securityEvent.count({ where }),
+    ]);
+
+    return {
+      data,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+}
+
+module.exports = new AccountSecurityService();
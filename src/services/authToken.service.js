@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { prisma } = require('../config/database');
+const emailService = require('./email.service');
+
+// Lifetime of each token type, in minutes
+const TOKEN_TTL_MINUTES = {
+  PASSWORD_RESET: () =>
+    parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES) || 60,
+  EMAIL_VERIFICATION: () =>
+    (parseInt(process.env.EMAIL_VERIFICATION_TOKEN_HOURS) || 48) * 60,
+};
+
+/**
+ * Single-use, time-limited tokens sent by email (password reset, email
+ * verification). Only a SHA-256 hash of each token is stored, so a leaked
+ * database cannot be used to take over accounts.
+ */
+class AuthTokenService {
+  /**
+   * Hash of a raw token, as stored in the database
+   * @param {string} token
+   * @returns {string}
+   */
+  hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Issue a new token. Earlier unused tokens of the same type stop working,
+   * so only the link in the latest email is valid.
+   * @param {string} userId
+   * @param {string} type - PASSWORD_RESET or EMAIL_VERIFICATION
+   * @returns {Promise<Object>} { token, expiresAt } - token is the raw value
+   * to send to the user
+   */
+  async issue(userId, type) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + TOKEN_TTL_MINUTES[type]() * 60000);
+
+    await prisma.$transaction([
+      prisma.authToken.updateMany({
+        where: { userId, type, usedAt: null },
+        data: { usedAt: new Date() },
+      }),
+      prisma.authToken.create({
+        data: { userId, type, tokenHash: this.hash(token), expiresAt },
+      }),
+    ]);
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Use up a token. Fails if it is unknown, of another type, expired or
+   * already used; of two concurrent requests with the same token only one
+   * succeeds.
+   * @param {string} token - Raw token from the email link
+   * @param {string} type - PASSWORD_RESET or EMAIL_VERIFICATION
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Object>} Token record with userId
+   */
+  async consume(token, type, client = prisma) {
+    const tokenHash = this.hash(token);
+    const now = new Date();
+
+    const result = await client.authToken.updateMany({
+      where: { tokenHash, type, usedAt: null, expiresAt: { gt: now } },
+      data: { usedAt: now },
+    });
+
+    if (result.count !== 1) {
+      throw new Error('Invalid or expired token');
+    }
+
+    return await client.authToken.findUnique({ where: { tokenHash } });
+  }
+
+  /**
+   * Email a password reset link to a user
+   * @param {Object} user - With id, email, name and preferredLanguage
+   * @returns {Promise<Object>} { messageId, transport }
+   */
+  async sendPasswordReset(user) {
+    const { token } = await this.issue(user.id, 'PASSWORD_RESET');
+
+    return await emailService.send('password-reset', user, {
+      resetUrl: this.buildLink('/reset-password', token),
+      expiresInMinutes: TOKEN_TTL_MINUTES.PASSWORD_RESET(),
+    });
+  }
+
+  /**
+   * Email an address verification link to a user
+   * @param {Object} user - With id, email, name and preferredLanguage
+   * @returns {Promise<Object>} { messageId, transport }
+   */
+  async sendEmailVerification(user) {
+    const { token } = await this.issue(user.id, 'EMAIL_VERIFICATION');
+
+    return await emailService.send('verify-email', user, {
+      verifyUrl: this.buildLink('/verify-email', token),
+      expiresInHours: TOKEN_TTL_MINUTES.EMAIL_VERIFICATION() / 60,
+    });
+  }
+
+  /**
+   * Link to the frontend page that takes a token
+   * @param {string} path - e.g. /reset-password
+   * @param {string} token
+   * @returns {string}
+   */
+  buildLink(path, token) {
+    const appUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    return `${appUrl}${path}?token=${token}`;
+  }
+}
+
+module.exports = new AuthTokenService();
@@ -0,0 +1,18 @@
+const QRCode = require('qrcode');
+
+/**
+ * Local stand-in for the E_SIGNATURE_API_URL endpoint. Accepts the same
+ * request body and answers with the same response shape, rendering the QR
+ * code in-process so development and tests don't need the external service.
+ */
+async function mockSignatureEndpoint(requestData) {
+  const qrCode = await QRCode.toDataURL(JSON.stringify(requestData.data), {
+    errorCorrectionLevel: 'M',
+    margin: 1,
+    width: 200,
+  });
+
+  return { data: { qrCode } };
+}
+
+module.exports = { mockSignatureEndpoint };
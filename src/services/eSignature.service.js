@@ -1,22 +1,47 @@
 const axios = require('axios');
+const { mockSignatureEndpoint } = require('./eSignature.mock');
+
+/**
+ * Whether QR codes are rendered by the local mock instead of the external
+ * endpoint. Used when E_SIGNATURE_API_URL is "mock", or is not configured
+ * outside production.
+ */
+function isMockEnabled() {
+  const apiUrl = process.env.E_SIGNATURE_API_URL;
+
+  if (apiUrl === 'mock') {
+    return true;
+  }
+
+  return !apiUrl && process.env.NODE_ENV !== 'production';
+}
 
 // Simple service to get QR code from e-signature endpoint
 async function getSignatureQRCode(userData) {
   try {
     const apiUrl = process.env.E_SIGNATURE_API_URL;
 
-    if (!apiUrl) {
-      throw new Error('E_SIGNATURE_API_URL not configured');
-    }
-
     // Send data as required by your endpoint structure
     const requestData = {
       data: {
         name: userData.name,
         timestamp: userData.timestamp || new Date().toISOString(),
+        leaseId: userData.leaseId,
+        role: userData.role,
+        signatureId: userData.signatureId,
+        documentHash: userData.documentHash,
       },
     };
 
+    if (isMockEnabled()) {
+      const response = await mockSignatureEndpoint(requestData);
+      return response.data.qrCode;
+    }
+
+    if (!apiUrl) {
+      throw new Error('E_SIGNATURE_API_URL not configured');
+    }
+
     const response = await axios.post(apiUrl, requestData, {
       timeout: 10000,
       headers: {
@@ -32,4 +57,4 @@ async function getSignatureQRCode(userData) {
   }
 }
 
-module.exports = { getSignatureQRCode };
+module.exports = { getSignatureQRCode, isMockEnabled };
@@ -0,0 +1,240 @@
+const path = require('path');
+const ejs = require('ejs');
+const jobsService = require('../modules/jobs/jobs.service');
+const ConsoleEmailTransport = require('./emailTransports/console.transport');
+const FileEmailTransport = require('./emailTransports/file.transport');
+const SmtpEmailTransport = require('./emailTransports/smtp.transport');
+const { normalizeLanguage, formatDate, formatPrice } = require('../utils/i18n');
+
+const TEMPLATES_DIR = path.join(__dirname, '../../templates/emails');
+
+// Transport factories by name. Register new transports here.
+const transportFactories = {
+  console: () => new ConsoleEmailTransport(),
+  file: () => new FileEmailTransport(),
+  smtp: () => new SmtpEmailTransport(),
+};
+
+// Subject of each template, in the recipient's language
+const SUBJECTS = {
+  en: {
+    welcome: () => 'Welcome to Rentverse',
+    'booking-confirmed': data => `Booking confirmed: ${data.propertyTitle}`,
+    'listing-approved': data => `Your listing is live: ${data.propertyTitle}`,
+    'listing-rejected': data =>
+      `Your listing was not approved: ${data.propertyTitle}`,
+    'payment-receipt': data => `Payment receipt for ${data.propertyTitle}`,
+    'password-reset': () => 'Reset your Rentverse password',
+    'verify-email': () => 'Verify your email address',
+  },
+  ms: {
+    welcome: () => 'Selamat datang ke Rentverse',
+    'booking-confirmed': data => `Tempahan disahkan: ${data.propertyTitle}`,
+    'listing-approved': data =>
+      `Iklan anda kini disiarkan: ${data.propertyTitle}`,
+    'listing-rejected': data =>
+      `Iklan anda tidak diluluskan: ${data.propertyTitle}`,
+    'payment-receipt': data => `Resit pembayaran untuk ${data.propertyTitle}`,
+    'password-reset': () => 'Tetapkan semula kata laluan Rentverse anda',
+    'verify-email': () => 'Sahkan alamat e-mel anda',
+  },
+};
+
+class EmailService {
+  constructor() {
+    this.instances = new Map();
+  }
+
+  /**
+   * Name of the transport used for outgoing mail. Production has no
+   * default: falling back to the console would leave mail undelivered.
+   * @returns {string}
+   */
+  getDefaultTransport() {
+    if (process.env.EMAIL_TRANSPORT) {
+      return process.env.EMAIL_TRANSPORT;
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('EMAIL_TRANSPORT must be set in production');
+    }
+
+    return 'console';
+  }
+
+  /**
+   * Fail at startup when no usable transport is configured
+   * @throws {Error}
+   */
+  assertConfigured() {
+    this.getTransport();
+  }
+
+  /**
+   * Register an additional email transport
+   * @param {string} name - Value of EMAIL_TRANSPORT that selects it
+   * @param {Function} factory - Returns an EmailTransport instance
+   */
+  registerTransport(name, factory) {
+    transportFactories[name] = factory;
+    this.instances.delete(name);
+  }
+
+  /**
+   * Get (cached) transport instance
+   * @param {string} name - Transport name (defaults to EMAIL_TRANSPORT)
+   * @returns {Object} EmailTransport
+   */
+  getTransport(name = this.getDefaultTransport()) {
+    if (!transportFactories[name]) {
+      throw new Error(`Email transport "${name}" not found`);
+    }
+
+    if (!this.instances.has(name)) {
+      this.instances.set(name, transportFactories[name]());
+    }
+
+    return this.instances.get(name);
+  }
+
+  /**
+   * Recipient of an email from a user record
+   * @param {Object} user - User with email, name and preferredLanguage
+   * @returns {Object} { email, name, language }
+   */
+  getRecipient(user) {
+    return {
+      email: user.email,
+      name:
+        user.name || `${user.firstName || ''} ${user.lastName || ''}`.trim(),
+      language: normalizeLanguage(user.preferredLanguage),
+    };
+  }
+
+  /**
+   * Render the subject, text and HTML variants of a template
+   * @param {string} template - e.g. booking-confirmed
+   * @param {string} language - en or ms
+   * @param {Object} data - Template variables
+   * @returns {Promise<Object>} { subject, text, html }
+   */
+  async render(template, language, data) {
+    const code = normalizeLanguage(language);
+    const subjectOf = SUBJECTS[code][template];
+
+    if (!subjectOf) {
+      throw new Error(`Email template "${template}" not found`);
+    }
+
+    const subject = subjectOf(data);
+    const templateData = {
+      ...data,
+      subject,
+      language: code,
+      appUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
+      formatDate: date => formatDate(date, code),
+      formatPrice: (amount, currencyCode) =>
+        formatPrice(amount, currencyCode, code),
+    };
+
+    const [text, content] = await Promise.all([
+      ejs.renderFile(
+        path.join(TEMPLATES_DIR, code, `${template}.text.ejs`),
+        templateData
+      ),
+      ejs.renderFile(
+        path.join(TEMPLATES_DIR, code, `${template}.html.ejs`),
+        templateData
+      ),
+    ]);
+    const html = await ejs.renderFile(path.join(TEMPLATES_DIR, 'layout.ejs'), {
+      ...templateData,
+      content,
+    });
+
+    return { subject, text: text.trim(), html };
+  }
+
+  /**
+   * Queue an email. It is rendered and sent by the worker, and retried with
+   * backoff like any other job when the transport fails.
+   *
+   * Queue failures are logged and never fail the action that sent the
+   * email, except inside a transaction (`options.client`), where the error
+   * is left to the caller so the email is queued only if the transaction
+   * commits.
+   * @param {string} template - e.g. booking-confirmed
+   * @param {Object} user - Recipient user with email, name and preferredLanguage
+   * @param {Object} data - Template variables
+   * @param {Object} options - attachments, createdById, client
+   * @returns {Promise<Object|null>} Queued job, or null if not queued
+   */
+  async queue(template, user, data = {}, options = {}) {
+    const { attachments = [], createdById = null, client } = options;
+    const recipient = this.getRecipient(user);
+
+    try {
+      return await jobsService.enqueue(
+        'email.send',
+        {
+          template,
+          to: recipient.email,
+          language: recipient.language,
+          data: { recipientName: recipient.name, ...data },
+          attachments,
+        },
+        { createdById, client }
+      );
+    } catch (error) {
+      if (client) {
+        throw error;
+      }
+
+      console.error(`❌ Error queueing ${template} email:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Send an email right away, without the job queue. Used for emails that
+   * carry a secret (password reset and verification links), which must not
+   * be stored in the job payload.
+   * @param {string} template - e.g. password-reset
+   * @param {Object} user - Recipient user with email, name and preferredLanguage
+   * @param {Object} data - Template variables
+   * @returns {Promise<Object>} { messageId, transport }
+   */
+  async send(template, user, data = {}) {
+    const recipient = this.getRecipient(user);
+
+    return await this.deliver({
+      template,
+      to: recipient.email,
+      language: recipient.language,
+      data: { recipientName: recipient.name, ...data },
+    });
+  }
+
+  /**
+   * Render and send a queued email (called by the worker)
+   * @param {Object} payload - { template, to, language, data, attachments }
+   * @returns {Promise<Object>} { messageId, transport }
+   */
+  async deliver({ template, to, language, data, attachments = [] }) {
+    const transport = this.getTransport();
+    const { subject, text, html } = await this.render(template, language, data);
+
+    const { messageId } = await transport.send({
+      from: process.env.EMAIL_FROM || 'Rentverse <no-reply@rentverse.local>',
+      to,
+      subject,
+      text,
+      html,
+      attachments,
+    });
+
+    return { messageId, transport: transport.name };
+  }
+}
+
+module.exports = new EmailService();
@@ -0,0 +1,29 @@
+/**
+ * Base class for email transports.
+ *
+ * Every transport (SMTP, file, console, ...) receives the same rendered
+ * message, so templates and callers never depend on how mail is delivered.
+ */
+class EmailTransport {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Deliver a rendered message
+   * @param {Object} message
+   * @param {string} message.from
+   * @param {string} message.to
+   * @param {string} message.subject
+   * @param {string} message.text - Plain text variant
+   * @param {string} message.html - HTML variant
+   * @param {Array} [message.attachments] - [{ filename, url, contentType }]
+   * @returns {Promise<Object>} { messageId }
+   */
+  // eslint-disable-next-line no-unused-vars
+  async send(message) {
+    throw new Error(`${this.name} email transport does not implement send`);
+  }
+}
+
+module.exports = EmailTransport;
@@ -0,0 +1,33 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const EmailTransport = require('./emailTransport.adapter');
+
+/**
+ * Development transport. Writes every message as a JSON file to
+ * EMAIL_FILE_DIR (default tmp/emails) instead of sending it.
+ */
+class FileEmailTransport extends EmailTransport {
+  constructor() {
+    super('file');
+    this.directory = path.resolve(process.env.EMAIL_FILE_DIR || 'tmp/emails');
+  }
+
+  async send(message) {
+    const messageId = uuidv4();
+    const fileName = `${Date.now()}-${messageId}.json`;
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(
+      path.join(this.directory, fileName),
+      JSON.stringify({ messageId, ...message }, null, 2)
+    );
+
+    console.log(
+      `📧 Email "${message.subject}" to ${message.to} saved as ${fileName}`
+    );
+    return { messageId };
+  }
+}
+
+module.exports = FileEmailTransport;
@@ -0,0 +1,44 @@
+const nodemailer = require('nodemailer');
+const EmailTransport = require('./emailTransport.adapter');
+
+/**
+ * Delivers mail through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+ * SMTP_USER, SMTP_PASS).
+ */
+class SmtpEmailTransport extends EmailTransport {
+  constructor() {
+    super('smtp');
+
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is required for the smtp email transport');
+    }
+
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS,
+          }
+        : undefined,
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail({
+      ...message,
+      // Attachments are stored remotely; nodemailer downloads them
+      attachments: (message.attachments || []).map(attachment => ({
+        filename: attachment.filename,
+        href: attachment.url,
+        contentType: attachment.contentType,
+      })),
+    });
+
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpEmailTransport;
@@ -0,0 +1,235 @@
+const { prisma } = require('../config/database');
+const { toUtcDay } = require('../utils/rentSchedule');
+
+// Legal LeaseStatus transitions
+const LEASE_TRANSITIONS = {
+  PENDING: ['APPROVED', 'REJECTED', 'CANCELLED', 'EXPIRED'],
+  APPROVED: ['ACTIVE', 'CANCELLED'],
+  ACTIVE: ['COMPLETED'],
+  REJECTED: [],
+  COMPLETED: [],
+  CANCELLED: [],
+  EXPIRED: [],
+};
+
+// Statuses in which a lease blocks the property calendar
+const OCCUPYING_STATUSES = ['APPROVED', 'ACTIVE'];
+
+// Statuses of leases that were approved at some point (agreement exists)
+const APPROVED_STATUSES = ['APPROVED', 'ACTIVE', 'COMPLETED'];
+
+/**
+ * Central lease state machine. Every lease status change goes through
+ * transition() so the rules and the status history live in one place.
+ */
+class LeaseLifecycleService {
+  /**
+   * Statuses that block the property for the lease period
+   * @returns {Array<string>}
+   */
+  getOccupyingStatuses() {
+    return [...OCCUPYING_STATUSES];
+  }
+
+  /**
+   * Whether the lease was approved (and may have an agreement)
+   * @param {string} status
+   * @returns {boolean}
+   */
+  isApproved(status) {
+    return APPROVED_STATUSES.includes(status);
+  }
+
+  /**
+   * Whether a status change is allowed
+   * @param {string} fromStatus
+   * @param {string} toStatus
+   * @returns {boolean}
+   */
+  canTransition(fromStatus, toStatus) {
+    return (LEASE_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  /**
+   * Record the initial status of a newly created lease
+   * @param {Object} lease - Created lease
+   * @param {string|null} actorId - User who created it
+   * @param {Object} client - Prisma client or transaction client
+   */
+  async recordCreation(lease, actorId, client = prisma) {
+    await client.leaseStatusHistory.create({
+      data: {
+        leaseId: lease.id,
+        fromStatus: null,
+        toStatus: lease.status,
+        changedById: actorId,
+        reason: 'Booking created',
+      },
+    });
+  }
+
+  /**
+   * Move a lease to a new status
+   * @param {string} leaseId
+   * @param {string} toStatus - Target LeaseStatus
+   * @param {Object} options
+   * @param {string|null} options.actorId - User triggering the change (null = system)
+   * @param {string} [options.reason] - Why the status changed
+   * @param {Object} [options.data] - Extra lease fields to update together
+   * @param {Object} [options.include] - Prisma include for the returned lease
+   * @param {Object} [options.client] - Prisma client or transaction client
+   * @returns {Promise<Object>} Updated lease
+   */
+  async transition(leaseId, toStatus, options = {}) {
+    const {
+      actorId = null,
+      reason = null,
+      data = {},
+      include,
+      client = prisma,
+    } = options;
+
+    // Status update and history entry must be written together
+    if (client === prisma) {
+      return await prisma.$transaction(tx =>
+        this.transition(leaseId, toStatus, { ...options, client: tx })
+      );
+    }
+
+    const lease = await client.lease.findUnique({
+      where: { id: leaseId },
+      select: { id: true, status: true },
+    });
+
+    if (!lease) {
+      throw new Error('Booking not found');
+    }
+
+    if (!this.canTransition(lease.status, toStatus)) {
+      throw new Error(
+        `Invalid booking status transition from ${lease.status} to ${toStatus}`
+      );
+    }
+
+    // Guard on the current status so concurrent changes cannot both win
+    const result = await client.lease.updateMany({
+      where: { id: leaseId, status: lease.status },
+      data: { ...data, status: toStatus },
+    });
+
+    if (result.count === 0) {
+      throw new Error('Booking status was changed by another request');
+    }
+
+    await client.leaseStatusHistory.create({
+      data: {
+        leaseId,
+        fromStatus: lease.status,
+        toStatus,
+        changedById: actorId,
+        reason,
+      },
+    });
+
+    return await client.lease.findUnique({
+      where: { id: leaseId },
+      include,
+    });
+  }
+
+  /**
+   * Status history of a lease, oldest first
+   * @param {string} leaseId
+   * @returns {Promise<Array>}
+   */
+  async getHistory(leaseId) {
+    return await prisma.leaseStatusHistory.findMany({
+      where: { leaseId },
+      include: {
+        changedBy: {
+          select: {
+            id: true,
+            name: true,
+            role: true,
+          },
+        },
+      },
+      orderBy: { createdAt: 'asc' },
+    });
+  }
+
+  /**
+   * Expire booking requests the landlord did not answer in time, activate
+   * leases whose start date has been reached and complete leases whose end
+   * date has passed. Run periodically by the scheduler.
+   * @param {Date} now
+   * @returns {Promise<Object>} { expired, activated, completed }
+   */
+  async runScheduledTransitions(now = new Date()) {
+    const today = toUtcDay(now);
+    let expired = 0;
+    let activated = 0;
+    let completed = 0;
+
+    const toExpire = await prisma.lease.findMany({
+      where: { status: 'PENDING', expiresAt: { lte: now } },
+      select: { id: true },
+    });
+
+    for (const lease of toExpire) {
+      if (
+        await this.applyScheduled(
+          lease.id,
+          'EXPIRED',
+          'Booking request was not answered in time'
+        )
+      ) {
+        expired += 1;
+      }
+    }
+
+    const toActivate = await prisma.lease.findMany({
+      where: { status: 'APPROVED', startDate: { lte: now } },
+      select: { id: true },
+    });
+
+    for (const lease of toActivate) {
+      if (await this.applyScheduled(lease.id, 'ACTIVE', 'Start date reached')) {
+        activated += 1;
+      }
+    }
+
+    // endDate is the last day of the lease (inclusive)
+    const toComplete = await prisma.lease.findMany({
+      where: { status: 'ACTIVE', endDate: { lt: today } },
+      select: { id: true },
+    });
+
+    for (const lease of toComplete) {
+      if (await this.applyScheduled(lease.id, 'COMPLETED', 'End date passed')) {
+        completed += 1;
+      }
+    }
+
+    return { expired, activated, completed };
+  }
+
+  /**
+   * Apply a scheduler transition, tolerating leases changed meanwhile
+   * @returns {Promise<boolean>} Whether the lease was updated
+   */
+  async applyScheduled(leaseId, toStatus, reason) {
+    try {
+      await this.transition(leaseId, toStatus, { reason });
+      return true;
+    } catch (error) {
+      console.error(
+        `❌ Could not move lease ${leaseId} to ${toStatus}:`,
+        error.message
+      );
+      return false;
+    }
+  }
+}
+
+module.exports = new LeaseLifecycleService();
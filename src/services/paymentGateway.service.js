@@ -0,0 +1,87 @@
+const SandboxPaymentGateway = require('./paymentGateways/sandbox.adapter');
+
+// Adapter factories by provider name. Register new providers here.
+const adapterFactories = {
+  sandbox: () => new SandboxPaymentGateway(),
+};
+
+class PaymentGatewayService {
+  constructor() {
+    this.instances = new Map();
+  }
+
+  /**
+   * Name of the gateway used for new checkouts
+   * @returns {string}
+   */
+  getDefaultProvider() {
+    return process.env.PAYMENT_GATEWAY || 'sandbox';
+  }
+
+  /**
+   * Register an additional gateway adapter
+   * @param {string} name - Provider name used in webhook URLs
+   * @param {Function} factory - Returns a PaymentGatewayAdapter instance
+   */
+  registerAdapter(name, factory) {
+    adapterFactories[name] = factory;
+    this.instances.delete(name);
+  }
+
+  /**
+   * Get (cached) adapter instance for a provider
+   * @param {string} name - Provider name (defaults to PAYMENT_GATEWAY)
+   * @returns {Object} PaymentGatewayAdapter
+   * @throws {Error} "... is unavailable" when no adapter is registered under
+   *   the name or the adapter is not configured for this environment
+   */
+  getGateway(name = this.getDefaultProvider()) {
+    if (!adapterFactories[name]) {
+      throw new Error(
+        `Payment gateway "${name}" is unavailable: no adapter is registered for it`
+      );
+    }
+
+    if (!this.instances.has(name)) {
+      this.instances.set(name, adapterFactories[name]());
+    }
+
+    const gateway = this.instances.get(name);
+    try {
+      gateway.assertConfigured();
+    } catch (error) {
+      throw new Error(
+        `Payment gateway "${name}" is unavailable: ${error.message}`
+      );
+    }
+
+    return gateway;
+  }
+
+  /**
+   * Why the gateway for new checkouts cannot be used, if it cannot. The app
+   * still starts; card and e-wallet checkout fail until it is configured.
+   * @returns {string|null}
+   */
+  getUnavailableReason() {
+    try {
+      this.getGateway();
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * Whether the sandbox gateway endpoints should be exposed
+   * @returns {boolean}
+   */
+  isSandboxEnabled() {
+    return (
+      this.getDefaultProvider() === 'sandbox' &&
+      process.env.NODE_ENV !== 'production'
+    );
+  }
+}
+
+module.exports = new PaymentGatewayService();
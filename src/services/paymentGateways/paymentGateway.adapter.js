@@ -0,0 +1,62 @@
+/**
+ * Base class for payment gateway adapters.
+ *
+ * Every provider (sandbox, Stripe, iPay88, ...) implements the same interface
+ * so the rest of the app never talks to a provider SDK directly.
+ */
+class PaymentGatewayAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Payment methods handled by this gateway
+   * @returns {Array<string>} PaymentMethod values
+   */
+  get supportedMethods() {
+    return ['CREDIT_CARD', 'EWALLET'];
+  }
+
+  /**
+   * Check the configuration the gateway needs before it is used
+   * @throws {Error} When the gateway cannot be used as configured
+   */
+  assertConfigured() {}
+
+  /**
+   * Create a hosted checkout session for a pending payment
+   * @param {Object} params
+   * @param {Object} params.payment - Payment record (PENDING)
+   * @param {Object} params.invoice - Invoice being paid
+   * @param {string} [params.returnUrl] - Where to send the payer afterwards
+   * @returns {Promise<Object>} { sessionId, txnRef, checkoutUrl, expiresAt }
+   */
+  // eslint-disable-next-line no-unused-vars
+  async createCheckoutSession(params) {
+    throw new Error(`${this.name} gateway does not implement checkout`);
+  }
+
+  /**
+   * Verify webhook signature
+   * @param {Buffer|string} rawBody - Raw request body
+   * @param {Object} headers - Request headers
+   * @returns {boolean}
+   */
+  // eslint-disable-next-line no-unused-vars
+  verifyWebhookSignature(rawBody, headers) {
+    throw new Error(`${this.name} gateway does not implement webhooks`);
+  }
+
+  /**
+   * Convert a provider webhook payload into a normalized event
+   * @param {Buffer|string} rawBody - Raw request body
+   * @returns {Object} { eventId, type, txnRef, amount, occurredAt }
+   *   where type is one of payment.succeeded, payment.failed, payment.refunded
+   */
+  // eslint-disable-next-line no-unused-vars
+  parseWebhookEvent(rawBody) {
+    throw new Error(`${this.name} gateway does not implement webhooks`);
+  }
+}
+
+module.exports = PaymentGatewayAdapter;
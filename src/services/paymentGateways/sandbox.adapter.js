@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const PaymentGatewayAdapter = require('./paymentGateway.adapter');
+
+const SIGNATURE_HEADER = 'x-sandbox-signature';
+const TIMESTAMP_HEADER = 'x-sandbox-timestamp';
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const SESSION_TTL_MS = 30 * 60 * 1000;
+
+const OUTCOME_EVENTS = {
+  success: 'payment.succeeded',
+  failure: 'payment.failed',
+  refund: 'payment.refunded',
+};
+
+/**
+ * Local sandbox gateway. Simulates hosted checkout sessions in memory and
+ * produces webhook events signed exactly like a real provider would.
+ */
+class SandboxPaymentGateway extends PaymentGatewayAdapter {
+  constructor() {
+    super('sandbox');
+    this.sessions = new Map();
+  }
+
+  /**
+   * The sandbox lets anyone complete a checkout, so it never runs in
+   * production, and its webhooks cannot be signed without a secret
+   */
+  assertConfigured() {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('Sandbox payment gateway is not available in production');
+    }
+
+    this.getWebhookSecret();
+  }
+
+  getWebhookSecret() {
+    if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+      throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+    }
+    return process.env.PAYMENT_WEBHOOK_SECRET;
+  }
+
+  async createCheckoutSession({ payment, invoice, returnUrl }) {
+    const sessionId = `cs_sandbox_${uuidv4().replace(/-/g, '')}`;
+    const txnRef = `SBX-${Date.now()}-${uuidv4().split('-')[0].toUpperCase()}`;
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3005';
+
+    const session = {
+      sessionId,
+      txnRef,
+      paymentId: payment.id,
+      invoiceId: invoice.id,
+      amount: parseFloat(payment.amount),
+      currencyCode: invoice.currencyCode,
+      method: payment.method,
+      status: 'OPEN',
+      returnUrl: returnUrl || null,
+      checkoutUrl: `${baseUrl}/api/payments/sandbox/checkout/${sessionId}`,
+      createdAt: new Date(),
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+    };
+
+    this.sessions.set(sessionId, session);
+
+    return {
+      sessionId,
+      txnRef,
+      checkoutUrl: session.checkoutUrl,
+      expiresAt: session.expiresAt,
+    };
+  }
+
+  getSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error('Checkout session not found');
+    }
+    return session;
+  }
+
+  sign(timestamp, rawBody) {
+    return crypto
+      .createHmac('sha256', this.getWebhookSecret())
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+  }
+
+  /**
+   * Simulate the payer finishing checkout: returns the signed webhook
+   * request the gateway would send for the given outcome
+   * @param {string} sessionId
+   * @param {string} outcome - success | failure | refund
+   * @returns {Object} { rawBody, headers }
+   */
+  simulateCheckoutOutcome(sessionId, outcome) {
+    const session = this.getSession(sessionId);
+    const type = OUTCOME_EVENTS[outcome];
+
+    if (!type) {
+      throw new Error(
+        `Invalid outcome. Use one of: ${Object.keys(OUTCOME_EVENTS).join(', ')}`
+      );
+    }
+
+    if (outcome !== 'refund' && session.expiresAt < new Date()) {
+      throw new Error('Checkout session has expired');
+    }
+
+    session.status = outcome === 'success' ? 'PAID' : outcome.toUpperCase();
+
+    const rawBody = JSON.stringify({
+      id: `evt_sandbox_${uuidv4().replace(/-/g, '')}`,
+      type,
+      created: Math.floor(Date.now() / 1000),
+      data: {
+        sessionId: session.sessionId,
+        txnRef: session.txnRef,
+        amount: session.amount,
+        currency: session.currencyCode,
+      },
+    });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    return {
+      rawBody,
+      headers: {
+        [TIMESTAMP_HEADER]: timestamp,
+        [SIGNATURE_HEADER]: this.sign(timestamp, rawBody),
+      },
+    };
+  }
+
+  verifyWebhookSignature(rawBody, headers) {
+    const timestamp = headers[TIMESTAMP_HEADER];
+    const signature = headers[SIGNATURE_HEADER];
+
+    if (!timestamp || !signature) {
+      return false;
+    }
+
+    const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp));
+    if (Number.isNaN(age) || age > SIGNATURE_TOLERANCE_SECONDS) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(timestamp, rawBody.toString()));
+    const received = Buffer.from(String(signature));
+
+    return (
+      expected.length === received.length &&
+      crypto.timingSafeEqual(expected, received)
+    );
+  }
+
+  parseWebhookEvent(rawBody) {
+    const payload = JSON.parse(rawBody.toString());
+
+    return {
+      eventId: payload.id,
+      type: payload.type,
+      txnRef: payload.data?.txnRef,
+      amount: payload.data?.amount,
+      occurredAt: new Date((payload.created || 0) * 1000),
+    };
+  }
+}
+
+module.exports = SandboxPaymentGateway;
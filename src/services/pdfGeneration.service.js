@@ -1,8 +1,17 @@
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const ejs = require('ejs');
 const puppeteer = require('puppeteer');
+const QRCode = require('qrcode');
 const { getSignatureQRCode } = require('./eSignature.service');
+const agreementTemplatesService = require('../modules/agreementTemplates/agreementTemplates.service');
+const { describeTermLength } = require('../utils/leaseTerms');
+const {
+  formatDate,
+  formatAmount,
+  getAgreementLabels,
+} = require('../utils/i18n');
 const { prisma } = require('../config/database');
 const {
   cloudinary,
@@ -283,7 +292,281 @@ class PDFGenerationService {
   }
 
   /**
-   * Generate rental agreement PDF and upload to Cloudinary
+   * Render an EJS template from the templates directory
+   * @param {string} templateName - File name, e.g. rental-agreement.ejs
+   * @param {Object} templateData
+   * @returns {string} HTML
+   */
+  renderTemplate(templateName, templateData) {
+    const templatePath = path.join(__dirname, '../../templates', templateName);
+    console.log('📖 Reading template from:', templatePath);
+
+    if (!fs.existsSync(templatePath)) {
+      throw new Error(`Template file not found: ${templatePath}`);
+    }
+
+    const templateContent = fs.readFileSync(templatePath, 'utf-8');
+    console.log('⚡ Rendering EJS template...');
+    return ejs.render(templateContent, templateData);
+  }
+
+  /**
+   * Print HTML to an A4 PDF with Puppeteer
+   * @param {string} html
+   * @param {Object} pdfOptions - Extra page.pdf options (header/footer, margin)
+   * @returns {Promise<Buffer>}
+   */
+  async renderHTMLToPDF(html, pdfOptions = {}) {
+    console.log('🌐 Launching browser for PDF generation...');
+
+    const chromePath = this.getChromePath();
+    const launchOptions = {
+      headless: 'new',
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--no-first-run',
+        '--no-zygote',
+        '--disable-gpu',
+      ],
+    };
+
+    if (chromePath) {
+      launchOptions.executablePath = chromePath;
+    }
+
+    const browser = await puppeteer.launch(launchOptions);
+
+    try {
+      const page = await browser.newPage();
+
+      await page.setContent(html, {
+        waitUntil: 'networkidle0',
+        timeout: 30000,
+      });
+
+      console.log('📄 Generating PDF...');
+      const pdfBuffer = await page.pdf({
+        format: 'A4',
+        printBackground: true,
+        margin: {
+          top: '20px',
+          bottom: '20px',
+          left: '20px',
+          right: '20px',
+        },
+        preferCSSPageSize: true,
+        ...pdfOptions,
+      });
+
+      console.log(
+        `✅ PDF generated successfully! Size: ${Math.round(pdfBuffer.length / 1024)} KB`
+      );
+
+      return pdfBuffer;
+    } finally {
+      await browser.close();
+    }
+  }
+
+  /**
+   * Save PDF locally with Cloudinary as backup
+   * @param {Buffer} pdfBuffer
+   * @param {string} fileName - Base name without extension
+   * @returns {Promise<Object>} url, publicId, fileName, size
+   */
+  async savePDF(pdfBuffer, fileName) {
+    console.log('💾 Saving PDF locally...');
+
+    try {
+      // Primary: Save to local storage
+      const uploadResult = await this.saveToLocalStorage(pdfBuffer, fileName);
+      console.log('✅ PDF saved to local storage successfully!');
+      return uploadResult;
+    } catch (localStorageError) {
+      console.warn(
+        '⚠️  Local storage failed, trying Cloudinary backup...',
+        localStorageError.message
+      );
+
+      try {
+        // Backup: Upload to Cloudinary with signed method
+        const uploadResult = await this.uploadPDFToCloudinary(
+          pdfBuffer,
+          fileName
+        );
+        console.log('✅ PDF uploaded to Cloudinary successfully as backup!');
+        return uploadResult;
+      } catch (cloudinaryError) {
+        console.error('❌ Both local storage and Cloudinary failed:', {
+          localError: localStorageError.message,
+          cloudinaryError: cloudinaryError.message,
+        });
+        throw new Error(
+          `Failed to save PDF: Local storage failed (${localStorageError.message}), Cloudinary backup also failed (${cloudinaryError.message})`
+        );
+      }
+    }
+  }
+
+  /**
+   * SHA-256 digest of a PDF, binding signatures to the exact document
+   * @param {Buffer} pdfBuffer
+   * @returns {string} Hex digest
+   */
+  hashPDF(pdfBuffer) {
+    return crypto.createHash('sha256').update(pdfBuffer).digest('hex');
+  }
+
+  /**
+   * Agreement number printed on the rental agreement
+   * @param {Object} lease
+   * @param {Date} date - Generation date of the agreement
+   * @returns {string}
+   */
+  getAgreementNumber(lease, date = new Date()) {
+    return `RA-${lease.id.slice(-8).toUpperCase()}-${new Date(date).getFullYear()}`;
+  }
+
+  /**
+   * Public URL where anyone can verify a rental agreement
+   * @param {string} agreementId
+   * @returns {string}
+   */
+  getVerificationUrl(agreementId) {
+    return `${process.env.BASE_URL || 'http://localhost:3005'}/api/agreements/verify/${agreementId}`;
+  }
+
+  /**
+   * Wording and formatting of the rental agreement in one language
+   * @param {string} language - en or ms
+   * @returns {Object} { language, labels, formatDate, formatAmount, describeTermLength }
+   */
+  getAgreementLocale(language) {
+    return {
+      language,
+      labels: getAgreementLabels(language),
+      formatDate: date => formatDate(date, language),
+      formatAmount: amount => formatAmount(amount, language),
+      describeTermLength: termLength =>
+        describeTermLength(termLength, language),
+    };
+  }
+
+  /**
+   * Template data describing the language(s) of an agreement
+   * @param {Object} content - Result of prepareAgreementContent
+   * @returns {Object} { locale, secondaryLocale }
+   */
+  getAgreementLocales(content) {
+    return {
+      locale: this.getAgreementLocale(content.language),
+      secondaryLocale: content.secondaryLanguage
+        ? this.getAgreementLocale(content.secondaryLanguage)
+        : null,
+    };
+  }
+
+  /**
+   * PDF options printing the verification QR code and URL in the footer of
+   * every page
+   * @param {string} agreementId
+   * @param {Array<string>} languages - Languages of the footer text
+   * @returns {Promise<Object>} page.pdf options
+   */
+  async getVerificationFooterOptions(agreementId, languages = ['en']) {
+    const verificationUrl = this.getVerificationUrl(agreementId);
+    const labels = languages.map(getAgreementLabels);
+    const qrCode = await QRCode.toDataURL(verificationUrl, {
+      errorCorrectionLevel: 'M',
+      margin: 0,
+      width: 120,
+    });
+
+    return {
+      displayHeaderFooter: true,
+      headerTemplate: '<span></span>',
+      footerTemplate: `
+        <div style="width: 100%; padding: 0 20px; display: flex; align-items: center; gap: 10px; font-family: 'Times New Roman', serif; font-size: 8px; color: #555;">
+          <img src="${qrCode}" style="width: 60px; height: 60px;" />
+          <div style="flex: 1;">
+            ${labels.map(label => label.verifyAt).join(' / ')}<br />${verificationUrl}
+          </div>
+          <div>${labels
+            .map(label =>
+              label.page(
+                '<span class="pageNumber"></span>',
+                '<span class="totalPages"></span>'
+              )
+            )
+            .join(' / ')}</div>
+        </div>`,
+      margin: {
+        top: '20px',
+        bottom: '90px',
+        left: '20px',
+        right: '20px',
+      },
+    };
+  }
+
+  /**
+   * Load a lease with everything the rental agreement template prints
+   * @param {string} leaseId
+   * @returns {Promise<Object>}
+   */
+  async findAgreementLease(leaseId) {
+    const lease = await prisma.lease.findUnique({
+      where: { id: leaseId },
+      include: {
+        rentPeriods: true,
+        property: {
+          include: {
+            propertyType: true,
+            amenities: {
+              include: {
+                amenity: true,
+              },
+            },
+          },
+        },
+        tenant: {
+          select: {
+            id: true,
+            email: true,
+            firstName: true,
+            lastName: true,
+            name: true,
+            phone: true,
+            preferredLanguage: true,
+          },
+        },
+        landlord: {
+          select: {
+            id: true,
+            email: true,
+            firstName: true,
+            lastName: true,
+            name: true,
+            phone: true,
+            preferredLanguage: true,
+          },
+        },
+      },
+    });
+
+    if (!lease) {
+      throw new Error(`Lease with ID ${leaseId} not found`);
+    }
+
+    return lease;
+  }
+
+  /**
+   * Generate rental agreement PDF and upload to Cloudinary. The PDF is
+   * unsigned; regenerating it discards earlier signatures.
    * @param {string} leaseId
    * @returns {Promise<Object>} Cloudinary upload result + RentalAgreement record
    */
@@ -294,220 +577,504 @@ class PDFGenerationService {
       );
 
       // 1. Get lease data dengan relasi lengkap
-      const lease = await prisma.lease.findUnique({
-        where: { id: leaseId },
-        include: {
-          property: {
-            include: {
-              propertyType: true,
-              amenities: {
-                include: {
-                  amenity: true,
-                },
-              },
-            },
-          },
-          tenant: {
-            select: {
-              id: true,
-              email: true,
-              firstName: true,
-              lastName: true,
-              name: true,
-              phone: true,
-            },
+      const lease = await this.findAgreementLease(leaseId);
+
+      console.log(
+        `📋 Retrieved lease data for property: ${lease.property.title}`
+      );
+
+      // 2. ID agreement dipakai di QR verifikasi, jadi ditentukan sebelum render
+      const existingAgreement = await prisma.rentalAgreement.findUnique({
+        where: { leaseId: lease.id },
+        select: { id: true },
+      });
+      const agreementId = existingAgreement ? existingAgreement.id : uuidv4();
+
+      // 3. Pilih bahasa, template agreement dan klausul yang aktif, hitung ketentuan sewa
+      const content =
+        await agreementTemplatesService.prepareAgreementContent(lease);
+      const languages = [content.language, content.secondaryLanguage].filter(
+        Boolean
+      );
+
+      // 4. Prepare data untuk template EJS (belum ada tanda tangan)
+      const templateData = {
+        rentalAgreement: {
+          id: this.getAgreementNumber(lease),
+        },
+        lease: lease,
+        sections: content.sections,
+        terms: content.terms,
+        ...this.getAgreementLocales(content),
+        signatures: {},
+        certificate: null,
+      };
+
+      // 5. Read dan render EJS template
+      const html = this.renderTemplate('rental-agreement.ejs', templateData);
+
+      // 6. Generate PDF menggunakan Puppeteer, QR verifikasi di setiap halaman
+      const pdfBuffer = await this.renderHTMLToPDF(
+        html,
+        await this.getVerificationFooterOptions(agreementId, languages)
+      );
+
+      // 7. Save PDF locally with Cloudinary as backup
+      const uploadResult = await this.savePDF(
+        pdfBuffer,
+        `rental-agreement-${lease.id}`
+      );
+
+      console.log('📍 PDF URL:', uploadResult.url);
+
+      // 8. Simpan record RentalAgreement ke database (ganti jika di-generate ulang)
+      console.log('💾 Saving rental agreement record to database...');
+      const agreementFile = {
+        pdfUrl: uploadResult.url,
+        publicId: uploadResult.publicId,
+        fileName: uploadResult.fileName,
+        fileSize: uploadResult.size,
+        documentHash: this.hashPDF(pdfBuffer),
+        templateVersionId: content.templateVersion.id,
+        secondaryTemplateVersionId: content.secondaryTemplateVersion
+          ? content.secondaryTemplateVersion.id
+          : null,
+        language: content.language,
+        secondaryLanguage: content.secondaryLanguage,
+        clauseKeys: content.clauseKeys,
+      };
+      const rentalAgreement = await prisma.rentalAgreement.upsert({
+        where: { leaseId: lease.id },
+        create: { id: agreementId, leaseId: lease.id, ...agreementFile },
+        update: {
+          ...agreementFile,
+          generatedAt: new Date(),
+          // Dokumen baru harus ditandatangani ulang oleh kedua pihak
+          status: 'PENDING_SIGNATURES',
+          executedAt: null,
+          executedPdfUrl: null,
+          executedPublicId: null,
+          executedFileName: null,
+          executedHash: null,
+          signatures: { deleteMany: {} },
+        },
+      });
+
+      console.log('✅ Rental agreement record saved to database');
+
+      return {
+        success: true,
+        message: 'Rental agreement PDF generated and uploaded successfully',
+        data: {
+          rentalAgreement,
+          cloudinary: {
+            url: uploadResult.url,
+            publicId: uploadResult.publicId,
+            fileName: uploadResult.fileName,
+            size: uploadResult.size,
+            etag: uploadResult.etag,
           },
-          landlord: {
-            select: {
-              id: true,
-              email: true,
-              firstName: true,
-              lastName: true,
-              name: true,
-              phone: true,
-            },
+        },
+      };
+    } catch (error) {
+      console.error('❌ Error generating rental agreement PDF:', error.message);
+      throw new Error(
+        `Failed to generate rental agreement PDF: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Generate the fully executed rental agreement: the signed agreement with
+   * both signatures and a signature certificate page
+   * @param {string} leaseId
+   * @returns {Promise<Object>} Upload result + updated RentalAgreement record
+   */
+  async generateExecutedAgreementPDF(leaseId) {
+    try {
+      console.log(`🚀 Starting executed agreement PDF generation: ${leaseId}`);
+
+      // 1. Get agreement, tanda tangan dan data lease
+      const rentalAgreement = await prisma.rentalAgreement.findUnique({
+        where: { leaseId },
+        include: {
+          signatures: {
+            orderBy: { signedAt: 'asc' },
           },
         },
       });
 
-      if (!lease) {
-        throw new Error(`Lease with ID ${leaseId} not found`);
+      if (!rentalAgreement) {
+        throw new Error('Rental agreement not found for this lease');
       }
 
-      console.log(
-        `📋 Retrieved lease data for property: ${lease.property.title}`
+      if (rentalAgreement.status !== 'FULLY_EXECUTED') {
+        throw new Error('Rental agreement has not been signed by both parties');
+      }
+
+      const lease = await this.findAgreementLease(leaseId);
+      const language = rentalAgreement.language;
+      const signatureByRole = Object.fromEntries(
+        rentalAgreement.signatures.map(signature => [signature.role, signature])
       );
 
-      // 2. Generate QR codes for signatures
-      console.log('📝 Generating e-signature QR codes...');
+      // 2. Generate QR codes dari data tanda tangan
+      const buildSignature = async signature => ({
+        qrCode: await getSignatureQRCode({
+          name: signature.signerName,
+          timestamp: signature.signedAt.toISOString(),
+          leaseId: lease.id,
+          role: signature.role.toLowerCase(),
+          signatureId: signature.id,
+          documentHash: signature.documentHash,
+        }),
+        signDate: formatDate(signature.signedAt, language),
+        name: signature.signerName,
+      });
 
-      const landlordSignData = {
-        name: lease.landlord.name,
-        timestamp: new Date().toISOString(),
-        leaseId: lease.id,
-        role: 'landlord',
-      };
+      const [landlordSignature, tenantSignature] = await Promise.all([
+        buildSignature(signatureByRole.LANDLORD),
+        buildSignature(signatureByRole.TENANT),
+      ]);
 
-      const tenantSignData = {
-        name: lease.tenant.name,
-        timestamp: new Date().toISOString(),
-        leaseId: lease.id,
-        role: 'tenant',
+      // 3. Render ulang dengan versi template dan klausul yang ditandatangani,
+      //    ditambah halaman sertifikat
+      const content = await agreementTemplatesService.prepareAgreementContent(
+        lease,
+        rentalAgreement
+      );
+      const agreementNumber = this.getAgreementNumber(
+        lease,
+        rentalAgreement.generatedAt
+      );
+      const html = this.renderTemplate('rental-agreement.ejs', {
+        rentalAgreement: { id: agreementNumber },
+        lease,
+        sections: content.sections,
+        terms: content.terms,
+        ...this.getAgreementLocales(content),
+        signatures: {
+          landlord: landlordSignature,
+          tenant: tenantSignature,
+        },
+        certificate: {
+          agreementNumber,
+          documentHash: rentalAgreement.documentHash,
+          executedAt: rentalAgreement.executedAt,
+          signatures: rentalAgreement.signatures,
+          verificationUrl: this.getVerificationUrl(rentalAgreement.id),
+        },
+      });
+      const pdfBuffer = await this.renderHTMLToPDF(
+        html,
+        await this.getVerificationFooterOptions(
+          rentalAgreement.id,
+          [content.language, content.secondaryLanguage].filter(Boolean)
+        )
+      );
+
+      // 4. Simpan PDF final, kecuali agreement di-generate ulang sementara itu
+      const uploadResult = await this.savePDF(
+        pdfBuffer,
+        `rental-agreement-${lease.id}-executed`
+      );
+
+      const result = await prisma.rentalAgreement.updateMany({
+        where: {
+          id: rentalAgreement.id,
+          documentHash: rentalAgreement.documentHash,
+        },
+        data: {
+          executedPdfUrl: uploadResult.url,
+          executedPublicId: uploadResult.publicId,
+          executedFileName: uploadResult.fileName,
+          executedHash: this.hashPDF(pdfBuffer),
+        },
+      });
+
+      if (result.count === 0) {
+        throw new Error('Rental agreement was regenerated during signing');
+      }
+
+      console.log('✅ Executed agreement saved:', uploadResult.url);
+
+      return {
+        success: true,
+        message: 'Executed rental agreement PDF generated successfully',
+        data: {
+          rentalAgreement: await prisma.rentalAgreement.findUnique({
+            where: { id: rentalAgreement.id },
+          }),
+          file: {
+            url: uploadResult.url,
+            publicId: uploadResult.publicId,
+            fileName: uploadResult.fileName,
+            size: uploadResult.size,
+          },
+        },
       };
+    } catch (error) {
+      console.error(
+        '❌ Error generating executed agreement PDF:',
+        error.message
+      );
+      throw new Error(
+        `Failed to generate executed agreement PDF: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Generate the termination addendum PDF of a lease and store it on the
+   * LeaseTermination record
+   * @param {string} terminationId
+   * @param {Object} adjustments - Optional invoice adjustments to list
+   * @returns {Promise<Object>} Upload result + updated LeaseTermination record
+   */
+  async generateTerminationAddendumPDF(terminationId, adjustments = null) {
+    try {
+      console.log(
+        `🚀 Starting termination addendum PDF generation: ${terminationId}`
+      );
 
+      // 1. Get termination dengan data lease
+      const termination = await prisma.leaseTermination.findUnique({
+        where: { id: terminationId },
+        include: {
+          requestedBy: {
+            select: { id: true, name: true },
+          },
+          lease: {
+            include: {
+              property: {
+                select: {
+                  id: true,
+                  title: true,
+                  address: true,
+                  city: true,
+                  state: true,
+                  zipCode: true,
+                  country: true,
+                },
+              },
+              tenant: {
+                select: {
+                  id: true,
+                  email: true,
+                  firstName: true,
+                  lastName: true,
+                  name: true,
+                },
+              },
+              landlord: {
+                select: {
+                  id: true,
+                  email: true,
+                  firstName: true,
+                  lastName: true,
+                  name: true,
+                },
+              },
+            },
+          },
+        },
+      });
+
+      if (!termination) {
+        throw new Error(`Lease termination with ID ${terminationId} not found`);
+      }
+
+      const { lease } = termination;
+
+      // 2. Generate QR codes for signatures
       const [landlordQRCode, tenantQRCode] = await Promise.all([
-        getSignatureQRCode(landlordSignData),
-        getSignatureQRCode(tenantSignData),
+        getSignatureQRCode({
+          name: lease.landlord.name,
+          timestamp: new Date().toISOString(),
+          leaseId: lease.id,
+          role: 'landlord',
+        }),
+        getSignatureQRCode({
+          name: lease.tenant.name,
+          timestamp: new Date().toISOString(),
+          leaseId: lease.id,
+          role: 'tenant',
+        }),
       ]);
 
-      console.log('✅ QR codes generated successfully');
-
-      // 3. Prepare data untuk template EJS
-      const templateData = {
-        rentalAgreement: {
-          id: `RA-${lease.id.slice(-8).toUpperCase()}-${new Date().getFullYear()}`,
+      // 3. Render template dan generate PDF
+      const html = this.renderTemplate('termination-addendum.ejs', {
+        addendum: {
+          id: `TA-${lease.id.slice(-8).toUpperCase()}-${new Date().getFullYear()}`,
         },
-        lease: lease,
+        termination,
+        lease,
+        adjustments,
         signatures: {
           landlord: {
             qrCode: landlordQRCode,
             signDate: new Date().toLocaleDateString('id-ID'),
-            name: lease.landlord.name,
           },
           tenant: {
             qrCode: tenantQRCode,
             signDate: new Date().toLocaleDateString('id-ID'),
-            name: lease.tenant.name,
           },
         },
-      };
+      });
+      const pdfBuffer = await this.renderHTMLToPDF(html);
 
-      // 4. Read dan render EJS template
-      const templatePath = path.join(
-        __dirname,
-        '../../templates/rental-agreement.ejs'
+      // 4. Simpan PDF dan catat di LeaseTermination
+      const uploadResult = await this.savePDF(
+        pdfBuffer,
+        `termination-addendum-${lease.id}`
       );
-      console.log('📖 Reading template from:', templatePath);
-
-      if (!fs.existsSync(templatePath)) {
-        throw new Error(`Template file not found: ${templatePath}`);
-      }
 
-      const templateContent = fs.readFileSync(templatePath, 'utf-8');
-      console.log('⚡ Rendering EJS template...');
-      const html = ejs.render(templateContent, templateData);
-
-      // 5. Generate PDF menggunakan Puppeteer
-      console.log('🌐 Launching browser for PDF generation...');
-
-      const chromePath = this.getChromePath();
-      const launchOptions = {
-        headless: 'new',
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--no-first-run',
-          '--no-zygote',
-          '--disable-gpu',
-        ],
-      };
-
-      if (chromePath) {
-        launchOptions.executablePath = chromePath;
-      }
-
-      const browser = await puppeteer.launch(launchOptions);
-      const page = await browser.newPage();
-
-      await page.setContent(html, {
-        waitUntil: 'networkidle0',
-        timeout: 30000,
+      const updatedTermination = await prisma.leaseTermination.update({
+        where: { id: terminationId },
+        data: {
+          addendumUrl: uploadResult.url,
+          addendumPublicId: uploadResult.publicId,
+          addendumFileName: uploadResult.fileName,
+        },
       });
 
-      console.log('📄 Generating PDF...');
-      const pdfBuffer = await page.pdf({
-        format: 'A4',
-        printBackground: true,
-        margin: {
-          top: '20px',
-          bottom: '20px',
-          left: '20px',
-          right: '20px',
+      console.log('✅ Termination addendum saved:', uploadResult.url);
+
+      return {
+        success: true,
+        message: 'Termination addendum PDF generated successfully',
+        data: {
+          termination: updatedTermination,
+          file: {
+            url: uploadResult.url,
+            publicId: uploadResult.publicId,
+            fileName: uploadResult.fileName,
+            size: uploadResult.size,
+          },
         },
-        preferCSSPageSize: true,
-      });
+      };
+    } catch (error) {
+      console.error(
+        '❌ Error generating termination addendum PDF:',
+        error.message
+      );
+      throw new Error(
+        `Failed to generate termination addendum PDF: ${error.message}`
+      );
+    }
+  }
 
-      await browser.close();
+  /**
+   * Generate the deposit settlement statement PDF and store it on the
+   * DepositSettlement record
+   * @param {string} settlementId
+   * @returns {Promise<Object>} Upload result + updated DepositSettlement record
+   */
+  async generateDepositStatementPDF(settlementId) {
+    try {
       console.log(
-        `✅ PDF generated successfully! Size: ${Math.round(pdfBuffer.length / 1024)} KB`
+        `🚀 Starting deposit statement PDF generation: ${settlementId}`
       );
 
-      // 6. Save PDF locally with Cloudinary as backup
-      console.log('💾 Saving PDF locally...');
-      const fileName = `rental-agreement-${lease.id}`;
-
-      let uploadResult;
-      try {
-        // Primary: Save to local storage
-        uploadResult = await this.saveToLocalStorage(pdfBuffer, fileName);
-        console.log('✅ PDF saved to local storage successfully!');
-      } catch (localStorageError) {
-        console.warn(
-          '⚠️  Local storage failed, trying Cloudinary backup...',
-          localStorageError.message
-        );
+      // 1. Get settlement dengan ledger dan potongan
+      const settlement = await prisma.depositSettlement.findUnique({
+        where: { id: settlementId },
+        include: {
+          lease: {
+            include: {
+              property: {
+                select: {
+                  id: true,
+                  title: true,
+                  address: true,
+                  city: true,
+                  state: true,
+                  zipCode: true,
+                  country: true,
+                },
+              },
+              tenant: {
+                select: {
+                  id: true,
+                  email: true,
+                  firstName: true,
+                  lastName: true,
+                  name: true,
+                },
+              },
+              landlord: {
+                select: {
+                  id: true,
+                  email: true,
+                  firstName: true,
+                  lastName: true,
+                  name: true,
+                },
+              },
+              depositTransactions: {
+                orderBy: { createdAt: 'asc' },
+              },
+              depositDeductions: {
+                orderBy: { createdAt: 'asc' },
+              },
+            },
+          },
+        },
+      });
 
-        try {
-          // Backup: Upload to Cloudinary with signed method
-          uploadResult = await this.uploadPDFToCloudinary(pdfBuffer, fileName);
-          console.log('✅ PDF uploaded to Cloudinary successfully as backup!');
-        } catch (cloudinaryError) {
-          console.error('❌ Both local storage and Cloudinary failed:', {
-            localError: localStorageError.message,
-            cloudinaryError: cloudinaryError.message,
-          });
-          throw new Error(
-            `Failed to save PDF: Local storage failed (${localStorageError.message}), Cloudinary backup also failed (${cloudinaryError.message})`
-          );
-        }
+      if (!settlement) {
+        throw new Error(`Deposit settlement with ID ${settlementId} not found`);
       }
 
-      console.log('📍 PDF URL:', uploadResult.url);
+      const { lease } = settlement;
 
-      // 7. Simpan record RentalAgreement ke database
-      console.log('💾 Saving rental agreement record to database...');
-      const rentalAgreement = await prisma.rentalAgreement.create({
+      // 2. Render template dan generate PDF
+      const html = this.renderTemplate('deposit-statement.ejs', {
+        statement: {
+          id: `DS-${lease.id.slice(-8).toUpperCase()}-${new Date().getFullYear()}`,
+        },
+        settlement,
+        lease,
+      });
+      const pdfBuffer = await this.renderHTMLToPDF(html);
+
+      // 3. Simpan PDF dan catat di DepositSettlement
+      const uploadResult = await this.savePDF(
+        pdfBuffer,
+        `deposit-statement-${lease.id}`
+      );
+
+      const updatedSettlement = await prisma.depositSettlement.update({
+        where: { id: settlementId },
         data: {
-          leaseId: lease.id,
-          pdfUrl: uploadResult.url,
-          publicId: uploadResult.publicId,
-          fileName: uploadResult.fileName,
-          fileSize: uploadResult.size,
+          statementUrl: uploadResult.url,
+          statementPublicId: uploadResult.publicId,
+          statementFileName: uploadResult.fileName,
         },
       });
 
-      console.log('✅ Rental agreement record saved to database');
+      console.log('✅ Deposit statement saved:', uploadResult.url);
 
       return {
         success: true,
-        message: 'Rental agreement PDF generated and uploaded successfully',
+        message: 'Deposit statement PDF generated successfully',
         data: {
-          rentalAgreement,
-          cloudinary: {
+          settlement: updatedSettlement,
+          file: {
             url: uploadResult.url,
             publicId: uploadResult.publicId,
             fileName: uploadResult.fileName,
             size: uploadResult.size,
-            etag: uploadResult.etag,
           },
         },
       };
     } catch (error) {
-      console.error('❌ Error generating rental agreement PDF:', error.message);
+      console.error(
+        '❌ Error generating deposit statement PDF:',
+        error.message
+      );
       throw new Error(
-        `Failed to generate rental agreement PDF: ${error.message}`
+        `Failed to generate deposit statement PDF: ${error.message}`
       );
     }
   }
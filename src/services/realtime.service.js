@@ -0,0 +1,179 @@
+const { prisma } = require('../config/database');
+const { hasPermission } = require('../config/permissions');
+
+/**
+ * Server-Sent Events hub. Keeps the open event streams of this API process
+ * and pushes events to the users they concern, so dashboards do not have to
+ * poll. Events are delivered by the process that handled the change: with
+ * several API instances, a client only receives events raised by the
+ * instance it is connected to.
+ */
+class RealtimeService {
+  constructor() {
+    // userId -> Set of { userId, sessionId, role, res, heartbeat }
+    this.clients = new Map();
+    this.nextEventId = 1;
+  }
+
+  /**
+   * Open an event stream for an authenticated user. The response stays open
+   * until the client disconnects or its login session ends; a comment is
+   * sent periodically so proxies do not close an idle stream, and the
+   * session is checked again at the same interval.
+   * @param {Object} req - Express request (req.sessionId set by authStream)
+   * @param {Object} res - Express response
+   * @param {Object} user - Authenticated user (id, role)
+   * @param {Object} readyData - Payload of the initial `ready` event
+   */
+  connect(req, res, user, readyData = {}) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Disable response buffering in nginx
+      'X-Accel-Buffering': 'no',
+    });
+    res.write('retry: 5000\n\n');
+
+    const client = {
+      userId: user.id,
+      sessionId: req.sessionId,
+      role: user.role,
+      res,
+    };
+    if (!this.clients.has(user.id)) {
+      this.clients.set(user.id, new Set());
+    }
+    this.clients.get(user.id).add(client);
+
+    const heartbeatMs =
+      (parseInt(process.env.REALTIME_HEARTBEAT_SECONDS) || 25) * 1000;
+    client.heartbeat = setInterval(() => this.heartbeat(client), heartbeatMs);
+
+    req.on('close', () => this.remove(client));
+
+    this.write(client, 'ready', readyData);
+  }
+
+  /**
+   * Keep a stream alive while its session is still valid. Sessions revoked
+   * through another API instance, or expired, are caught here.
+   * @param {Object} client
+   */
+  async heartbeat(client) {
+    try {
+      const session = await prisma.userSession.findUnique({
+        where: { id: client.sessionId },
+        select: {
+          revokedAt: true,
+          expiresAt: true,
+          user: { select: { isActive: true } },
+        },
+      });
+
+      if (
+        !session ||
+        session.revokedAt ||
+        session.expiresAt <= new Date() ||
+        !session.user.isActive
+      ) {
+        return this.close(client);
+      }
+
+      if (!client.res.writableEnded) {
+        client.res.write(': ping\n\n');
+      }
+    } catch (error) {
+      console.error('Event stream session check error:', error.message);
+    }
+  }
+
+  /**
+   * Forget a stream that was closed
+   * @param {Object} client
+   */
+  remove(client) {
+    clearInterval(client.heartbeat);
+
+    const connections = this.clients.get(client.userId);
+    if (connections) {
+      connections.delete(client);
+      if (connections.size === 0) {
+        this.clients.delete(client.userId);
+      }
+    }
+  }
+
+  /**
+   * End a stream whose session is no longer valid. The client is told why
+   * before the response ends; reconnecting with the old token then fails.
+   * @param {Object} client
+   */
+  close(client) {
+    this.remove(client);
+
+    if (!client.res.writableEnded) {
+      this.write(client, 'session.revoked', { sessionId: client.sessionId });
+      client.res.end();
+    }
+  }
+
+  /**
+   * End the open streams of a user's revoked sessions
+   * @param {string} userId
+   * @param {string} sessionId - Only this session; all sessions when omitted
+   */
+  closeSessions(userId, sessionId = null) {
+    for (const client of [...(this.clients.get(userId) || [])]) {
+      if (!sessionId || client.sessionId === sessionId) {
+        this.close(client);
+      }
+    }
+  }
+
+  /**
+   * Write one event to a stream
+   * @param {Object} client - { res }
+   * @param {string} event - Event name, e.g. booking.created
+   * @param {Object} data - JSON payload
+   */
+  write(client, event, data) {
+    client.res.write(
+      `id: ${this.nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+    );
+  }
+
+  /**
+   * Push an event to every open stream of the given users
+   * @param {string|Array<string>} userIds - Recipients (falsy ids are skipped)
+   * @param {string} event - Event name, e.g. booking.created
+   * @param {Object} data - JSON payload
+   */
+  publish(userIds, event, data) {
+    const recipients = new Set([].concat(userIds).filter(Boolean));
+
+    for (const userId of recipients) {
+      for (const client of this.clients.get(userId) || []) {
+        this.write(client, event, data);
+      }
+    }
+  }
+
+  /**
+   * Push an event to every connected user whose role has a permission
+   * @param {string} permission - e.g. listing.approve
+   * @param {string} event - Event name
+   * @param {Object} data - JSON payload
+   */
+  publishToPermission(permission, event, data) {
+    for (const connections of this.clients.values()) {
+      for (const client of connections) {
+        if (hasPermission(client.role, permission)) {
+          this.write(client, event, data);
+        }
+      }
+    }
+  }
+}
+
+module.exports = new RealtimeService();
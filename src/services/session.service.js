@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { prisma } = require('../config/database');
+const realtimeService = require('./realtime.service');
+
+/**
+ * Login sessions. Each login opens a session that pairs short-lived access
+ * tokens (JWT carrying the session ID) with a refresh token stored only as a
+ * hash. Refresh tokens rotate on every use; presenting one that was already
+ * exchanged means it was copied, so the whole session is revoked.
+ */
+class SessionService {
+  /**
+   * Hash of a raw refresh token, as stored in the database
+   * @param {string} token
+   * @returns {string}
+   */
+  hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Date a refresh token issued now stops working
+   * @returns {Date}
+   */
+  getRefreshExpiry() {
+    const days = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Device details recorded with a session
+   * @param {Object} req - Express request
+   * @returns {Object} { userAgent, ipAddress }
+   */
+  getClientInfo(req) {
+    return {
+      userAgent: req.get('user-agent')?.slice(0, 500) || null,
+      ipAddress: req.ip || null,
+    };
+  }
+
+  /**
+   * Sign an access token for a session
+   * @param {Object} user - id, email, role
+   * @param {string} sessionId
+   * @returns {string} JWT
+   */
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      { userId: user.id, email: user.email, role: user.role, sessionId },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+    );
+  }
+
+  /**
+   * Store a new refresh token for a session
+   * @returns {Promise<string>} Raw token to hand to the client
+   */
+  async issueRefreshToken(sessionId, client = prisma) {
+    const token = crypto.randomBytes(48).toString('base64url');
+
+    await client.refreshToken.create({
+      data: { sessionId, tokenHash: this.hash(token) },
+    });
+
+    return token;
+  }
+
+  /**
+   * Open a session for a user who just logged in
+   * @param {Object} user - id, email, role
+   * @param {Object} req - Express request (device details)
+   * @returns {Promise<Object>} { token, refreshToken, sessionId }
+   */
+  async createSession(user, req) {
+    return await prisma.$transaction(async tx => {
+      const session = await tx.userSession.create({
+        data: {
+          userId: user.id,
+          ...this.getClientInfo(req),
+          expiresAt: this.getRefreshExpiry(),
+        },
+      });
+
+      return {
+        token: this.signAccessToken(user, session.id),
+        refreshToken: await this.issueRefreshToken(session.id, tx),
+        sessionId: session.id,
+      };
+    });
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * @param {string} refreshToken - Raw refresh token
+   * @param {Object} req - Express request (device details)
+   * @returns {Promise<Object>} { token, refreshToken, sessionId }
+   */
+  async refresh(refreshToken, req) {
+    const now = new Date();
+    const record = await prisma.refreshToken.findUnique({
+      where: { tokenHash: this.hash(refreshToken) },
+      include: {
+        session: {
+          include: {
+            user: {
+              select: {
+                id: true,
+                email: true,
+                role: true,
+                isActive: true,
+                twoFactorEnabled: true,
+              },
+            },
+          },
+        },
+      },
+    });
+
+    if (!record) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const { session } = record;
+    if (
+      session.revokedAt ||
+      session.expiresAt <= now ||
+      !session.user.isActive
+    ) {
+      throw new Error('Invalid refresh token');
+    }
+
+    // Sessions opened before 2FA was required for the role end here, so the
+    // user has to log in again and set it up
+    if (!session.user.twoFactorEnabled) {
+      const policy = await prisma.roleSecurityPolicy.findUnique({
+        where: { role: session.user.role },
+      });
+
+      if (policy?.requireTwoFactor) {
+        await prisma.userSession.updateMany({
+          where: { id: session.id, revokedAt: null },
+          data: { revokedAt: now, revokedReason: 'TWO_FACTOR_REQUIRED' },
+        });
+        realtimeService.closeSessions(session.userId, session.id);
+        throw new Error('Invalid refresh token');
+      }
+    }
+
+    const rotated = await prisma.$transaction(async tx => {
+      // Conditional, so two requests with the same token cannot both win
+      const { count } = await tx.refreshToken.updateMany({
+        where: { id: record.id, usedAt: null },
+        data: { usedAt: now },
+      });
+
+      if (count !== 1) {
+        return null;
+      }
+
+      await tx.userSession.update({
+        where: { id: session.id },
+        data: {
+          ...this.getClientInfo(req),
+          lastUsedAt: now,
+          expiresAt: this.getRefreshExpiry(),
+        },
+      });
+
+      return {
+        token: this.signAccessToken(session.user, session.id),
+        refreshToken: await this.issueRefreshToken(session.id, tx),
+        sessionId: session.id,
+      };
+    });
+
+    if (!rotated) {
+      await prisma.userSession.updateMany({
+        where: { id: session.id, revokedAt: null },
+        data: { revokedAt: now, revokedReason: 'REUSE_DETECTED' },
+      });
+      realtimeService.closeSessions(session.userId, session.id);
+      throw new Error('Invalid refresh token');
+    }
+
+    return rotated;
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   * @param {string} userId
+   * @param {string} currentSessionId - Marked with current: true
+   * @returns {Promise<Array>}
+   */
+  async getSessions(userId, currentSessionId) {
+    const sessions = await prisma.userSession.findMany({
+      where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+      select: {
+        id: true,
+        userAgent: true,
+        ipAddress: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true,
+      },
+      orderBy: { lastUsedAt: 'desc' },
+    });
+
+    return sessions.map(session => ({
+      ...session,
+      current: session.id === currentSessionId,
+    }));
+  }
+
+  /**
+   * Revoke one session of a user. Its access and refresh tokens stop
+   * working immediately and its event streams are closed.
+   * @param {string} userId
+   * @param {string} sessionId
+   * @param {string} reason - e.g. LOGOUT, REVOKED
+   */
+  async revokeSession(userId, sessionId, reason = 'REVOKED') {
+    const { count } = await prisma.userSession.updateMany({
+      where: { id: sessionId, userId, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: reason },
+    });
+
+    if (count === 0) {
+      throw new Error('Session not found');
+    }
+
+    realtimeService.closeSessions(userId, sessionId);
+  }
+
+  /**
+   * Revoke every active session of a user and close their event streams.
+   * Inside a transaction the streams close before the commit; a stream
+   * closed by a transaction that then rolls back simply reconnects.
+   * @param {string} userId
+   * @param {string} reason - e.g. LOGOUT_ALL, PASSWORD_RESET, DEACTIVATED
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAllSessions(userId, reason, client = prisma) {
+    const { count } = await client.userSession.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: reason },
+    });
+
+    realtimeService.closeSessions(userId);
+
+    return count;
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,508 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { authenticator } = require('otplib');
+const { prisma } = require('../config/database');
+const sessionService = require('./session.service');
+const accountSecurityService = require('./accountSecurity.service');
+const { ROLES } = require('../config/permissions');
+
+// Accept the previous and next 30-second step to allow for clock drift
+authenticator.options = { window: 1 };
+
+const RECOVERY_CODE_COUNT = 10;
+
+const twoFactorUserSelect = {
+  id: true,
+  email: true,
+  role: true,
+  isActive: true,
+  password: true,
+  twoFactorEnabled: true,
+  twoFactorSecret: true,
+  twoFactorLastStep: true,
+  failedLoginCount: true,
+  lastFailedLoginAt: true,
+  lockedUntil: true,
+};
+
+/**
+ * Two-factor authentication with TOTP authenticator apps and one-time
+ * recovery codes. A login by a user with 2FA (or whose role requires it)
+ * first returns a short-lived challenge token, which is exchanged for a
+ * session once the second factor is checked.
+ */
+class TwoFactorService {
+  /**
+   * Key used to encrypt TOTP secrets at rest
+   * @returns {Buffer}
+   */
+  getEncryptionKey() {
+    return crypto
+      .createHash('sha256')
+      .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+      .digest();
+  }
+
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(
+      'aes-256-gcm',
+      this.getEncryptionKey(),
+      iv
+    );
+    const encrypted = Buffer.concat([
+      cipher.update(secret, 'utf8'),
+      cipher.final(),
+    ]);
+
+    return [iv, cipher.getAuthTag(), encrypted]
+      .map(part => part.toString('base64'))
+      .join(':');
+  }
+
+  decryptSecret(value) {
+    const [iv, tag, encrypted] = value
+      .split(':')
+      .map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm',
+      this.getEncryptionKey(),
+      iv
+    );
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([
+      decipher.update(encrypted),
+      decipher.final(),
+    ]).toString('utf8');
+  }
+
+  /**
+   * Hash of a recovery code, ignoring case, spaces and dashes
+   * @param {string} code
+   * @returns {string}
+   */
+  hashRecoveryCode(code) {
+    const normalized = String(code).replace(/[\s-]/g, '').toLowerCase();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  async findUser(userId) {
+    return await prisma.user.findUnique({
+      where: { id: userId },
+      select: twoFactorUserSelect,
+    });
+  }
+
+  /**
+   * Whether users with a role must use 2FA
+   * @param {string} role
+   * @returns {Promise<boolean>}
+   */
+  async isRequiredForRole(role) {
+    const policy = await prisma.roleSecurityPolicy.findUnique({
+      where: { role },
+    });
+
+    return !!policy?.requireTwoFactor;
+  }
+
+  /**
+   * Sign a challenge token that stands in for a session until the second
+   * factor is checked. It carries no session, so it is refused by the auth
+   * middleware.
+   * @param {string} userId
+   * @param {string} purpose - verify (enter a code) or setup (enroll first)
+   * @returns {string} JWT
+   */
+  signChallenge(userId, purpose) {
+    return jwt.sign(
+      { userId, purpose: `2fa:${purpose}` },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m' }
+    );
+  }
+
+  /**
+   * Check a challenge token
+   * @param {string} token
+   * @param {string} purpose - verify or setup
+   * @returns {string} User ID
+   */
+  verifyChallenge(token, purpose) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      if (decoded.purpose !== `2fa:${purpose}`) {
+        throw new Error('Wrong challenge purpose');
+      }
+
+      return decoded.userId;
+    } catch (error) {
+      throw new Error('Invalid or expired challenge');
+    }
+  }
+
+  /**
+   * Open a session and record the login in the security log
+   * @param {Object} user - id, email, role
+   * @param {Object} req - Express request (device details)
+   * @param {Object} metadata - How the user logged in, e.g. { method: 'google' }
+   * @returns {Promise<Object>} { token, refreshToken }
+   */
+  async openSession(user, req, metadata) {
+    const { token, refreshToken } = await sessionService.createSession(
+      user,
+      req
+    );
+    await accountSecurityService.recordSuccess(user, req, metadata);
+
+    return { token, refreshToken };
+  }
+
+  /**
+   * Continue a login whose first factor (password or OAuth provider) passed.
+   * Opens a session, or returns a challenge when the user has 2FA turned on
+   * (`verify`) or must set it up for their role (`setup`).
+   * @param {Object} user - id, email, role, twoFactorEnabled
+   * @param {Object} req - Express request (device details)
+   * @param {string} method - First factor: password, register, google,
+   * facebook, github, twitter or apple
+   * @returns {Promise<Object>} { token, refreshToken } or
+   * { twoFactor, challengeToken }
+   */
+  async startLogin(user, req, method) {
+    if (user.twoFactorEnabled) {
+      return {
+        twoFactor: 'verify',
+        challengeToken: this.signChallenge(user.id, 'verify'),
+      };
+    }
+
+    if (await this.isRequiredForRole(user.role)) {
+      return {
+        twoFactor: 'setup',
+        challengeToken: this.signChallenge(user.id, 'setup'),
+      };
+    }
+
+    return await this.openSession(user, req, { method });
+  }
+
+  /**
+   * Check a TOTP code. A code is accepted once: the time step it belongs to
+   * is recorded and older or equal steps are refused afterwards.
+   * @param {Object} user - id, twoFactorSecret
+   * @param {string} code - 6-digit code
+   * @returns {Promise<boolean>}
+   */
+  async verifyCode(user, code) {
+    if (!user.twoFactorSecret || !code) {
+      return false;
+    }
+
+    const delta = authenticator.checkDelta(
+      String(code).replace(/\s/g, ''),
+      this.decryptSecret(user.twoFactorSecret)
+    );
+    if (delta === null) {
+      return false;
+    }
+
+    const step = Math.floor(Date.now() / 30000) + delta;
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }],
+      },
+      data: { twoFactorLastStep: step },
+    });
+
+    return count === 1;
+  }
+
+  /**
+   * Use up a recovery code
+   * @param {string} userId
+   * @param {string} code
+   * @returns {Promise<boolean>}
+   */
+  async useRecoveryCode(userId, code) {
+    if (!code) {
+      return false;
+    }
+
+    const { count } = await prisma.twoFactorRecoveryCode.updateMany({
+      where: { userId, codeHash: this.hashRecoveryCode(code), usedAt: null },
+      data: { usedAt: new Date() },
+    });
+
+    return count === 1;
+  }
+
+  /**
+   * Replace the recovery codes of a user with a new set
+   * @returns {Promise<Array<string>>} Codes, shown to the user once
+   */
+  async replaceRecoveryCodes(userId, client = prisma) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    await client.twoFactorRecoveryCode.deleteMany({ where: { userId } });
+    await client.twoFactorRecoveryCode.createMany({
+      data: codes.map(code => ({
+        userId,
+        codeHash: this.hashRecoveryCode(code),
+      })),
+    });
+
+    return codes;
+  }
+
+  /**
+   * Start enrollment: create a secret and the QR code to scan with an
+   * authenticator app. 2FA is turned on by `enable` once a code from the
+   * app is confirmed.
+   * @param {string} userId
+   * @returns {Promise<Object>} { secret, otpauthUrl, qrCode }
+   */
+  async setup(userId) {
+    const user = await this.findUser(userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.twoFactorEnabled) {
+      throw new Error(
+        'Cannot set up two-factor authentication: it is already enabled'
+      );
+    }
+
+    const secret = authenticator.generateSecret();
+    const otpauthUrl = authenticator.keyuri(
+      user.email,
+      process.env.TWO_FACTOR_ISSUER || 'Rentverse',
+      secret
+    );
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        twoFactorSecret: this.encryptSecret(secret),
+        twoFactorLastStep: null,
+      },
+    });
+
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl),
+    };
+  }
+
+  /**
+   * Turn on 2FA after the user entered a code from their app
+   * @param {string} userId
+   * @param {string} code
+   * @returns {Promise<Array<string>>} Recovery codes
+   */
+  async enable(userId, code) {
+    const user = await this.findUser(userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.twoFactorEnabled) {
+      throw new Error(
+        'Cannot enable two-factor authentication: it is already enabled'
+      );
+    }
+
+    if (!user.twoFactorSecret) {
+      throw new Error(
+        'Cannot enable two-factor authentication before setting it up'
+      );
+    }
+
+    if (!(await this.verifyCode(user, code))) {
+      throw new Error('Invalid verification code');
+    }
+
+    return await prisma.$transaction(async tx => {
+      await tx.user.update({
+        where: { id: userId },
+        data: { twoFactorEnabled: true },
+      });
+
+      return await this.replaceRecoveryCodes(userId, tx);
+    });
+  }
+
+  /**
+   * Finish a login with a TOTP code or a recovery code. Wrong codes count
+   * as failed logins, so guessing them leads to the same lockout.
+   * @param {string} challengeToken - From the login response
+   * @param {Object} factor - { code } or { recoveryCode }
+   * @param {Object} req - Express request (device details)
+   * @returns {Promise<Object>} { token, refreshToken }
+   */
+  async verifyLogin(challengeToken, { code, recoveryCode }, req) {
+    const userId = this.verifyChallenge(challengeToken, 'verify');
+    const user = await this.findUser(userId);
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      throw new Error('Invalid or expired challenge');
+    }
+
+    await accountSecurityService.assertLoginAllowed(user, user.email, req);
+
+    const valid = recoveryCode
+      ? await this.useRecoveryCode(user.id, recoveryCode)
+      : await this.verifyCode(user, code);
+
+    if (!valid) {
+      await accountSecurityService.recordFailure(
+        user,
+        user.email,
+        req,
+        'INVALID_TWO_FACTOR_CODE'
+      );
+      throw new Error('Invalid verification code');
+    }
+
+    return await this.openSession(user, req, {
+      method: 'two_factor',
+      factor: recoveryCode ? 'recovery_code' : 'totp',
+    });
+  }
+
+  /**
+   * Turn off 2FA. Needs the password and a current code, and is refused
+   * when the user's role requires 2FA.
+   * @param {string} userId
+   * @param {Object} credentials - { password, code }
+   */
+  async disable(userId, { password, code }) {
+    const user = await this.findUser(userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (!user.twoFactorEnabled) {
+      throw new Error(
+        'Cannot disable two-factor authentication: it is not enabled'
+      );
+    }
+
+    if (await this.isRequiredForRole(user.role)) {
+      throw new Error(
+        'Cannot disable two-factor authentication: it is required for your role'
+      );
+    }
+
+    if (!(await bcrypt.compare(password, user.password))) {
+      throw new Error('Invalid password');
+    }
+
+    if (!(await this.verifyCode(user, code))) {
+      throw new Error('Invalid verification code');
+    }
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: userId },
+        data: {
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorLastStep: null,
+        },
+      }),
+      prisma.twoFactorRecoveryCode.deleteMany({ where: { userId } }),
+    ]);
+  }
+
+  /**
+   * Replace the recovery codes after checking a current code
+   * @param {string} userId
+   * @param {string} code
+   * @returns {Promise<Array<string>>} New recovery codes
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    const user = await this.findUser(userId);
+
+    if (!user || !user.twoFactorEnabled) {
+      throw new Error(
+        'Cannot create recovery codes: two-factor authentication is not enabled'
+      );
+    }
+
+    if (!(await this.verifyCode(user, code))) {
+      throw new Error('Invalid verification code');
+    }
+
+    return await this.replaceRecoveryCodes(userId);
+  }
+
+  /**
+   * 2FA status of a user
+   * @param {string} userId
+   * @returns {Promise<Object>} { enabled, required, recoveryCodesLeft }
+   */
+  async getStatus(userId) {
+    const user = await this.findUser(userId);
+
+    const [required, recoveryCodesLeft] = await Promise.all([
+      this.isRequiredForRole(user.role),
+      prisma.twoFactorRecoveryCode.count({ where: { userId, usedAt: null } }),
+    ]);
+
+    return {
+      enabled: user.twoFactorEnabled,
+      required,
+      recoveryCodesLeft,
+    };
+  }
+
+  /**
+   * Security policy of every role
+   * @returns {Promise<Array>} [{ role, requireTwoFactor, updatedAt }]
+   */
+  async getPolicies() {
+    const policies = await prisma.roleSecurityPolicy.findMany();
+
+    return ROLES.map(role => {
+      const policy = policies.find(item => item.role === role);
+
+      return {
+        role,
+        requireTwoFactor: policy ? policy.requireTwoFactor : false,
+        updatedAt: policy ? policy.updatedAt : null,
+      };
+    });
+  }
+
+  /**
+   * Require 2FA for a role, or stop requiring it (admin). Users of the role
+   * without 2FA are asked to set it up at their next login or token refresh.
+   * @param {string} role
+   * @param {boolean} requireTwoFactor
+   * @param {string} adminId
+   * @returns {Promise<Object>} Policy
+   */
+  async updatePolicy(role, requireTwoFactor, adminId) {
+    return await prisma.roleSecurityPolicy.upsert({
+      where: { role },
+      create: { role, requireTwoFactor, updatedById: adminId },
+      update: { requireTwoFactor, updatedById: adminId },
+    });
+  }
+}
+
+module.exports = new TwoFactorService();
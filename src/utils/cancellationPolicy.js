@@ -0,0 +1,74 @@
+/**
+ * Utility functions for tenant booking cancellations
+ *
+ * Each policy is a list of tiers ordered from the most generous one. The
+ * first tier whose minimum notice (days before the lease start date) is met
+ * decides the percentage of paid rent that is refunded. Security deposits
+ * are always refunded in full.
+ */
+
+const { toUtcDay } = require('./rentSchedule');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const CANCELLATION_POLICIES = {
+  FLEXIBLE: [{ minDaysBeforeStart: 1, refundPercentage: 100 }],
+  MODERATE: [
+    { minDaysBeforeStart: 14, refundPercentage: 100 },
+    { minDaysBeforeStart: 7, refundPercentage: 50 },
+  ],
+  STRICT: [
+    { minDaysBeforeStart: 30, refundPercentage: 100 },
+    { minDaysBeforeStart: 14, refundPercentage: 50 },
+  ],
+};
+
+/**
+ * Whole days between today and the lease start date
+ * @param {Date} startDate - Lease start date
+ * @param {Date} now - Cancellation time
+ * @returns {number} - Days (0 on the start date, negative after it)
+ */
+function daysBeforeStart(startDate, now = new Date()) {
+  return Math.round((toUtcDay(startDate) - toUtcDay(now)) / MS_PER_DAY);
+}
+
+/**
+ * Percentage of paid rent refunded for a cancellation
+ * @param {string} policy - FLEXIBLE | MODERATE | STRICT
+ * @param {Date} startDate - Lease start date
+ * @param {Date} now - Cancellation time
+ * @returns {Object} - { policy, daysBeforeStart, rentRefundPercentage }
+ */
+function getRentRefund(policy, startDate, now = new Date()) {
+  const tiers = CANCELLATION_POLICIES[policy] || CANCELLATION_POLICIES.FLEXIBLE;
+  const days = daysBeforeStart(startDate, now);
+  const tier = tiers.find(t => days >= t.minDaysBeforeStart);
+
+  return {
+    policy: CANCELLATION_POLICIES[policy] ? policy : 'FLEXIBLE',
+    daysBeforeStart: days,
+    rentRefundPercentage: tier ? tier.refundPercentage : 0,
+  };
+}
+
+/**
+ * Human readable tiers of a policy (for API responses)
+ * @param {string} policy - FLEXIBLE | MODERATE | STRICT
+ * @returns {Array<string>} - One line per tier
+ */
+function describePolicy(policy) {
+  const tiers = CANCELLATION_POLICIES[policy] || [];
+
+  return tiers.map(
+    t =>
+      `${t.refundPercentage}% of paid rent refunded when cancelled at least ${t.minDaysBeforeStart} day(s) before the start date`
+  );
+}
+
+module.exports = {
+  CANCELLATION_POLICIES,
+  daysBeforeStart,
+  getRentRefund,
+  describePolicy,
+};
@@ -249,6 +249,51 @@ class FileUploadService {
     });
   }
 
+  /**
+   * Upload options for a 300x300 webp thumbnail
+   */
+  getThumbnailUploadOptions() {
+    // Generate unique public ID for thumbnail with 'thumb' prefix
+    const now = new Date();
+    const timestamp = now
+      .toISOString()
+      .replace(/[-T:.Z]/g, '')
+      .slice(0, 14);
+    const shortId = uuidv4().split('-')[0];
+    const publicId = `${CLOUD_FOLDER_PREFIX}_thumb_${timestamp}_${shortId}`;
+
+    return {
+      public_id: publicId,
+      resource_type: 'image',
+      format: 'webp',
+      transformation: [
+        {
+          width: 300,
+          height: 300,
+          crop: 'fill',
+          gravity: 'center',
+          quality: 'auto:good',
+        },
+      ],
+    };
+  }
+
+  /**
+   * Thumbnail info returned to clients
+   */
+  formatThumbnail(result) {
+    return {
+      publicId: result.public_id,
+      fileName: result.public_id,
+      url: result.secure_url,
+      size: result.bytes,
+      width: result.width,
+      height: result.height,
+      format: result.format,
+      etag: result.etag,
+    };
+  }
+
   /**
    * Create thumbnail for image
    */
@@ -260,29 +305,7 @@ class FileUploadService {
         throw new Error('File is not an image');
       }
 
-      // Generate unique public ID for thumbnail with 'thumb' prefix
-      const now = new Date();
-      const timestamp = now
-        .toISOString()
-        .replace(/[-T:.Z]/g, '')
-        .slice(0, 14);
-      const shortId = uuidv4().split('-')[0];
-      const publicId = `${CLOUD_FOLDER_PREFIX}_thumb_${timestamp}_${shortId}`;
-
-      const uploadOptions = {
-        public_id: publicId,
-        resource_type: 'image',
-        format: 'webp',
-        transformation: [
-          {
-            width: 300,
-            height: 300,
-            crop: 'fill',
-            gravity: 'center',
-            quality: 'auto:good',
-          },
-        ],
-      };
+      const uploadOptions = this.getThumbnailUploadOptions();
       return new Promise((resolve, reject) => {
         const uploadStream = cloudinary.uploader.upload_stream(
           uploadOptions,
@@ -293,16 +316,7 @@ class FileUploadService {
               return;
             }
 
-            resolve({
-              publicId: result.public_id,
-              fileName: result.public_id,
-              url: result.secure_url,
-              size: result.bytes,
-              width: result.width,
-              height: result.height,
-              format: result.format,
-              etag: result.etag,
-            });
+            resolve(this.formatThumbnail(result));
           }
         );
 
@@ -314,6 +328,21 @@ class FileUploadService {
     }
   }
 
+  /**
+   * Create thumbnail from an image that is already uploaded (used by the
+   * background worker, which has no access to the request file buffer)
+   */
+  async createThumbnailFromUrl(sourceUrl) {
+    this.checkCloudinaryConfig();
+
+    const result = await cloudinary.uploader.upload(
+      sourceUrl,
+      this.getThumbnailUploadOptions()
+    );
+
+    return this.formatThumbnail(result);
+  }
+
   /**
    * Get video thumbnail
    */
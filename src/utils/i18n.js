@@ -0,0 +1,296 @@
+/**
+ * Language helpers for documents and formatted values
+ *
+ * Users choose `en` or `ms` as their preferred language. The rental
+ * agreement is written in the parties' language (or both, side by side) and
+ * its dates and amounts are formatted for that language.
+ */
+
+const SUPPORTED_LANGUAGES = ['en', 'ms'];
+const DEFAULT_LANGUAGE = 'en';
+
+// Lease.agreementLanguage can also ask for a side-by-side document
+const BILINGUAL = 'bilingual';
+const AGREEMENT_LANGUAGES = [...SUPPORTED_LANGUAGES, BILINGUAL];
+
+const LOCALES = {
+  en: 'en-US',
+  ms: 'ms-MY',
+};
+
+// Fixed wording of the rental agreement outside the template clauses
+const AGREEMENT_LABELS = {
+  en: {
+    title: 'Residential Rental Agreement',
+    agreementNo: 'Agreement No',
+    partiesTitle: 'THE PARTIES',
+    partiesIntro: date =>
+      `This Rental Agreement ("Agreement") is entered into on ${date}, between the following parties:`,
+    firstParty: 'THE FIRST PARTY (LESSOR/LANDLORD)',
+    secondParty: 'THE SECOND PARTY (LESSEE/TENANT)',
+    name: 'Name',
+    phone: 'Phone',
+    email: 'Email',
+    landlordAlias: 'Hereinafter referred to as "THE LESSOR" or "LANDLORD"',
+    tenantAlias: 'Hereinafter referred to as "THE LESSEE" or "TENANT"',
+    scheduleTitle: 'SCHEDULE OF RENT',
+    term: 'Term',
+    monthlyRent: 'Monthly Rent',
+    monthlyRentFrom: date => `Monthly Rent from ${date}`,
+    securityDeposit: 'Security Deposit',
+    refundable: 'refundable',
+    none: 'None',
+    noticePeriod: 'Notice Period',
+    rentPeriod: 'Rent Period',
+    days: 'Days',
+    amount: 'Amount',
+    prorated: 'prorated',
+    totalContractValue: 'Total Contract Value',
+    dateRange: (from, to) => `${from} to ${to}`,
+    dayCount: count => `${count} day(s)`,
+    monthCount: count => `${count} month(s)`,
+    and: 'and',
+    witness:
+      '<strong>IN WITNESS WHEREOF,</strong> the parties have executed this Agreement on the date first written above.',
+    firstPartySignature: 'THE FIRST PARTY (LESSOR)',
+    secondPartySignature: 'THE SECOND PARTY (LESSEE)',
+    electronicSignature: '[Electronic Signature]',
+    certificateTitle: 'Signature Certificate',
+    bookingId: 'Booking ID',
+    status: 'Status',
+    fullyExecutedOn: 'Fully executed on',
+    signedDocument: 'Signed document (SHA-256)',
+    signer: 'Signer',
+    accountId: 'Account ID',
+    signedAt: 'Signed at (UTC)',
+    ipAddress: 'IP address',
+    userAgent: 'User agent',
+    documentHashSigned: 'Document hash signed',
+    certificateNote:
+      'Each party signed electronically after signing in to their Rentverse account. The document hash identifies the exact agreement PDF presented to the parties; the signatures above apply to that document only.',
+    certificateVerify: url =>
+      `The authenticity of this document and its signatures can be checked at ${url}.`,
+    verifyAt: 'Verify this agreement at',
+    page: (pageNumber, totalPages) => `Page ${pageNumber} of ${totalPages}`,
+    areaDescription: area =>
+      `, comprising approximately ${area} square meters of living space`,
+    furnished: 'fully furnished',
+    unfurnished: 'unfurnished',
+  },
+  ms: {
+    title: 'Perjanjian Sewa Kediaman',
+    agreementNo: 'No. Perjanjian',
+    partiesTitle: 'PIHAK-PIHAK',
+    partiesIntro: date =>
+      `Perjanjian Sewa ini ("Perjanjian") dibuat pada ${date}, antara pihak-pihak berikut:`,
+    firstParty: 'PIHAK PERTAMA (PEMBERI SEWA/TUAN RUMAH)',
+    secondParty: 'PIHAK KEDUA (PENYEWA)',
+    name: 'Nama',
+    phone: 'Telefon',
+    email: 'E-mel',
+    landlordAlias:
+      'Selepas ini dirujuk sebagai "PEMBERI SEWA" atau "TUAN RUMAH"',
+    tenantAlias: 'Selepas ini dirujuk sebagai "PENYEWA"',
+    scheduleTitle: 'JADUAL SEWA',
+    term: 'Tempoh',
+    monthlyRent: 'Sewa Bulanan',
+    monthlyRentFrom: date => `Sewa Bulanan mulai ${date}`,
+    securityDeposit: 'Deposit Sekuriti',
+    refundable: 'boleh dikembalikan',
+    none: 'Tiada',
+    noticePeriod: 'Tempoh Notis',
+    rentPeriod: 'Tempoh Sewa',
+    days: 'Hari',
+    amount: 'Amaun',
+    prorated: 'diprorata',
+    totalContractValue: 'Jumlah Nilai Kontrak',
+    dateRange: (from, to) => `${from} hingga ${to}`,
+    dayCount: count => `${count} hari`,
+    monthCount: count => `${count} bulan`,
+    and: 'dan',
+    witness:
+      '<strong>SEBAGAI BUKTI,</strong> pihak-pihak telah menandatangani Perjanjian ini pada tarikh yang mula-mula dinyatakan di atas.',
+    firstPartySignature: 'PIHAK PERTAMA (PEMBERI SEWA)',
+    secondPartySignature: 'PIHAK KEDUA (PENYEWA)',
+    electronicSignature: '[Tandatangan Elektronik]',
+    certificateTitle: 'Sijil Tandatangan',
+    bookingId: 'ID Tempahan',
+    status: 'Status',
+    fullyExecutedOn: 'Dilaksanakan sepenuhnya pada',
+    signedDocument: 'Dokumen yang ditandatangani (SHA-256)',
+    signer: 'Penandatangan',
+    accountId: 'ID Akaun',
+    signedAt: 'Ditandatangani pada (UTC)',
+    ipAddress: 'Alamat IP',
+    userAgent: 'Ejen pengguna',
+    documentHashSigned: 'Cincangan dokumen yang ditandatangani',
+    certificateNote:
+      'Setiap pihak menandatangani secara elektronik selepas log masuk ke akaun Rentverse masing-masing. Cincangan dokumen mengenal pasti PDF perjanjian yang tepat yang dibentangkan kepada pihak-pihak; tandatangan di atas hanya terpakai kepada dokumen tersebut.',
+    certificateVerify: url =>
+      `Ketulenan dokumen ini dan tandatangannya boleh disemak di ${url}.`,
+    verifyAt: 'Sahkan perjanjian ini di',
+    page: (pageNumber, totalPages) =>
+      `Halaman ${pageNumber} daripada ${totalPages}`,
+    areaDescription: area =>
+      `, dengan keluasan ruang kediaman lebih kurang ${area} meter persegi`,
+    furnished: 'berperabot sepenuhnya',
+    unfurnished: 'tidak berperabot',
+  },
+};
+
+/**
+ * Supported language for a value, falling back to English
+ * @param {string} language
+ * @returns {string} en or ms
+ */
+function normalizeLanguage(language) {
+  const code = String(language || '')
+    .slice(0, 2)
+    .toLowerCase();
+
+  return SUPPORTED_LANGUAGES.includes(code) ? code : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Intl locale of a language
+ * @param {string} language
+ * @returns {string} e.g. ms-MY
+ */
+function getLocale(language) {
+  return LOCALES[normalizeLanguage(language)];
+}
+
+/**
+ * Long date, e.g. "January 15, 2026" or "15 Januari 2026"
+ * @param {Date|string} date
+ * @param {string} language
+ * @returns {string}
+ */
+function formatDate(date, language = DEFAULT_LANGUAGE) {
+  return new Date(date).toLocaleDateString(getLocale(language), {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+}
+
+/**
+ * Amount with two decimals, without currency
+ * @param {number} amount
+ * @param {string} language
+ * @returns {string}
+ */
+function formatAmount(amount, language = DEFAULT_LANGUAGE) {
+  return Number(amount).toLocaleString(getLocale(language), {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+}
+
+/**
+ * Listing price for display, e.g. "RM 2,500" or "$1,200"
+ * @param {number|string} price
+ * @param {string} currencyCode
+ * @param {string} language
+ * @returns {string}
+ */
+function formatPrice(price, currencyCode = 'MYR', language = DEFAULT_LANGUAGE) {
+  const locale = getLocale(language);
+  const amount = parseFloat(price);
+
+  try {
+    return new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: currencyCode,
+      // "RM" instead of "MYR" in English as well
+      currencyDisplay: currencyCode === 'MYR' ? 'narrowSymbol' : 'symbol',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 2,
+    })
+      .format(amount)
+      .replace(/\u00a0/g, ' ');
+  } catch (error) {
+    // Not an ISO 4217 code
+    return `${currencyCode} ${amount.toLocaleString(locale)}`;
+  }
+}
+
+/**
+ * Name of a currency, e.g. "Malaysian Ringgit" or "Ringgit Malaysia"
+ * @param {string} currencyCode
+ * @param {string} language
+ * @returns {string}
+ */
+function getCurrencyName(currencyCode, language = DEFAULT_LANGUAGE) {
+  try {
+    return new Intl.DisplayNames([getLocale(language)], {
+      type: 'currency',
+    }).of(currencyCode);
+  } catch (error) {
+    return currencyCode;
+  }
+}
+
+/**
+ * Fixed wording of the rental agreement
+ * @param {string} language
+ * @returns {Object}
+ */
+function getAgreementLabels(language) {
+  return AGREEMENT_LABELS[normalizeLanguage(language)];
+}
+
+/**
+ * Languages of a rental agreement. An explicit choice on the lease wins;
+ * otherwise the parties' shared preference is used, and parties preferring
+ * different languages get a bilingual document led by the landlord's.
+ * @param {Object} lease - Lease with agreementLanguage, landlord and tenant
+ * @returns {Object} { language, secondaryLanguage }
+ */
+function resolveAgreementLanguages(lease) {
+  const landlordLanguage = normalizeLanguage(
+    lease.landlord && lease.landlord.preferredLanguage
+  );
+  const tenantLanguage = normalizeLanguage(
+    lease.tenant && lease.tenant.preferredLanguage
+  );
+
+  if (lease.agreementLanguage === BILINGUAL) {
+    return {
+      language: landlordLanguage,
+      secondaryLanguage:
+        tenantLanguage !== landlordLanguage
+          ? tenantLanguage
+          : SUPPORTED_LANGUAGES.find(code => code !== landlordLanguage),
+    };
+  }
+
+  if (lease.agreementLanguage) {
+    return {
+      language: normalizeLanguage(lease.agreementLanguage),
+      secondaryLanguage: null,
+    };
+  }
+
+  return {
+    language: landlordLanguage,
+    secondaryLanguage:
+      tenantLanguage !== landlordLanguage ? tenantLanguage : null,
+  };
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  BILINGUAL,
+  AGREEMENT_LANGUAGES,
+  normalizeLanguage,
+  getLocale,
+  formatDate,
+  formatAmount,
+  formatPrice,
+  getCurrencyName,
+  getAgreementLabels,
+  resolveAgreementLanguages,
+};
@@ -0,0 +1,185 @@
+/**
+ * Utility functions for computing the terms of a lease
+ *
+ * The rental agreement and GET /api/bookings/:id/terms both use these
+ * figures, so the PDF and the API always agree. Rent amounts come from the
+ * same monthly schedule the RENT invoices are issued from.
+ */
+
+const {
+  toCents,
+  fromCents,
+  toUtcDay,
+  addDays,
+  daysInclusive,
+  buildRentSchedule,
+  formatDay,
+} = require('./rentSchedule');
+const { getAgreementLabels } = require('./i18n');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Length of a lease in whole months plus remaining days
+ * @param {Date|string} startDate - First day of the lease
+ * @param {Date|string} endDate - Last day of the lease (inclusive)
+ * @returns {Object} - { months, days, totalDays }
+ */
+function getTermLength(startDate, endDate) {
+  const start = toUtcDay(startDate);
+  const end = addDays(toUtcDay(endDate), 1);
+  let months = 0;
+
+  const addMonths = count => {
+    const date = new Date(start);
+    date.setUTCMonth(date.getUTCMonth() + count);
+    return date;
+  };
+
+  while (addMonths(months + 1) <= end) {
+    months += 1;
+  }
+
+  return {
+    months,
+    days: Math.round((end - addMonths(months)) / MS_PER_DAY),
+    totalDays: daysInclusive(startDate, endDate),
+  };
+}
+
+/**
+ * Describe a term length, e.g. "6 month(s) and 21 day(s)" or
+ * "6 bulan dan 21 hari"
+ * @param {Object} termLength - { months, days }
+ * @param {string} language - en or ms
+ * @returns {string}
+ */
+function describeTermLength({ months, days }, language = 'en') {
+  const labels = getAgreementLabels(language);
+  const parts = [];
+
+  if (months > 0) {
+    parts.push(labels.monthCount(months));
+  }
+
+  if (days > 0 || months === 0) {
+    parts.push(labels.dayCount(days));
+  }
+
+  return parts.join(` ${labels.and} `);
+}
+
+/**
+ * Rent period as returned by the terms API
+ * @param {Object} period - Period from buildRentSchedule
+ * @returns {Object}
+ */
+function formatPeriod(period) {
+  return {
+    periodStart: formatDay(period.periodStart),
+    periodEnd: formatDay(period.periodEnd),
+    billedDays: period.billedDays,
+    monthDays: period.monthDays,
+    prorated: period.prorated,
+    amount: period.amount,
+  };
+}
+
+/**
+ * Split a lease into the stretches billed at one monthly rent: its own
+ * rentAmount from the start date, then each rent period (e.g. an extension
+ * at a new rent) until the next one or the end of the lease
+ * @param {Object} lease - Lease record (startDate, endDate, rentAmount,
+ *   rentPeriods: [{ startDate, rentAmount }])
+ * @returns {Array<Object>} - [{ startDate, endDate, rentAmount }]
+ */
+function getRentSegments(lease) {
+  const endDate = toUtcDay(lease.endDate);
+  const starts = [
+    { startDate: toUtcDay(lease.startDate), rentAmount: lease.rentAmount },
+    ...(lease.rentPeriods || [])
+      .map(period => ({
+        startDate: toUtcDay(period.startDate),
+        rentAmount: period.rentAmount,
+      }))
+      .sort((a, b) => a.startDate - b.startDate),
+  ].filter(segment => segment.startDate <= endDate);
+
+  return starts.map((segment, index) => ({
+    ...segment,
+    endDate:
+      index + 1 < starts.length
+        ? addDays(starts[index + 1].startDate, -1)
+        : endDate,
+  }));
+}
+
+/**
+ * Monthly rent in force at the end of a lease
+ * @param {Object} lease - See getRentSegments
+ * @returns {number|string|Object}
+ */
+function getCurrentRent(lease) {
+  const segments = getRentSegments(lease);
+  return segments[segments.length - 1].rentAmount;
+}
+
+/**
+ * Compute term length, rent schedule, deposit and notice period of a lease
+ * @param {Object} lease - Lease record (startDate, endDate, rentAmount,
+ *   rentPeriods, currencyCode, securityDeposit, noticePeriodDays)
+ * @returns {Object} - { term, rent, deposit, notice, totalContractValue }
+ */
+function computeLeaseTerms(lease) {
+  const termLength = getTermLength(lease.startDate, lease.endDate);
+  const segments = getRentSegments(lease);
+  // One schedule per rent, like the invoices issued for each of them
+  const schedule = segments.flatMap(segment => buildRentSchedule(segment));
+  const totalRentCents = schedule.reduce(
+    (sum, period) => sum + toCents(period.amount),
+    0
+  );
+  const depositCents = toCents(lease.securityDeposit);
+
+  return {
+    leaseId: lease.id,
+    currencyCode: lease.currencyCode || 'MYR',
+    term: {
+      startDate: formatDay(lease.startDate),
+      endDate: formatDay(lease.endDate),
+      ...termLength,
+      description: describeTermLength(termLength),
+    },
+    rent: {
+      monthlyRent: fromCents(toCents(lease.rentAmount)),
+      // Later rents, e.g. agreed for an extension
+      rentChanges: segments.slice(1).map(segment => ({
+        startDate: formatDay(segment.startDate),
+        monthlyRent: fromCents(toCents(segment.rentAmount)),
+      })),
+      billingPeriods: schedule.length,
+      fullMonths: schedule.filter(period => !period.prorated).length,
+      firstPeriod: formatPeriod(schedule[0]),
+      lastPeriod: formatPeriod(schedule[schedule.length - 1]),
+      totalRent: fromCents(totalRentCents),
+      schedule: schedule.map(formatPeriod),
+    },
+    deposit: {
+      required: depositCents > 0,
+      amount: fromCents(depositCents),
+    },
+    notice: {
+      noticePeriodDays: lease.noticePeriodDays,
+    },
+    // Rent payable over the whole term; the deposit is refundable
+    totalContractValue: fromCents(totalRentCents),
+  };
+}
+
+module.exports = {
+  getTermLength,
+  describeTermLength,
+  getRentSegments,
+  getCurrentRent,
+  computeLeaseTerms,
+};
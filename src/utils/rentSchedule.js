@@ -0,0 +1,146 @@
+/**
+ * Utility functions for building lease rent schedules
+ *
+ * Rent is billed per calendar month. The first and last months are prorated
+ * by the number of days actually occupied; the lease end date is inclusive.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Convert a money value (number, string or Prisma Decimal) to integer cents
+ * @param {number|string|Object} value - Money value
+ * @returns {number} - Amount in cents
+ */
+function toCents(value) {
+  if (value === null || value === undefined) return 0;
+  return Math.round(parseFloat(value.toString()) * 100);
+}
+
+/**
+ * Convert integer cents back to a 2-decimal number
+ * @param {number} cents - Amount in cents
+ * @returns {number} - Amount as number with 2 decimals
+ */
+function fromCents(cents) {
+  return Number((cents / 100).toFixed(2));
+}
+
+/**
+ * Normalize a date to UTC midnight
+ * @param {Date|string} date - Date to normalize
+ * @returns {Date} - Date at 00:00:00 UTC
+ */
+function toUtcDay(date) {
+  const d = new Date(date);
+  return new Date(
+    Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate())
+  );
+}
+
+/**
+ * Add a number of days to a date
+ * @param {Date} date - Base date
+ * @param {number} days - Days to add (can be negative)
+ * @returns {Date} - New date
+ */
+function addDays(date, days) {
+  return new Date(date.getTime() + days * MS_PER_DAY);
+}
+
+/**
+ * Number of calendar days between two dates, both inclusive
+ * @param {Date} startDate - First day
+ * @param {Date} endDate - Last day
+ * @returns {number} - Day count
+ */
+function daysInclusive(startDate, endDate) {
+  return Math.round((toUtcDay(endDate) - toUtcDay(startDate)) / MS_PER_DAY) + 1;
+}
+
+/**
+ * Number of days in the month of the given date
+ * @param {Date} date - Any day of the month
+ * @returns {number} - Days in that month
+ */
+function daysInMonth(date) {
+  return new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+}
+
+/**
+ * Last day of the month of the given date
+ * @param {Date} date - Any day of the month
+ * @returns {Date} - Last day of that month (UTC midnight)
+ */
+function endOfMonth(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0));
+}
+
+/**
+ * Build the monthly rent periods for a lease
+ * @param {Object} params
+ * @param {Date|string} params.startDate - Lease start date
+ * @param {Date|string} params.endDate - Lease end date (inclusive)
+ * @param {number|string|Object} params.rentAmount - Monthly rent
+ * @returns {Array<Object>} - Periods with amount, dates and proration info
+ */
+function buildRentSchedule({ startDate, endDate, rentAmount }) {
+  const start = toUtcDay(startDate);
+  const end = toUtcDay(endDate);
+
+  if (start > end) {
+    throw new Error('Start date must be before end date');
+  }
+
+  const monthlyCents = toCents(rentAmount);
+  const periods = [];
+  let cursor = start;
+
+  while (cursor <= end) {
+    const monthEnd = endOfMonth(cursor);
+    const periodEnd = monthEnd < end ? monthEnd : end;
+    const monthDays = daysInMonth(cursor);
+    const billedDays = daysInclusive(cursor, periodEnd);
+    const prorated = billedDays < monthDays;
+    const amountCents = prorated
+      ? Math.round((monthlyCents * billedDays) / monthDays)
+      : monthlyCents;
+
+    periods.push({
+      periodStart: cursor,
+      periodEnd,
+      dueDate: cursor,
+      billedDays,
+      monthDays,
+      prorated,
+      amount: fromCents(amountCents),
+    });
+
+    cursor = addDays(periodEnd, 1);
+  }
+
+  return periods;
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - Date to format
+ * @returns {string} - ISO calendar date
+ */
+function formatDay(date) {
+  return toUtcDay(date).toISOString().slice(0, 10);
+}
+
+module.exports = {
+  toCents,
+  fromCents,
+  toUtcDay,
+  addDays,
+  daysInclusive,
+  daysInMonth,
+  endOfMonth,
+  buildRentSchedule,
+  formatDay,
+};
@@ -1,6 +1,23 @@
 const fileUploadService = require('../utils/fileUpload');
+const jobsService = require('../modules/jobs/jobs.service');
 
 class UploadController {
+  /**
+   * Queue thumbnail creation for an uploaded image
+   * @param {Object} image - Upload result (url, publicId)
+   * @param {string} userId - Uploader (may poll the job)
+   * @returns {Promise<Object>} { jobId, status, sourceUrl }
+   */
+  async queueThumbnail(image, userId) {
+    const job = await jobsService.enqueue(
+      'thumbnail.create',
+      { sourceUrl: image.url, publicId: image.publicId },
+      { createdById: userId }
+    );
+
+    return { jobId: job.id, status: job.status, sourceUrl: image.url };
+  }
+
   /**
    * Upload single file
    */
@@ -81,19 +98,19 @@ class UploadController {
         true
       );
 
-      // Create thumbnails for each image
-      const thumbnailPromises = req.files.map(file =>
-        fileUploadService.createThumbnail(file)
+      // Thumbnails are created by the background worker
+      const thumbnailJobs = await Promise.all(
+        results.map(image =>
+          uploadController.queueThumbnail(image, req.user.id)
+        )
       );
 
-      const thumbnails = await Promise.all(thumbnailPromises);
-
       res.status(200).json({
         success: true,
         message: `${results.length} property images uploaded successfully`,
         data: {
           images: results,
-          thumbnails: thumbnails,
+          thumbnailJobs,
         },
       });
     } catch (error) {
@@ -120,15 +137,18 @@ class UploadController {
       // Upload original avatar
       const avatar = await fileUploadService.uploadFile(req.file, true);
 
-      // Create thumbnail
-      const thumbnail = await fileUploadService.createThumbnail(req.file);
+      // Thumbnail is created by the background worker
+      const thumbnailJob = await uploadController.queueThumbnail(
+        avatar,
+        req.user.id
+      );
 
       res.status(200).json({
         success: true,
         message: 'Avatar uploaded successfully',
         data: {
           avatar,
-          thumbnail,
+          thumbnailJob,
         },
       });
     } catch (error) {
@@ -235,4 +255,6 @@ class UploadController {
   }
 }
 
-module.exports = new UploadController();
+const uploadController = new UploadController();
+
+module.exports = uploadController;
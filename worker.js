@@ -0,0 +1,33 @@
+require('dotenv').config();
+const { connectDB, disconnectDB } = require('./src/config/database');
+const JobWorker = require('./src/jobs/worker');
+const handlers = require('./src/jobs/handlers');
+const emailService = require('./src/services/email.service');
+
+// The worker delivers queued mail: refuse to start without a transport
+emailService.assertConfigured();
+
+const worker = new JobWorker(handlers, {
+  pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000,
+  lockTimeoutMs:
+    (parseInt(process.env.JOB_LOCK_TIMEOUT_MINUTES) || 15) * 60 * 1000,
+});
+
+// Graceful shutdown: finish the running job, then exit
+const gracefulShutdown = async signal => {
+  console.log(`\n🛑 Received ${signal}. Stopping job worker...`);
+
+  try {
+    await worker.stop();
+    await disconnectDB();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error during shutdown:', error);
+    process.exit(1);
+  }
+};
+
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+
+connectDB().then(() => worker.start());